@@ -6,6 +6,12 @@
    - Priority: METAR-driven hazards outrank TAF-only hazards
 */
 
+import {
+  VIS_THRESHOLDS, ALERT_LEVEL,
+  extractAllVisibilityMetersFromTAF, ceilingFt, hazardFlags,
+  metarDecodedLines, reportTimeIso, createOmFn, computeDerivedStation, applyFleetProfile
+} from "./wx_core.js?v=94.omrules";
+
 const $ = (id) => document.getElementById(id);
 
 // Coerce raw METAR/TAF values safely to a string (or empty string).
@@ -58,10 +64,19 @@ let notifEnabled = (lsGet(NOTIF_KEY, "0") === "1");
 const TAF_PANEL_KEY = "wxm_tafPanelOpen"; // "1"|"0"
 let tafPanelOpen = (lsGet(TAF_PANEL_KEY, "0") === "1"); // default collapsed
 
+// Fleet profile (config/om_rules.json "fleets"): XWIND triggers and tiles against one type's limits; "" = company table
+const FLEET_KEY = "wxm_fleet";
+let fleetSel = (lsGet(FLEET_KEY, "") || "");
+
 // For change detection (new METAR / new alerts)
 let prevMetarObsByIcao = new Map(); // ICAO -> "DDHHMMZ"
 let prevSignalSets = null; // previous tile sets for TV toast/flash
 
+// Escalation policy (data/escalations.json): when a rule routes to the "browser" channel it replaces the
+// NEW BASE / NEW METAR notification below.
+let escalationsBrowser = false;
+let lastEscalationsAt = null;
+
 // Status polling (fast UI reaction to new dataset) ------------------------
 let lastStatusGeneratedAt = null;
 let statusPollInFlight = false;
@@ -159,7 +174,7 @@ async function toggleNotifications(){
     lsSet(NOTIF_KEY, "1");
     updateNotifBtn();
     try{
-      new Notification("Notifications enabled", {body:"You will be notified when a NEW BASE becomes impacted by a NEW METAR (AUTO view).", silent:true});
+      new Notification("Notifications enabled", {body: escalationsBrowser ? "You will be notified by the escalation policy (config/escalation.json, AUTO view)." : "You will be notified when a NEW BASE becomes impacted by a NEW METAR (AUTO view).", silent:true});
     }catch(e){}
     return;
   }
@@ -174,6 +189,45 @@ function initNotifUI(){
   if (btn) btn.addEventListener("click", toggleNotifications);
 }
 
+// --- Fleet profile UI ----------------------------------------------------
+function fleetIds(){
+  return ((omRules && Array.isArray(omRules.fleets)) ? omRules.fleets : []).map(f => f && f.id).filter(Boolean);
+}
+
+function updateFleetBtn(){
+  const btn = $("fleetBtn");
+  const lbl = $("fleetBtnLabel");
+  if (!btn || !lbl) return;
+  const ids = fleetIds();
+  if (fleetSel && ids.length && !ids.includes(fleetSel)) fleetSel = "";
+  btn.classList.toggle("hidden", !ids.length);
+  lbl.textContent = fleetSel || "COMPANY";
+  const sub = $("tileXwindSub");
+  if (sub) sub.textContent = fleetSel ? `best RWY · ${fleetSel}` : "best RWY exceed";
+}
+
+function applyFleet(st){
+  // The company view is kept in st._company so switching profiles never compounds.
+  if (!st._company) st._company = {omMet: st.omMet, omTaf: st.omTaf, omTrend: st.omTrend, triggers: st.triggers};
+  return Object.assign(st, applyFleetProfile({...st, ...st._company}, fleetSel));
+}
+
+function cycleFleet(){
+  const order = ["", ...fleetIds()];
+  fleetSel = order[(order.indexOf(fleetSel) + 1) % order.length];
+  lsSet(FLEET_KEY, fleetSel);
+  updateFleetBtn();
+  stations.forEach(applyFleet);
+  render();
+  if (drawerIcao) openDrawer(drawerIcao);
+}
+
+function initFleetUI(){
+  updateFleetBtn();
+  const btn = $("fleetBtn");
+  if (btn) btn.addEventListener("click", cycleFleet);
+}
+
 // --- TAF panel UI --------------------------------------------------------
 function applyTafPanelState(){
   const panel = $("tilesTaf");
@@ -206,11 +260,6 @@ function updateTopHeight(){
 }
 window.addEventListener('resize', ()=>requestAnimationFrame(updateTopHeight));
 
-const VIS_THRESHOLDS = [800, 550, 500, 300, 250, 175, 150];
-const RVR_THRESHOLDS = [500, 300, 200, 75];
-
-const ALERT_LEVEL = { OK:0, MED:1, HIGH:2, CRIT:3 };
-
 // Display labels (keep internal codes for logic, but render full words in UI).
 const ALERT_LABEL = { OK:"Ok", MED:"Medium", HIGH:"High", CRIT:"Critical" };
 function alertLabel(code){
@@ -218,56 +267,11 @@ function alertLabel(code){
   return ALERT_LABEL[k] || k;
 }
 
-function alertFromScore(score){
-  return score >= 70 ? "CRIT" :
-         score >= 45 ? "HIGH" :
-         score >= 20 ? "MED" : "OK";
-}
-
-function minScoreForAlert(alert){
-  return alert === "CRIT" ? 70 :
-         alert === "HIGH" ? 45 :
-         alert === "MED" ? 20 : 0;
-}
-
-function maxAlert(...alerts){
-  let best = "OK";
-  for (const a of alerts){
-    if (!a) continue;
-    if (ALERT_LEVEL[a] > ALERT_LEVEL[best]) best = a;
-  }
-  return best;
-}
-
-function windPillarAlert(met, taf){
-  const g = Math.max(met.gustMax ?? 0, taf.gustMax ?? 0);
-  if (!g) return "OK";
-  if (g >= 40) return "CRIT";
-  if (g >= 30) return "HIGH";
-  if (g >= 25) return "MED";
-  return "OK";
-}
-
-function snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll){
-  const hasSnow = !!(met.hz.sn || taf.hz.sn);
-  const hasBlSn = !!(met.hz.blsn || taf.hz.blsn);
-  if (!hasSnow && !hasBlSn) return "OK";
-
-  if (hasBlSn) return "CRIT";
-
-  const vis = worstVis;
-  const rvr = rvrMinAll;
-  const cig = cigAll;
-
-  if ((vis !== null && vis <= 500) || (rvr !== null && rvr <= 300) || (cig !== null && cig < 500)) return "CRIT";
-  if ((vis !== null && vis <= 800) || (rvr !== null && rvr <= 500) || (cig !== null && cig < 1000)) return "HIGH";
-  return "MED";
-}
-
 
 let stations = [];
 
 let runwaysMap = null;
+let omRules = null; // config/om_rules.json (OM thresholds, versioned per rule)
 
 let stationMap = new Map();
 let lastGeneratedAt = null; // string (ISO) from data.generatedAt
@@ -367,6 +371,22 @@ async function fetchRunways(){
   return runwaysMap;
 }
 
+async function fetchOmRules(){
+  if (omRules) return omRules;
+  try{
+    const res = await fetch("config/om_rules.json?cb=" + Date.now(), {cache:"no-store"});
+    if (!res.ok){
+      omRules = null;
+      return omRules;
+    }
+    const j = await res.json();
+    omRules = (j && Array.isArray(j.rules)) ? j : null;
+  }catch(e){
+    omRules = null;
+  }
+  return omRules;
+}
+
 let view = {
   q: "",
   cond: "all",
@@ -421,368 +441,18 @@ function applyGeneratedAtOnly(generatedAt){
     : "Last update: —";
 }
 
-function parseTempC(raw){
-  // METAR temp/dewpoint group like 02/00 or M05/M10
-  if (!raw) return null;
-  const up = String(raw).toUpperCase();
-  const m = up.match(/\b(M?\d{2})\/(M?\d{2})\b/);
-  if (!m) return null;
-  const t = m[1];
-  const val = parseInt(t.replace("M","-"), 10);
-  return Number.isNaN(val) ? null : val;
-}
-
-function parseVisibilityMeters(raw){
-  raw = asRawStr(raw);
-  if (!raw) return null;
-
-  // CAVOK is effectively >= 10km
-  if (/\bCAVOK\b/.test(raw)) return 10000;
-
-  // Robust token-based parse:
-  // - ignores time ranges like 3012/3112 (TAF) and RVR groups like R27/0600
-  // - supports US-style SM tokens including split form: "1 1/2SM"
-  const toks = String(raw).trim().split(/\s+/);
-
-  let best = null;
-  const add = (m)=>{ if (m == null) return; best = (best==null) ? m : Math.min(best, m); };
-
-  for (let idx=0; idx<toks.length; idx++){
-    const t0 = toks[idx].trim().toUpperCase();
-    if (!t0) continue;
-
-    // Split statute miles: e.g. "1 1/2SM" or "2 M1/4SM"
-    if (/^\d+$/.test(t0) && idx+1 < toks.length){
-      const t1 = toks[idx+1].trim().toUpperCase();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const frac = t1.replace(/^M/,'').slice(0,-2);
-        const [a,b] = frac.split('/').map(Number);
-        if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-          add(Math.round((whole + (a/b))*1609.34));
-          idx++; // consume fraction token
-          continue;
-        }
-      }
-    }
-
-    // US fractional statute miles (single token): e.g. 1/2SM, M1/4SM
-    if (/^M?\d+\/\d+SM$/.test(t0)){
-      const frac = t0.replace(/^M/,"").slice(0,-2);
-      const [a,b] = frac.split("/").map(Number);
-      if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-        add(Math.round((a/b)*1609.34));
-      }
-      continue;
-    }
-
-    // Ignore validity/time ranges (TAF) and RVR groups
-    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-    if (t0.includes("/")) continue;
-
-    // ICAO vis tokens: 0400, 9999, also with suffix like 9999NDV
-    if (/^\d{4}(?:[A-Z]{1,4})?$/.test(t0)){
-      const v = parseInt(t0.slice(0,4),10);
-      if (!Number.isNaN(v)) add(v === 9999 ? 10000 : v);
-      continue;
-    }
-
-    // Whole statute miles tokens: P6SM, 2SM, M1SM
-    if (/^P\d+SM$/.test(t0)){
-      const n = parseInt(t0.slice(1,-2),10);
-      if (Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-    if (/^M?\d+SM$/.test(t0)){
-      const n = parseInt(t0.replace(/^M/,"").slice(0,-2),10);
-      if (Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-  }
-
-  return best;
-}
-
-
-
-function extractAllVisibilityMetersFromTAF(raw){
-  if (!raw) return [];
-  const out = [];
-
-  if (/\bCAVOK\b/.test(raw)) out.push(10000);
-
-  const toks = String(raw).trim().split(/\s+/);
-  for (let idx=0; idx<toks.length; idx++){
-    const t0 = toks[idx].trim().toUpperCase();
-    if (!t0) continue;
-
-    // Split statute miles: "1 1/2SM"
-    if (/^\d+$/.test(t0) && idx+1 < toks.length){
-      const t1 = toks[idx+1].trim().toUpperCase();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const frac = t1.replace(/^M/,"").slice(0,-2);
-        const [a,b] = frac.split("/").map(Number);
-        if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-          out.push(Math.round((whole + (a/b))*1609.34));
-          idx++;
-          continue;
-        }
-      }
-    }
-
-    // Fractional statute miles token: 1/2SM
-    if (/^M?\d+\/\d+SM$/.test(t0)){
-      const frac = t0.replace(/^M/,"").slice(0,-2);
-      const [a,b] = frac.split("/").map(Number);
-      if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-        out.push(Math.round((a/b)*1609.34));
-      }
-      continue;
-    }
-
-    // Ignore validity/time ranges and RVR groups
-    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-    if (t0.includes("/")) continue;
-
-    if (/^\d{4}(?:[A-Z]{1,4})?$/.test(t0)){
-      const v = parseInt(t0.slice(0,4),10);
-      if (!Number.isNaN(v)) out.push(v === 9999 ? 10000 : v);
-      continue;
-    }
-
-    if (/^P\d+SM$/.test(t0)){
-      const n = parseInt(t0.slice(1,-2),10);
-      if (Number.isFinite(n)) out.push(Math.round(n*1609.34));
-      continue;
-    }
-    if (/^M?\d+SM$/.test(t0)){
-      const n = parseInt(t0.replace(/^M/,"").slice(0,-2),10);
-      if (Number.isFinite(n)) out.push(Math.round(n*1609.34));
-      continue;
-    }
-  }
-  return out;
-}
-
-
-
-function extractRvrMeters(raw){
-  if (!raw) return [];
-  // Accept common ICAO format and US-style optional FT suffix.
-  // Examples: R29/1000N, R06/0600V1000U, R27/P1500U, R09/M0050N, R11/1200FT
-  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?(FT)?\b/g;
-  const vals = [];
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const isFt = !!m[6];
-    const toMeters = (x)=> isFt ? Math.round(x * 0.3048) : x;
-
-    const v1 = parseInt(m[2],10);
-    if (!Number.isNaN(v1)) vals.push(toMeters(v1));
-    if (m[4]){
-      const v2 = parseInt(m[4],10);
-      if (!Number.isNaN(v2)) vals.push(toMeters(v2));
-    }
-  }
-  return vals;
-}
-
-function extractGustKt(raw){
-  // Returns all gust values in knots found in wind groups like 27015G30KT or VRB05G25KT
-  if (!raw) return [];
-  const out = [];
-  const re = /\b(?:\d{3}|VRB)\d{2,3}G(\d{2,3})KT\b/g;
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const g = parseInt(m[1],10);
-    if (!Number.isNaN(g)) out.push(g);
-  }
-  return out;
-}
-
-function gustMaxKt(raw){
-  const vals = extractGustKt(raw);
-  return vals.length ? Math.max(...vals) : null;
-}
-
-function ceilingFt(raw){
-  if (!raw) return null;
-  // BKN/OVC### or VV### where ### is hundreds of feet
-  const re = /\b(BKN|OVC|VV)(\d{3})\b/g;
-  let min = null;
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const h = parseInt(m[2],10);
-    if (!Number.isNaN(h)){
-      const ft = h*100;
-      if (min === null || ft < min) min = ft;
-    }
-  }
-  return min;
-}
-
 function escapeRegExp(s){
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-// RVR token objects with original token + numeric values, so we can point to the concrete trigger in raw text.
-function extractRvrTokenObjs(raw){
-  if (!raw) return [];
-  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?(FT)?\b/g;
-  const out = [];
-  let m;
-  while ((m = re.exec(String(raw).toUpperCase())) !== null){
-    const token = m[0];
-    const isFt = !!m[6];
-    const toMeters = (x)=> isFt ? Math.round(x * 0.3048) : x;
-
-    const vals = [];
-    const v1 = parseInt(m[2],10);
-    if (!Number.isNaN(v1)) vals.push(toMeters(v1));
-    if (m[4]){
-      const v2 = parseInt(m[4],10);
-      if (!Number.isNaN(v2)) vals.push(toMeters(v2));
-    }
-    if (!vals.length) continue;
-    const min = Math.min(...vals);
-    out.push({token, values: vals, min});
-  }
-  return out;
-}
-
-function minRvrTokenObj(raw){
-  const objs = extractRvrTokenObjs(raw);
-  if (!objs.length) return null;
-  let best = objs[0];
-  for (const o of objs){
-    if (o.min < best.min) best = o;
-  }
-  return best;
-}
-
-function ceilingTokenObj(raw){
-  if (!raw) return null;
-  const re = /\b(BKN|OVC|VV)(\d{3})\b/g;
-  let best = null;
-  let m;
-  const up = String(raw).toUpperCase();
-  while ((m = re.exec(up)) !== null){
-    const ft = parseInt(m[2],10)*100;
-    if (!Number.isNaN(ft)){
-      if (!best || ft < best.ft) best = {token: m[0], ft};
-    }
-  }
-  return best;
-}
-
-// Returns a token representing a given visibility value in meters (best effort).
-function visTokenForMeters(raw, meters){
-  if (!raw || meters == null) return null;
-  const up = String(raw).toUpperCase();
-
-  if (meters >= 10000){
-    if (/\bCAVOK\b/.test(up)) return "CAVOK";
-    // In METAR/TAF, 9999 typically means >=10km.
-    const m9999 = up.match(/\b9999(?:[A-Z]{1,4})?\b/);
-    if (m9999) return m9999[0];
-    return null;
-  }
-
-  const tok4 = String(meters).padStart(4, "0");
-  const re = new RegExp(`\\b${escapeRegExp(tok4)}(?:[A-Z]{1,4})?\\b`);
-  const m = up.match(re);
-  return m ? m[0] : tok4;
-}
-
-function snippetAround(raw, token, radius=70){
-  if (!raw || !token) return null;
-  const norm = String(raw).replace(/\s+/g, " ").trim();
-  const idx = norm.toUpperCase().indexOf(String(token).toUpperCase());
-  if (idx < 0) return null;
-  const start = Math.max(0, idx - radius);
-  const end = Math.min(norm.length, idx + String(token).length + radius);
-  let snip = norm.slice(start, end);
-  if (start > 0) snip = "…" + snip;
-  if (end < norm.length) snip = snip + "…";
-  return snip;
-}
-
-// Build a user-friendly, concrete "why minima triggered" explanation + evidence tokens for highlighting.
-function buildMinimaExplain({kind, raw, minima, state, visVal, rvrMin, isTaf}){
-  if (!state || !minima || !minima.best || !minima.alt) return null;
-  const triggered = !!(state.belowBest || state.onlyBest);
-  if (!triggered) return null;
-
-  const mode = state.belowBest ? "CRIT" : "LIMIT";      // CRIT = below BEST, LIMIT = below ALT but not below BEST
-  const basis = state.belowBest ? "BEST" : "ALT";
-  const thr = state.belowBest ? minima.best : minima.alt;
-
-  const effVis = (state.effVis != null) ? state.effVis : null;
-  const cig = (state.cig != null) ? state.cig : null;
-
-  const reasons = [];
-  const tokens = [];
-
-  // Identify which token drove the effective visibility: VIS or RVR.
-  const rvrObj = minRvrTokenObj(raw);
-  const useRvr = (rvrMin != null) && (visVal == null || rvrMin <= visVal);
-  const effToken = useRvr
-    ? (rvrObj ? rvrObj.token : null)
-    : visTokenForMeters(raw, visVal);
-
-  // Visibility reason
-  if (effVis != null && thr.vis_m != null && effVis < thr.vis_m){
-    const metric = useRvr ? "RVRmin" : "VIS";
-    const token = effToken || null;
-    const snip = isTaf ? snippetAround(raw, token) : null;
-    reasons.push({metric, actual: effVis, threshold: thr.vis_m, basis, token, snippet: snip});
-    if (token) tokens.push(token);
-  }
-
-  // Ceiling reason
-  if (cig != null && thr.cig_ft != null && cig < thr.cig_ft){
-    const cObj = ceilingTokenObj(raw);
-    const token = cObj ? cObj.token : null;
-    const snip = isTaf ? snippetAround(raw, token) : null;
-    reasons.push({metric:"CEILING", actual: cig, threshold: thr.cig_ft, basis, token, snippet: snip});
-    if (token) tokens.push(token);
-  }
-
-  // Build a plain-text tooltip string (native tooltip supports newlines).
-  const lines = [];
-  lines.push(`${kind} MINIMA ${mode} (${basis})`);
-  if (!reasons.length){
-    lines.push("Triggered, but concrete evidence could not be derived from raw text.");
-  }else{
-    for (const r of reasons){
-      const tokTxt = r.token ? ` (token: ${r.token})` : "";
-      lines.push(`• ${r.metric}: ${r.actual} < ${basis} ${r.threshold}${tokTxt}`);
-      if (r.snippet) lines.push(`  in TAF: ${r.snippet}`);
-    }
-  }
-  lines.push(`Effective VIS = min(VIS, RVRmin)`);
-
-  if (mode === "LIMIT"){
-    const b = minima.best || {};
-    const parts = [];
-    if (b.vis_m != null) parts.push(`BEST VIS ≥ ${b.vis_m}m`);
-    if (b.cig_ft != null) parts.push(`BEST CEIL ≥ ${b.cig_ft}ft`);
-    if (parts.length) lines.push(`BEST still OK: ${parts.join(", ")}`);
-  }
-
-  return {kind, mode, basis, reasons, tokens, tip: lines.join("\n")};
-}
-
 // Highlight raw with concrete evidence tokens (minima) without changing the base highlight rules.
 function highlightRawWithTokens(raw, tokens){
   const s = asRawStr(raw);
   if (!s) return "<span class='muted'>—</span>";
   let html = highlightRaw(s);
 
-  const toks = Array.isArray(tokens) ? tokens.filter(Boolean) : [];
+  // Backend minima evidence comes as {token, cls}; older payloads carry bare strings.
+  const toks = Array.isArray(tokens) ? tokens.map(t => (t && typeof t === "object") ? t.token : t).filter(Boolean) : [];
   if (!toks.length) return html;
 
   const parts = html.split(/(<[^>]+>)/g);
@@ -799,175 +469,12 @@ function highlightRawWithTokens(raw, tokens){
   return parts.join("");
 }
 
-function hasAny(raw, tokens){
-  if (!raw) return false;
-  return tokens.some(t => new RegExp(`\\b${t}\\b`).test(raw));
-}
-
-function hazardFlags(raw){
-  // Returns a richer set of phenomena flags from raw METAR/TAF strings.
-  // NOTE: The report header (METAR/TAF/SPECI/AUTO/AMD/...) and ICAO station id are stripped
-  // before token scanning to avoid false positives like LGTS/GCTS triggering TS.
-  if (!raw) return {
-    fzfg:false, fg:false, br:false, blsn:false,
-    sn:false, ra:false, ts:false, cb:false,
-    va:false,
-    fzra:false, fzdz:false, gr:false, pl:false, gs:false, sg:false,
-    heavySn:false, heavyFzra:false, heavyHail:false,
-  };
-
-  const upAll = String(raw).toUpperCase();
-
-  // Strip leading meta tokens + ICAO to prevent substring matches inside airport identifiers.
-  const toksAll = upAll.split(/\s+/).map(t=>t.trim()).filter(Boolean);
-  let i = 0;
-  const headerSkip = new Set(["METAR","SPECI","TAF","AUTO","COR","AMD","CNL","NIL"]);
-  while (i < toksAll.length && headerSkip.has(toksAll[i])) i++;
-  if (i < toksAll.length && /^[A-Z]{4}$/.test(toksAll[i])) i++; // ICAO station
-  const toks = toksAll.slice(i);
-
-  const coreText = toks.join(" ");
-
-  // Token-aware helpers to catch combined weather codes like RASN, -RASN, SNRA, etc.
-  const wxToks = toks.filter(t=>{
-    if (!t) return false;
-    if (t.includes("/")) return false;                 // time groups, RVR, validity
-    if (/[0-9]/.test(t)) return false;                 // numeric groups
-    if (/KT$/.test(t) || /MPS$/.test(t)) return false; // wind
-    if (t.length > 12) return false;
-    return true;
-  });
-
-  const hasWx = (needle)=>wxToks.some(t=>t.includes(needle));
-  const hasWxRe = (re)=>wxToks.some(t=>re.test(t));
-
-  // Cloud qualifiers can be attached: BKN020CB, SCT030TCU, etc. (avoid matching in ICAO)
-  const cb =
-    /\b(?:FEW|SCT|BKN|OVC|VV)\d{3}(?:CB|TCU)\b/.test(coreText) ||
-    /\bCB\b/.test(coreText) ||
-    /\bTCU\b/.test(coreText) ||
-    hasWx("CB") || hasWx("TCU");
-
-  const va = /\bVA\b/.test(coreText);
-
-  const fzra = /\bFZRA\b/.test(coreText) || hasWx("FZRA");
-  const fzdz = /\bFZDZ\b/.test(coreText) || hasWx("FZDZ");
-  const gr   = /\bGR\b/.test(coreText)   || hasWx("GR");
-  const pl   = /\bPL\b/.test(coreText)   || hasWx("PL");
-  const gs   = /\bGS\b/.test(coreText)   || hasWx("GS");
-  const sg   = /\bSG\b/.test(coreText)   || hasWx("SG");
-
-  // Heavy-intensity markers (used for OM-A takeoff prohibition list in om_policy.js as well)
-  const heavySn   = /\+SN\b/.test(coreText) || hasWx("+SN");
-  const heavyFzra = /\+FZRA\b/.test(coreText) || /\bFZRA\b/.test(coreText); // includes +FZRA
-  const heavyHail = /\+GR\b/.test(coreText) || /\bGR\b/.test(coreText);     // includes +GR
-
-  // TS: match only true weather tokens (avoid ICAO substring issues)
-  const ts = hasWxRe(/^(?:\+|\-)?TS/) || hasWxRe(/^VCTS/);
-
-  return {
-    fzfg: /\bFZFG\b/.test(coreText),
-    fg: /\bFG\b/.test(coreText) || hasWx("FG"),
-    br: /\bBR\b/.test(coreText) || hasWx("BR"),
-    blsn: /\bBLSN\b/.test(coreText) || hasWx("BLSN"),
-
-    sn: /\bSN\b/.test(coreText) || /\bSHSN\b/.test(coreText) || /\bBLSN\b/.test(coreText) || hasWx("SN"),
-    ra: /\bRA\b/.test(coreText) || /\bDZ\b/.test(coreText) || hasWx("RA") || hasWx("DZ"),
-    ts,
-    cb,
-
-    va,
-    fzra, fzdz, gr, pl, gs, sg,
-    heavySn, heavyFzra, heavyHail,
-  };
-}
-
-
-function computeScores(raw){
-  const vis = parseVisibilityMeters(raw);
-  const rvr = extractRvrMeters(raw);
-  const rvrMin = rvr.length ? Math.min(...rvr) : null;
-  const cig = ceilingFt(raw);
-  const hz = hazardFlags(raw);
-  const tempC = parseTempC(raw);
-  const gustMax = gustMaxKt(raw);
-
-  let score = 0;
-
-  // Visibility contribution
-  if (vis !== null){
-    if (vis <= 150) score += 35;
-    else if (vis <= 175) score += 30;
-    else if (vis <= 250) score += 26;
-    else if (vis <= 300) score += 24;
-    else if (vis <= 500) score += 18;
-    else if (vis <= 550) score += 16;
-    else if (vis <= 800) score += 12;
-  }
-
-  // RVR contribution
-  if (rvrMin !== null){
-    if (rvrMin <= 75) score += 28;
-    else if (rvrMin <= 200) score += 22;
-    else if (rvrMin <= 300) score += 18;
-    else if (rvrMin <= 500) score += 12;
-  }
-
-  // Ceiling contribution
-  if (cig !== null){
-    if (cig < 500) score += 22;
-    else if (cig < 800) score += 12;
-  }
-
-  // Wx triggers
-  if (hz.ts) score += 22;
-  if (hz.cb) score += 12;
-  if (hz.fzfg) score += 18;
-  if (hz.fg) score += 14;
-  if (hz.sn) score += 10;
-  if (hz.ra) score += 8;
-  if (hz.br) score += 6;
-
-  // Wind gust contribution
-  // Operational tuning: start highlighting/alerting already from G25.
-  if (gustMax !== null){
-    if (gustMax >= 40) score += 10;
-    else if (gustMax >= 30) score += 6;
-    else if (gustMax >= 25) score += 4;
-  }
-
-  // cap-ish
-  score = Math.min(100, score);
-
-  return {vis, rvrMin, cig, hz, tempC, gustMax, score};
-}
-
-
-function computeOmPolicy(st, met, taf, worstVis, rvrMinAll){
-  // OM policy layer (advisory).
-  // Zero-manual inputs: runway geometry is sourced from data/runways.json when available.
-  try{
-    const api = (typeof window !== "undefined") ? window.WXM_OM : null;
-    if (api && typeof api.computeOmFlags === "function"){
-      return api.computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap || null);
-    }
-  }catch(e){}
-  return {
-    toProhib:false, tsOrCb:false, heavyPrecip:false, va:false,
-    lvto:false, lvp:false, lvtoQualReq:false, rvr125:false, rvrRequired:false,
-    cat2Plus:false, cat3Only:false, cat3BelowMin:false,
-    coldcorr:false,
-    xwindExceed:false, xwindKt:null, xwindLimitKt:null,
-    xwindCond:null, rwyccEst:null, noOpsLikely:false
-  };
-}
-
 function deriveStation(st){
 
-  // Age: compute from raw time group on every render so the UI updates each minute.
-  // If raw is missing or unparseable, fall back to the value coming from latest.json.
-  const metAgeComputed = computeAgeMinutesFromRawZ(st.metarRaw || "");
-  const tafAgeComputed = computeAgeMinutesFromRawZ(st.tafRaw || "");
+  // Age: recompute from the report time on every render so the UI updates each minute.
+  // If the time is missing or unparseable, fall back to the value coming from latest.json.
+  const metAgeComputed = reportAgeMinutes(st, "metar");
+  const tafAgeComputed = reportAgeMinutes(st, "taf");
   st.metarAgeMin = (metAgeComputed !== null) ? metAgeComputed : (st.metarAgeMin ?? st.metarAge ?? null);
   st.tafAgeMin   = (tafAgeComputed !== null) ? tafAgeComputed : (st.tafAgeMin ?? st.tafAge ?? null);
 
@@ -982,315 +489,17 @@ function deriveStation(st){
       : (st.minExplainTaf ? (st.minExplainTaf.tokens || []) : []);
     return st;
   }
-  const met = computeScores(st.metarRaw || "");
-  const taf = computeScores(st.tafRaw || "");
-
-  const worstVis = (() => {
-    const vals = [];
-    if (met.vis !== null) vals.push(met.vis);
-    // TAF: could have multiple vis values; use min extracted to represent worst
-    const tafVals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (tafVals.length) vals.push(Math.min(...tafVals));
-    return vals.length ? Math.min(...vals) : null;
-  })();
-
-  // TAF-only worst visibility (for forecast tiles)
-  const tafWorstVis = (() => {
-    const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (vals.length) return Math.min(...vals);
-    return (taf.vis !== null) ? taf.vis : null;
-  })();
-
-  const metRvrMin = (met.rvrMin !== undefined) ? met.rvrMin : null;
-  const tafRvrMin = (taf.rvrMin !== undefined) ? taf.rvrMin : null;
-
-  const allRvr = [...extractRvrMeters(st.metarRaw || ""), ...extractRvrMeters(st.tafRaw || "")];
-  const rvrMinAll = allRvr.length ? Math.min(...allRvr) : null;
-
-  const cigAll = (() => {
-    const a = ceilingFt(st.metarRaw || "");
-    const b = ceilingFt(st.tafRaw || "");
-    if (a === null) return b;
-    if (b === null) return a;
-    return Math.min(a,b);
-  })();
-
-  // Per-airport approach minima (optional; merged into latest.json as stations[].minima)
-  // best = best approach minima; alt = second-best / different approach type.
-  const minimaNow = (() => {
-    const m = st.minima || null;
-    if (!m || !m.best || !m.alt) return null;
-
-    const effVis = (() => {
-      const a = (met.vis === null || met.vis === undefined) ? Infinity : met.vis;
-      const b = (metRvrMin === null || metRvrMin === undefined) ? Infinity : metRvrMin;
-      const v = Math.min(a,b);
-      return (v === Infinity) ? null : v;
-    })();
-
-    const cig = (met.cig === undefined) ? null : met.cig;
-
-    const belowBest =
-      ((cig !== null && m.best.cig_ft != null && cig < m.best.cig_ft) ||
-       (effVis !== null && m.best.vis_m != null && effVis < m.best.vis_m));
-
-    const belowAlt =
-      ((cig !== null && m.alt.cig_ft != null && cig < m.alt.cig_ft) ||
-       (effVis !== null && m.alt.vis_m != null && effVis < m.alt.vis_m));
-
-    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig };
-  })();
-
-  const minimaTaf = (() => {
-    const m = st.minima || null;
-    if (!m || !m.best || !m.alt) return null;
-
-    const effVis = (() => {
-      const a = (tafWorstVis === null || tafWorstVis === undefined) ? Infinity : tafWorstVis;
-      const b = (tafRvrMin === null || tafRvrMin === undefined) ? Infinity : tafRvrMin;
-      const v = Math.min(a,b);
-      return (v === Infinity) ? null : v;
-    })();
-
-    const cig = (taf.cig === undefined) ? null : taf.cig;
-
-    const belowBest =
-      ((cig !== null && m.best.cig_ft != null && cig < m.best.cig_ft) ||
-       (effVis !== null && m.best.vis_m != null && effVis < m.best.vis_m));
-
-    const belowAlt =
-      ((cig !== null && m.alt.cig_ft != null && cig < m.alt.cig_ft) ||
-       (effVis !== null && m.alt.vis_m != null && effVis < m.alt.vis_m));
-
-    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig };
-  })();
-
-  st.minimaNow = minimaNow;
-  st.minimaTaf = minimaTaf;
-
-
-// Concrete approach minima evidence (human-friendly "why it triggered") for both METAR and TAF.
-// Used for trigger tooltips + optional raw highlighting.
-st.minExplainMet = buildMinimaExplain({
-  kind: "METAR",
-  raw: st.metarRaw || "",
-  minima: st.minima || null,
-  state: minimaNow,
-  visVal: met.vis,
-  rvrMin: metRvrMin,
-  isTaf: false
-});
-st.minExplainTaf = buildMinimaExplain({
-  kind: "TAF",
-  raw: st.tafRaw || "",
-  minima: st.minima || null,
-  state: minimaTaf,
-  visVal: tafWorstVis,
-  rvrMin: tafRvrMin,
-  isTaf: true
-});
-st._minTokensM = st.minExplainMet ? (st.minExplainMet.tokens || []) : [];
-st._minTokensT = st.minExplainTaf ? (st.minExplainTaf.tokens || []) : [];
-
-
-  // OM policy layer (derived from METAR/TAF only; no manual runway heading/condition)
-  st.om = computeOmPolicy(st, met, taf, worstVis, rvrMinAll);
-
-  // Separate OM flags for METAR-only vs TAF-only tiles
-  const _empty = computeScores("");
-  st.omMet = computeOmPolicy({...st, tafRaw:""}, met, _empty, met.vis, metRvrMin);
-  st.omTaf = computeOmPolicy({...st, metarRaw:""}, _empty, taf, tafWorstVis, tafRvrMin);
-
-  // ENG ICE OPS condition based on METAR visibility + METAR FZFG (operationally "now")
-  const engIceOps = (met.vis !== null && met.vis <= 150 && met.hz.fzfg);
-
-  // severity score (combined but METAR has higher weight)
-  let severityScore = Math.max(met.score, Math.floor(taf.score*0.85));
-  if (engIceOps) severityScore = 100;
-
-  // Base alert derived from score, then "pillar" escalation for wind and snow.
-  const baseAlert = alertFromScore(severityScore);
-  const windAlert = windPillarAlert(met, taf);
-  const snowAlert = snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll);
-  const alert = maxAlert(baseAlert, windAlert, snowAlert);
-
-  // Keep score bucket consistent with the escalated alert.
-  severityScore = Math.max(severityScore, minScoreForAlert(alert));
-
-  // Priority: METAR outranks TAF
-  // Primary sort key uses METAR score, then TAF score
-  const metPri = engIceOps ? 1000 : met.score; // 1000 = pinned
-  const tafPri = taf.score;
-
-  // Clarify why an airport is "Critical" in the table:
-  // - METAR CRIT: met.score >= 70 ("now")
-  // - TAF CRIT:  taf.score >= 70 ("forecast")
-  // - Overall CRIT can also come from pillar escalation (SNOW/WIND/ENG ICE OPS)
-  const metCrit = (typeof met.score === "number" && met.score >= 70);
-  const tafCrit = (typeof taf.score === "number" && taf.score >= 70);
-  const critSrc = (alert === "CRIT")
-    ? (metCrit ? "M" : (tafCrit ? "T" : "E"))
-    : null;
-
-  // Determine triggers & source (M/T)
-  const triggers = [];
-  const push = (label, cls, src, tip) => triggers.push({label, cls, src, tip}); // src: "M","T","MT"
-  const addBy = (label, cls, m, t) => {
-    if (!m && !t) return;
-    const src = m && t ? "MT" : (m ? "M" : "T");
-    push(label, cls, src);
-  };
-
-  
-  
-  // OM-A/OM-B advisory tags (derived from raw METAR/TAF observables)
-  // Note: these are dispatcher aids; the dashboard has no access to SNOWTAM / reported RWYCC.
-  const omM = st.omMet || {};
-  const omT = st.omTaf || {};
-
-  // Hierarchical tagging to avoid duplicates (show the most restrictive band per source)
-  const minimaState = (om)=>{
-    if (om && om.rvr125) return "rvr125";
-    if (om && om.lvtoQualReq) return "lvto150";
-    if (om && om.lvp) return "lvp";
-    if (om && om.lvto) return "lvto";
-    return null;
-  };
-  const catState = (om)=>{
-    if (om && om.cat3BelowMin) return "cat3min";
-    if (om && om.cat3Only) return "cat3only";
-    if (om && om.cat2Plus) return "cat2plus";
-    return null;
-  };
-
-  const mMin = minimaState(omM);
-  const tMin = minimaState(omT);
-  const mCat = catState(omM);
-  const tCat = catState(omT);
-
-  // OM-A heavy precip: TAKEOFF IS PROHIBITED
-  addBy("TO PROHIB", "tag--stop", !!omM.toProhib, !!omT.toProhib);
-
-  // Takeoff / LVO bands
-  addBy("RVR<125", "tag--stop", mMin==="rvr125", tMin==="rvr125");
-  addBy("LVTO<150 QUAL", "tag--warn", mMin==="lvto150", tMin==="lvto150");
-  addBy("LVP (<400)", "tag--warn", mMin==="lvp", tMin==="lvp");
-  addBy("LVTO (<550)", "tag--lvto", mMin==="lvto", tMin==="lvto");
-
-  // Approach/landing requirement when VIS/CMV < 800m
-  addBy("RVR REQ (<800)", "tag--warn", !!omM.rvrRequired, !!omT.rvrRequired);
-
-  // CAT / minima bands (show only below thresholds)
-  addBy("CAT3<75", "tag--stop", mCat==="cat3min", tCat==="cat3min");
-  addBy("CAT3 ONLY <200", "tag--warn", mCat==="cat3only", tCat==="cat3only");
-  addBy("CAT2+ <450", "tag--warn", mCat==="cat2plus", tCat==="cat2plus");
-
-
-// Approach minima (per-airport thresholds) — explicit tags with concrete trigger evidence.
-if (st.minExplainMet){
-  const lbl = (st.minExplainMet.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
-  const cls = (st.minExplainMet.mode === "CRIT") ? "tag--stop" : "tag--warn";
-  push(lbl, cls, "M", st.minExplainMet.tip || "");
+  // Raw-only station (no backend precompute): run the shared core, same path as scripts/update-data.mjs.
+  return Object.assign(st, computeDerivedStation(st, createOmFn(runwaysMap, omRules), new Date().toISOString()));
 }
-if (st.minExplainTaf){
-  const lbl = (st.minExplainTaf.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
-  const cls = (st.minExplainTaf.mode === "CRIT") ? "tag--stop" : "tag--warn";
-  push(lbl, cls, "T", st.minExplainTaf.tip || "");
-}
-
-  // Crosswind exceed (label includes limit; METAR and TAF may differ)
-  if (omM && omM.xwindExceed && omM.xwindLimitKt){
-    push(`XWIND>${omM.xwindLimitKt}KT`, "tag--warn", "M");
-  }
-  if (omT && omT.xwindExceed && omT.xwindLimitKt){
-    if (!(omM && omM.xwindExceed && omM.xwindLimitKt === omT.xwindLimitKt)){
-      push(`XWIND>${omT.xwindLimitKt}KT`, "tag--warn", "T");
-    }
-  }
-
-  // RWYCC policy (estimated): company policy requires RWYCC >=3 unless explicitly upgraded
-  addBy("RWYCC<3 likely", "tag--warn", !!omM.noOpsLikely, !!omT.noOpsLikely);
-
-  // Volcanic ash
-  addBy("VA", "tag--stop", !!omM.va, !!omT.va);
-
-  // Cold temp correction flag (METAR only)
-  if (omM && omM.coldcorr) push("COLD CORR", "tag--warn", "M");
-
-// VIS thresholds for worstVis
-  for (const th of VIS_THRESHOLDS){
-    const m = (met.vis !== null && met.vis <= th);
-    const t = (() => {
-      const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-      return vals.length ? Math.min(...vals) <= th : false;
-    })();
-    if (m || t){
-      addBy(`VIS≤${th}`, "tag--vis", m, t);
-      break; // show only tightest bucket
-    }
-  }
-
-  // RVR buckets
-  if (rvrMinAll !== null){
-    for (const th of RVR_THRESHOLDS){
-      const m = extractRvrMeters(st.metarRaw || "").some(v => v <= th);
-      const t = extractRvrMeters(st.tafRaw || "").some(v => v <= th);
-      if (m || t){
-        addBy(`RVR≤${th}`, "tag--rvr", m, t);
-        break;
-      }
-    }
-  }
-
-  // CIG<500
-  addBy("CIG<500", "tag--cig",
-        (ceilingFt(st.metarRaw || "") !== null && ceilingFt(st.metarRaw || "") < 500),
-        (ceilingFt(st.tafRaw || "") !== null && ceilingFt(st.tafRaw || "") < 500));
-
-// Wind gusts
-const mg25 = (met.gustMax !== null && met.gustMax >= 25);
-const tg25 = (taf.gustMax !== null && taf.gustMax >= 25);
-const mg30 = (met.gustMax !== null && met.gustMax >= 30);
-const tg30 = (taf.gustMax !== null && taf.gustMax >= 30);
-const mg40 = (met.gustMax !== null && met.gustMax >= 40);
-const tg40 = (taf.gustMax !== null && taf.gustMax >= 40);
-// Show higher threshold if met/taf gusts are very strong
-addBy("GUST≥40KT", "tag--gust", mg40, tg40);
-addBy("GUST≥30KT", "tag--gust", mg30 && !mg40, tg30 && !tg40);
-addBy("GUST≥25KT", "tag--gust", mg25 && !mg30 && !mg40, tg25 && !tg30 && !tg40);
-  // Wx
-  const mhz = met.hz, thz = taf.hz;
-  addBy("TS/CB", "tag--wx", (mhz.ts || mhz.cb), (thz.ts || thz.cb));
-  addBy("FZFG", "tag--wx", mhz.fzfg, thz.fzfg);
-  addBy("FG", "tag--wx", mhz.fg, thz.fg);
-  addBy("BR", "tag--wx", mhz.br, thz.br);
-  addBy("SN", "tag--wx", mhz.sn, thz.sn);
-  addBy("RA", "tag--wx", mhz.ra, thz.ra);
-
-  // ENG ICE OPS tag: show source METAR (M) by design
-  if (engIceOps){
-    triggers.unshift({label:"ENG ICE OPS", cls:"tag--eng", src:"M"});
-  }
-
-  
-  
 
-return {
-    ...st,
-    met, taf,
-    worstVis,
-    rvrMinAll,
-    cigAll,
-    engIceOps,
-    severityScore,
-    alert,
-    metCrit,
-    tafCrit,
-    critSrc,
-    metPri,
-    tafPri,
-    triggers
-  };
+// Trigger source codes: M = METAR observation, T = TAF, N = METAR TREND (next 2 h).
+const SRC_NAMES = { M:"METAR (observed)", T:"TAF (forecast)", N:"METAR TREND (next 2 h)" };
+function srcLabel(src){
+  return String(src || "").split("").join("+");
+}
+function srcTitle(src){
+  return String(src || "").split("").map(c=>SRC_NAMES[c] || c).join(" + ");
 }
 
 function ageClass(mins){
@@ -1306,40 +515,14 @@ function formatAge(mins){
 }
 
 
-function computeAgeMinutesFromRawZ(raw, nowUtc=new Date()){
-  raw = asRawStr(raw);
-  if (!raw) return null;
-  // Match DDHHMMZ
-  const m = raw.match(/\b(\d{2})(\d{2})(\d{2})Z\b/);
-  if (!m) return null;
-  const dd = parseInt(m[1],10), hh = parseInt(m[2],10), mm = parseInt(m[3],10);
-  if ([dd,hh,mm].some(x=>Number.isNaN(x))) return null;
-
-  // Build a UTC timestamp with today's month/year, then adjust day roll if needed.
-  const y = nowUtc.getUTCFullYear();
-  const mo = nowUtc.getUTCMonth();
-  let obs = Date.UTC(y, mo, dd, hh, mm, 0);
-  const now = Date.UTC(y, mo, nowUtc.getUTCDate(), nowUtc.getUTCHours(), nowUtc.getUTCMinutes(), 0);
-
-  // If obs is in the future by > 6h, assume it belongs to previous month/day cycle.
-  if (obs - now > 6*3600*1000){
-    // previous month
-    const prev = new Date(Date.UTC(y, mo, 1, 0, 0, 0));
-    prev.setUTCDate(0); // last day of previous month
-    const prevMo = prev.getUTCMonth();
-    const prevY = prev.getUTCFullYear();
-    obs = Date.UTC(prevY, prevMo, dd, hh, mm, 0);
-  } else if (now - obs > 25*3600*1000 && dd > nowUtc.getUTCDate()){
-    // If day looks ahead but would create >25h age, use previous month
-    const prev = new Date(Date.UTC(y, mo, 1, 0, 0, 0));
-    prev.setUTCDate(0);
-    obs = Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth(), dd, hh, mm, 0);
-  }
-
-  const diffMin = (now - obs) / 60000;
-  if (!Number.isFinite(diffMin)) return null;
-  // clamp to [0, 24h] for sanity
-  return Math.max(0, Math.min(diffMin, 24*60));
+function reportAgeMinutes(st, kind, nowUtc=new Date()){
+  // Age from the backend's resolved ISO time (month rollover handled there); raw-only
+  // payloads resolve the DDHHMMZ group through the shared core.
+  const raw = asRawStr(kind === "taf" ? st.tafRaw : st.metarRaw);
+  const iso = (kind === "taf" ? st.tafIssuedAt : st.metarObsAt) || reportTimeIso(raw, nowUtc.toISOString());
+  const t = Date.parse(iso || "");
+  if (!Number.isFinite(t)) return null;
+  return Math.max(0, (nowUtc.getTime() - t) / 60000);
 }
 
 
@@ -1416,51 +599,172 @@ s = s.replace(/\b(?:\d{3}|VRB)\d{2,3}G(\d{2,3})KT\b/g, (m, g) => {
   return s;
 }
 
-function decodeMetar(raw){
-  raw = asRawStr(raw);
-  if (!raw) return "";
-  const out = [];
-  // wind
-  const wind = raw.match(/\b(\d{3}|VRB)(\d{2})(G(\d{2}))?KT\b/);
-  if (wind){
-    const g = wind[4] ? ` gust ${wind[4]} kt` : "";
-    out.push(`Wind: ${wind[1]}° ${wind[2]} kt${g}`);
-  }
-  // visibility
-  if (/\bCAVOK\b/.test(raw)) out.push("Visibility: 10 km or more");
-  else{
-    const v = parseVisibilityMeters(raw);
-    if (v !== null) out.push(`Visibility: ${v >= 10000 ? "10 km or more" : (v + " m")}`);
-  }
-  // wx
-  const wx = [];
-  if (/\bFZFG\b/.test(raw)) wx.push("Freezing fog");
-  else if (/\bFG\b/.test(raw)) wx.push("Fog");
-  if (/\bBR\b/.test(raw)) wx.push("Mist");
-  if (/\b(SN|SHSN)\b/.test(raw)) wx.push("Snow");
-  if (/\b(RA|DZ)\b/.test(raw)) wx.push("Rain/Drizzle");
-  if (/\bTS\b/.test(raw)) wx.push("Thunderstorm");
-  if (wx.length) out.push(`Weather: ${wx.join(", ")}`);
-
-  // temp/dew
-  const td = raw.match(/\b(M?\d{2})\/(M?\d{2})\b/);
-  if (td){
-    const t = td[1].replace(/^M/,"-");
-    const d = td[2].replace(/^M/,"-");
-    out.push(`Temp/Dew point: ${t}°C / ${d}°C`);
-  }
-  // qnh
-  const q = raw.match(/\bQ(\d{4})\b/);
-  if (q) out.push(`QNH: ${q[1]} hPa`);
-
-  // ceiling
-  const cig = ceilingFt(raw);
-  if (cig !== null) out.push(`Ceiling: ${cig} ft AGL`);
-
-  return `<ul>${out.map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
-}
+function decodeMetar(raw, decoded){
+  // Structured decode from the shared core; computeDerivedStation always supplies st.metarDecoded.
+  if (!raw || !decoded) return "";
+  return `<ul>${metarDecodedLines(decoded).map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
+}
+
+function fmtDayHourZ(iso){
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return `${String(d.getUTCDate()).padStart(2,"0")} ${String(d.getUTCHours()).padStart(2,"0")}${String(d.getUTCMinutes()).padStart(2,"0")}Z`;
+}
+
+function tafWindowLabel(w){
+  const kind = (w.type === "TEMPO" && w.prob) ? `PROB${w.prob} TEMPO`
+    : (w.type === "PROB") ? `PROB${w.prob || ""}`
+    : w.type;
+  return `${kind} ${fmtDayHourZ(w.from)} → ${fmtDayHourZ(w.type === "BECMG" ? w.to : w.until)}`;
+}
+
+function tafWindowSummary(w){
+  const bits = [];
+  if (w.wind && w.wind.spd != null){
+    const dir = w.wind.vrb ? "VRB" : `${String(w.wind.dir).padStart(3,"0")}°`;
+    bits.push(`wind ${dir} ${w.wind.spd} kt${w.wind.gst ? ` gust ${w.wind.gst} kt` : ""}`);
+  }
+  if (w.cavok) bits.push("CAVOK");
+  else if (w.visM != null) bits.push(`vis ${w.visM >= 10000 ? "10 km+" : w.visM + " m"}`);
+  if (Array.isArray(w.wx) && w.wx.length) bits.push(w.wx.join(" "));
+  if (w.nsw) bits.push("no sig wx");
+  if (!w.cavok && w.cigFt != null) bits.push(`ceiling ${w.cigFt} ft`);
+  return bits.length ? bits.join(", ") : "no change";
+}
+
+function renderTafHourlyHtml(st){
+  // Hour-by-hour strip (backend tafHourly): colour = alert, marker = below minima.
+  const hours = Array.isArray(st && st.tafHourly) ? st.tafHourly : [];
+  if (!hours.length) return "";
+  const cells = hours.map(h=>{
+    const d = new Date(h.t);
+    const hh = Number.isNaN(d.getTime()) ? "--" : String(d.getUTCHours()).padStart(2,"0");
+    const alert = String(h.alert || "OK").toLowerCase();
+    const mark = (h.minima && h.minima.belowBest) ? "▼" : ((h.minima && h.minima.belowAlt) ? "△" : "");
+    const drv = h.driver ? ((h.driver.type === "TEMPO" && h.driver.prob) ? `PROB${h.driver.prob} TEMPO` : (h.driver.type === "PROB" ? `PROB${h.driver.prob || ""}` : h.driver.type)) : "—";
+    const tip = [
+      `${fmtDayHourZ(h.t)} · ${alertLabel(h.alert || "OK")} (driver: ${drv})`,
+      `VIS ${h.visM != null ? h.visM + " m" : "—"} · CIG ${h.cigFt != null ? h.cigFt + " ft" : "—"}${h.gustKt ? ` · G${h.gustKt} kt` : ""}`,
+      h.minima ? (h.minima.belowBest ? "Below BEST minima" : (h.minima.belowAlt ? "Below ALT minima (BEST OK)" : "Minima OK")) : "No minima configured",
+      (Array.isArray(h.omFlags) && h.omFlags.length) ? `OM: ${h.omFlags.join(", ")}` : "",
+      h.driver && h.driver.raw ? h.driver.raw : ""
+    ].filter(Boolean).join("\n");
+    return `<div class="tafh__c tafh__c--${alert}" title="${escapeHtml(tip)}"><span class="tafh__h">${hh}</span><span class="tafh__m">${mark}</span></div>`;
+  }).join("");
+  return `<div class="tafh__k">TAF hour by hour (UTC) · ▼ below BEST · △ below ALT</div><div class="tafh__row">${cells}</div>`;
+}
+
+const ALTN_STATUS_CLS = { SUITABLE: "pill--ok", MARGINAL: "pill--med", UNKNOWN: "", UNSUITABLE: "pill--crit" };
+
+function renderAlternatesHtml(st){
+  // Ranked alternates (backend `alternates`, DEST-role airports only): best status first, then distance.
+  const list = Array.isArray(st && st.alternates) ? st.alternates : [];
+  if (!list.length) return `<div class="omx__mut">No monitored airport within the search radius.</div>`;
+  return list.map(a=>{
+    const code = a.iata ? `${a.iata}/${a.icao}` : a.icao;
+    return `<div class="altn__row">
+      <span class="pill ${ALTN_STATUS_CLS[a.status] || ""}">${escapeHtml(a.status)}</span>
+      <span class="altn__code">${escapeHtml(code)}</span>
+      <span class="altn__dist">${escapeHtml(a.distNm)} NM</span>
+      <span class="altn__why">${escapeHtml(a.reason || "")}</span>
+    </div>`;
+  }).join("");
+}
+
+function renderWindRoseHtml(st){
+  // Runway wind rose + component table from the METAR OM evaluation (explain.windTable, om_policy).
+  const om = (st && st.omMet) || {};
+  const x = om.explain || {};
+  const ends = Array.isArray(x.windTable) ? x.windTable : [];
+  if (!ends.length) return "";
+  const w = x.wind || {};
+  const C = 70, R = 60;
+  const pt = (brg, r)=>{
+    const a = brg * Math.PI / 180;
+    return [(C + r * Math.sin(a)).toFixed(1), (C - r * Math.cos(a)).toFixed(1)];
+  };
 
-function decodeTaf(raw){
+  const svg = [`<circle class="windrose__ring" cx="${C}" cy="${C}" r="${R}"/>`];
+  if (w.vrb){
+    svg.push(`<circle class="windrose__var windrose__var--vrb" cx="${C}" cy="${C}" r="${R - 4}"/>`);
+  } else if (w.varFrom != null && w.varTo != null){
+    const span = ((w.varTo - w.varFrom) % 360 + 360) % 360;
+    const [x1, y1] = pt(w.varFrom, R), [x2, y2] = pt(w.varTo, R);
+    svg.push(`<path class="windrose__var" d="M${C},${C} L${x1},${y1} A${R},${R} 0 ${span > 180 ? 1 : 0} 1 ${x2},${y2} Z"/>`);
+  }
+  // One bar per runway axis; parallel runways share it and their end idents are joined.
+  const labels = new Map();
+  for (const e of ends){
+    const k = Math.round(e.hdg);
+    if (!labels.has(k)) labels.set(k, []);
+    if (e.rwy) labels.get(k).push(e.rwy);
+  }
+  const axes = new Set();
+  for (const [hdg, ids] of labels){
+    const ax = hdg % 180;
+    if (!axes.has(ax)){
+      axes.add(ax);
+      const [x1, y1] = pt(hdg, R - 22), [x2, y2] = pt(hdg + 180, R - 22);
+      svg.push(`<line class="windrose__rwy" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`);
+    }
+    // The end you land/take off on faces its heading, so its ident sits at the opposite side.
+    const [lx, ly] = pt(hdg + 180, R - 11);
+    svg.push(`<text class="windrose__lbl" x="${lx}" y="${ly}">${escapeHtml(ids.join("/"))}</text>`);
+  }
+  if (w.dir != null){
+    const [x1, y1] = pt(w.dir, R), [x2, y2] = pt(w.dir, 12);
+    svg.push(`<line class="windrose__wind" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#wrArrow)"/>`);
+  }
+  const windTxt = `${w.vrb ? "VRB" : (w.dir != null ? String(w.dir).padStart(3, "0") : "—")}/${w.spd ?? "—"}${w.gst != null ? `G${w.gst}` : ""}KT${(w.varFrom != null && w.varTo != null) ? ` ${w.varFrom}V${w.varTo}` : ""}`;
+
+  const xLim = om.xwindLimitKt, tLim = om.tailwindLimitKt;
+  const cell = (e, key, lim)=>{
+    const mv = e.mean ? e.mean[key] : null;
+    const gv = e.gust ? e.gust[key] : null;
+    const peak = (gv != null) ? gv : mv;
+    const over = (lim != null && peak != null && peak > lim);
+    return `<td class="${over ? "is-over" : ""}">${mv ?? "—"}${gv != null ? `/${gv}` : ""}</td>`;
+  };
+  const u = x.runwayInUse;
+  const rows = ends.map(e => `<tr${(x.xwind && e.rwy && e.rwy === x.xwind.runwayEnd) ? ` class="is-best"` : ""}>
+      <td class="windrose__rwyid">${escapeHtml(e.rwy || "—")}</td>
+      ${cell(e, "head", null)}${cell(e, "tail", tLim)}${cell(e, "cross", xLim)}
+    </tr>`).join("");
+
+  return `<svg class="windrose__svg" viewBox="0 0 ${2 * C} ${2 * C}" role="img" aria-label="Runway wind rose">
+      <defs><marker id="wrArrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L10,5 L0,10 z"/></marker></defs>
+      ${svg.join("")}
+    </svg>
+    <div class="windrose__side">
+      <div class="windrose__wtxt"><code>${escapeHtml(windTxt)}</code>${u ? ` · in use ${escapeHtml(u.rwy)} (${escapeHtml(u.basis)})` : ""}</div>
+      ${(u && u.note) ? `<div class="omx__mut">${escapeHtml(u.note)}</div>` : ""}
+      <table class="windrose__tbl">
+        <thead><tr><th>RWY</th><th>HEAD</th><th>TAIL</th><th>XWIND</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="omx__mut">kt, mean/gust · limits XWIND ${xLim ?? "—"} · TAIL ${tLim ?? "—"}</div>
+    </div>`;
+}
+
+function renderTakeoffAltnHtml(st){
+  // Backend `takeoffAlternate` (departure below landing minima): airports in OEI range, qualifying first.
+  const ta = st && st.takeoffAlternate;
+  if (!ta) return "";
+  const head = `<div class="omx__mut">${ta.src === "M" ? "Required now (METAR below landing minima)" : `Required from ${escapeHtml(fmtDayHourZ(ta.depAt))} (TAF below landing minima)`} · range ${escapeHtml(ta.rangeNm)} NM at ${escapeHtml(ta.oeiSpeedKt)} kt · ${escapeHtml(ta.qualifying)} qualifying</div>`;
+  const list = Array.isArray(ta.candidates) ? ta.candidates : [];
+  if (!list.length) return head + `<div class="omx__mut">No monitored airport within range.</div>`;
+  return head + list.map(a=>{
+    const code = a.iata ? `${a.iata}/${a.icao}` : a.icao;
+    return `<div class="altn__row">
+      <span class="pill ${ALTN_STATUS_CLS[a.status] || ""}">${escapeHtml(a.status)}</span>
+      <span class="altn__code">${escapeHtml(code)}</span>
+      <span class="altn__dist">${escapeHtml(a.distNm)} NM · ETA ${escapeHtml(fmtDayHourZ(a.eta))}</span>
+      <span class="altn__why">${escapeHtml(a.reason || "")}</span>
+    </div>`;
+  }).join("");
+}
+
+function decodeTaf(raw, timeline){
   raw = asRawStr(raw);
   if (!raw) return "";
   const out = [];
@@ -1479,12 +783,18 @@ function decodeTaf(raw){
   else if (vals.length){
     out.push(`Worst visibility in TAF: ${Math.min(...vals)} m`);
   }
-  // notable groups
-  const groups = [];
-  if (/\bTEMPO\b/.test(raw)) groups.push("TEMPO");
-  if (/\bBECMG\b/.test(raw)) groups.push("BECMG");
-  if (/\bPROB\d{2}\b/.test(raw)) groups.push("PROB");
-  if (groups.length) out.push(`Change groups: ${groups.join(", ")}`);
+  // notable groups (time-resolved when the backend provides tafTimeline)
+  if (Array.isArray(timeline) && timeline.length){
+    for (const w of timeline){
+      out.push(`${tafWindowLabel(w)}: ${tafWindowSummary(w)}`);
+    }
+  } else {
+    const groups = [];
+    if (/\bTEMPO\b/.test(raw)) groups.push("TEMPO");
+    if (/\bBECMG\b/.test(raw)) groups.push("BECMG");
+    if (/\bPROB\d{2}\b/.test(raw)) groups.push("PROB");
+    if (groups.length) out.push(`Change groups: ${groups.join(", ")}`);
+  }
 
   // hazards
   const hz = hazardFlags(raw);
@@ -1510,6 +820,19 @@ function metarObsKeyFromRaw(raw){
   return m ? m[0] : ""; // DDHHMMZ
 }
 
+function seriesTrendPill(st){
+  // Backend METAR history (data/history/metar): current report vs the one before it, SPECIs included.
+  const s = st.metarHistory?.series;
+  if (!Array.isArray(s) || s.length < 2) return null;
+  const cur = s[s.length-1], prev = s[s.length-2];
+  const speci = (st.metarHistory.speci || 0);
+  const title = `vs ${prev.type}${prev.cor ? " COR" : ""} ${fmtDayHourZ(prev.obsAt)}` + (speci ? ` · ${speci} SPECI in ${st.metarHistory.hours} h` : "");
+  if (cur.vis == null || prev.vis == null) return {text:"•0", cls:"trend--flat", title};
+  if (cur.vis < prev.vis) return {text:"▼", cls:"trend--down", title};
+  if (cur.vis > prev.vis) return {text:"▲", cls:"trend--up", title};
+  return {text:"•0", cls:"trend--flat", title};
+}
+
 function trendPill(icao, currentMetarVis, metarObsKey){
   // Trend must ONLY change when a NEW METAR arrives (i.e., the DDHHMMZ group changes).
   // Otherwise keep the last computed trend symbol.
@@ -1573,7 +896,7 @@ function buildLowVisTag(st){
 function rowHtml(st){
   // Trend is based on ACTUAL METAR visibility, and only updates when a NEW METAR arrives.
   const metVisForTrend = (st.met.vis !== null ? st.met.vis : null);
-  const trend = trendPill(st.icao, metVisForTrend, metarObsKeyFromRaw(st.metarRaw || ""));
+  const trend = seriesTrendPill(st) || trendPill(st.icao, metVisForTrend, metarObsKeyFromRaw(st.metarRaw || ""));
 
   const vis = (st.met.vis !== null ? st.met.vis : (st.worstVis ?? null));
   const lowVis = buildLowVisTag(st);
@@ -1581,14 +904,14 @@ function rowHtml(st){
 
   
 const trigHtml = st.triggers.map(t=>{
-  const srcBadge = t.src ? `<span class="tag tag--src">${t.src === "MT" ? "M+T" : t.src}</span>` : "";
+  const srcBadge = t.src ? `<span class="tag tag--src" title="${escapeHtml(srcTitle(t.src))}">${srcLabel(t.src)}</span>` : "";
   const tipAttr = t.tip ? ` title="${escapeHtml(t.tip)}"` : "";
   return `<span class="tag ${t.cls || ""}" data-icao="${st.icao}" data-open="1"${tipAttr}>${escapeHtml(t.label)} ${srcBadge}</span>`;
 }).join("");
 
   // Age is re-computed on EVERY render (per-minute UI refresh), so it "ticks" without manual reload.
-  const metAgeNow = computeAgeMinutesFromRawZ(st.metarRaw || "");
-  const tafAgeNow = computeAgeMinutesFromRawZ(st.tafRaw || "");
+  const metAgeNow = reportAgeMinutes(st, "metar");
+  const tafAgeNow = reportAgeMinutes(st, "taf");
   const metAgeUse = (metAgeNow !== null) ? metAgeNow : (st.metarAgeMin ?? null);
   const tafAgeUse = (tafAgeNow !== null) ? tafAgeNow : (st.tafAgeMin ?? null);
   const metAge = `<span class="age ${ageClass(metAgeUse)}" data-age="metar" data-icao="${escapeHtml(st.icao)}">${escapeHtml(formatAge(metAgeUse))}</span>`;
@@ -1599,14 +922,16 @@ const trigHtml = st.triggers.map(t=>{
 
   const critDriverBadge = (()=>{
     if (String(st.alert || "").toUpperCase() !== "CRIT") return "";
-    const src = (st.metCrit ? "M" : (st.critSrc === "T" ? "T" : "E"));
-    const cls = (src === "M") ? "pillsub--m" : (src === "T" ? "pillsub--t" : "pillsub--e");
-    const txt = (src === "M") ? "METAR" : (src === "T" ? "TAF" : "ESC");
+    const src = (st.metCrit ? "M" : ((st.critSrc === "T" || st.critSrc === "N") ? st.critSrc : "E"));
+    const cls = (src === "M") ? "pillsub--m" : ((src === "T" || src === "N") ? "pillsub--t" : "pillsub--e");
+    const txt = (src === "M") ? "METAR" : (src === "T" ? "TAF" : (src === "N" ? "TREND" : "ESC"));
     const tip = (src === "M")
       ? "Critical because METAR score ≥ 70 (NOW-driven)."
       : (src === "T")
         ? "Critical because TAF score ≥ 70 (FORECAST-driven)."
-        : "Critical via escalation (SNOW/WIND/ENG ICE OPS) even though neither score is ≥ 70.";
+        : (src === "N")
+          ? "Critical because the METAR TREND score ≥ 70 (next 2 h)."
+          : "Critical via escalation (SNOW/WIND/ENG ICE OPS) even though neither score is ≥ 70.";
     return `<span class="pill pillsub ${cls}" title="${escapeHtml(tip)}">${txt}</span>`;
   })();
 
@@ -1625,7 +950,7 @@ const trigHtml = st.triggers.map(t=>{
     <td class="col-worst">
       <div class="worst">
         <span class="mono worst__v">${escapeHtml(String(st.worstVis ?? st.met.vis ?? "—"))}</span>
-        <span class="trend ${trend.cls}">${trend.text}</span>
+        <span class="trend ${trend.cls}"${trend.title ? ` title="${escapeHtml(trend.title)}"` : ""}>${trend.text}</span>
       </div>
     </td>
     <td><span class="mono">${escapeHtml(st.rvrMinAll !== null ? String(st.rvrMinAll) : "—")}</span></td>
@@ -1673,6 +998,7 @@ function applyFilters(list){
       } break;
       case "met_min_best": if (!(st.minimaNow && st.minimaNow.belowBest)) return false; break;
       case "met_min_onlybest": if (!(st.minimaNow && st.minimaNow.onlyBest)) return false; break;
+      case "met_toAltn": if (!(st.takeoffAlternate && st.takeoffAlternate.src === "M")) return false; break;
       case "met_ts": if (!(st.met && st.met.hz && st.met.hz.ts)) return false; break;
       case "met_wind25": if (!((st.met && st.met.gustMax !== null && st.met.gustMax >= 25))) return false; break;
       case "met_snow": if (!(st.met && st.met.hz && st.met.hz.sn)) return false; break;
@@ -1680,6 +1006,7 @@ function applyFilters(list){
       case "met_lvto": if (!(st.omMet && st.omMet.lvto)) return false; break;
       case "met_xwind": if (!(st.omMet && st.omMet.xwindExceed)) return false; break;
       case "met_va": if (!(st.omMet && st.omMet.va)) return false; break;
+      case "met_trend": if (!(Array.isArray(st.triggers) && st.triggers.some(t=>String(t.src || "").includes("N")))) return false; break;
 
       // Tiles (FORECAST / TAF)
       case "taf_any": {
@@ -1695,6 +1022,7 @@ function applyFilters(list){
         if (!((v !== null && v < 300) || (r !== null && r < 300))) return false;
       } break;
       case "taf_min_best": if (!(st.minimaTaf && st.minimaTaf.belowBest)) return false; break;
+      case "taf_toAltn": if (!(st.takeoffAlternate && st.takeoffAlternate.src === "T")) return false; break;
       case "taf_min_onlybest": if (!(st.minimaTaf && st.minimaTaf.onlyBest)) return false; break;
       case "taf_ts": if (!(st.taf && st.taf.hz && st.taf.hz.ts)) return false; break;
       case "taf_wind25": if (!((st.taf && st.taf.gustMax !== null && st.taf.gustMax >= 25))) return false; break;
@@ -1710,6 +1038,7 @@ function applyFilters(list){
       case "lvp": if (!((st.omMet && st.omMet.lvp) || (st.omTaf && st.omTaf.lvp))) return false; break;
       case "rvr125": if (!((st.omMet && st.omMet.rvr125) || (st.omTaf && st.omTaf.rvr125))) return false; break;
       case "xwind": if (!((st.omMet && st.omMet.xwindExceed) || (st.omTaf && st.omTaf.xwindExceed))) return false; break;
+      case "tailwind": if (!((st.omMet && st.omMet.tailwindExceed) || (st.omTaf && st.omTaf.tailwindExceed))) return false; break;
       case "va": if (!((st.omMet && st.omMet.va) || (st.omTaf && st.omTaf.va))) return false; break;
       case "coldcorr": if (!(st.omMet && st.omMet.coldcorr)) return false; break;
 
@@ -1842,8 +1171,10 @@ function computeTileLists(list){
   const metLvto = list.filter(s=>s.omMet && s.omMet.lvto);
   const metXwind = list.filter(s=>s.omMet && s.omMet.xwindExceed);
   const metVa = list.filter(s=>s.omMet && s.omMet.va);
+  const metTrend = list.filter(s=>Array.isArray(s.triggers) && s.triggers.some(t=>String(t.src || "").includes("N")));
   const metMinBest = list.filter(s=>s.minimaNow && s.minimaNow.belowBest);
   const metMinOnlyBest = list.filter(s=>s.minimaNow && s.minimaNow.onlyBest);
+  const metToAltn = list.filter(s=>s.takeoffAlternate && s.takeoffAlternate.src === "M");
 
   const tafCrit = list.filter(s=> (s.taf && typeof s.taf.score === "number" && s.taf.score >= 70));
   const tafVis300 = list.filter(s=> ((s.tafWorstVis !== null && s.tafWorstVis < 300) || (s.taf && s.taf.rvrMin !== null && s.taf.rvrMin < 300)));
@@ -1855,10 +1186,12 @@ function computeTileLists(list){
   const tafVa = list.filter(s=>s.omTaf && s.omTaf.va);
   const tafMinBest = list.filter(s=>s.minimaTaf && s.minimaTaf.belowBest);
   const tafMinOnlyBest = list.filter(s=>s.minimaTaf && s.minimaTaf.onlyBest);
+  const tafToAltn = list.filter(s=>s.takeoffAlternate && s.takeoffAlternate.src === "T");
 
   const metAny = list.filter(s=>
     s.engIceOps ||
     (s.minimaNow && (s.minimaNow.belowBest || s.minimaNow.onlyBest)) ||
+    (s.takeoffAlternate && s.takeoffAlternate.src === "M") ||
     (s.met && s.met.score >= 70) ||
     ((s.met && s.met.vis !== null && s.met.vis < 300) || (s.met && s.met.rvrMin !== null && s.met.rvrMin < 300)) ||
     (s.met && s.met.hz && (s.met.hz.ts || s.met.hz.sn)) ||
@@ -1868,6 +1201,7 @@ function computeTileLists(list){
 
   const tafAny = list.filter(s=>
     (s.minimaTaf && (s.minimaTaf.belowBest || s.minimaTaf.onlyBest)) ||
+    (s.takeoffAlternate && s.takeoffAlternate.src === "T") ||
     (s.taf && s.taf.score >= 70) ||
     ((s.tafWorstVis !== null && s.tafWorstVis < 300) || (s.taf && s.taf.rvrMin !== null && s.taf.rvrMin < 300)) ||
     (s.taf && s.taf.hz && (s.taf.hz.ts || s.taf.hz.sn)) ||
@@ -1876,8 +1210,8 @@ function computeTileLists(list){
   );
 
   return {
-    met:{eng:metEng, crit:metCrit, alertCrit:alertCrit, vis300:metVis300, ts:metTs, wind:metWind, snow:metSnow, toProhib:metToProhib, lvto:metLvto, xwind:metXwind, va:metVa, minBest:metMinBest, minOnlyBest:metMinOnlyBest, any:metAny},
-    taf:{crit:tafCrit, vis300:tafVis300, ts:tafTs, wind:tafWind, snow:tafSnow, toProhib:tafToProhib, lvto:tafLvto, va:tafVa, minBest:tafMinBest, minOnlyBest:tafMinOnlyBest, any:tafAny}
+    met:{eng:metEng, crit:metCrit, alertCrit:alertCrit, vis300:metVis300, ts:metTs, wind:metWind, snow:metSnow, toProhib:metToProhib, lvto:metLvto, xwind:metXwind, va:metVa, trend:metTrend, minBest:metMinBest, minOnlyBest:metMinOnlyBest, toAltn:metToAltn, any:metAny},
+    taf:{crit:tafCrit, vis300:tafVis300, ts:tafTs, wind:tafWind, snow:tafSnow, toProhib:tafToProhib, lvto:tafLvto, va:tafVa, minBest:tafMinBest, minOnlyBest:tafMinOnlyBest, toAltn:tafToAltn, any:tafAny}
   };
 }
 
@@ -1909,11 +1243,13 @@ function updateTiles(currentList){
   setIf("tileSnowCount", t.met.snow.length);
   setIf("tileMinBestCount", t.met.minBest.length);
   setIf("tileMinOnlyBestCount", t.met.minOnlyBest.length);
+  setIf("tileToAltnCount", t.met.toAltn.length);
 
   setIf("tileToProhibCount", t.met.toProhib.length);
   setIf("tileLvtoCount", t.met.lvto.length);
   setIf("tileXwindCount", t.met.xwind.length);
   setIf("tileVACount", t.met.va.length);
+  setIf("tileTrendCount", t.met.trend.length);
 
   // FORECAST (TAF) tiles + summary
   setIf("tileTafAnyCount", t.taf.any.length);
@@ -1924,6 +1260,7 @@ function updateTiles(currentList){
   setIf("tileTafSnowCount", t.taf.snow.length);
   setIf("tileTafMinBestCount", t.taf.minBest.length);
   setIf("tileTafMinOnlyBestCount", t.taf.minOnlyBest.length);
+  setIf("tileTafToAltnCount", t.taf.toAltn.length);
   setIf("tileTafToProhibCount", t.taf.toProhib.length);
   setIf("tileTafLvtoCount", t.taf.lvto.length);
   setIf("tileTafVACount", t.taf.va.length);
@@ -1970,11 +1307,13 @@ function updateTiles(currentList){
   renderIata("tileSnowIata", t.met.snow);
   renderIata("tileMinBestIata", t.met.minBest);
   renderIata("tileMinOnlyBestIata", t.met.minOnlyBest);
+  renderIata("tileToAltnIata", t.met.toAltn);
 
   renderIata("tileToProhibIata", t.met.toProhib);
   renderIata("tileLvtoIata", t.met.lvto);
   renderIata("tileXwindIata", t.met.xwind);
   renderIata("tileVAIata", t.met.va);
+  renderIata("tileTrendIata", t.met.trend);
 
   renderIata("tileTafAnyIata", t.taf.any);
   renderIata("tileTafCritIata", t.taf.crit);
@@ -1984,6 +1323,7 @@ function updateTiles(currentList){
   renderIata("tileTafSnowIata", t.taf.snow);
   renderIata("tileTafMinBestIata", t.taf.minBest);
   renderIata("tileTafMinOnlyBestIata", t.taf.minOnlyBest);
+  renderIata("tileTafToAltnIata", t.taf.toAltn);
   renderIata("tileTafToProhibIata", t.taf.toProhib);
   renderIata("tileTafLvtoIata", t.taf.lvto);
   renderIata("tileTafVAIata", t.taf.va);
@@ -2099,6 +1439,20 @@ function renderOmExplainHtml(st){
     return `<code>${escapeHtml(String(x))}</code>`;
   }
 
+  // Threshold and rule (config/om_rules.json) behind a flag, as evaluated by om_policy.
+  function thr(x, key){
+    const v = x.thresholds ? x.thresholds[key] : null;
+    return (v != null) ? v : "—";
+  }
+  function ruleTag(x, flag){
+    if ((flag === "xwindExceed" || flag === "tailwindExceed") && x.fleet){
+      return ` <span class="omx__mut">${escapeHtml(`FLEET ${x.fleet.id}${x.fleet.ref ? ` · ${x.fleet.ref}` : ""}`)}</span>`;
+    }
+    const r = ((x.rules && x.rules.fired) || []).find(f => f.flag === flag);
+    if (!r) return "";
+    return ` <span class="omx__mut">${escapeHtml(`${r.id} v${r.version ?? "—"}${r.ref ? ` · ${r.ref}` : ""}${r.effectiveFrom ? ` · eff. ${r.effectiveFrom}` : ""}`)}</span>`;
+  }
+
   const items = [];
 
   function addItem(title, linesArr){
@@ -2111,16 +1465,16 @@ function renderOmExplainHtml(st){
     );
   }
 
-  // TO PROHIB (OM-A 8.3.8.7)
+  // TO PROHIB (TO_PROHIB_WX rule)
   {
     const lines = [];
     if (m.toProhib){
       const mm = (mx.heavyMatches && mx.heavyMatches.length) ? mx.heavyMatches.join(", ") : "—";
-      lines.push(line("M", `Matched heavy precip: ${code(mm)} (OM-A 8.3.8.7)`));
+      lines.push(line("M", `Matched heavy precip: ${code(mm)}${ruleTag(mx, "toProhib")}`));
     }
     if (t.toProhib){
       const tm = (tx.heavyMatches && tx.heavyMatches.length) ? tx.heavyMatches.join(", ") : "—";
-      lines.push(line("T", `Matched heavy precip: ${code(tm)} (OM-A 8.3.8.7)`));
+      lines.push(line("T", `Matched heavy precip: ${code(tm)}${ruleTag(tx, "toProhib")}`));
     }
     addItem("TO PROHIB", lines);
   }
@@ -2137,15 +1491,17 @@ function renderOmExplainHtml(st){
 
       const rvrList = formatRvrGroupList(x.rvrGroups);
       const ref = (refType === "RVR")
-        ? `Ref ${code("RVR")} min = ${code(refVal+"m")} from ${code(rvrList || "RVR groups")}`
+        ? (x.rvrRunway
+          ? `Ref ${code("RVR")} RWY ${code(x.rvrRunway.rwy)} (in use) = ${code(refVal+"m")} from ${code(rvrList || "RVR groups")}`
+          : `Ref ${code("RVR")} min = ${code(refVal+"m")} from ${code(rvrList || "RVR groups")}`)
         : (refType === "VIS")
           ? `Ref ${code("VIS")} = ${code(refVal+"m")} (no RVR used)`
           : `No ref VIS/RVR available`;
 
-      if (band === "rvr125") return `${ref} → below ${code("<125m")} (stop band)`;
-      if (band === "lvto150") return `${ref} → below ${code("<150m")} (LVTO crew qual)`;
-      if (band === "lvp") return `${ref} → below ${code("<400m")} (LVP)`;
-      if (band === "lvto") return `${ref} → below ${code("<550m")} (LVTO)`;
+      if (band === "rvr125") return `${ref} → below ${code("<"+thr(x, "rvrStopM")+"m")} (stop band)${ruleTag(x, "rvr125")}`;
+      if (band === "lvto150") return `${ref} → below ${code("<"+thr(x, "lvtoQualM")+"m")} (LVTO crew qual)${ruleTag(x, "lvtoQualReq")}`;
+      if (band === "lvp") return `${ref} → below ${code("<"+thr(x, "lvpM")+"m")} (LVP)${ruleTag(x, "lvp")}`;
+      if (band === "lvto") return `${ref} → below ${code("<"+thr(x, "lvtoM")+"m")} (LVTO)${ruleTag(x, "lvto")}`;
       return null;
     }
 
@@ -2156,18 +1512,18 @@ function renderOmExplainHtml(st){
     addItem("TAKEOFF / LVO BAND", lines);
   }
 
-  // RVR reporting required when VIS/CMV < 800m (approach/landing)
+  // RVR reporting required when VIS/CMV is below the RVR_REQUIRED threshold (approach/landing)
   {
     const lines = [];
     if (m.rvrRequired){
       const vis = (mx.worstVis != null) ? mx.worstVis : "—";
       const has = mx.rvrAny ? "yes" : "no";
-      lines.push(line("M", `VIS/CMV ${code(vis+"m")} < ${code("800m")} and RVR present? ${code(has)} → RVR required`));
+      lines.push(line("M", `VIS/CMV ${code(vis+"m")} < ${code(thr(mx, "rvrRequiredM")+"m")} and RVR present? ${code(has)} → RVR required${ruleTag(mx, "rvrRequired")}`));
     }
     if (t.rvrRequired){
       const vis = (tx.worstVis != null) ? tx.worstVis : "—";
       const has = tx.rvrAny ? "yes" : "no";
-      lines.push(line("T", `VIS/CMV ${code(vis+"m")} < ${code("800m")} and RVR present? ${code(has)} → RVR required`));
+      lines.push(line("T", `VIS/CMV ${code(vis+"m")} < ${code(thr(tx, "rvrRequiredM")+"m")} and RVR present? ${code(has)} → RVR required${ruleTag(tx, "rvrRequired")}`));
     }
     addItem("RVR REQ (<800)", lines);
   }
@@ -2178,15 +1534,15 @@ function renderOmExplainHtml(st){
     function catExplain(om, x){
       const band = omCatBand(om);
       if (!band) return null;
-      const rvr = (x.rvrMinAll != null) ? x.rvrMinAll : null;
+      const rvr = (x.rvrRef != null) ? x.rvrRef : ((x.rvrMinAll != null) ? x.rvrMinAll : null);
       const rvrList = formatRvrGroupList(x.rvrGroups);
       const ref = (rvr != null)
-        ? `RVR min ${code(rvr+"m")} from ${code(rvrList || "RVR groups")}`
+        ? `RVR ${x.rvrRunway ? `RWY ${code(x.rvrRunway.rwy)} (in use)` : "min"} ${code(rvr+"m")} from ${code(rvrList || "RVR groups")}`
         : `No RVR available`;
 
-      if (band === "cat3min") return `${ref} → below ${code("<75m")} (very low RVR)`;
-      if (band === "cat3only") return `${ref} → below ${code("<200m")} (CAT III environment)`;
-      if (band === "cat2plus") return `${ref} → below ${code("<450m")} (CAT II thresholds DH-dependent)`;
+      if (band === "cat3min") return `${ref} → below ${code("<"+thr(x, "cat3LowM")+"m")} (very low RVR)${ruleTag(x, "cat3BelowMin")}`;
+      if (band === "cat3only") return `${ref} → below ${code("<"+thr(x, "cat3M")+"m")} (CAT III environment)${ruleTag(x, "cat3Only")}`;
+      if (band === "cat2plus") return `${ref} → below ${code("<"+thr(x, "cat2M")+"m")} (CAT II thresholds DH-dependent)${ruleTag(x, "cat2Plus")}`;
       return null;
     }
 
@@ -2206,7 +1562,10 @@ function renderOmExplainHtml(st){
 
   function addExplain(src, ex){
     if (!ex) return;
-    const modeTxt = ex.mode === "CRIT" ? "MINIMA CRIT (below BEST)" : "MINIMA LIMIT (below ALT, BEST still OK)";
+    const modeTxt = ex.notam
+      ? (ex.mode === "CRIT" ? "MINIMA CRIT (below ALT, BEST unavailable)" : "MINIMA LIMIT (below ALT)")
+      : (ex.mode === "CRIT" ? "MINIMA CRIT (below BEST)" : "MINIMA LIMIT (below ALT, BEST still OK)");
+    if (ex.notam) lines.push(line(src, `${ex.notam.map(code).join(" ")} — evaluated against ALT minima.`));
     if (!ex.reasons || !ex.reasons.length){
       lines.push(line(src, `${escapeHtml(modeTxt)} — could not derive evidence from raw.`));
       return;
@@ -2226,17 +1585,49 @@ function renderOmExplainHtml(st){
   addItem("APPR MINIMA", lines);
 }
 
+// NOTAMs that take the BEST approach away (backend data/notams.json).
+{
+  const lines = [];
+  for (const t of (st.triggers || []).filter(t => String(t.label || "").startsWith("NOTAM: "))){
+    lines.push(line(t.src || "M", `${code(t.label.slice(7))} — ${escapeHtml(t.tip || "")}`));
+    const n = (st.notams || []).find(n => t.tip && t.tip.startsWith(n.id + " "));
+    if (n && n.text) lines.push(line(t.src || "M", `E) ${escapeHtml(n.text)}`));
+  }
+  addItem("NOTAM", lines);
+}
+
+// SIGMET/AIRMET areas over or near the station (backend data/sigmets.json).
+{
+  const lines = [];
+  for (const t of (st.triggers || []).filter(t => /^(SIGMET|AIRMET) /.test(String(t.label || "")))){
+    for (const tip of String(t.tip || "").split(" | ")) lines.push(line(t.src || "M", `${code(t.label)} — ${escapeHtml(tip)}`));
+  }
+  addItem("SIGMET / AIRMET", lines);
+}
+
+// VAAC ash cloud observed / forecast over or near the station (backend data/vaac.json).
+{
+  const lines = [];
+  for (const t of (st.triggers || []).filter(t => /^VA (CLD|FCST)/.test(String(t.label || "")))){
+    for (const tip of String(t.tip || "").split(" | ")) lines.push(line(t.src || "M", `${code(t.label)} — ${escapeHtml(tip)}`));
+  }
+  addItem("VOLCANIC ASH (VAAC)", lines);
+}
+
   // RWYCC estimate
   {
     const lines = [];
     function rwyccLine(x){
       const cond = x.runwayCond || {};
       const ev = Array.isArray(cond.evidence) && cond.evidence.length ? cond.evidence.join(", ") : "—";
+      if (cond.source === "reported"){
+        return `Reported RWYCC ${code(cond.rwyccEst!=null?cond.rwyccEst:"—")} on RWY ${code(cond.rwy === "88" ? "ALL" : (cond.rwy || "—"))} from ${cond.reportedBy === "SNOWTAM" ? "SNOWTAM" : "runway state"} ${code(ev)} (${escapeHtml(cond.basis || "reported")})`;
+      }
       return `Inferred ${code(cond.cond || "—")} (RWYCC≈${code(cond.rwyccEst!=null?cond.rwyccEst:"—")}) from wx ${code(ev)} (estimate)`;
     }
-    if (m.noOpsLikely) lines.push(line("M", rwyccLine(mx)));
-    if (t.noOpsLikely) lines.push(line("T", rwyccLine(tx)));
-    addItem("RWYCC<3 LIKELY", lines);
+    if (m.noOpsLikely) lines.push(line("M", rwyccLine(mx) + ruleTag(mx, "noOpsLikely")));
+    if (t.noOpsLikely) lines.push(line("T", rwyccLine(tx) + ruleTag(tx, "noOpsLikely")));
+    addItem((mx.runwayCond && mx.runwayCond.source === "reported") ? "RWYCC<3 REPORTED" : "RWYCC<3 LIKELY", lines);
   }
 
   // Crosswind exceed
@@ -2251,19 +1642,49 @@ function renderOmExplainHtml(st){
       const windTxt = (w.dir!=null && w.usedSpd!=null)
         ? `Wind ${code(w.dir+"°")} at ${code(w.usedSpd+"kt")}${(w.gst!=null && w.gst>w.spd)?` (gust ${code(w.gst+"kt")})`:""}`
         : `Wind ${code("—")}`;
+      const u = x.runwayInUse;
+      const rwyKind = u ? `Runway in use (${escapeHtml(u.basis)}${u.note ? `; ${escapeHtml(u.note)}` : ""})` : "Best runway";
       const rwyTxt = (wx.runwayHdg!=null)
-        ? `Best runway hdg ${code(wx.runwayHdg)}${wx.runwayName?` (${code(wx.runwayName)})`:""}`
+        ? `${rwyKind} ${wx.runwayEnd ? `${code(wx.runwayEnd)} ` : ""}hdg ${code(wx.runwayHdg)}${wx.runwayName?` (${code(wx.runwayName)})`:""}`
         : `Runway ${code("—")}`;
       const xw = (wx.xwindKt!=null) ? code(wx.xwindKt+"kt") : code("—");
       const lim = (wx.limitKt!=null) ? code(wx.limitKt+"kt") : code("—");
-      const narrow = wx.narrow ? "narrow runway limit applied" : "standard limit";
-      return `${windTxt}; ${rwyTxt}; XWIND ${xw} > limit ${lim} (${escapeHtml(narrow)}).`;
+      const narrow = `${wx.narrow ? "narrow runway limit applied" : "standard limit"}${x.fleet ? `, ${x.fleet.id}` : ""}`;
+      const rc = x.runwayCond || {};
+      const rcTxt = (rc.rwyccEst!=null) ? `; RWYCC ${code(rc.rwyccEst)} ${rc.source === "reported" ? "reported" : "estimated"}` : "";
+      return `${windTxt}; ${rwyTxt}; XWIND ${xw} > limit ${lim} (${escapeHtml(narrow)}${rcTxt}).`;
     }
-    if (m.xwindExceed) lines.push(line("M", xwindLine(mx)));
-    if (t.xwindExceed) lines.push(line("T", xwindLine(tx)));
+    if (m.xwindExceed) lines.push(line("M", xwindLine(mx) + ruleTag(mx, "xwindExceed")));
+    if (t.xwindExceed) lines.push(line("T", xwindLine(tx) + ruleTag(tx, "xwindExceed")));
     addItem("XWIND EXCEED", lines);
   }
 
+  // Tailwind above the limit on every runway end (company TAILWIND rule or the fleet profile)
+  {
+    const lines = [];
+    function tailLine(o, x){
+      const ends = (x.windTable || []).map(e => `${e.rwy || "—"} ${(e.gust || e.mean || {}).tail ?? "—"}kt`).join(", ");
+      return `Tailwind ${code(o.tailwindKt+"kt")} on the best end > limit ${code(o.tailwindLimitKt+"kt")}${x.fleet ? ` (${escapeHtml(x.fleet.id)})` : ""}; all ends: ${code(ends || "—")}.`;
+    }
+    if (m.tailwindExceed) lines.push(line("M", tailLine(m, mx) + ruleTag(mx, "tailwindExceed")));
+    if (t.tailwindExceed) lines.push(line("T", tailLine(t, tx) + ruleTag(tx, "tailwindExceed")));
+    addItem("TAILWIND", lines);
+  }
+
+  // Fleet profile limits besides the wind (LVTO minimum RVR)
+  {
+    const lines = [];
+    function fleetLines(src, o, x){
+      if (!x.fleet) return;
+      if (!o.lvtoBelowMin) return;
+      const rvr = (x.rvrRef != null) ? x.rvrRef : x.rvrMinAll;
+      lines.push(line(src, `RVR ${x.rvrRunway ? `RWY ${code(x.rvrRunway.rwy)} (in use)` : "min"} ${code(rvr+"m")} < ${escapeHtml(x.fleet.id)} LVTO minimum ${code(o.lvtoMinRvrM+"m")}`));
+    }
+    fleetLines("M", m, mx);
+    fleetLines("T", t, tx);
+    addItem(`FLEET ${(mx.fleet || tx.fleet || {}).id || ""}`, lines);
+  }
+
   // VA
   {
     const lines = [];
@@ -2277,7 +1698,7 @@ function renderOmExplainHtml(st){
     const lines = [];
     if (m.coldcorr){
       const tc = (mx.tempC != null) ? mx.tempC : "—";
-      lines.push(line("M", `Temperature ${code(tc+"°C")} ≤ 0 → cold temperature corrections may apply (OM-A tables).`));
+      lines.push(line("M", `Temperature ${code(tc+"°C")} ≤ ${code(thr(mx, "coldC")+"°C")} → cold temperature corrections may apply (OM-A tables).${ruleTag(mx, "coldcorr")}`));
     }
     addItem("COLD CORR", lines);
   }
@@ -2306,15 +1727,15 @@ function openDrawer(icao){
   $("dRvr").textContent = st.rvrMinAll !== null ? `${st.rvrMinAll} m` : "—";
   $("dCig").textContent = st.cigAll !== null ? `${st.cigAll} ft` : "—";
   // Age should tick without page reload: compute from raw DDHHMMZ each time drawer opens.
-  const metAgeNow = computeAgeMinutesFromRawZ(st.metarRaw || "");
-  const tafAgeNow = computeAgeMinutesFromRawZ(st.tafRaw || "");
+  const metAgeNow = reportAgeMinutes(st, "metar");
+  const tafAgeNow = reportAgeMinutes(st, "taf");
   $("dMetAge").textContent = formatAge(metAgeNow !== null ? metAgeNow : (st.metarAgeMin ?? null));
   $("dTafAge").textContent = formatAge(tafAgeNow !== null ? tafAgeNow : (st.tafAgeMin ?? null));
 
   // triggers in drawer — fixed: always flex-wrap container; no overlapping
   
 $("dTriggers").innerHTML = st.triggers.map(t=>{
-  const src = t.src ? `<span class="tag tag--src">${t.src==="MT"?"M+T":t.src}</span>` : "";
+  const src = t.src ? `<span class="tag tag--src" title="${escapeHtml(srcTitle(t.src))}">${srcLabel(t.src)}</span>` : "";
   const tipAttr = t.tip ? ` title="${escapeHtml(t.tip)}"` : "";
   return `<span class="tag ${t.cls||""}"${tipAttr}>${escapeHtml(t.label)} ${src}</span>`;
 }).join("");
@@ -2323,13 +1744,34 @@ $("dTriggers").innerHTML = st.triggers.map(t=>{
   const omEl = $("dOmExplain");
   if (omEl) omEl.innerHTML = renderOmExplainHtml(st);
 
+  const windEl = $("dWindRose");
+  if (windEl){
+    const html = renderWindRoseHtml(st);
+    windEl.innerHTML = html || "—";
+    $("dWindBox").classList.toggle("hidden", !html);
+  }
+
+  const toAltnEl = $("dToAltn");
+  if (toAltnEl){
+    toAltnEl.innerHTML = renderTakeoffAltnHtml(st) || "—";
+    $("dToAltnBox").classList.toggle("hidden", !st.takeoffAlternate);
+  }
+
+  const altnEl = $("dAlternates");
+  if (altnEl){
+    altnEl.innerHTML = renderAlternatesHtml(st);
+    $("dAlternatesBox").classList.toggle("hidden", !Array.isArray(st.alternates));
+  }
+
   const metRawStr = asRawStr(st.metarRaw);
   const tafRawStr = asRawStr(st.tafRaw);
   $("dMetRaw").innerHTML = metRawStr ? highlightRawWithTokens(metRawStr, st._minTokensM) : "—";
   $("dTafRaw").innerHTML = tafRawStr ? highlightRawWithTokens(tafRawStr, st._minTokensT) : "—";
 
-  $("dMetDec").innerHTML = decodeMetar(metRawStr);
-  $("dTafDec").innerHTML = decodeTaf(tafRawStr);
+  $("dMetDec").innerHTML = decodeMetar(metRawStr, st.metarDecoded);
+  $("dTafDec").innerHTML = decodeTaf(tafRawStr, st.tafTimeline);
+  const tafhEl = $("dTafHourly");
+  if (tafhEl) tafhEl.innerHTML = renderTafHourlyHtml(st);
 
   $("copyBrief").onclick = async () => {
     const line = buildBriefingLine(st);
@@ -2410,8 +1852,8 @@ function refreshDrawerAges(){
   if (!drawerIcao) return;
   const st = stations.find(s=>s.icao === drawerIcao);
   if (!st) return;
-  const metAgeNow = computeAgeMinutesFromRawZ(st.metarRaw || "");
-  const tafAgeNow = computeAgeMinutesFromRawZ(st.tafRaw || "");
+  const metAgeNow = reportAgeMinutes(st, "metar");
+  const tafAgeNow = reportAgeMinutes(st, "taf");
   $("dMetAge").textContent = formatAge(metAgeNow !== null ? metAgeNow : (st.metarAgeMin ?? null));
   $("dTafAge").textContent = formatAge(tafAgeNow !== null ? tafAgeNow : (st.tafAgeMin ?? null));
 }
@@ -2461,8 +1903,7 @@ function updateAgesInPlace(){
     const st = stationMap.get(icao);
     if (!st) return;
     const kind = el.getAttribute('data-age');
-    const raw = (kind === 'taf') ? (st.tafRaw || "") : (st.metarRaw || "");
-    const ageNow = computeAgeMinutesFromRawZ(raw, nowUtc);
+    const ageNow = reportAgeMinutes(st, kind, nowUtc);
     const mins = (ageNow !== null) ? ageNow : (kind === 'taf' ? (st.tafAgeMin ?? null) : (st.metarAgeMin ?? null));
     el.textContent = formatAge(mins);
     el.classList.remove('age--fresh','age--warn','age--stale');
@@ -2545,6 +1986,7 @@ function signalNewAlerts(fullList){
       lvto: listToIcaoSet(t.met.lvto),
       xwind: listToIcaoSet(t.met.xwind),
       va: listToIcaoSet(t.met.va),
+      toAltn: listToIcaoSet(t.met.toAltn),
       any: listToIcaoSet(t.met.any),
     },
     taf: {
@@ -2556,6 +1998,7 @@ function signalNewAlerts(fullList){
       toProhib: listToIcaoSet(t.taf.toProhib),
       lvto: listToIcaoSet(t.taf.lvto),
       va: listToIcaoSet(t.taf.va),
+      toAltn: listToIcaoSet(t.taf.toAltn),
       any: listToIcaoSet(t.taf.any),
     }
   };
@@ -2568,7 +2011,7 @@ function signalNewAlerts(fullList){
   }
 
   // AUTO view: show browser notifications only when a NEW BASE appears among impacted NOW-tile set, and ONLY on new METAR.
-  if (viewMode === "auto" && notifEnabled && newMetar){
+  if (viewMode === "auto" && notifEnabled && newMetar && !escalationsBrowser){
     const basesNow = new Set();
     for (const icao of setsNow.met.any){
       const st = stationMap.get(icao);
@@ -2615,6 +2058,7 @@ function signalNewAlerts(fullList){
     check("met","lvto","LVTO","met_lvto");
     check("met","xwind","XWIND","met_xwind");
     check("met","va","VA","met_va");
+    check("met","toAltn","T/O ALTN","met_toAltn");
     // ENG tile uses its legacy filter key "eng" in HTML? (we kept tile ENG as "eng")
     const addEng = diffSet(setsNow.met.eng, prevSignalSets.met.eng || new Set());
     if (addEng.size){
@@ -2631,6 +2075,7 @@ function signalNewAlerts(fullList){
     check("taf","toProhib","TAF TO PROHIB","taf_toProhib");
     check("taf","lvto","TAF LVTO","taf_lvto");
     check("taf","va","TAF VA","taf_va");
+    check("taf","toAltn","TAF T/O ALTN","taf_toAltn");
 
     if (lines.length){
       showTvToast("NEW ALERTS", lines.slice(0, 10));
@@ -2651,6 +2096,30 @@ function signalNewAlerts(fullList){
   prevMetarObsByIcao = obsNow;
 }
 
+async function pollEscalations(){
+  // Browser channel of the escalation policy: notify once per backend run that produced "browser" notifications.
+  try{
+    const res = await fetch("data/escalations.json?cb=" + Date.now(), {cache:"no-store"});
+    if (!res.ok){ escalationsBrowser = false; return; }
+    const j = await res.json();
+    escalationsBrowser = Array.isArray(j.channels) && j.channels.includes("browser");
+    const genStr = j.generatedAt ? String(j.generatedAt) : null;
+    const first = lastEscalationsAt === null;
+    if (!genStr || genStr === lastEscalationsAt) return;
+    lastEscalationsAt = genStr;
+    if (first || viewMode !== "auto" || !notifEnabled) return;
+    const list = (Array.isArray(j.notifications) ? j.notifications : []).filter(n => n.channel === "browser");
+    if (!list.length) return;
+    const level = Math.max(...list.map(n => Number(n.level) || 0));
+    const body = list.map(n => `${n.iata ? `${n.iata}/${n.icao}` : n.icao} L${n.level}: ${n.reason}`).join("\n");
+    try{
+      new Notification(`WX escalation L${level}`, {body, silent:false, requireInteraction: level >= 2});
+    }catch(e){}
+  }catch(e){
+    escalationsBrowser = false;
+  }
+}
+
 function applyDataFromLatest(data){
   const gen = data && data.generatedAt ? new Date(data.generatedAt) : null;
   const genStr = (data && data.generatedAt) ? String(data.generatedAt) : null;
@@ -2664,6 +2133,7 @@ function applyDataFromLatest(data){
   // Change detection: avoid expensive full re-render when only generatedAt changes.
   lastStationsHash = stationsHash(rawStations);
   stations = rawStations.map(s => ({
+    ...s, // backend-only fields (metarDecoded, tafTimeline, tafHourly, metarTrend, ...) pass through
     icao: (s.icao || s.station || "").toUpperCase(),
     iata: (s.iata || "").toUpperCase(),
     name: s.name || s.airportName || "",
@@ -2702,6 +2172,7 @@ function applyDataFromLatest(data){
   })).filter(s=>s.icao && s.icao.length===4)
     .map(deriveStation)
     .map(st=>{
+      applyFleet(st);
       st.isBase = isBaseCode(st.iata);
       st.role = st.isBase ? "BASE" : getRole(st.icao);
       st.roleRank = roleRank(st.role);
@@ -2752,7 +2223,11 @@ async function updateDatasetTile(status=null){
     const mins = Math.floor((Date.now() - gen.getTime())/60000);
     const delayed = mins >= 20;
     stateEl.textContent = delayed ? "Delayed" : "OK";
-    subEl.textContent = `Last update: ${gen.toISOString().replace(".000","")} · ${mins} min ago`;
+    // Stations with an overdue METAR or an expired / lapsing TAF (backend freshness engine).
+    const staleN = Array.isArray(s.stats && s.stats.staleIcaos) ? s.stats.staleIcaos.length : 0;
+    // Stations the last run could not fetch at all (showing last known reports).
+    const outageN = Array.isArray(s.stats && s.stats.outageIcaos) ? s.stats.outageIcaos.length : 0;
+    subEl.textContent = `Last update: ${gen.toISOString().replace(".000","")} · ${mins} min ago${staleN ? ` · ${staleN} stale` : ""}${outageN ? ` · ${outageN} feed outage` : ""}`;
   }catch(e){
     stateEl.textContent = "—";
     subEl.textContent = "Last update: —";
@@ -2793,10 +2268,13 @@ async function refreshData(force=false){
     await fetchBaseList();
     await fetchRoles();
     await fetchRunways();
+    await fetchOmRules();
+    updateFleetBtn();
 
     const res = await fetch("data/latest.json?cb=" + Date.now(), {cache:"no-store", headers:{ "Cache-Control":"no-cache", "Pragma":"no-cache" }});
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
+    await pollEscalations();
 
     const genStr = (data && data.generatedAt) ? String(data.generatedAt) : null;
     const newHash = stationsHash(Array.isArray(data?.stations) ? data.stations : []);
@@ -2961,10 +2439,12 @@ TILE_TOOLTIP.met_min_best = {
   ]
 };
 TILE_TOOLTIP.met_min_onlybest = {title:"MINIMA LIMIT (METAR)", om:"Approach minima", why:"Triggers when METAR is below the configured 2nd-best (ALT) minima but still NOT below BEST. Operationally: only the BEST approach remains within minima.", triggers:["NOT below BEST minima", "BUT below ALT minima (ceiling or min(VIS, RVRmin))", "Thresholds from airport minima settings (ALT)"]};
+TILE_TOOLTIP.met_toAltn = {title:"T/O ALTN (METAR)", om:"OM-A (take-off alternate)", why:"The current METAR is below the departure airport's landing minima, so a take-off alternate within one hour at the one-engine-inoperative cruise speed is required. The drawer lists the monitored airports in range and whether they qualify.", triggers:["METAR below BEST minima (MINIMA CRIT)", "Range = takeoff.oeiSpeedKt × 1 h (config/alternates.json)"]};
 TILE_TOOLTIP.met_toProhib = {title:"TO PROHIB (METAR)", om:"OM-A 8.3.8.1/8.3.8.7", why:"METAR-only prohibitive WX flags.", triggers:["TS", "+SN", "FZRA/+FZRA", "GR", "PL/GS/SG"]};
 TILE_TOOLTIP.met_lvto = {title:"LVTO (METAR)", om:"OM-A 8.1.4.4", why:"METAR-only LVTO band.", triggers:["RVR/VIS < 550 m"]};
 TILE_TOOLTIP.met_xwind = {title:"XWIND (METAR)", om:"OM-B 1.3.1", why:"Crosswind estimate using METAR wind.", triggers:["Estimated XWIND exceeds limit"]};
 TILE_TOOLTIP.met_va = {title:"VA (METAR)", om:"OM-A 8.3.8.6", why:"Volcanic ash indicated in METAR.", triggers:["METAR: VA"]};
+TILE_TOOLTIP.met_trend = {title:"TREND 2H (METAR)", om:"Landing forecast (TREND)", why:"Triggers raised by the METAR TREND section (BECMG/TEMPO, next 2 h). Scored separately from the observation, so a forecast fog in the trend never counts as fog now.", triggers:["Any trigger with source N", "e.g. BECMG 0400 FG → VIS≤500 (N)"]};
 TILE_TOOLTIP.taf_any = {title:"FORECAST (TAF)", om:"TAF-driven tiles", why:"Summary of forecast-driven (TAF) alerts.", triggers:["Any TAF tile is triggered"]};
 TILE_TOOLTIP.taf_crit = {title:"CRITICAL (TAF)", om:"Internal severity score (TAF)", why:"Forecast (TAF) severity band.", triggers:["TAF score ≥ 70"]};
 TILE_TOOLTIP.taf_vis300 = {title:"VIS/RVR < 300 (TAF)", om:"OM-A 8.1.4", why:"Worst visibility/RVR within the TAF.", triggers:["TAF worst VIS < 300 m", "or TAF RVRmin < 300 m"]};
@@ -2983,6 +2463,7 @@ TILE_TOOLTIP.taf_min_best = {
   ]
 };
 TILE_TOOLTIP.taf_min_onlybest = {title:"MINIMA LIMIT (TAF)", om:"Approach minima", why:"Triggers when forecast (TAF) is below the configured 2nd-best (ALT) minima but still NOT below BEST. Operationally: only the BEST approach remains within minima.", triggers:["NOT below BEST minima", "BUT below ALT minima (ceiling or min(worst VIS, RVRmin))", "Thresholds from airport minima settings (ALT)"]};
+TILE_TOOLTIP.taf_toAltn = {title:"T/O ALTN (TAF)", om:"OM-A (take-off alternate)", why:"The TAF goes below the departure airport's landing minima, so departures from then on need a take-off alternate. Candidates are checked at their ETA for a departure at that hour.", triggers:["TAF hour below BEST minima (MINIMA CRIT TAF)", "METAR still above them"]};
 TILE_TOOLTIP.taf_toProhib = {title:"TO PROHIB (TAF)", om:"OM-A 8.3.8.1/8.3.8.7", why:"Forecast prohibitive WX flags.", triggers:["TS", "+SN", "FZRA/+FZRA", "GR", "PL/GS/SG"]};
 TILE_TOOLTIP.taf_lvto = {title:"LVTO (TAF)", om:"OM-A 8.1.4.4", why:"Forecast LVTO band.", triggers:["RVR/VIS < 550 m"]};
 TILE_TOOLTIP.taf_va = {title:"VA (TAF)", om:"OM-A 8.3.8.6", why:"Forecast VA indication.", triggers:["TAF: VA"]};
@@ -3069,6 +2550,7 @@ function bind(){
 
 
 initNotifUI();
+initFleetUI();
 initTafPanelUI();
 
   // Row + tag click delegation (prevents per-row listener churn on refresh)
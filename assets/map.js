@@ -2,533 +2,32 @@
    - Dots colored by overall alert
    - Hover popup shows raw + decoded METAR/TAF and active alerts
    - No manual inputs: OM advisory flags are derived from METAR/TAF + OurAirports runways
+   - Alerts and triggers come from assets/wx_core.js (same core as the dashboard and the backend)
 */
 
-const $ = (id) => document.getElementById(id);
-
-const ALERT_LEVEL = { OK:0, MED:1, HIGH:2, CRIT:3 };
+import {
+  alertFromScore, maxAlert,
+  extractAllVisibilityMetersFromTAF, ceilingFt, hazardFlags,
+  metarDecodedLines, createOmFn, computeDerivedStation
+} from "./wx_core.js?v=94.omrules";
 
-function alertFromScore(score){
-  return score >= 70 ? "CRIT" :
-         score >= 45 ? "HIGH" :
-         score >= 20 ? "MED" : "OK";
-}
-function maxAlert(...alerts){
-  let best = "OK";
-  for (const a of alerts){
-    if (!a) continue;
-    if ((ALERT_LEVEL[a] ?? 0) > (ALERT_LEVEL[best] ?? 0)) best = a;
-  }
-  return best;
-}
+const $ = (id) => document.getElementById(id);
 
 function escapeHtml(s){
   return String(s ?? "").replace(/[&<>"']/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
 }
 
-function parseVisibilityMeters(raw){
-  if (!raw) return null;
-  const up = String(raw).toUpperCase();
-  if (/\bCAVOK\b/.test(up)) return 10000;
-
-  const toks = up.trim().split(/\s+/);
-  let best = null;
-  const add = (m)=>{ if (m == null) return; best = (best==null) ? m : Math.min(best, m); };
-
-  for (let idx=0; idx<toks.length; idx++){
-    const t0 = toks[idx].trim();
-    if (!t0) continue;
-
-    // Split statute miles: "1 1/2SM"
-    if (/^\d+$/.test(t0) && idx+1 < toks.length){
-      const t1 = toks[idx+1].trim();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const frac = t1.replace(/^M/,"").slice(0,-2);
-        const [a,b] = frac.split("/").map(Number);
-        if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-          add(Math.round((whole + (a/b))*1609.34));
-          idx++;
-          continue;
-        }
-      }
-    }
-
-    // Fractional statute miles token
-    if (/^M?\d+\/\d+SM$/.test(t0)){
-      const frac = t0.replace(/^M/,"").slice(0,-2);
-      const [a,b] = frac.split("/").map(Number);
-      if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-        add(Math.round((a/b)*1609.34));
-      }
-      continue;
-    }
-
-    // Ignore validity/time ranges and RVR groups
-    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-    if (t0.includes("/")) continue;
-
-    // ICAO meters tokens (0400, 9999, 9999NDV)
-    if (/^\d{4}(?:[A-Z]{1,4})?$/.test(t0)){
-      const v = parseInt(t0.slice(0,4),10);
-      if (!Number.isNaN(v)) add(v === 9999 ? 10000 : v);
-      continue;
-    }
-
-    // Whole SM tokens
-    if (/^P\d+SM$/.test(t0)){
-      const n = parseInt(t0.slice(1,-2),10);
-      if (Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-    if (/^M?\d+SM$/.test(t0)){
-      const n = parseInt(t0.replace(/^M/,"").slice(0,-2),10);
-      if (Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-  }
-  return best;
-}
-
-
-function extractAllVisibilityMetersFromTAF(raw){
-  if (!raw) return [];
-  const out = [];
-  const up = String(raw).toUpperCase();
-  if (/\bCAVOK\b/.test(up)) out.push(10000);
-
-  const toks = up.trim().split(/\s+/);
-  for (let idx=0; idx<toks.length; idx++){
-    const t0 = toks[idx].trim();
-    if (!t0) continue;
-
-    if (/^\d+$/.test(t0) && idx+1 < toks.length){
-      const t1 = toks[idx+1].trim();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const frac = t1.replace(/^M/,"").slice(0,-2);
-        const [a,b] = frac.split("/").map(Number);
-        if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-          out.push(Math.round((whole + (a/b))*1609.34));
-          idx++;
-          continue;
-        }
-      }
-    }
-
-    if (/^M?\d+\/\d+SM$/.test(t0)){
-      const frac = t0.replace(/^M/,"").slice(0,-2);
-      const [a,b] = frac.split("/").map(Number);
-      if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-        out.push(Math.round((a/b)*1609.34));
-      }
-      continue;
-    }
-
-    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-    if (t0.includes("/")) continue;
-
-    if (/^\d{4}(?:[A-Z]{1,4})?$/.test(t0)){
-      const v = parseInt(t0.slice(0,4),10);
-      if (!Number.isNaN(v)) out.push(v === 9999 ? 10000 : v);
-      continue;
-    }
-
-    if (/^P\d+SM$/.test(t0)){
-      const n = parseInt(t0.slice(1,-2),10);
-      if (Number.isFinite(n)) out.push(Math.round(n*1609.34));
-      continue;
-    }
-    if (/^M?\d+SM$/.test(t0)){
-      const n = parseInt(t0.replace(/^M/,"").slice(0,-2),10);
-      if (Number.isFinite(n)) out.push(Math.round(n*1609.34));
-      continue;
-    }
-  }
-  return out;
-}
-
-
-function extractRvrMeters(raw){
-  if (!raw) return [];
-  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?\b/g;
-  const vals = [];
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const v1 = parseInt(m[2],10);
-    if (!Number.isNaN(v1)) vals.push(v1);
-    if (m[4]){
-      const v2 = parseInt(m[4],10);
-      if (!Number.isNaN(v2)) vals.push(v2);
-    }
-  }
-  return vals;
-}
-
-function extractGustKt(raw){
-  if (!raw) return [];
-  const out = [];
-  const re = /\b(?:\d{3}|VRB)\d{2,3}G(\d{2,3})KT\b/g;
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const g = parseInt(m[1],10);
-    if (!Number.isNaN(g)) out.push(g);
-  }
-  return out;
-}
-function gustMaxKt(raw){
-  const v = extractGustKt(raw);
-  return v.length ? Math.max(...v) : null;
-}
-
-function ceilingFt(raw){
-  if (!raw) return null;
-  const re = /\b(BKN|OVC|VV)(\d{3})\b/g;
-  let min = null;
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const h = parseInt(m[2],10);
-    if (!Number.isNaN(h)){
-      const ft = h*100;
-      if (min === null || ft < min) min = ft;
-    }
-  }
-  return min;
-}
-
-/* --- Approach minima helpers (BEST/ALT) ---------------------------------- */
-function effectiveVis(visM, rvrMin){
-  const vals = [];
-  if (typeof visM === "number") vals.push(visM);
-  if (typeof rvrMin === "number") vals.push(rvrMin);
-  return vals.length ? Math.min(...vals) : null;
-}
-function fmtM(v){
-  if (typeof v !== "number") return "N/A";
-  return v >= 10000 ? "10 km+" : `${Math.round(v)} m`;
-}
-function fmtFt(v){
-  if (typeof v !== "number") return "N/A";
-  return `${Math.round(v)} ft`;
-}
-
-function snippetAround(raw, token, maxLen=92){
-  if (!raw || !token) return null;
-  const up = String(raw).toUpperCase();
-  const t = String(token).toUpperCase();
-  const idx = up.indexOf(t);
-  if (idx < 0) return null;
-  const half = Math.floor(maxLen/2);
-  const s = Math.max(0, idx - half);
-  const e = Math.min(raw.length, idx + token.length + half);
-  let sn = raw.slice(s, e).replace(/\s+/g, " ").trim();
-  if (s > 0) sn = "..." + sn;
-  if (e < raw.length) sn = sn + "...";
-  return sn;
-}
-
-function findRvrToken(raw, target){
-  if (!raw || typeof target !== "number") return null;
-  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?\b/g;
-  let m;
-  while ((m = re.exec(raw)) !== null){
-    const v1 = parseInt(m[2],10);
-    const v2 = m[4] ? parseInt(m[4],10) : null;
-    const vals = [v1, v2].filter(x=>Number.isFinite(x));
-    if (!vals.length) continue;
-    const vmin = Math.min(...vals);
-    if (vmin === target) return m[0];
-  }
-  return null;
-}
-
-function findVisToken(raw, target){
-  if (!raw || typeof target !== "number") return null;
-  const up = String(raw).toUpperCase();
-  if (target >= 10000){
-    if (/\bCAVOK\b/.test(up)) return "CAVOK";
-    if (/\b9999\b/.test(up)) return "9999";
-  }
-  // ICAO meters token
-  const reM = /\b(\d{4})(?:NDV|[A-Z]{1,4})?\b/g;
-  let m;
-  while ((m = reM.exec(up)) !== null){
-    const v = parseInt(m[1],10);
-    if (!Number.isNaN(v)){
-      const vv = (v === 9999) ? 10000 : v;
-      if (vv === target) return m[0];
-    }
-  }
-  return null;
+function fmtObsTime(v){
+  // updatedAt is the resolved ISO observation time (older datasets: raw DDHHMMZ).
+  const d = new Date(v);
+  if (!/^\d{4}-/.test(String(v)) || Number.isNaN(d.getTime())) return String(v);
+  return `${d.toISOString().slice(0,16).replace("T"," ")}Z`;
 }
 
-function findCeilToken(raw, targetFt){
-  if (!raw || typeof targetFt !== "number") return null;
-  const up = String(raw).toUpperCase();
-  const re = /\b(BKN|OVC|VV)(\d{3})\b/g;
-  let bestTok = null;
-  let bestFt = null;
-  let m;
-  while ((m = re.exec(up)) !== null){
-    const ft = parseInt(m[2],10) * 100;
-    if (!Number.isNaN(ft)){
-      if (bestFt === null || ft < bestFt){
-        bestFt = ft;
-        bestTok = m[0];
-      }
-    }
-  }
-  if (bestFt === null) return null;
-  if (Math.round(bestFt) === Math.round(targetFt)) return bestTok;
-  return bestTok;
-}
-
-function buildMinimaTriggers(sourceLabel, minima, visM, rvrMin, cigFt, raw){
-  // Returns: { alert: "OK"|"MED"|"CRIT", items:[{label, cls, why:[]}] }
-  const items = [];
-  if (!minima || (!minima.best && !minima.alt)) return {alert:"OK", items};
-
-  const eff = effectiveVis(visM, rvrMin);
-
-  const bestVis = (minima.best && Number.isFinite(minima.best.vis_m) && minima.best.vis_m > 0) ? minima.best.vis_m : null;
-  const bestCig = (minima.best && Number.isFinite(minima.best.cig_ft) && minima.best.cig_ft > 0) ? minima.best.cig_ft : null;
-
-  const altVis  = (minima.alt  && Number.isFinite(minima.alt.vis_m)  && minima.alt.vis_m  > 0) ? minima.alt.vis_m  : null;
-  const altCig  = (minima.alt  && Number.isFinite(minima.alt.cig_ft) && minima.alt.cig_ft > 0) ? minima.alt.cig_ft : null;
-
-  const belowBestVis = (eff != null && bestVis != null && eff < bestVis);
-  const belowBestCig = (typeof cigFt === "number" && bestCig != null && cigFt < bestCig);
-  const belowBest = belowBestVis || belowBestCig;
-
-  const belowAltVis = (eff != null && altVis != null && eff < altVis);
-  const belowAltCig = (typeof cigFt === "number" && altCig != null && cigFt < altCig);
-  const belowAlt = belowAltVis || belowAltCig;
-
-  const effDetail = (()=>{
-    const parts = [];
-    if (typeof visM === "number") parts.push(`VIS ${fmtM(visM)}`);
-    if (typeof rvrMin === "number") parts.push(`RVR(min) ${fmtM(rvrMin)}`);
-    if (parts.length >= 2) return `${fmtM(eff)} (min of ${parts.join(" and ")})`;
-    if (parts.length === 1) return `${fmtM(eff)} (${parts[0]})`;
-    return fmtM(eff);
-  })();
-
-  const addEvidence = (whyArr, token)=>{
-    const sn = snippetAround(raw, token);
-    if (sn) whyArr.push(`Evidence in ${sourceLabel}: ${sn}`);
-    else if (token) whyArr.push(`Evidence in ${sourceLabel}: ${token}`);
-  };
-
-  const visToken = (()=>{
-    if (typeof rvrMin === "number" && eff === rvrMin){
-      return findRvrToken(raw, rvrMin) || findVisToken(raw, visM);
-    }
-    return findVisToken(raw, visM) || findRvrToken(raw, rvrMin);
-  })();
-  const cigToken = (typeof cigFt === "number") ? findCeilToken(raw, cigFt) : null;
-
-  if (belowBest){
-    const why = [];
-    why.push("Approach minima (BEST): below the airport's best configured minima.");
-    if (belowBestVis){
-      why.push(`Effective visibility = ${effDetail} < BEST visibility minima ${fmtM(bestVis)}.`);
-      addEvidence(why, visToken);
-    }
-    if (belowBestCig){
-      why.push(`Ceiling = ${fmtFt(cigFt)} < BEST ceiling minima ${fmtFt(bestCig)}.`);
-      addEvidence(why, cigToken);
-    }
-    items.push({label:"MINIMA CRIT", cls:"tag--bad", why});
-    return {alert:"CRIT", items};
-  }
-
-  if (belowAlt){
-    const why = [];
-    why.push("Approach minima (ALT): below the second-best minima while the BEST minima is still met.");
-    if (belowAltVis){
-      why.push(`Effective visibility = ${effDetail} < ALT visibility minima ${fmtM(altVis)} (BEST vis minima: ${fmtM(bestVis)}).`);
-      addEvidence(why, visToken);
-    }
-    if (belowAltCig){
-      why.push(`Ceiling = ${fmtFt(cigFt)} < ALT ceiling minima ${fmtFt(altCig)} (BEST ceiling minima: ${fmtFt(bestCig)}).`);
-      addEvidence(why, cigToken);
-    }
-    why.push("Operational interpretation: only the BEST approach remains within minima.");
-    items.push({label:"MINIMA LIMIT", cls:"tag--warn", why});
-    return {alert:"MED", items};
-  }
-
-  return {alert:"OK", items};
-}
-
-function hazardFlags(raw){
-  // Lightweight hazards for map view.
-  // Strip report header + ICAO to avoid false positives (e.g. LGTS/GCTS => 'TS').
-  if (!raw) return {
-    fzfg:false, fg:false, br:false, sn:false, ra:false, ts:false, cb:false, va:false,
-    fzra:false, gr:false, pl:false, gs:false, sg:false,
-    heavySn:false, heavyFzra:false, heavyHail:false
-  };
-
-  const upAll = String(raw).toUpperCase();
-
-  const toksAll = upAll.split(/\s+/).map(t=>t.trim()).filter(Boolean);
-  let i = 0;
-  const headerSkip = new Set(["METAR","SPECI","TAF","AUTO","COR","AMD","CNL","NIL"]);
-  while (i < toksAll.length && headerSkip.has(toksAll[i])) i++;
-  if (i < toksAll.length && /^[A-Z]{4}$/.test(toksAll[i])) i++;
-  const toks = toksAll.slice(i);
-  const coreText = toks.join(" ");
-
-  const wxToks = toks.filter(t=>{
-    if (t.includes("/")) return false;
-    if (/[0-9]/.test(t)) return false;
-    if (/KT$/.test(t) || /MPS$/.test(t)) return false;
-    if (t.length > 10) return false;
-    return true;
-  });
-  const hasWx = (needle)=>wxToks.some(t=>t.includes(needle));
-  const hasWxRe = (re)=>wxToks.some(t=>re.test(t));
-
-  const fzra = /\bFZRA\b/.test(coreText) || hasWx("FZRA");
-  const gr = /\b\+?GR\b/.test(coreText) || hasWx("GR");
-  const pl = /\bPL\b/.test(coreText) || hasWx("PL");
-  const gs = /\bGS\b/.test(coreText) || hasWx("GS");
-  const sg = /\bSG\b/.test(coreText) || hasWx("SG");
-  const heavySn = /\b\+SN\b/.test(coreText) || wxToks.some(t=>t.startsWith("+" ) && t.includes("SN"));
-  const heavyFzra = /\b\+FZRA\b/.test(coreText);
-  const heavyHail = /\b\+GR\b/.test(coreText);
-
-  return {
-    fzfg: /\bFZFG\b/.test(coreText),
-    fg: /\bFG\b/.test(coreText) || hasWx("FG"),
-    br: /\bBR\b/.test(coreText) || hasWx("BR"),
-    sn: /\bSN\b/.test(coreText) || /\bSHSN\b/.test(coreText) || /\bBLSN\b/.test(coreText) || hasWx("SN"),
-    ra: /\bRA\b/.test(coreText) || /\bDZ\b/.test(coreText) || hasWx("RA") || hasWx("DZ"),
-    ts: hasWxRe(/^(?:\+|\-)?TS/) || hasWxRe(/^VCTS/),
-    cb: /\b(?:FEW|SCT|BKN|OVC|VV)\d{3}(?:CB|TCU)\b/.test(coreText) || /\bCB\b/.test(coreText) || /\bTCU\b/.test(coreText),
-    va: /\bVA\b/.test(coreText),
-    fzra, gr, pl, gs, sg,
-    heavySn, heavyFzra, heavyHail
-  };
-}
-
-function computeScores(raw){
-  const vis = parseVisibilityMeters(raw);
-  const rvrMin = (()=>{
-    const rv = extractRvrMeters(raw);
-    return rv.length ? Math.min(...rv) : null;
-  })();
-  const cig = ceilingFt(raw);
-  const hz = hazardFlags(raw);
-  const gustMax = gustMaxKt(raw);
-
-  // Score tuning consistent with desktop app.js
-  let score = 0;
-  if (vis !== null){
-    if (vis <= 150) score += 30;
-    else if (vis <= 175) score += 24;
-    else if (vis <= 250) score += 18;
-    else if (vis <= 300) score += 14;
-    else if (vis <= 500) score += 10;
-    else if (vis <= 550) score += 8;
-    else if (vis <= 800) score += 5;
-  }
-
-  if (rvrMin !== null){
-    if (rvrMin <= 75) score += 30;
-    else if (rvrMin <= 200) score += 22;
-    else if (rvrMin <= 300) score += 16;
-    else if (rvrMin <= 500) score += 8;
-  }
-
-  if (cig !== null){
-    if (cig < 500) score += 22;
-    else if (cig < 800) score += 12;
-  }
-
-  if (hz.ts) score += 22;
-  if (hz.fzfg) score += 18;
-  if (hz.fg) score += 14;
-  if (hz.sn) score += 10;
-  if (hz.ra) score += 8;
-  if (hz.br) score += 6;
-
-  if (gustMax !== null){
-    if (gustMax >= 40) score += 10;
-    else if (gustMax >= 30) score += 6;
-    else if (gustMax >= 25) score += 4;
-  }
-
-  score = Math.min(100, score);
-  return {vis, rvrMin, cig, hz, gustMax, score};
-}
-
-function windPillarAlert(met, taf){
-  const g = Math.max(met.gustMax ?? 0, taf.gustMax ?? 0);
-  if (!g) return "OK";
-  if (g >= 40) return "CRIT";
-  if (g >= 30) return "HIGH";
-  if (g >= 25) return "MED";
-  return "OK";
-}
-
-function snowPillarAlert(st, met, taf){
-  // Operationally prioritize any SN + low vis or low ceiling
-  const sn = met.hz.sn || taf.hz.sn;
-  const worstVis = (()=>{
-    const vals = [];
-    if (met.vis !== null) vals.push(met.vis);
-    const tv = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (tv.length) vals.push(Math.min(...tv));
-    return vals.length ? Math.min(...vals) : null;
-  })();
-  const cigAll = (()=>{
-    const a = ceilingFt(st.metarRaw || "");
-    const b = ceilingFt(st.tafRaw || "");
-    if (a === null) return b;
-    if (b === null) return a;
-    return Math.min(a,b);
-  })();
-
-  if (!sn) return "OK";
-  if (worstVis !== null && worstVis <= 300) return "HIGH";
-  if (cigAll !== null && cigAll < 500) return "HIGH";
-  return "MED";
-}
-
-function decodeMetar(raw){
-  if (!raw) return "";
-  const out = [];
-  const wind = raw.match(/\b(\d{3}|VRB)(\d{2})(G(\d{2}))?KT\b/);
-  if (wind){
-    const g = wind[4] ? ` gust ${wind[4]} kt` : "";
-    out.push(`Wind: ${wind[1]}° ${wind[2]} kt${g}`);
-  }
-  if (/\bCAVOK\b/i.test(raw)) out.push("Visibility: 10 km or more");
-  else{
-    const v = parseVisibilityMeters(raw);
-    if (v !== null) out.push(`Visibility: ${v >= 10000 ? "10 km or more" : (v + " m")}`);
-  }
-  const hz = hazardFlags(raw);
-  const wx = [];
-  if (hz.fzfg) wx.push("Freezing fog");
-  else if (hz.fg) wx.push("Fog");
-  if (hz.br) wx.push("Mist");
-  if (hz.sn) wx.push("Snow");
-  if (hz.ra) wx.push("Rain/Drizzle");
-  if (hz.ts) wx.push("Thunderstorm");
-  if (wx.length) out.push(`Weather: ${wx.join(", ")}`);
-
-  const q = raw.match(/\bQ(\d{4})\b/);
-  if (q) out.push(`QNH: ${q[1]} hPa`);
-
-  const cig = ceilingFt(raw);
-  if (cig !== null) out.push(`Ceiling: ${cig} ft AGL`);
-
-  return `<ul>${out.map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
+function decodeMetar(raw, decoded){
+  // Structured decode from the shared core; computeDerivedStation always supplies st.metarDecoded.
+  if (!raw || !decoded) return "";
+  return `<ul>${metarDecodedLines(decoded).map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
 }
 
 function decodeTaf(raw){
@@ -561,195 +60,96 @@ function decodeTaf(raw){
   return `<ul>${out.map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
 }
 
-function computeOmPolicy(st, met, taf, worstVis, rvrMinAll, runwaysMap){
-  try{
-    const api = (typeof window !== "undefined") ? window.WXM_OM : null;
-    if (api && typeof api.computeOmFlags === "function"){
-      return api.computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap || null);
-    }
-  }catch(e){}
-  return {
-    explain: {src: null, heavyMatches: [], refVisType: null, refVisValue: null, worstVis: null, rvrMinAll: null,
-      runwayCond: {cond:null, rwyccEst:null, evidence:[]}, wind:{}, xwind:{}},
-    // core flags
-    toProhib:false, heavyPrecip:false, heavyPrecipTokens:[],
-    lvto:false, lvp:false, lvtoQualReq:false, rvr125:false,
-    rvrRequired:false,
-    cat2Plus:false, cat3Only:false, cat3BelowMin:false,
-    xwindExceed:false, xwindKt:null, xwindLimitKt:null,
-    va:false,
-    noOpsLikely:false, rwyccEst:null, rwyCond:null,
-    coldcorr:false
-  };
-}
-
-function deriveStation(st, runwaysMap){
-  const met = computeScores(st.metarRaw || "");
-  const taf = computeScores(st.tafRaw || "");
+function deriveStation(st, runwaysMap, omRules){
+  // Backend-precomputed station when available, otherwise the same shared core the backend runs.
+  const d = (st._thinComputed && st.met && st.taf && Array.isArray(st.triggers))
+    ? st
+    : computeDerivedStation(st, createOmFn(runwaysMap, omRules), new Date().toISOString());
 
-  // Forecast visibility: TAF can contain multiple vis groups; prefer the minimum found
-  const tafVisMin = (()=>{
-    const tv = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (tv.length) return Math.min(...tv);
-    return taf.vis;
-  })();
+  // Weather/minima triggers by source; OM policy triggers are listed separately (omTags).
+  // Area warnings (SIGMET, VAAC) join one tip per area with " | ".
+  const toItem = (t)=>({label: t.label, cls: t.cls, why: t.tip ? String(t.tip).split(" | ") : []});
+  const wxTrig = (d.triggers || []).filter(t => !t.om);
+  const now = {title: "NOW (METAR)", items: wxTrig.filter(t => String(t.src || "").includes("M")).map(toItem)};
+  const fcst = {title: "FORECAST (TAF)", items: wxTrig.filter(t => /[TN]/.test(String(t.src || ""))).map(toItem)};
 
-  const rvrMinMet = met.rvrMin;
-  const rvrMinTaf = (()=>{
-    const rv = extractRvrMeters(st.tafRaw || "");
-    return rv.length ? Math.min(...rv) : null;
-  })();
+  const nowAlert = d.metAlert || alertFromScore(d.met.score || 0);
+  const fcstAlert = maxAlert(d.tafAlert || alertFromScore(Math.floor((d.taf.score || 0) * 0.85)), d.trendAlert);
 
-  let nowAlert = alertFromScore(met.score || 0);
-  let fcstAlert = alertFromScore(taf.score || 0);
+  const omTags = buildOmTags(d.omMet, d.omTaf, d.omTrend);
 
-  const engIceOpsMet = !!(met.hz.fzra || met.hz.pl || met.hz.gr || met.hz.gs || met.hz.sg || met.hz.heavyFzra || met.hz.heavyHail);
-  const engIceOpsTaf = !!(taf.hz.fzra || taf.hz.pl || taf.hz.gr || taf.hz.gs || taf.hz.sg || taf.hz.heavyFzra || taf.hz.heavyHail);
-
-  // OM: compute per-source so we can explain M vs T cleanly
-  const stMet = Object.assign({}, st, { tafRaw: "" });
-  const stTaf = Object.assign({}, st, { metarRaw: "" });
-
-  const worstVisMet = (typeof met.vis === "number") ? met.vis : null;
-  const worstVisTaf = (typeof tafVisMin === "number") ? tafVisMin : null;
-
-  const omMet = computeOmPolicy(stMet, met, {hz:{}}, worstVisMet, rvrMinMet, runwaysMap);
-  const omTaf = computeOmPolicy(stTaf, {hz:{}}, taf, worstVisTaf, rvrMinTaf, runwaysMap);
-
-  // Trigger lists, aligned with dashboard semantics
-  const now = buildWxTriggers("NOW (METAR)", met, met.vis, rvrMinMet, engIceOpsMet);
-  const fcst = buildWxTriggers("FORECAST (TAF)", taf, tafVisMin, rvrMinTaf, engIceOpsTaf);
-// Approach minima (airport-specific BEST/ALT) – align map behavior with the dashboard MINIMA tiles.
-const minNow = buildMinimaTriggers("METAR", st.minima, met.vis, rvrMinMet, met.cig, st.metarRaw || "");
-if (minNow.items.length) now.items = [...minNow.items, ...now.items];
-nowAlert = maxAlert(nowAlert, minNow.alert);
-
-const minFcst = buildMinimaTriggers("TAF", st.minima, tafVisMin, rvrMinTaf, taf.cig, st.tafRaw || "");
-if (minFcst.items.length) fcst.items = [...minFcst.items, ...fcst.items];
-fcstAlert = maxAlert(fcstAlert, minFcst.alert);
-
-  const omTags = buildOmTags(omMet, omTaf);
-
-  // Overall marker alert: worst of NOW/FORECAST + any "STOP" OM minima
+  // Overall marker alert: the station alert (same as the dashboard) + any "STOP" OM minima
   const omStop = omTags.some(t=>t.level === "STOP");
-  const overallAlert = omStop ? "STOP" : maxAlert(nowAlert, fcstAlert);
+  const overallAlert = omStop ? "STOP" : (d.alert || maxAlert(nowAlert, fcstAlert));
 
-  const hasAnyTrigger = (now.items.length + fcst.items.length + omTags.length) > 0 || overallAlert !== "OK";
+  const hasAnyTrigger = (d.triggers || []).length > 0 || overallAlert !== "OK";
 
   return {
-    met, taf,
+    met: d.met, taf: d.taf,
     nowAlert, fcstAlert,
     now, fcst,
-    omMet, omTaf, omTags,
+    omMet: d.omMet, omTaf: d.omTaf, omTags,
     overallAlert,
     hasAnyTrigger
   };
 }
 
-function buildWxTriggers(title, sc, visM, rvrMin, engIceOps){
-  const items = [];
-
-  const add = (label, cls, why=[])=>items.push({label, cls, why});
-
-  // CRIT is based on the score ladder (desktop uses same alertFromScore)
-  const a = alertFromScore(sc.score || 0);
-  if (a === "CRIT") add("CRIT", "tag--bad", [
-    `Severity score = ${Math.round(sc.score||0)} (CRIT threshold: ≥70)`
-  ]);
-
-  // Visibility / RVR critical trigger (dashboard: 300m)
-  const vis = (typeof visM === "number") ? visM : null;
-  const rvr = (typeof rvrMin === "number") ? rvrMin : null;
-  if ((vis != null && vis < 300) || (rvr != null && rvr < 300)){
-    const why = [];
-    if (rvr != null) why.push(`RVR(min) = ${rvr} m (trigger: <300 m)`);
-    if (vis != null) why.push(`VIS = ${vis} m (trigger: <300 m)`);
-    add("VIS/RVR", "tag--bad", why);
-  }
-
-  // TS / CB triggers (token-based, ICAO-safe)
-  if (sc.hz.ts || sc.hz.cb){
-    const why = [];
-    if (sc.hz.ts) why.push("Thunderstorm detected in WX tokens (e.g. TS, -TSRA, VCTS).");
-    if (sc.hz.cb) why.push("CB/TCU detected (e.g. BKNxxxCB / SCTxxxTCU).");
-    add("TS/CB", "tag--bad", why);
-  }
-
-  // Wind trigger (dashboard: gust >= 25kt)
-  const g = (sc.gustMax ?? 0);
-  if (g >= 25){
-    add("WIND", "tag--wind", [
-      `Gust = ${g} kt (trigger: ≥25 kt)`
-    ]);
-  }
-
-  // Snow trigger
-  if (sc.hz.sn){
-    add("SNOW", "tag--warn", [
-      "Snow / blowing snow detected (SN / SHSN / BLSN)."
-    ]);
-  }
-
-  // Engine ice ops trigger
-  if (engIceOps){
-    add("ENG ICE OPS", "tag--eng", [
-      "Icing-relevant precipitation detected (e.g. FZRA / PL / GR / GS / SG)."
-    ]);
-  }
-
-  return {title, items};
-}
-
-function buildOmTags(omMet, omTaf){
+function buildOmTags(omMet, omTaf, omTrend){
   const out = [];
 
   const push = (label, cls, level, src, why)=>out.push({label, cls, level, src, why});
 
   const lvoTag = (om)=>{
-    if (om.rvr125) return {label:"RVR<125", cls:"tag--bad", level:"STOP"};
-    if (om.lvtoQualReq) return {label:"LVTO<150 QUAL", cls:"tag--lvto", level:"HIGH"};
-    if (om.lvp) return {label:"LVP (<400)", cls:"tag--lvto", level:"MED"};
-    if (om.lvto) return {label:"LVTO (<550)", cls:"tag--lvto", level:"MED"};
+    if (om.rvr125) return {label:"RVR<125", cls:"tag--bad", level:"STOP", flag:"rvr125"};
+    if (om.lvtoQualReq) return {label:"LVTO<150 QUAL", cls:"tag--lvto", level:"HIGH", flag:"lvtoQualReq"};
+    if (om.lvp) return {label:"LVP (<400)", cls:"tag--lvto", level:"MED", flag:"lvp"};
+    if (om.lvto) return {label:"LVTO (<550)", cls:"tag--lvto", level:"MED", flag:"lvto"};
     return null;
   };
   const catTag = (om)=>{
-    if (om.cat3BelowMin) return {label:"CAT3<75", cls:"tag--bad", level:"STOP"};
-    if (om.cat3Only) return {label:"CAT3 ONLY (<200)", cls:"tag--lvto", level:"HIGH"};
-    if (om.cat2Plus) return {label:"CAT2+ (<450)", cls:"tag--lvto", level:"MED"};
+    if (om.cat3BelowMin) return {label:"CAT3<75", cls:"tag--bad", level:"STOP", flag:"cat3BelowMin"};
+    if (om.cat3Only) return {label:"CAT3 ONLY (<200)", cls:"tag--lvto", level:"HIGH", flag:"cat3Only"};
+    if (om.cat2Plus) return {label:"CAT2+ (<450)", cls:"tag--lvto", level:"MED", flag:"cat2Plus"};
     return null;
   };
 
   const addFrom = (om, src)=>{
     if (!om) return;
     if (om.toProhib){
-      push("TO PROHIB (OM)", "tag--bad", "STOP", src, explainToProhib(om));
+      push("TO PROHIB (OM)", "tag--bad", "STOP", src, [...explainToProhib(om), ...explainRule(om, "toProhib")]);
     }
     const lvo = lvoTag(om);
-    if (lvo) push(`${lvo.label} (OM)`, lvo.cls, lvo.level, src, explainLvo(om, lvo.label));
+    if (lvo) push(`${lvo.label} (OM)`, lvo.cls, lvo.level, src, [...explainLvo(om), ...explainRule(om, lvo.flag)]);
     if (om.rvrRequired){
-      push("RVR REQ (<800) (OM)", "tag--warn", "MED", src, explainRvrReq(om));
+      push("RVR REQ (<800) (OM)", "tag--warn", "MED", src, [...explainRvrReq(om), ...explainRule(om, "rvrRequired")]);
     }
     const ct = catTag(om);
-    if (ct) push(`${ct.label} (OM)`, ct.cls, ct.level, src, explainCat(om, ct.label));
+    if (ct) push(`${ct.label} (OM)`, ct.cls, ct.level, src, [...explainCat(om, ct.flag), ...explainRule(om, ct.flag)]);
     if (om.noOpsLikely){
-      push("RWYCC<3 LIKELY (OM)", "tag--warn", "HIGH", src, explainRwycc(om));
+      const rep = om.rwyccSource === "reported";
+      push(rep ? "RWYCC<3 REPORTED (OM)" : "RWYCC<3 LIKELY (OM)", "tag--warn", "HIGH", src, [...explainRwycc(om), ...explainRule(om, "noOpsLikely")]);
     }
     if (om.xwindExceed){
       const lim = (om.xwindLimitKt != null) ? `${om.xwindLimitKt}KT` : "LIMIT";
-      push(`XWIND>${lim} (OM)`, "tag--wind", "HIGH", src, explainXwind(om));
+      push(`XWIND>${lim} (OM)`, "tag--wind", "HIGH", src, [...explainXwind(om), ...explainRule(om, "xwindExceed")]);
+    }
+    if (om.tailwindExceed){
+      const lim = (om.tailwindLimitKt != null) ? `${om.tailwindLimitKt}KT` : "LIMIT";
+      push(`TAILWIND>${lim} (OM)`, "tag--wind", "HIGH", src, [...explainTailwind(om), ...explainRule(om, "tailwindExceed")]);
     }
     if (om.va){
       push("VA (OM)", "tag--bad", "HIGH", src, ["Volcanic ash (VA) detected in report."]);
     }
     if (om.coldcorr){
-      push("COLD CORR (OM)", "tag--warn", "MED", src, explainCold(om));
+      push("COLD CORR (OM)", "tag--warn", "MED", src, [...explainCold(om), ...explainRule(om, "coldcorr")]);
     }
   };
 
   addFrom(omMet, "M");
   addFrom(omTaf, "T");
+  addFrom(omTrend, "N");
 
-  // Merge duplicates: if same label exists in both sources, consolidate as MT
+  // Merge duplicates: if same label exists in several sources, consolidate (e.g. MT, MTN)
   const merged = new Map();
   for (const t of out){
     const k = t.label;
@@ -757,7 +157,7 @@ function buildOmTags(omMet, omTaf){
       merged.set(k, Object.assign({}, t));
     }else{
       const cur = merged.get(k);
-      cur.src = (cur.src === t.src) ? cur.src : "MT";
+      if (!cur.src.includes(t.src)) cur.src += t.src;
       // Keep the worst level
       const order = {OK:0, MED:1, HIGH:2, CRIT:3, STOP:4};
       if ((order[t.level]||0) > (order[cur.level]||0)){
@@ -771,41 +171,60 @@ function buildOmTags(omMet, omTaf){
   return Array.from(merged.values());
 }
 
+function explainRule(om, flag){
+  // Rule (config/om_rules.json) that produced the flag, for audit.
+  const fired = (om.explain && om.explain.rules && om.explain.rules.fired) || [];
+  const r = fired.find(f => f.flag === flag);
+  if (!r) return [];
+  return [`Rule ${r.id} v${r.version ?? "—"}${r.ref ? ` (${r.ref})` : ""}${r.effectiveFrom ? `, effective ${r.effectiveFrom}` : ""}.`];
+}
+function threshold(om, key){
+  const t = om.explain && om.explain.thresholds;
+  return (t && t[key] != null) ? t[key] : "—";
+}
 function explainToProhib(om){
   const e = om.explain || {};
   const m = Array.isArray(e.heavyMatches) ? e.heavyMatches : [];
   if (m.length) return [
     `Matched heavy/freezing/hail/convective tokens: ${m.join(", ")}.`,
-    "Operational effect: TAKEOFF PROHIBITED (OM-A heavy precipitation limitations)."
+    "Operational effect: TAKEOFF PROHIBITED (heavy precipitation limitations)."
   ];
-  return ["Operational effect: TAKEOFF PROHIBITED (OM-A heavy precipitation limitations)."];
+  return ["Operational effect: TAKEOFF PROHIBITED (heavy precipitation limitations)."];
+}
+function rvrRefLine(e){
+  // RVR the bands used: the runway in use when it has its own group, else the lowest over all runways.
+  if (e.rvrRunway) return `RVR RWY ${e.rvrRunway.rwy} (in use) = ${e.rvrRunway.rvrM} m.`;
+  return (typeof e.rvrMinAll === "number") ? `RVR(min) = ${e.rvrMinAll} m.` : null;
 }
-function explainLvo(om, label){
+function explainLvo(om){
   const e = om.explain || {};
   const parts = [];
-  if (typeof e.rvrMinAll === "number") parts.push(`RVR(min) = ${e.rvrMinAll} m.`);
+  const rvr = rvrRefLine(e);
+  if (rvr) parts.push(rvr);
   else if (typeof e.worstVis === "number") parts.push(`VIS(worst) = ${e.worstVis} m.`);
-  if (label.includes("550")) parts.push("Threshold: LVTO < 550 m.");
-  if (label.includes("400")) parts.push("Threshold: LVP required below 400 m.");
-  if (label.includes("150")) parts.push("Threshold: crew qualification below 150 m.");
-  if (label.includes("125")) parts.push("Threshold: below 125 m (below minima).");
+  if (om.rvr125) parts.push(`Threshold: below ${threshold(om, "rvrStopM")} m (below minima).`);
+  else if (om.lvtoQualReq) parts.push(`Threshold: crew qualification below ${threshold(om, "lvtoQualM")} m.`);
+  else if (om.lvp) parts.push(`Threshold: LVP required below ${threshold(om, "lvpM")} m.`);
+  else if (om.lvto) parts.push(`Threshold: LVTO < ${threshold(om, "lvtoM")} m.`);
   return parts.length ? parts : ["Low visibility takeoff band (OM-A)."];
 }
 function explainRvrReq(om){
   const e = om.explain || {};
   const out = [];
-  if (typeof e.worstVis === "number") out.push(`VIS/CMV = ${e.worstVis} m (<800 m).`);
-  out.push("RVR reporting required when VIS/CMV < 800 m (approach/landing context).");
+  const lim = threshold(om, "rvrRequiredM");
+  if (typeof e.worstVis === "number") out.push(`VIS/CMV = ${e.worstVis} m (<${lim} m).`);
+  out.push(`RVR reporting required when VIS/CMV < ${lim} m (approach/landing context).`);
   if (e.rvrAny === false) out.push("No RVR group present in the report.");
   return out;
 }
-function explainCat(om, label){
+function explainCat(om, flag){
   const e = om.explain || {};
   const out = [];
-  if (typeof e.rvrMinAll === "number") out.push(`RVR(min) = ${e.rvrMinAll} m.`);
-  if (label.includes("450")) out.push("CAT II+ environment (RVR < 450 m).");
-  if (label.includes("200")) out.push("CAT III only environment (RVR < 200 m).");
-  if (label.includes("75")) out.push("Below CAT III minima (RVR < 75 m).");
+  const rvr = rvrRefLine(e);
+  if (rvr) out.push(rvr);
+  if (flag === "cat2Plus") out.push(`CAT II+ environment (RVR < ${threshold(om, "cat2M")} m).`);
+  if (flag === "cat3Only") out.push(`CAT III only environment (RVR < ${threshold(om, "cat3M")} m).`);
+  if (flag === "cat3BelowMin") out.push(`Below CAT III minima (RVR < ${threshold(om, "cat3LowM")} m).`);
   return out.length ? out : ["Approach category band (OM-A)."];
 }
 function explainRwycc(om){
@@ -813,9 +232,14 @@ function explainRwycc(om){
   const rc = e.runwayCond || {};
   const ev = Array.isArray(rc.evidence) ? rc.evidence : [];
   const out = [];
-  if (typeof rc.rwyccEst === "number") out.push(`Estimated RWYCC = ${rc.rwyccEst} (proxy from WX).`);
-  if (ev.length) out.push(`Evidence: ${ev.join(", ")}.`);
-  out.push("Advisory: RWYCC<3 implies significant contamination (OM-B crosswind/ops limitations).");
+  if (rc.source === "reported"){
+    if (typeof rc.rwyccEst === "number") out.push(`Reported RWYCC = ${rc.rwyccEst} on RWY ${rc.rwy === "88" ? "ALL" : (rc.rwy || "—")} (${rc.basis || "runway state group"}).`);
+    if (ev.length) out.push(`${rc.reportedBy === "SNOWTAM" ? "SNOWTAM" : "Runway state"}: ${ev.join(", ")}.`);
+  } else {
+    if (typeof rc.rwyccEst === "number") out.push(`Estimated RWYCC = ${rc.rwyccEst} (proxy from WX).`);
+    if (ev.length) out.push(`Evidence: ${ev.join(", ")}.`);
+  }
+  out.push(`Advisory: RWYCC<${threshold(om, "noOpsRwycc")} implies significant contamination (OM-B crosswind/ops limitations).`);
   return out;
 }
 function explainXwind(om){
@@ -826,21 +250,33 @@ function explainXwind(om){
   const d = (w.dir != null) ? `${w.dir}°` : "—";
   const spd = (w.spd != null) ? `${w.spd}kt` : "—";
   const gst = (w.gst != null) ? `G${w.gst}kt` : "";
-  out.push(`Wind used: ${d} ${spd}${gst ? " "+gst : ""} (used speed: ${w.usedSpd ?? "—"}kt).`);
+  const vr = w.vrb ? " variable" : ((w.varFrom != null && w.varTo != null) ? ` varying ${w.varFrom}°–${w.varTo}°` : "");
+  out.push(`Wind used: ${d} ${spd}${gst ? " "+gst : ""}${vr} (used speed: ${w.usedSpd ?? "—"}kt).`);
   if (x.available){
-    out.push(`Best runway: ${x.runwayName || "—"} (hdg ${x.runwayHdg ?? "—"}°, width ${x.runwayWidthM ?? "—"} m${x.narrow ? ", narrow" : ""}).`);
+    const u = e.runwayInUse;
+    const basis = u ? `runway in use (${u.basis})` : "best runway";
+    out.push(`Evaluated ${basis}: ${x.runwayEnd ? x.runwayEnd+" of " : ""}${x.runwayName || "—"} (hdg ${x.runwayHdg ?? "—"}°, width ${x.runwayWidthM ?? "—"} m${x.narrow ? ", narrow" : ""}).`);
+    if (u && u.note) out.push(`Runway in use: ${u.note}.`);
     out.push(`Computed crosswind = ${x.xwindKt ?? "—"} kt; limit = ${x.limitKt ?? "—"} kt.`);
   }else{
     out.push("No runway geometry available (cannot compute crosswind).");
   }
-  if (typeof e.runwayCond?.rwyccEst === "number") out.push(`RWYCC proxy = ${e.runwayCond.rwyccEst}.`);
+  if (typeof e.runwayCond?.rwyccEst === "number") out.push(`RWYCC ${e.runwayCond.source === "reported" ? "reported" : "proxy"} = ${e.runwayCond.rwyccEst}.`);
   return out;
 }
+function explainTailwind(om){
+  const e = om.explain || {};
+  const ends = (e.windTable || []).map(r => `${r.rwy || "—"} ${(r.gust || r.mean || {}).tail ?? "—"}kt`);
+  return [
+    `Lowest tailwind over all runway ends = ${om.tailwindKt ?? "—"} kt; limit = ${om.tailwindLimitKt ?? "—"} kt.`,
+    `Tailwind per runway end: ${ends.length ? ends.join(", ") : "—"}.`
+  ];
+}
 function explainCold(om){
   const e = om.explain || {};
   const t = (typeof e.tempC === "number") ? e.tempC : null;
   if (t == null) return ["Cold temperature conditions detected (cold correction advisory)."];
-  return [`Temperature = ${t}°C (cold correction advisory).`];
+  return [`Temperature = ${t}°C, at or below ${threshold(om, "coldC")}°C (cold correction advisory).`];
 }
 
 function colorForStation(derived){
@@ -894,7 +330,7 @@ function buildPopupHtml(st, derived, isBase){
       <div class="popHdr">
         <div class="popTitle">
           <h3>${escapeHtml(code || "AIRPORT")}</h3>
-          <div class="sub">${escapeHtml(sub)}${st.updatedAt ? ` · METAR ${escapeHtml(st.updatedAt)}` : ""}</div>
+          <div class="sub">${escapeHtml(sub)}${st.updatedAt ? ` · METAR ${escapeHtml(fmtObsTime(st.updatedAt))}` : ""}</div>
         </div>
         <div class="popPills">
           ${baseP}
@@ -939,7 +375,7 @@ function buildPopupHtml(st, derived, isBase){
         <div class="grid" style="margin-top:8px;">
           <div>
             <div class="sub">METAR (decoded)</div>
-            ${decodeMetar(st.metarRaw || "")}
+            ${decodeMetar(st.metarRaw || "", st.metarDecoded)}
           </div>
           <div>
             <div class="sub">TAF (decoded)</div>
@@ -1021,6 +457,7 @@ async function fetchText(path){
 let MAP = null;
 let CLUSTERS = null;
 let RUNWAYS_MAP = null;
+let OM_RULES = null; // config/om_rules.json
 let BASE_ICAO_SET = new Set();
 let BASE_IATA_SET = new Set();
 
@@ -1208,6 +645,13 @@ async function init(){
   }
   RUNWAYS_MAP = runwaysMap;
 
+  // OM rule set (thresholds evaluated by the OM policy layer)
+  try{
+    OM_RULES = await fetchJson('config/om_rules.json');
+  }catch(e){
+    OM_RULES = null;
+  }
+
   // Base airports (single source of truth)
   BASE_IATA_SET = new Set();
   BASE_ICAO_SET = new Set();
@@ -1288,7 +732,7 @@ async function updateStations(data){
     if (!icao) continue;
 
     const isBase = BASE_ICAO_SET.has(icao) || ((st.iata || "") && BASE_IATA_SET.has(String(st.iata).toUpperCase()));
-    const derived = deriveStation(st, RUNWAYS_MAP);
+    const derived = deriveStation(st, RUNWAYS_MAP, OM_RULES);
     const color = colorForStation(derived);
 
     seen.add(icao);
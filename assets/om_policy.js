@@ -1,320 +1,725 @@
 /* OM-A/OM-B advisory policy layer (zero-manual inputs).
    - Crosswind advisory: uses OurAirports runway headings/widths (data/runways.json)
-   - Runway condition is inferred conservatively from METAR/TAF wx codes (no SNOWTAM/RWYCC).
+   - Runway condition comes from a valid SNOWTAM (GRF, st.snowtam) or METAR runway state groups when
+     reported; otherwise it is inferred conservatively from METAR/TAF wx codes.
    - Outputs are advisory (dispatcher aids), not operational release criteria.
-   - Consumed by assets/app.js via window.WXM_OM.computeOmFlags
+   - ES module: imported by assets/wx_core.js (browser pages and scripts/update-data.mjs alike)
+
+   Thresholds, the prohibition list and the crosswind table live in config/om_rules.json: one entry per
+   rule with id, version, effective dates and the OM reference. resolveOmRules() picks the version in
+   force, computeOmFlags() evaluates it and records the rule behind every flag in explain.rules.
+   A rule that is missing or not yet effective leaves its flag off.
+   Fleet profiles ("fleets" in the same file) carry per-type crosswind/narrow-runway tables, tailwind limit and
+   LVTO minimum RVR; computeOmFlags() evaluates the same wind and RVR against each of them (om.byFleet).
 
    Key OM references (user-provided PDFs):
    - OM-A: TAKEOFF IS PROHIBITED in specific heavy precip/freezing/hail conditions.
-   - OM-A: RVR reporting requirement when VIS/CMV < 800m for approach/landing.
-   - OM-A: LVP required for LVTO (RVR < 400m); crew qualification for LVTO (RVR < 150m).
-   - OM-B: Crosswind limits by runway condition (RCAM / RWYCC) and narrow runway limits.
+   - OM-A: RVR reporting requirement when VIS/CMV is low for approach/landing.
+   - OM-A: LVP required for LVTO; crew qualification for the lowest LVTO RVR.
+   - OM-B: Crosswind limits by runway condition (RCAM / RWYCC) and narrow runway limits; tailwind limit.
+
+   Wind: head/tail/crosswind per runway end for mean wind and gust (explain.windTable); variable winds
+   (dddVddd, VRB) take the worst direction per component.
+   Runway in use: st.runwayUse (config/runway_use.json: preferred ends and their tailwind/crosswind constraints,
+   usable ends) plus the wind pick the likely end; XWIND and the RVR bands use that runway (its own RVR group)
+   first, the most favourable end / lowest RVR otherwise (om.runwayInUse, explain.runwayInUse).
 */
 
-(function(){
-  const SIN = Math.sin;
-  const PI = Math.PI;
-
-  function toRad(deg){ return (deg * PI) / 180; }
-  function norm360(d){
-    d = ((d % 360) + 360) % 360;
-    return d;
+const SIN = Math.sin;
+const PI = Math.PI;
+
+function toRad(deg){ return (deg * PI) / 180; }
+function norm360(d){
+  d = ((d % 360) + 360) % 360;
+  return d;
+}
+function angleDiff(a,b){
+  const d = Math.abs(norm360(a) - norm360(b));
+  return d > 180 ? 360 - d : d;
+}
+
+function parseWindKt(raw){
+  // Returns {dir, spd, gst, vrb, varFrom, varTo} (numbers or null; vrb = "VRB" direction,
+  // varFrom/varTo = dddVddd variation group following the wind)
+  const none = {dir:null, spd:null, gst:null, vrb:false, varFrom:null, varTo:null};
+  if (!raw) return none;
+  const up = String(raw).toUpperCase();
+  const m = up.match(/\b(\d{3}|VRB)(\d{2,3})(G(\d{2,3}))?KT\b(?:\s+(\d{3})V(\d{3})\b)?/);
+  if (!m) return none;
+  const dir = (m[1] === "VRB") ? null : parseInt(m[1],10);
+  const spd = parseInt(m[2],10);
+  const gst = m[4] ? parseInt(m[4],10) : null;
+  const vf = m[5] ? parseInt(m[5],10) : null;
+  const vt = m[6] ? parseInt(m[6],10) : null;
+  return {
+    dir: Number.isFinite(dir) ? dir : null,
+    spd: Number.isFinite(spd) ? spd : null,
+    gst: Number.isFinite(gst) ? gst : null,
+    vrb: m[1] === "VRB",
+    varFrom: Number.isFinite(vf) ? vf : null,
+    varTo: Number.isFinite(vt) ? vt : null
+  };
+}
+
+function parseTempC(raw){
+  // Typical group: 03/M01 or M05/M10; we take first temperature
+  if (!raw) return null;
+  const up = String(raw).toUpperCase();
+  const m = up.match(/\b(M?\d{2})\/(M?\d{2})\b/);
+  if (!m) return null;
+  const t = m[1];
+  const v = t.startsWith("M") ? -parseInt(t.slice(1),10) : parseInt(t,10);
+  return Number.isFinite(v) ? v : null;
+}
+
+function stripRemarks(raw){
+  // RMK content (LTG DSNT, VIRGA, CB DSNT, sensor codes ...) is never policy evidence.
+  const s = String(raw || "");
+  const m = s.match(/(^|\s)RMK(\s|$)/i);
+  return m ? s.slice(0, m.index).trim() : s;
+}
+
+function hasToken(raw, re){ return re.test(String(raw || "").toUpperCase()); }
+
+function detectVA(raw){ return hasToken(raw, /\bVA\b/); }
+function detectCB(raw){
+  const up = String(raw || "").toUpperCase();
+  // CB/TCU may be appended to cloud groups (e.g. BKN020CB)
+  return /CB\b/.test(up) || /TCU\b/.test(up);
+}
+
+function detectAnyRvr(raw){
+  const up = String(raw || "").toUpperCase();
+  return /\bR\d{2}[LRC]?\/[PM]?\d{4}/.test(up);
+}
+
+function extractRvrGroups(raw){
+  // Parses METAR/TAF RVR groups like: R12/0600U, R27/P2000, R04/0300V0600D
+  // Returns [{rwy, q1, v1, q2, v2, trend}]
+  if (!raw) return [];
+  const re = /\bR(\d{2}[LRC]?)\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?\b/g;
+  const out = [];
+  let m;
+  while ((m = re.exec(String(raw))) !== null){
+    out.push({
+      rwy: m[1] || null,
+      q1: m[2] || "",
+      v1: m[3] ? parseInt(m[3],10) : null,
+      q2: m[4] || "",
+      v2: m[5] ? parseInt(m[5],10) : null,
+      trend: m[6] || ""
+    });
   }
-  function angleDiff(a,b){
-    const d = Math.abs(norm360(a) - norm360(b));
-    return d > 180 ? 360 - d : d;
+  return out.filter(x => Number.isFinite(x.v1) || Number.isFinite(x.v2));
+}
+
+function heavyPrecipMatches(raw, tokens){
+  // TO_PROHIB_WX rule tokens: "+X" matches heavy only; a bare "X" matches any intensity and is
+  // reported as "+X" when heavy (e.g. FZRA -> "+FZRA" or "FZRA").
+  const up = String(raw || "").toUpperCase();
+  const out = [];
+  for (const tok of (Array.isArray(tokens) ? tokens : [])){
+    const t = String(tok).toUpperCase().trim();
+    const heavyOnly = t.startsWith("+");
+    const wx = heavyOnly ? t.slice(1) : t;
+    if (!/^[A-Z]{2,6}$/.test(wx)) continue;
+    if (new RegExp(`\\+${wx}\\b`).test(up)) out.push(`+${wx}`);
+    else if (!heavyOnly && new RegExp(`\\b${wx}\\b`).test(up)) out.push(wx);
   }
-
-  function parseWindKt(raw){
-    // Returns {dir: number|null, spd: number|null, gst: number|null}
-    if (!raw) return {dir:null, spd:null, gst:null};
-    const up = String(raw).toUpperCase();
-    const m = up.match(/\b(\d{3}|VRB)(\d{2,3})(G(\d{2,3}))?KT\b/);
-    if (!m) return {dir:null, spd:null, gst:null};
-    const dir = (m[1] === "VRB") ? null : parseInt(m[1],10);
-    const spd = parseInt(m[2],10);
-    const gst = m[4] ? parseInt(m[4],10) : null;
-    return {
-      dir: Number.isFinite(dir) ? dir : null,
-      spd: Number.isFinite(spd) ? spd : null,
-      gst: Number.isFinite(gst) ? gst : null
-    };
+  return [...new Set(out)];
+}
+
+function detectHeavyPrecipTOProhib(raw, tokens){
+  return heavyPrecipMatches(raw, tokens).length > 0;
+}
+
+
+function inferRunwayCondition(metarRaw, tafRaw){
+  // Conservative inference from wx codes only.
+  // Returns {cond, rwyccEst, evidence[]} (evidence are wx tokens that drove the estimate).
+  // - DRY     => RWYCC 6
+  // - WET     => RWYCC 5 (damp/wet)
+  // - CONTAM  => RWYCC 3 (snow contamination proxy)
+  // - SEVERE  => RWYCC 2 proxy (freezing rain / ice pellets / hail)
+  const up = `${metarRaw||""} ${tafRaw||""}`.toUpperCase();
+
+  const ev = [];
+
+  const severeRe = /\b(FZRA|FZDZ|PL|GR)\b/g;
+  let mm;
+  while ((mm = severeRe.exec(up)) !== null) ev.push(mm[1]);
+  if (ev.length){
+    return {cond:"SEVERE", rwyccEst:2, evidence:[...new Set(ev)]};
   }
 
-  function parseTempC(raw){
-    // Typical group: 03/M01 or M05/M10; we take first temperature
-    if (!raw) return null;
-    const up = String(raw).toUpperCase();
-    const m = up.match(/\b(M?\d{2})\/(M?\d{2})\b/);
-    if (!m) return null;
-    const t = m[1];
-    const v = t.startsWith("M") ? -parseInt(t.slice(1),10) : parseInt(t,10);
-    return Number.isFinite(v) ? v : null;
+  const snowRe = /\b(SN|SG|GS|BLSN|DRSN|SHSN)\b/g;
+  while ((mm = snowRe.exec(up)) !== null) ev.push(mm[1]);
+  if (ev.length){
+    return {cond:"CONTAM", rwyccEst:3, evidence:[...new Set(ev)]};
   }
 
-  function hasToken(raw, re){ return re.test(String(raw || "").toUpperCase()); }
-
-  function detectVA(raw){ return hasToken(raw, /\bVA\b/); }
-  function detectCB(raw){
-    const up = String(raw || "").toUpperCase();
-    // CB/TCU may be appended to cloud groups (e.g. BKN020CB)
-    return /CB\b/.test(up) || /TCU\b/.test(up);
+  const wetRe = /\b(RA|DZ)\b/g;
+  while ((mm = wetRe.exec(up)) !== null) ev.push(mm[1]);
+  if (ev.length){
+    return {cond:"WET", rwyccEst:5, evidence:[...new Set(ev)]};
   }
 
-  function detectAnyRvr(raw){
-    const up = String(raw || "").toUpperCase();
-    return /\bR\d{2}[LRC]?\/[PM]?\d{4}/.test(up);
+  return {cond:"DRY", rwyccEst:6, evidence:[]};
+}
+
+
+
+// Runway state groups (WMO/MOTNE): R24/290150, R88/CLRD//, R24L/5//195, legacy 24290150, R/SNOCLO.
+// RDRDR/ERCReReRBRBR: deposit, extent, depth, friction/braking. 88 = all runways.
+const RWY_DEPOSIT = {
+  "0":"clear and dry", "1":"damp", "2":"wet or water patches", "3":"rime or frost",
+  "4":"dry snow", "5":"wet snow", "6":"slush", "7":"ice", "8":"compacted or rolled snow",
+  "9":"frozen ruts or ridges"
+};
+const RWY_EXTENT = { "1":"10% or less", "2":"11–25%", "5":"26–50%", "9":"51–100%" };
+const RWY_BRAKING = { 91:"poor", 92:"medium to poor", 93:"medium", 94:"medium to good", 95:"good", 99:"unreliable" };
+
+function decodeRunwayDepthMm(code){
+  if (code == null || code === "//") return null;
+  const n = parseInt(code,10);
+  if (!Number.isFinite(n)) return null;
+  if (n <= 90) return n;
+  if (n >= 92 && n <= 97) return (n - 90) * 50;
+  if (n === 98) return 400;
+  return null;
+}
+
+function rwyccFromBraking(code){
+  // Braking action / friction coefficient -> RWYCC (ICAO GRF correlation).
+  if (code == null || code === 99) return null;
+  if (code >= 91 && code <= 95) return code - 90;
+  if (code <= 90){
+    if (code >= 40) return 5;
+    if (code >= 36) return 4;
+    if (code >= 30) return 3;
+    if (code >= 26) return 2;
+    return 1;
   }
-
-  function extractRvrGroups(raw){
-    // Parses METAR/TAF RVR groups like: R12/0600U, R27/P2000, R04/0300V0600D
-    // Returns [{rwy, q1, v1, q2, v2, trend}]
-    if (!raw) return [];
-    const re = /\bR(\d{2}[LRC]?)\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?\b/g;
-    const out = [];
-    let m;
-    while ((m = re.exec(String(raw))) !== null){
+  return null;
+}
+
+function rwyccFromDeposit(dep, depthMm){
+  // RCAM assessment from contaminant type and depth (conservative where OAT is unknown).
+  const deep = (depthMm != null && depthMm > 3);
+  switch (dep){
+    case "0": return 6;
+    case "1": case "3": return 5;
+    case "2": return deep ? 2 : 5;
+    case "4": case "5": return deep ? 3 : 5;
+    case "6": return deep ? 2 : 5;
+    case "7": return 1;
+    case "8": return 3;
+    case "9": return 3;
+    default: return null;
+  }
+}
+
+function decodeRunwayStateGroups(raw){
+  // Returns [{rwy, raw, cleared, closed, deposit, extent, depthMm, braking, rwycc, rwyccBasis}]
+  const toks = String(raw || "").toUpperCase().split(/\s+/);
+  const rmk = toks.indexOf("RMK");
+  const out = [];
+  for (const t of (rmk < 0 ? toks : toks.slice(0, rmk))){
+    const clo = t.match(/^(?:R(\d{2}[LRC]?)?\/)?SNOCLO$/);
+    if (clo){
+      out.push({ rwy: clo[1] || "88", raw:t, cleared:false, closed:true, deposit:null, extent:null, depthMm:null, braking:null, rwycc:0, rwyccBasis:"closed (SNOCLO)" });
+      continue;
+    }
+    let m = t.match(/^R(\d{2}[LRC]?)\/CLRD(\d{2}|\/\/)$/);
+    let rwy, dep = null, ext = null, depth = null, br;
+    if (m){
+      rwy = m[1];
+      br = m[2];
+    } else {
+      m = t.match(/^R(\d{2}[LRC]?)\/([0-9\/])([0-9\/])(\d{2}|\/\/)(\d{2}|\/\/)$/) || t.match(/^(\d{2})([0-9\/])([0-9\/])(\d{2}|\/\/)(\d{2}|\/\/)$/);
+      if (!m) continue;
+      rwy = m[1];
+      // Legacy 8-digit form: 50 is added to the designator of the right-hand parallel.
+      if (/^\d{2}$/.test(rwy) && !t.startsWith("R")){
+        const n = parseInt(rwy,10);
+        if (n > 50 && n <= 86) rwy = String(n - 50).padStart(2,"0") + "R";
+      }
+      dep = m[2]; ext = m[3]; depth = m[4]; br = m[5];
+    }
+    if (rwy === "99") continue; // repetition of the previous report, nothing new
+
+    const cleared = dep === null;
+    const brCode = (br && br !== "//") ? parseInt(br,10) : null;
+    const depthMm = decodeRunwayDepthMm(depth);
+    const closed = depth === "99";
+
+    const byBraking = rwyccFromBraking(brCode);
+    let byDeposit = cleared ? 6 : rwyccFromDeposit(dep, depthMm);
+    // GRF: contaminant covering 25% or less of the runway is reported as dry.
+    if (!cleared && (ext === "1" || ext === "2") && byDeposit != null) byDeposit = 6;
+
+    let rwycc = null, rwyccBasis = null;
+    if (closed){ rwycc = 0; rwyccBasis = "runway not operational"; }
+    else if (byBraking != null && byDeposit != null){
+      rwycc = Math.min(byBraking, byDeposit);
+      rwyccBasis = (byBraking <= byDeposit) ? "braking action" : "contaminant";
+    } else if (byBraking != null){ rwycc = byBraking; rwyccBasis = "braking action"; }
+    else if (byDeposit != null){ rwycc = byDeposit; rwyccBasis = "contaminant"; }
+
+    out.push({
+      rwy,
+      raw: t,
+      cleared,
+      closed,
+      deposit: (dep && dep !== "/") ? { code: dep, text: RWY_DEPOSIT[dep] } : null,
+      extent: (ext && RWY_EXTENT[ext]) ? { code: ext, text: RWY_EXTENT[ext] } : null,
+      depthMm,
+      braking: (brCode == null) ? null : {
+        code: brCode,
+        friction: (brCode <= 90) ? brCode / 100 : null,
+        text: (brCode <= 90) ? `friction ${(brCode / 100).toFixed(2)}` : RWY_BRAKING[brCode] || null
+      },
+      rwycc,
+      rwyccBasis
+    });
+  }
+  return out;
+}
+
+function reportedRunwayCondition(groups, runwayName){
+  // Picks the reported RWYCC that applies: worst end of the runway in use, else "all runways" (88), else the worst.
+  const usable = (groups || []).filter(g => Number.isFinite(g.rwycc));
+  if (!usable.length) return null;
+  const worst = (list) => list.reduce((a, b) => (b.rwycc < a.rwycc ? b : a));
+  const ends = String(runwayName || "").toUpperCase().split("/").map(s => s.trim()).filter(Boolean);
+  const onRunway = usable.filter(g => ends.includes(g.rwy));
+  if (onRunway.length) return worst(onRunway);
+  return usable.find(g => g.rwy === "88") || worst(usable);
+}
+
+function snowtamRunwayGroups(snowtam){
+  // SNOWTAM runways -> groups shaped like decodeRunwayStateGroups() (rwycc = lowest third).
+  const out = [];
+  for (const r of ((snowtam && snowtam.runways) || [])){
+    const thirds = (r.rwycc || []).filter(Number.isFinite);
+    if (!thirds.length) continue;
+    const rwycc = Math.min(...thirds);
+    const i = r.rwycc.indexOf(rwycc);
+    const cont = r.contaminant ? r.contaminant[i] : null;
+    const depth = r.depthMm ? r.depthMm[i] : null;
+    out.push({
+      rwy: r.rwy,
+      raw: `${r.id || "SNOWTAM"} RWY ${r.rwy} ${r.rwycc.map(v => (Number.isFinite(v) ? v : "NR")).join("/")}`,
+      rwycc,
+      rwyccBasis: `SNOWTAM lowest third${cont ? `: ${cont.toLowerCase()}` : ""}${Number.isFinite(depth) ? ` ${depth} mm` : ""}`
+    });
+  }
+  return out;
+}
+
+function crosswindLimitKt(rwyccEst, narrow, rule){
+  // XWIND rule: crosswind limits incl gusts by RWYCC, {standard, narrow} per row.
+  // RWYCC above the table uses its best row; below the table there is no limit (NO OPS, see RWYCC_NO_OPS).
+  if (!Number.isFinite(rwyccEst) || !rule || !rule.limitsKt) return null;
+  const rows = Object.keys(rule.limitsKt).map(Number).filter(Number.isFinite);
+  if (!rows.length || rwyccEst < Math.min(...rows)) return null;
+  const row = rule.limitsKt[String(Math.min(Math.max(...rows), Math.floor(rwyccEst)))];
+  const v = row ? row[narrow ? "narrow" : "standard"] : null;
+  return Number.isFinite(v) ? v : null;
+}
+
+function windSweepDirs(w, hdg){
+  // Directions that bound each component for a runway heading: a fixed wind is itself; a dddVddd range
+  // gives its ends plus the along/across-runway directions inside it; VRB sweeps the whole circle.
+  const axes = [hdg, hdg + 90, hdg + 180, hdg + 270].map(norm360);
+  if (w.vrb) return axes;
+  if (w.dir == null) return [];
+  if (w.varFrom == null || w.varTo == null) return [w.dir];
+  const span = norm360(w.varTo - w.varFrom);
+  return [w.dir, w.varFrom, w.varTo, ...axes.filter(d => norm360(d - w.varFrom) <= span)];
+}
+
+function endComponents(dirs, spd, hdg){
+  // Worst case over dirs: lowest headwind, highest tailwind and crosswind (kt, rounded, >= 0).
+  if (spd == null || !dirs.length) return null;
+  let head = Infinity, tail = 0, cross = 0;
+  for (const d of dirs){
+    const a = toRad(angleDiff(d, hdg));
+    const along = spd * Math.cos(a);
+    head = Math.min(head, along);
+    tail = Math.max(tail, -along);
+    cross = Math.max(cross, Math.abs(spd * SIN(a)));
+  }
+  return {head: Math.max(0, Math.round(head)), tail: Math.round(tail), cross: Math.round(cross)};
+}
+
+function windComponentTable(w, runwaysForIcao){
+  // Head/tail/crosswind for the mean wind and the gust on every runway end of runways.json.
+  // -> [{rwy, runway, hdg, widthM, mean:{head, tail, cross}, gust:{...}|null}]
+  const rwys = Array.isArray(runwaysForIcao) ? runwaysForIcao : [];
+  if (w.spd == null || (w.dir == null && !w.vrb)) return [];
+  const out = [];
+  for (const r of rwys){
+    const ids = String(r.name || r.ident || "").split("/").map(x => x.trim());
+    for (const [i, hdg] of [[0, r.le_heading], [1, r.he_heading]]){
+      if (!Number.isFinite(hdg)) continue;
+      const dirs = windSweepDirs(w, hdg);
       out.push({
-        rwy: m[1] || null,
-        q1: m[2] || "",
-        v1: m[3] ? parseInt(m[3],10) : null,
-        q2: m[4] || "",
-        v2: m[5] ? parseInt(m[5],10) : null,
-        trend: m[6] || ""
+        rwy: ids[i] || null,
+        runway: r.name || r.ident || null,
+        hdg,
+        widthM: Number.isFinite(r.width_m) ? r.width_m : null,
+        mean: endComponents(dirs, w.spd, hdg),
+        gust: (w.gst != null) ? endComponents(dirs, w.gst, hdg) : null
       });
     }
-    return out.filter(x => Number.isFinite(x.v1) || Number.isFinite(x.v2));
   }
-
-  function heavyPrecipMatches(raw){
-    // OM-A 8.3.8.7: TAKEOFF IS PROHIBITED in the following weather conditions:
-    // +SN, +GS, +SG, +PL, (moderate/heavy) FZRA, (moderate/heavy) GR
-    const up = String(raw || "").toUpperCase();
-    const out = [];
-    if (/\+SN\b/.test(up)) out.push("+SN");
-    if (/\+GS\b/.test(up)) out.push("+GS");
-    if (/\+SG\b/.test(up)) out.push("+SG");
-    if (/\+PL\b/.test(up)) out.push("+PL");
-
-    if (/\+FZRA\b/.test(up)) out.push("+FZRA");
-    else if (/\bFZRA\b/.test(up)) out.push("FZRA");
-
-    if (/\+GR\b/.test(up)) out.push("+GR");
-    else if (/\bGR\b/.test(up)) out.push("GR");
-
-    return out;
+  return out;
+}
+
+function favourableEnd(ends){
+  // Lowest crosswind incl gusts (worst case over a variable wind), then lowest tailwind; first listed on a tie.
+  const peak = (e) => e.gust || e.mean;
+  let best = null;
+  for (const e of ends){
+    if (!best || peak(e).cross < peak(best).cross || (peak(e).cross === peak(best).cross && peak(e).tail < peak(best).tail)) best = e;
   }
-
-  function detectHeavyPrecipTOProhib(raw){
-    return heavyPrecipMatches(raw).length > 0;
+  return best;
+}
+
+function inferRunwayInUse(ends, runwayUse){
+  // Likely runway end in use from the wind table and the airport's config/runway_use.json entry:
+  // the first `preferred` end within maxTailwindKt / maxCrosswindKt (mean wind unless useGust), else the
+  // most favourable end; a single usable end is always in use. -> {entry, basis: "preferred"|"usable"|"wind",
+  // note}, or null when nothing is preferred and no end stands out (calm, VRB, wind straight across).
+  const p = runwayUse || {};
+  const peak = (e) => e.gust || e.mean;
+  const cmp = (e) => p.useGust ? peak(e) : e.mean;
+  const maxTail = Number.isFinite(p.maxTailwindKt) ? p.maxTailwindKt : null;
+  const maxX = Number.isFinite(p.maxCrosswindKt) ? p.maxCrosswindKt : null;
+  const within = (e) => (maxTail == null || cmp(e).tail <= maxTail) && (maxX == null || cmp(e).cross <= maxX);
+  const preferred = (Array.isArray(p.preferred) ? p.preferred : [])
+    .map(id => ends.find(e => e.rwy === String(id).toUpperCase()))
+    .filter(Boolean);
+  const pick = preferred.find(within);
+  if (pick) return {entry: pick, basis: "preferred", note: null};
+
+  const best = favourableEnd(ends);
+  if (!best) return null;
+  if (ends.length === 1 && !preferred.length) return {entry: best, basis: "usable", note: null};
+  if (!preferred.length){
+    const same = ends.every(e => peak(e).cross === peak(best).cross && peak(e).tail === peak(best).tail);
+    return same ? null : {entry: best, basis: "wind", note: null};
   }
-
-
-  function inferRunwayCondition(metarRaw, tafRaw){
-    // Conservative inference from wx codes only.
-    // Returns {cond, rwyccEst, evidence[]} (evidence are wx tokens that drove the estimate).
-    // - DRY     => RWYCC 6
-    // - WET     => RWYCC 5 (damp/wet)
-    // - CONTAM  => RWYCC 3 (snow contamination proxy)
-    // - SEVERE  => RWYCC 2 proxy (freezing rain / ice pellets / hail)
-    const up = `${metarRaw||""} ${tafRaw||""}`.toUpperCase();
-
-    const ev = [];
-
-    const severeRe = /\b(FZRA|FZDZ|PL|GR)\b/g;
-    let mm;
-    while ((mm = severeRe.exec(up)) !== null) ev.push(mm[1]);
-    if (ev.length){
-      return {cond:"SEVERE", rwyccEst:2, evidence:[...new Set(ev)]};
-    }
-
-    const snowRe = /\b(SN|SG|GS|BLSN|DRSN|SHSN)\b/g;
-    while ((mm = snowRe.exec(up)) !== null) ev.push(mm[1]);
-    if (ev.length){
-      return {cond:"CONTAM", rwyccEst:3, evidence:[...new Set(ev)]};
-    }
-
-    const wetRe = /\b(RA|DZ)\b/g;
-    while ((mm = wetRe.exec(up)) !== null) ev.push(mm[1]);
-    if (ev.length){
-      return {cond:"WET", rwyccEst:5, evidence:[...new Set(ev)]};
-    }
-
-    return {cond:"DRY", rwyccEst:6, evidence:[]};
+  const c = cmp(preferred[0]);
+  const why = (maxTail != null && c.tail > maxTail) ? `tailwind ${c.tail} kt > ${maxTail} kt` : `crosswind ${c.cross} kt > ${maxX} kt`;
+  return {entry: best, basis: "wind", note: `preferred ${preferred.map(e => e.rwy).join("/")}: ${why}`};
+}
+
+function computeBestCrosswind(windRaw, runwaysForIcao, narrowBelowWidthM, tailwindGust, runwayUse){
+  // Evaluated runway end = the likely runway in use (inferRunwayInUse), else the most favourable end.
+  // tailwind = lowest tailwind over all usable ends (gust or mean component), i.e. what the best end still has.
+  // runwayUse.usable (optional) limits everything to the ends that can be used at all.
+  const w = parseWindKt(windRaw);
+  const usedSpd = (w.spd != null) ? Math.max(w.spd, w.gst || 0) : null;
+  const table = windComponentTable(w, runwaysForIcao);
+  const usableIds = (runwayUse && Array.isArray(runwayUse.usable) && runwayUse.usable.length)
+    ? runwayUse.usable.map(id => String(id).toUpperCase())
+    : null;
+  const ends = usableIds ? table.filter(e => usableIds.includes(e.rwy)) : table;
+  if (!ends.length) return {xwind:null, best:null, narrow:null, tailwind:null, usedSpd, windDir:w.dir, table, inUse:null};
+
+  const peak = (e) => e.gust || e.mean;
+  let tailwind = null;
+  for (const e of ends){
+    const tail = (tailwindGust ? peak(e) : e.mean).tail;
+    if (tailwind == null || tail < tailwind) tailwind = tail;
   }
-
-
-
-  function crosswindLimitKt(rwyccEst, narrow){
-    // OM-B 1.3.1 crosswind limits incl gusts (company limits).
-    // Table (standard / narrow):
-    // RWYCC 6: 38 / 20
-    // RWYCC 5: 35 / 20
-    // RWYCC 4: 20 / 10
-    // RWYCC 3: 15 / 10
-    // RWYCC 2: 10 /  5
-    // RWYCC 1/0: NO OPS (company policy; unless specific OM-C upgrade logic)
-    if (!Number.isFinite(rwyccEst)) return null;
-    if (rwyccEst >= 6) return narrow ? 20 : 38;
-    if (rwyccEst === 5) return narrow ? 20 : 35;
-    if (rwyccEst === 4) return narrow ? 10 : 20;
-    if (rwyccEst === 3) return narrow ? 10 : 15;
-    if (rwyccEst === 2) return narrow ? 5  : 10;
-    return null;
+  const inUse = inferRunwayInUse(ends, runwayUse);
+  const e = inUse ? inUse.entry : favourableEnd(ends);
+  const best = {xwind: peak(e).cross, tail: peak(e).tail, hdg: e.hdg, width_m: e.widthM, name: e.runway, end: e.rwy};
+  const narrow = (best.width_m != null && Number.isFinite(narrowBelowWidthM)) ? (best.width_m < narrowBelowWidthM) : null;
+  return {
+    xwind: best.xwind, best, narrow, tailwind, usedSpd, windDir:w.dir, table,
+    inUse: inUse ? {rwy: e.rwy, runway: e.runway, hdg: e.hdg, basis: inUse.basis, note: inUse.note} : null
+  };
+}
+
+function runwayRvrM(rvrGroups, rwy){
+  // Lowest RVR reported for one runway (extractRvrGroups), or null.
+  const vals = [];
+  for (const g of (rwy ? rvrGroups : [])){
+    if (String(g.rwy).toUpperCase() !== rwy) continue;
+    if (Number.isFinite(g.v1)) vals.push(g.v1);
+    if (Number.isFinite(g.v2)) vals.push(g.v2);
   }
-
-  function computeBestCrosswind(windRaw, runwaysForIcao){
-    const w = parseWindKt(windRaw);
-    if (w.dir == null || w.spd == null) return {xwind:null, best:null, narrow:null, usedSpd:null, windDir:w.dir};
-    const usedSpd = Math.max(w.spd, w.gst || 0);
-    const rwys = Array.isArray(runwaysForIcao) ? runwaysForIcao : [];
-    if (!rwys.length) return {xwind:null, best:null, narrow:null, usedSpd, windDir:w.dir};
-
-    let best = null;
-    for (const r of rwys){
-      const headings = [];
-      if (Number.isFinite(r.le_heading)) headings.push(r.le_heading);
-      if (Number.isFinite(r.he_heading)) headings.push(r.he_heading);
-      for (const hdg of headings){
-        const ang = angleDiff(w.dir, hdg);
-        const x = Math.round(usedSpd * Math.abs(SIN(toRad(ang))));
-        const candidate = {
-          xwind: x,
-          hdg,
-          width_m: Number.isFinite(r.width_m) ? r.width_m : null,
-          name: r.name || r.ident || null
-        };
-        if (!best || candidate.xwind < best.xwind) best = candidate;
-      }
-    }
-    if (!best) return {xwind:null, best:null, narrow:null, usedSpd, windDir:w.dir};
-    const narrow = (best.width_m != null) ? (best.width_m < 45) : null;
-    return {xwind: best.xwind, best, narrow, usedSpd, windDir:w.dir};
+  return vals.length ? Math.min(...vals) : null;
+}
+
+function resolveOmRules(ruleSet, atIso){
+  // Rule set (config/om_rules.json) -> the rules in force at atIso: per id, the highest version whose
+  // [effectiveFrom, effectiveTo) covers the date. An id without a version in force keeps its last effective
+  // version (else its earliest one) rather than switching the flag off; those ids are listed in `fallback`.
+  // Returns {ruleset, at, byId, fallback, fleets}.
+  const at = String(atIso || new Date().toISOString()).slice(0, 10);
+  const from = (r) => r.effectiveFrom ? String(r.effectiveFrom).slice(0, 10) : "";
+  const rules = ((ruleSet && Array.isArray(ruleSet.rules)) ? ruleSet.rules : []).filter(r => r && r.id);
+  const byId = {};
+  for (const r of rules){
+    if (from(r) && at < from(r)) continue;
+    if (r.effectiveTo && at >= String(r.effectiveTo).slice(0, 10)) continue;
+    const cur = byId[r.id];
+    if (!cur || (Number(r.version) || 0) > (Number(cur.version) || 0)) byId[r.id] = r;
   }
-
-  function computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap){
-    const metarRaw = st.metarRaw || "";
-    const tafRaw = st.tafRaw || "";
-
-    // Use the available report as the observation string for group extraction.
-    // IMPORTANT: define this before any logic that checks RVR groups.
-    const obsRaw = metarRaw || tafRaw;
-
-    // Presence flags
-    const tsOrCb = (met && met.hz && (met.hz.ts || met.hz.cb)) || (taf && taf.hz && (taf.hz.ts || taf.hz.cb)) || detectCB(metarRaw) || detectCB(tafRaw);
-    const heavy = detectHeavyPrecipTOProhib(metarRaw) || detectHeavyPrecipTOProhib(tafRaw);
-    const toProhib = !!heavy; // OM-A heavy precip list (TAKEOFF IS PROHIBITED)
-
-    const va = detectVA(metarRaw) || detectVA(tafRaw);
-
-    // LVTO / LVP / absolute min:
-    // Prefer RVR if present, otherwise use reported MET visibility (no conversion).
-    const refVis = (typeof rvrMinAll === "number") ? rvrMinAll : (typeof worstVis === "number" ? worstVis : null);
-    const lvto = (refVis != null) ? (refVis < 550) : false;
-    const lvp  = (refVis != null) ? (refVis < 400) : false;
-    const rvr125 = (typeof rvrMinAll === "number") ? (rvrMinAll < 125) : false;
-
-    // Commander responsibility: LVTO (RVR < 150m) requires appropriately qualified crew.
-    const lvtoQualReq = (typeof rvrMinAll === "number") ? (rvrMinAll < 150) : false;
-
-    // Approach/landing: RVR reporting must be available when VIS/CMV < 800m.
-    // (Advisory flag; based on the currently-available report string.)
-    const rvrRequired = (typeof worstVis === "number" && worstVis < 800) ? (!detectAnyRvr(obsRaw)) : false;
-
-    // CAT-driven tags (generic thresholds; actual minima depend on approach category and lights)
-    const cat2Plus = (typeof rvrMinAll === "number") ? (rvrMinAll < 450) : false;
-    const cat3Only = (typeof rvrMinAll === "number") ? (rvrMinAll < 200) : false;
-    const cat3BelowMin = (typeof rvrMinAll === "number") ? (rvrMinAll < 75) : false;
-
-    // Cold temperature corrections flag (simple; detailed tables live in OM-A)
-    const tempC = parseTempC(metarRaw);
-    const coldcorr = (tempC != null) ? (tempC <= 0) : false;
-
-    // Crosswind advisory
-    const rwys = runwaysMap ? runwaysMap[st.icao] : null;
-    const windRaw = obsRaw;
-    const bestX = computeBestCrosswind(windRaw, rwys);
-    const condInfo = inferRunwayCondition(metarRaw, tafRaw);
-    const narrow = (bestX.narrow === true);
-    const xwindLimit = (bestX.xwind != null) ? crosswindLimitKt(condInfo.rwyccEst, narrow) : null;
-    const xwindExceed = (bestX.xwind != null && xwindLimit != null) ? (bestX.xwind > xwindLimit) : false;
-
-    const noOpsLikely = (Number.isFinite(condInfo.rwyccEst) && condInfo.rwyccEst < 3);
-
-    // Explanations for UI/audit (kept compact; derived only from raw METAR/TAF text + runways.json)
-    const explainSrc = (metarRaw && !tafRaw) ? "M" : (!metarRaw && tafRaw) ? "T" : "MT";
-    const rvrGroups = extractRvrGroups(obsRaw);
-    const heavyMatches = [...new Set([...heavyPrecipMatches(metarRaw), ...heavyPrecipMatches(tafRaw)])];
-    const w = parseWindKt(obsRaw);
-    const refVisType = (typeof rvrMinAll === "number") ? "RVR" : ((typeof worstVis === "number") ? "VIS" : null);
-
-    const explain = {
-      src: explainSrc,
-      heavyMatches,
-      refVisType,
-      refVisValue: (refVis != null ? refVis : null),
-      worstVis: (typeof worstVis === "number" ? worstVis : null),
-      rvrMinAll: (typeof rvrMinAll === "number" ? rvrMinAll : null),
-      rvrGroups,
-      rvrAny: detectAnyRvr(obsRaw),
-      visThresh800: 800,
-      lvtoThresh550: 550,
-      lvpThresh400: 400,
-      lvtoQualThresh150: 150,
-      rvrStopThresh125: 125,
-      cat2Thresh450: 450,
-      cat3Thresh200: 200,
-      cat3LowThresh75: 75,
-      tempC: (tempC != null ? tempC : null),
-      runwayCond: {cond: condInfo.cond, rwyccEst: condInfo.rwyccEst, evidence: condInfo.evidence || []},
-      wind: {dir: w.dir ?? null, spd: w.spd ?? null, gst: w.gst ?? null, usedSpd: bestX.usedSpd ?? null},
-      xwind: {
-        available: !!(rwys && rwys.length),
-        xwindKt: (bestX.xwind != null ? bestX.xwind : null),
-        limitKt: (xwindLimit != null ? xwindLimit : null),
-        runwayHdg: (bestX.best && Number.isFinite(bestX.best.hdg)) ? bestX.best.hdg : null,
-        runwayName: (bestX.best && bestX.best.name) ? bestX.best.name : null,
-        runwayWidthM: (bestX.best && Number.isFinite(bestX.best.width_m)) ? bestX.best.width_m : null,
-        narrow: (bestX.narrow === true)
-      }
+  const fallback = [];
+  for (const r of rules){
+    if (byId[r.id] && !fallback.includes(r.id)) continue;
+    const cur = byId[r.id];
+    const started = (x) => !from(x) || from(x) <= at;
+    // Prefer a version that has started (the latest such), else the one starting soonest.
+    const better = !cur
+      || (started(r) && (!started(cur) || from(r) > from(cur)))
+      || (!started(r) && !started(cur) && from(r) < from(cur));
+    if (better) byId[r.id] = r;
+    if (!fallback.includes(r.id)) fallback.push(r.id);
+  }
+  return {
+    ruleset: (ruleSet && ruleSet.id) ? {id: ruleSet.id, version: ruleSet.version ?? null} : null,
+    at,
+    byId,
+    fallback,
+    fleets: ((ruleSet && Array.isArray(ruleSet.fleets)) ? ruleSet.fleets : []).filter(f => f && f.id)
+  };
+}
+
+function computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap, rules){
+  const metarRaw = stripRemarks(st.metarRaw);
+  const tafRaw = stripRemarks(st.tafRaw);
+
+  // Use the available report as the observation string for group extraction.
+  // IMPORTANT: define this before any logic that checks RVR groups.
+  const obsRaw = metarRaw || tafRaw;
+
+  // Rules in force (resolveOmRules); a missing rule or parameter leaves its flag off.
+  const R = (rules && rules.byId) || {};
+  const param = (id, key) => (R[id] && Number.isFinite(R[id][key])) ? R[id][key] : null;
+  const below = (id, v) => (typeof v === "number" && param(id, "belowM") != null) ? (v < param(id, "belowM")) : false;
+
+  // Presence flags
+  const tsOrCb = (met && met.hz && (met.hz.ts || met.hz.cb)) || (taf && taf.hz && (taf.hz.ts || taf.hz.cb)) || detectCB(metarRaw) || detectCB(tafRaw);
+  const prohibTokens = R.TO_PROHIB_WX ? R.TO_PROHIB_WX.tokens : null;
+  const heavy = detectHeavyPrecipTOProhib(metarRaw, prohibTokens) || detectHeavyPrecipTOProhib(tafRaw, prohibTokens);
+  const toProhib = !!heavy; // OM-A heavy precip list (TAKEOFF IS PROHIBITED)
+
+  const va = detectVA(metarRaw) || detectVA(tafRaw);
+
+  // Wind per runway end and the likely runway in use (st.runwayUse = config/runway_use.json entry).
+  const rwys = runwaysMap ? runwaysMap[st.icao] : null;
+  const windRaw = obsRaw;
+  const bestX = computeBestCrosswind(windRaw, rwys, param("XWIND", "narrowBelowWidthM"), !!(R.TAILWIND && R.TAILWIND.includeGust), st.runwayUse || null);
+
+  // RVR of the runway in use when reported, else the lowest RVR over all runways.
+  const rvrGroups = extractRvrGroups(obsRaw);
+  const inUseRvr = bestX.inUse ? runwayRvrM(rvrGroups, bestX.inUse.rwy) : null;
+  const rvrRef = (inUseRvr != null) ? inUseRvr : rvrMinAll;
+
+  // LVTO / LVP / absolute min:
+  // Prefer RVR if present, otherwise use reported MET visibility (no conversion).
+  const refVis = (typeof rvrRef === "number") ? rvrRef : (typeof worstVis === "number" ? worstVis : null);
+  const lvto = below("LVTO", refVis);
+  const lvp  = below("LVP", refVis);
+  const rvr125 = below("RVR_STOP", rvrRef);
+
+  // Commander responsibility: the lowest LVTO RVR band requires appropriately qualified crew.
+  const lvtoQualReq = below("LVTO_QUAL", rvrRef);
+
+  // Approach/landing: RVR reporting must be available when VIS/CMV is below the RVR_REQUIRED threshold.
+  // (Advisory flag; based on the currently-available report string.)
+  const rvrRequired = below("RVR_REQUIRED", worstVis) ? (!detectAnyRvr(obsRaw)) : false;
+
+  // CAT-driven tags (generic thresholds; actual minima depend on approach category and lights)
+  const cat2Plus = below("CAT2_PLUS", rvrRef);
+  const cat3Only = below("CAT3_ONLY", rvrRef);
+  const cat3BelowMin = below("CAT3_BELOW_MIN", rvrRef);
+
+  // Cold temperature corrections flag (simple; detailed tables live in OM-A)
+  const tempC = parseTempC(metarRaw);
+  const coldcorr = (tempC != null && param("COLD_CORR", "atOrBelowC") != null) ? (tempC <= param("COLD_CORR", "atOrBelowC")) : false;
+
+  // Crosswind advisory (runway in use, else the most favourable end)
+  const inferred = inferRunwayCondition(metarRaw, tafRaw);
+  // Reported runway condition takes precedence over the wx-code estimate: a SNOWTAM first (current
+  // evaluation only, i.e. with a METAR), then METAR runway state groups.
+  const rwyState = decodeRunwayStateGroups(metarRaw);
+  const rwyName = bestX.best ? bestX.best.name : null;
+  const bySnowtam = metarRaw ? reportedRunwayCondition(snowtamRunwayGroups(st.snowtam), rwyName) : null;
+  const reported = bySnowtam || reportedRunwayCondition(rwyState, rwyName);
+  const condInfo = reported
+    ? {cond:"REPORTED", rwyccEst: reported.rwycc, evidence:[reported.raw], source:"reported", reportedBy: bySnowtam ? "SNOWTAM" : "METAR", rwy: reported.rwy, basis: reported.rwyccBasis}
+    : {...inferred, source:"estimated", reportedBy:null, rwy:null, basis:null};
+  const narrow = (bestX.narrow === true);
+  const xwindLimit = (bestX.xwind != null) ? crosswindLimitKt(condInfo.rwyccEst, narrow, R.XWIND) : null;
+  const xwindExceed = (bestX.xwind != null && xwindLimit != null) ? (bestX.xwind > xwindLimit) : false;
+
+  // Tailwind on every runway end (no end left within the limit).
+  const tailwindLimit = param("TAILWIND", "maxKt");
+  const tailwindExceed = (bestX.tailwind != null && tailwindLimit != null) ? (bestX.tailwind > tailwindLimit) : false;
+
+  const noOpsLikely = (Number.isFinite(condInfo.rwyccEst) && param("RWYCC_NO_OPS", "belowRwycc") != null)
+    ? (condInfo.rwyccEst < param("RWYCC_NO_OPS", "belowRwycc"))
+    : false;
+
+  // Fleet profiles: the same wind, runway and RVR against each type's limits. The runway in use does not
+  // depend on the type; its narrow-runway status does (per-profile width cut-off).
+  const byFleet = {};
+  for (const f of ((rules && rules.fleets) || [])){
+    const fx = f.xwind || null;
+    const fNarrow = !!(bestX.best && bestX.best.width_m != null && fx && Number.isFinite(fx.narrowBelowWidthM) && bestX.best.width_m < fx.narrowBelowWidthM);
+    const fLimit = (bestX.xwind != null) ? crosswindLimitKt(condInfo.rwyccEst, fNarrow, fx) : null;
+    const tailLimit = Number.isFinite(f.tailwindKt) ? f.tailwindKt : null;
+    const lvtoMin = Number.isFinite(f.lvtoMinRvrM) ? f.lvtoMinRvrM : null;
+    byFleet[f.id] = {
+      ref: f.ref || null,
+      xwindExceed: (bestX.xwind != null && fLimit != null) ? (bestX.xwind > fLimit) : false,
+      xwindLimitKt: fLimit,
+      xwindNarrow: fNarrow,
+      tailwindKt: bestX.tailwind,
+      tailwindLimitKt: tailLimit,
+      tailwindExceed: (bestX.tailwind != null && tailLimit != null) ? (bestX.tailwind > tailLimit) : false,
+      lvtoMinRvrM: lvtoMin,
+      lvtoBelowMin: (typeof rvrRef === "number" && lvtoMin != null) ? (rvrRef < lvtoMin) : false
     };
+  }
 
-    return {
-      explain,
-      // OM-A/OM-B derived flags (advisory)
-      toProhib,
-      tsOrCb: !!tsOrCb,
-      heavyPrecip: !!heavy,
-      va,
-      lvto,
-      lvp,
-      lvtoQualReq,
-      rvr125,
-      rvrRequired,
-      cat2Plus,
-      cat3Only,
-      cat3BelowMin,
-      coldcorr,
-
-      // Crosswind
-      xwindExceed,
-      xwindKt: bestX.xwind,
-      xwindLimitKt: xwindLimit,
-      xwindCond: condInfo.cond,
+  // Audit trail: the rule (id/version/OM reference) behind every flag that fired.
+  const fired = [];
+  const fire = (flag, on, id) => {
+    if (on && R[id]) fired.push({flag, id, version: R[id].version ?? null, ref: R[id].ref || null, effectiveFrom: R[id].effectiveFrom || null});
+  };
+  fire("toProhib", toProhib, "TO_PROHIB_WX");
+  fire("lvto", lvto, "LVTO");
+  fire("lvp", lvp, "LVP");
+  fire("lvtoQualReq", lvtoQualReq, "LVTO_QUAL");
+  fire("rvr125", rvr125, "RVR_STOP");
+  fire("rvrRequired", rvrRequired, "RVR_REQUIRED");
+  fire("cat2Plus", cat2Plus, "CAT2_PLUS");
+  fire("cat3Only", cat3Only, "CAT3_ONLY");
+  fire("cat3BelowMin", cat3BelowMin, "CAT3_BELOW_MIN");
+  fire("coldcorr", coldcorr, "COLD_CORR");
+  fire("xwindExceed", xwindExceed, "XWIND");
+  fire("tailwindExceed", tailwindExceed, "TAILWIND");
+  fire("noOpsLikely", noOpsLikely, "RWYCC_NO_OPS");
+
+  // Explanations for UI/audit (kept compact; derived only from raw METAR/TAF text + runways.json)
+  const explainSrc = (metarRaw && !tafRaw) ? "M" : (!metarRaw && tafRaw) ? "T" : "MT";
+  const heavyMatches = [...new Set([...heavyPrecipMatches(metarRaw, prohibTokens), ...heavyPrecipMatches(tafRaw, prohibTokens)])];
+  const w = parseWindKt(obsRaw);
+  const refVisType = (typeof rvrRef === "number") ? "RVR" : ((typeof worstVis === "number") ? "VIS" : null);
+
+  const explain = {
+    src: explainSrc,
+    heavyMatches,
+    refVisType,
+    refVisValue: (refVis != null ? refVis : null),
+    worstVis: (typeof worstVis === "number" ? worstVis : null),
+    rvrMinAll: (typeof rvrMinAll === "number" ? rvrMinAll : null),
+    rvrGroups,
+    rvrRunway: (inUseRvr != null) ? {rwy: bestX.inUse.rwy, rvrM: inUseRvr} : null,
+    rvrRef: (typeof rvrRef === "number" ? rvrRef : null),
+    rvrAny: detectAnyRvr(obsRaw),
+    thresholds: {
+      rvrRequiredM: param("RVR_REQUIRED", "belowM"),
+      lvtoM: param("LVTO", "belowM"),
+      lvpM: param("LVP", "belowM"),
+      lvtoQualM: param("LVTO_QUAL", "belowM"),
+      rvrStopM: param("RVR_STOP", "belowM"),
+      cat2M: param("CAT2_PLUS", "belowM"),
+      cat3M: param("CAT3_ONLY", "belowM"),
+      cat3LowM: param("CAT3_BELOW_MIN", "belowM"),
+      coldC: param("COLD_CORR", "atOrBelowC"),
+      noOpsRwycc: param("RWYCC_NO_OPS", "belowRwycc"),
+      tailwindKt: tailwindLimit
+    },
+    rules: {
+      ruleset: (rules && rules.ruleset) || null,
+      at: (rules && rules.at) || null,
+      fired
+    },
+    tempC: (tempC != null ? tempC : null),
+    runwayCond: {
+      cond: condInfo.cond,
       rwyccEst: condInfo.rwyccEst,
-      noOpsLikely,
-
-      // Diagnostics
-      xwindNarrow: bestX.narrow,
-      xwindUsedSpdKt: bestX.usedSpd,
-      xwindWindDir: bestX.windDir
-    };
-  }
+      evidence: condInfo.evidence || [],
+      source: condInfo.source,
+      reportedBy: condInfo.reportedBy,
+      rwy: condInfo.rwy,
+      basis: condInfo.basis,
+      inferred: reported ? {cond: inferred.cond, rwyccEst: inferred.rwyccEst} : null
+    },
+    runwayState: rwyState,
+    wind: {dir: w.dir ?? null, spd: w.spd ?? null, gst: w.gst ?? null, vrb: !!w.vrb, varFrom: w.varFrom ?? null, varTo: w.varTo ?? null, usedSpd: bestX.usedSpd ?? null},
+    windTable: bestX.table,
+    runwayInUse: bestX.inUse,
+    xwind: {
+      available: !!(rwys && rwys.length),
+      xwindKt: (bestX.xwind != null ? bestX.xwind : null),
+      limitKt: (xwindLimit != null ? xwindLimit : null),
+      runwayHdg: (bestX.best && Number.isFinite(bestX.best.hdg)) ? bestX.best.hdg : null,
+      runwayName: (bestX.best && bestX.best.name) ? bestX.best.name : null,
+      runwayEnd: (bestX.best && bestX.best.end) ? bestX.best.end : null,
+      runwayWidthM: (bestX.best && Number.isFinite(bestX.best.width_m)) ? bestX.best.width_m : null,
+      narrow: (bestX.narrow === true),
+      tailwindKt: (bestX.tailwind != null ? bestX.tailwind : null),
+      tailwindLimitKt: tailwindLimit
+    }
+  };
 
-  // Expose globally for app.js
-  window.WXM_OM = {
-    parseWindKt,
-    parseTempC,
-    computeOmFlags
+  return {
+    explain,
+    // OM-A/OM-B derived flags (advisory)
+    toProhib,
+    tsOrCb: !!tsOrCb,
+    heavyPrecip: !!heavy,
+    va,
+    lvto,
+    lvp,
+    lvtoQualReq,
+    rvr125,
+    rvrRequired,
+    cat2Plus,
+    cat3Only,
+    cat3BelowMin,
+    coldcorr,
+
+    // Crosswind
+    xwindExceed,
+    xwindKt: bestX.xwind,
+    xwindLimitKt: xwindLimit,
+    xwindCond: condInfo.cond,
+    tailwindExceed,
+    tailwindKt: bestX.tailwind,
+    tailwindLimitKt: tailwindLimit,
+    rwyccEst: condInfo.rwyccEst,
+    rwyccSource: condInfo.source,
+    noOpsLikely,
+
+    // Likely runway in use (config/runway_use.json + wind); rvrM = its reported RVR
+    runwayInUse: bestX.inUse ? {...bestX.inUse, rvrM: inUseRvr} : null,
+
+    // Diagnostics
+    xwindNarrow: bestX.narrow,
+    xwindUsedSpdKt: bestX.usedSpd,
+    xwindWindDir: bestX.windDir,
+
+    // Per fleet profile (lifted to station.omByFleet by wx_core)
+    byFleet
   };
-})();
+}
+
+export {
+  parseWindKt,
+  parseTempC,
+  decodeRunwayStateGroups,
+  resolveOmRules,
+  computeOmFlags
+};
@@ -0,0 +1,1872 @@
+/* Shared METAR/TAF core (ES module, no DOM / no Node APIs).
+   - Tokenizing, scoring, TAF timeline, TREND/RMK split, structured METAR decode
+   - Trigger construction + alert level for a station (computeDerivedStation)
+   - Imported unchanged by scripts/update-data.mjs, assets/app.js, assets/map.js and stat/app.js,
+     so a station gets the same alert on every page.
+   - Browser imports carry a "?v=" suffix (this file's om_policy.js import and the wx_core.js imports of the
+     pages) so a deploy never pairs a new page with a cached core: bump it in all four places whenever
+     wx_core.js or om_policy.js changes.
+*/
+
+import { computeOmFlags, resolveOmRules } from "./om_policy.js?v=94.omrules";
+
+// --- Alert ladder ------------------------------------------------------------
+// Score buckets shared by every page: OK < MED < HIGH < CRIT.
+
+const VIS_THRESHOLDS = [800, 550, 500, 300, 250, 175, 150];
+const RVR_THRESHOLDS = [500, 300, 200, 75];
+const ALERT_LEVEL = { OK:0, MED:1, HIGH:2, CRIT:3 };
+
+function alertFromScore(score){
+  return score >= 70 ? "CRIT" :
+         score >= 45 ? "HIGH" :
+         score >= 20 ? "MED" : "OK";
+}
+function minScoreForAlert(alert){
+  return alert === "CRIT" ? 70 :
+         alert === "HIGH" ? 45 :
+         alert === "MED" ? 20 : 0;
+}
+function maxAlert(...alerts){
+  let best = "OK";
+  for (const a of alerts){
+    if (!a) continue;
+    if ((ALERT_LEVEL[a]||0) > (ALERT_LEVEL[best]||0)) best = a;
+  }
+  return best;
+}
+
+// --- Raw METAR/TAF parsing ----------------------------------------------------
+// Token scans over a raw report (RMK already stripped by the callers that score).
+
+function parseTempC(raw){
+  const m = String(raw||"").match(/\b(M?\d{1,2})\/(M?\d{1,2})\b/);
+  if (!m) return null;
+  const v = m[1];
+  const n = parseInt(v.replace(/^M/,""),10);
+  if (Number.isNaN(n)) return null;
+  return v.startsWith("M") ? -n : n;
+}
+
+function _parseVisibilityMeters(tok){
+  const t = String(tok||"").trim().toUpperCase();
+  if (!t) return null;
+
+  if (t === "CAVOK") return 10000;
+
+  // ICAO 4-digit meters, optionally with suffix like NDV (e.g. 9999NDV)
+  const m4 = t.match(/^(\d{4})(?:[A-Z]{1,4})?$/);
+  if (m4){
+    const v = parseInt(m4[1],10);
+    if (!Number.isNaN(v)) return v === 9999 ? 10000 : v;
+  }
+
+  // Statute miles forms:
+  // - P6SM (plus)
+  // - 2SM, 2.5SM, M1SM (less than)
+  // - 1/2SM, M1/4SM
+  const mp = t.match(/^P(\d+)SM$/);
+  if (mp){
+    const n = parseInt(mp[1],10);
+    if (Number.isFinite(n)) return Math.round(n * 1609.34);
+  }
+
+  const mfrac = t.match(/^M?(\d+)\/(\d+)SM$/);
+  if (mfrac){
+    const a = parseInt(mfrac[1],10);
+    const b = parseInt(mfrac[2],10);
+    if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
+      return Math.round((a/b) * 1609.34);
+    }
+  }
+
+  const mwhole = t.match(/^M?(\d+(?:\.\d+)?)SM$/);
+  if (mwhole){
+    const mi = parseFloat(mwhole[1]);
+    if (Number.isFinite(mi)) return Math.round(mi * 1609.34);
+  }
+
+  return null;
+}
+
+function extractRvrMeters(raw){
+  const s = String(raw||"");
+  const vals = [];
+  if (!s) return vals;
+
+  // Accept common ICAO format and US-style optional FT suffix.
+  // Examples: R29/1000N, R06/0600V1000U, R27/P1500U, R09/M0050N, R11/1200FT
+  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?(FT)?\b/g;
+  let m;
+  while ((m = re.exec(String(s).toUpperCase())) !== null){
+    const isFt = !!m[6];
+    const toMeters = (x)=> isFt ? Math.round(x * 0.3048) : x;
+
+    const v1 = parseInt(m[2],10);
+    if (!Number.isNaN(v1)) vals.push(toMeters(v1));
+
+    if (m[4]){
+      const v2 = parseInt(m[4],10);
+      if (!Number.isNaN(v2)) vals.push(toMeters(v2));
+    }
+  }
+
+  return vals;
+}
+
+function hazardFlags(raw){
+  // Token-aware hazards aligned with frontend parsing (remarks are never scanned).
+  const upAll = stripRemarks(raw).toUpperCase();
+  if (!upAll.trim()){
+    return { ts:false, cb:false, fg:false, fzfg:false, br:false, sn:false, blsn:false, ra:false, va:false };
+  }
+
+  // Strip leading meta tokens + ICAO to prevent substring matches inside identifiers.
+  const toksAll = upAll.split(/\s+/).map(t=>t.trim()).filter(Boolean);
+  let i = 0;
+  const headerSkip = new Set(["METAR","SPECI","TAF","AUTO","COR","AMD","CNL","NIL"]);
+  while (i < toksAll.length && headerSkip.has(toksAll[i])) i++;
+  if (i < toksAll.length && /^[A-Z]{4}$/.test(toksAll[i])) i++; // ICAO station
+  const toks = toksAll.slice(i);
+
+  const coreText = toks.join(" ");
+
+  // Weather tokens are typically short and alpha-only (optionally prefixed + or -).
+  const wxToks = toks.filter(t=>{
+    if (!t) return false;
+    if (t.includes('/')) return false;                 // time groups, RVR, temps
+    if (/[0-9]/.test(t)) return false;                 // numeric groups
+    if (/KT$/.test(t) || /MPS$/.test(t)) return false; // wind
+    if (t.length > 12) return false;
+    return true;
+  });
+
+  const hasWx = (needle)=>wxToks.some(t=>t.includes(needle));
+  const hasWxRe = (re)=>wxToks.some(t=>re.test(t));
+
+  const cb =
+    /\b(?:FEW|SCT|BKN|OVC|VV)\d{3}(?:CB|TCU)\b/.test(coreText) ||
+    /\bCB\b/.test(coreText) ||
+    /\bTCU\b/.test(coreText) ||
+    hasWx("CB") || hasWx("TCU");
+
+  const ts = hasWxRe(/^(?:\+|\-)?TS/) || hasWxRe(/^VCTS/);
+
+  const fzfg = /\bFZFG\b/.test(coreText);
+  const fg = ((/\bFG\b/.test(coreText) || hasWx("FG")) && !fzfg);
+  const br = /\bBR\b/.test(coreText) || hasWx("BR");
+  const blsn = /\bBLSN\b/.test(coreText) || hasWx("BLSN");
+
+  const sn = /\bSN\b/.test(coreText) || /\bSHSN\b/.test(coreText) || /\bBLSN\b/.test(coreText) || hasWx("SN");
+  const ra = /\bRA\b/.test(coreText) || /\bDZ\b/.test(coreText) || /\bSHRA\b/.test(coreText) || /\bSHDZ\b/.test(coreText) || hasWx("RA") || hasWx("DZ") || hasWx("SHRA") || hasWx("SHDZ");
+
+  const va = /\bVA\b/.test(coreText);
+
+  return { ts, cb, fg, fzfg, br, sn, blsn, ra, va };
+}
+
+function gustMaxKt(raw){
+  const s = String(raw||"");
+  if (!s) return null;
+
+  // METAR/TAF: 18015G25KT, VRB05G25KT, etc. (take maximum)
+  const re = /\b(?:\d{3}|VRB)\d{2,3}G(\d{2,3})KT\b/g;
+  let m, best = null;
+  while ((m = re.exec(String(s).toUpperCase())) !== null){
+    const g = parseInt(m[1],10);
+    if (!Number.isNaN(g)) best = (best==null) ? g : Math.max(best, g);
+  }
+  return best;
+}
+
+function ceilingFt(raw){
+  const s = String(raw||"").toUpperCase();
+  if (!s) return null;
+  if (/\bCAVOK\b/.test(s)) return 5000;
+
+  // Find lowest BKN/OVC/VV layer (allow CB/TCU suffix: BKN020CB)
+  const re = /\b(BKN|OVC|VV)(\d{3})(?:CB|TCU)?\b/g;
+  let m, best = null;
+  // VV/// = sky obscured, vertical visibility not measurable: indefinite ceiling at the surface.
+  if (/(^|\s)VV\/\/\/(\s|$)/.test(s)) best = 0;
+  while ((m = re.exec(s)) !== null){
+    const ft = parseInt(m[2],10) * 100;
+    if (Number.isNaN(ft)) continue;
+    if (best===null || ft < best) best = ft;
+  }
+  return best;
+}
+
+function parseVisibilityBestMeters(raw){
+  const s = String(raw||"");
+  if (!s.trim()) return null;
+
+  if (/\bCAVOK\b/i.test(s)) return 10000;
+
+  const toks = s.trim().split(/\s+/).filter(Boolean);
+  let best = null;
+  const add = (m)=>{ if (m == null) return; best = (best==null) ? m : Math.min(best, m); };
+
+  for (let i=0; i<toks.length; i++){
+    const t0 = toks[i].trim().toUpperCase();
+    if (!t0) continue;
+
+    // Split statute miles: e.g. "1 1/2SM"
+    if (/^\d+$/.test(t0) && i+1 < toks.length){
+      const t1 = toks[i+1].trim().toUpperCase();
+      if (/^M?\d+\/\d+SM$/.test(t1)){
+        const whole = parseInt(t0,10);
+        const m = t1.match(/^M?(\d+)\/(\d+)SM$/);
+        if (m){
+          const a = parseInt(m[1],10);
+          const b = parseInt(m[2],10);
+          if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
+            add(Math.round((whole + (a/b)) * 1609.34));
+            i++; // consume t1
+            continue;
+          }
+        }
+      }
+    }
+
+    // Fractional statute miles: 1/2SM, M1/4SM
+    if (/^M?\d+\/\d+SM$/.test(t0)){ add(_parseVisibilityMeters(t0)); continue; }
+
+    // Ignore validity/time ranges, temps, RVR groups.
+    if (t0.includes('/')) continue;
+    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
+
+    add(_parseVisibilityMeters(t0));
+  }
+
+  return best;
+}
+
+function extractAllVisibilityMetersFromTAF(raw){
+  const s = stripRemarks(raw);
+  const out = [];
+  if (!s.trim()) return out;
+
+  if (/\bCAVOK\b/i.test(s)) out.push(10000);
+
+  const toks = s.trim().split(/\s+/).filter(Boolean);
+
+  for (let i=0; i<toks.length; i++){
+    const t0 = toks[i].trim().toUpperCase();
+    if (!t0) continue;
+
+    // Split statute miles: e.g. "1 1/2SM"
+    if (/^\d+$/.test(t0) && i+1 < toks.length){
+      const t1 = toks[i+1].trim().toUpperCase();
+      if (/^M?\d+\/\d+SM$/.test(t1)){
+        const whole = parseInt(t0,10);
+        const m = t1.match(/^M?(\d+)\/(\d+)SM$/);
+        if (m){
+          const a = parseInt(m[1],10);
+          const b = parseInt(m[2],10);
+          if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
+            out.push(Math.round((whole + (a/b)) * 1609.34));
+            i++; // consume t1
+            continue;
+          }
+        }
+      }
+    }
+
+    // Ignore validity/time ranges (TAF) and RVR groups.
+    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
+    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
+
+    const v = _parseVisibilityMeters(t0);
+    if (v !== null) out.push(v);
+  }
+
+  return out.filter(n=>Number.isFinite(n));
+}
+
+// --- TAF change-group timeline -----------------------------------------------
+// Splits a TAF into validity windows (base / FM / BECMG / TEMPO / PROB) with
+// absolute UTC start/end so consumers can tell *when* a forecast deteriorates,
+// not only *whether* it does somewhere in the validity period.
+
+const FM_RE = /^FM(\d{2})(\d{2})(\d{2})$/;
+const TAF_WX_RE = /^(\+|-|VC)?(MI|BC|PR|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/;
+
+function resolveDayTimeUtc(dd, hh, mm, refMs){
+  // Report groups only carry day-of-month. Pick the month (previous/current/next)
+  // that puts the timestamp closest to the reference time; hour 24 rolls over.
+  if (![dd,hh,mm].every(Number.isFinite) || !Number.isFinite(refMs)) return null;
+  const ref = new Date(refMs);
+  let best = null;
+  for (const dMo of [-1, 0, 1]){
+    const y = ref.getUTCFullYear();
+    const mo = ref.getUTCMonth() + dMo;
+    const daysInMonth = new Date(Date.UTC(y, mo + 1, 0)).getUTCDate();
+    if (dd < 1 || dd > daysInMonth) continue;
+    const t = Date.UTC(y, mo, dd, hh, mm, 0);
+    if (best === null || Math.abs(t - refMs) < Math.abs(best - refMs)) best = t;
+  }
+  return best;
+}
+
+function parseTafPeriod(tok, refMs){
+  // DDHH/DDHH -> {fromMs, toMs}; end is resolved against the start so it never precedes it.
+  const m = String(tok||"").match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const fromMs = resolveDayTimeUtc(parseInt(m[1],10), parseInt(m[2],10), 0, refMs);
+  if (fromMs === null) return null;
+  const toMs = resolveDayTimeUtc(parseInt(m[3],10), parseInt(m[4],10), 0, fromMs + 12*3600*1000);
+  if (toMs === null || toMs < fromMs) return null;
+  return { fromMs, toMs };
+}
+
+function parseWindGroup(tok){
+  const m = String(tok||"").match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS)$/);
+  if (!m) return null;
+  const k = (m[4] === "MPS") ? 1.944 : 1;
+  const spd = Math.round(parseInt(m[2],10) * k);
+  const gst = m[3] ? Math.round(parseInt(m[3],10) * k) : null;
+  return {
+    dir: (m[1] === "VRB") ? null : parseInt(m[1],10),
+    vrb: m[1] === "VRB",
+    spd: Number.isFinite(spd) ? spd : null,
+    gst: Number.isFinite(gst) ? gst : null
+  };
+}
+
+function parseTafGroupBody(toks){
+  // Decodes the weather part of one TAF group (everything after its time marker).
+  const out = { wind:null, visM:null, wx:[], clouds:[], cigFt:null, cavok:false, nsw:false, nsc:false };
+  for (let i=0; i<toks.length; i++){
+    const t = toks[i];
+
+    const w = parseWindGroup(t);
+    if (w){ out.wind = w; continue; }
+
+    if (t === "CAVOK"){ out.cavok = true; out.visM = 10000; continue; }
+    if (t === "NSW"){ out.nsw = true; continue; }
+    if (t === "NSC" || t === "SKC" || t === "CLR"){ out.nsc = true; continue; }
+
+    // Split statute miles: "1 1/2SM"
+    if (/^\d+$/.test(t) && i+1 < toks.length && /^\d+\/\d+SM$/.test(toks[i+1])){
+      const f = toks[i+1].match(/^(\d+)\/(\d+)SM$/);
+      const b = parseInt(f[2],10);
+      if (b){
+        out.visM = Math.round((parseInt(t,10) + parseInt(f[1],10)/b) * 1609.34);
+        i++;
+        continue;
+      }
+    }
+
+    const cl = t.match(/^(FEW|SCT|BKN|OVC|VV)(\d{3}|\/\/\/)(CB|TCU)?$/);
+    if (cl){
+      const baseFt = (cl[2] === "///") ? null : parseInt(cl[2],10) * 100;
+      out.clouds.push({ cover: cl[1], baseFt, type: cl[3] || null });
+      continue;
+    }
+
+    if (/^\d{4}$/.test(t) || /SM$/.test(t)){
+      const v = _parseVisibilityMeters(t);
+      if (v !== null){ out.visM = v; continue; }
+    }
+
+    const wx = t.match(TAF_WX_RE);
+    if (wx && (wx[2] || wx[3])){ out.wx.push(t); continue; }
+  }
+
+  if (out.cavok){
+    out.cigFt = 5000;
+  } else {
+    const cigs = out.clouds
+      .filter(c => (c.cover === "BKN" || c.cover === "OVC" || c.cover === "VV") && c.baseFt !== null)
+      .map(c => c.baseFt);
+    out.cigFt = cigs.length ? Math.min(...cigs) : null;
+  }
+  return out;
+}
+
+function parseTafHeader(toks, refMs){
+  // TAF [AMD|COR|RTD] CCCC DDHHMMZ DDHH/DDHH -> {issueMs, validity:{fromMs,toMs}, next}
+  let i = 0;
+  const headerSkip = new Set(["TAF","AMD","COR","RTD"]);
+  while (i < toks.length && headerSkip.has(toks[i])) i++;
+  if (i < toks.length && /^[A-Z]{4}$/.test(toks[i])) i++;
+
+  let issueMs = null;
+  const iss = (toks[i] || "").match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (iss){
+    issueMs = resolveDayTimeUtc(parseInt(iss[1],10), parseInt(iss[2],10), parseInt(iss[3],10), refMs);
+    i++;
+  }
+
+  const validity = parseTafPeriod(toks[i], (issueMs !== null) ? issueMs : refMs);
+  if (validity) i++;
+  return { issueMs, validity, next: i };
+}
+
+function parseTafTimeline(raw, refIso){
+  // Returns [{type, prob, from, to, until, raw, wind, visM, wx, clouds, cigFt, cavok, nsw, nsc, hz}]
+  // - type: BASE | FM | BECMG | TEMPO | PROB (PROB30/40 without TEMPO)
+  // - from/to: validity of the group itself (for BECMG: the transition window)
+  // - until: end of the group's effect (BASE/FM/BECMG persist until the next FM or TAF end)
+  const s = stripRemarks(String(raw||"").toUpperCase().replace(/=+\s*$/,"")).trim();
+  if (!s) return [];
+  const toks = s.split(/\s+/).filter(Boolean);
+
+  const refMs = Number.isFinite(Date.parse(refIso)) ? Date.parse(refIso) : Date.now();
+
+  const hdr = parseTafHeader(toks, refMs);
+  const issueMs = (hdr.issueMs !== null) ? hdr.issueMs : refMs;
+  const validity = hdr.validity;
+  if (!validity) return [];
+  let i = hdr.next;
+
+  // Cut the remaining tokens into groups at each change indicator.
+  const isChange = (t)=> FM_RE.test(t) || t === "BECMG" || t === "TEMPO" || /^PROB\d{2}$/.test(t);
+  const groups = [];
+  let cur = { head: [], body: [] };
+  for (; i < toks.length; i++){
+    const t = toks[i];
+    if (isChange(t)){
+      // PROB30 TEMPO ... is one group
+      if (t === "TEMPO" && cur.head.length === 1 && /^PROB\d{2}$/.test(cur.head[0]) && !cur.body.length){
+        cur.head.push(t);
+        continue;
+      }
+      groups.push(cur);
+      cur = { head: [t], body: [] };
+      continue;
+    }
+    if (cur.head.length && !FM_RE.test(cur.head[0]) && !cur.period){
+      const p = parseTafPeriod(t, issueMs);
+      if (p){ cur.period = p; cur.periodTok = t; continue; }
+    }
+    cur.body.push(t);
+  }
+  groups.push(cur);
+
+  const iso = (ms)=> new Date(ms).toISOString();
+  const windows = [];
+  for (const g of groups){
+    let type, prob = null, fromMs, toMs;
+    if (!g.head.length){
+      type = "BASE";
+      fromMs = validity.fromMs;
+      toMs = validity.toMs;
+    } else if (FM_RE.test(g.head[0])){
+      const m = g.head[0].match(FM_RE);
+      const t = resolveDayTimeUtc(parseInt(m[1],10), parseInt(m[2],10), parseInt(m[3],10), issueMs);
+      if (t === null) continue;
+      type = "FM";
+      fromMs = t;
+      toMs = validity.toMs;
+    } else {
+      if (!g.period) continue;
+      const pm = g.head[0].match(/^PROB(\d{2})$/);
+      if (pm) prob = parseInt(pm[1],10);
+      type = g.head.includes("TEMPO") ? "TEMPO" : (g.head[0] === "BECMG" ? "BECMG" : "PROB");
+      fromMs = g.period.fromMs;
+      toMs = g.period.toMs;
+    }
+    const body = parseTafGroupBody(g.body);
+    const rawGroup = [...g.head, g.periodTok, ...g.body].filter(Boolean).join(" ");
+    windows.push({ type, prob, fromMs, toMs, raw: rawGroup, ...body });
+  }
+
+  // Persistent groups (BASE/FM/BECMG) last until the next FM or the end of the TAF.
+  const fmStarts = windows.filter(w => w.type === "FM").map(w => w.fromMs).sort((a,b)=>a-b);
+  for (const w of windows){
+    if (w.type === "TEMPO" || w.type === "PROB"){
+      w.untilMs = w.toMs;
+      continue;
+    }
+    const nextFm = fmStarts.find(t => t > w.fromMs);
+    w.untilMs = (nextFm != null) ? nextFm : validity.toMs;
+    if (w.type !== "BECMG") w.toMs = w.untilMs;
+  }
+
+  return windows.map(w => ({
+    type: w.type,
+    prob: w.prob,
+    from: iso(w.fromMs),
+    to: iso(w.toMs),
+    until: iso(w.untilMs),
+    raw: w.raw,
+    wind: w.wind,
+    visM: w.visM,
+    wx: w.wx,
+    clouds: w.clouds,
+    cigFt: w.cigFt,
+    cavok: w.cavok,
+    nsw: w.nsw,
+    nsc: w.nsc,
+    hz: hazardFlags(w.raw)
+  }));
+}
+
+// --- Freshness ---------------------------------------------------------------
+// Report groups carry only DDHHMMZ / DDHH/DDHH. Resolve them to ISO against the run time
+// (month rollover included) so age, METAR cadence and TAF validity are exact everywhere.
+
+const METAR_CADENCE_DEFAULT_MIN = 30;
+const METAR_OVERDUE_GRACE_MIN = 15;
+
+function reportTimeIso(raw, refIso){
+  const m = String(raw||"").match(/\b(\d{2})(\d{2})(\d{2})Z\b/);
+  if (!m) return null;
+  const refMs = Number.isFinite(Date.parse(refIso)) ? Date.parse(refIso) : Date.now();
+  const t = resolveDayTimeUtc(parseInt(m[1],10), parseInt(m[2],10), parseInt(m[3],10), refMs);
+  return (t === null) ? null : new Date(t).toISOString();
+}
+
+function resolveTafTimes(raw, refIso){
+  // -> {issuedAt, validFrom, validTo} (ISO or null)
+  const s = stripRemarks(String(raw||"").toUpperCase().replace(/=+\s*$/,"")).trim();
+  const out = { issuedAt: null, validFrom: null, validTo: null };
+  if (!s) return out;
+  const refMs = Number.isFinite(Date.parse(refIso)) ? Date.parse(refIso) : Date.now();
+  const hdr = parseTafHeader(s.split(/\s+/), refMs);
+  if (hdr.issueMs !== null) out.issuedAt = new Date(hdr.issueMs).toISOString();
+  if (hdr.validity){
+    out.validFrom = new Date(hdr.validity.fromMs).toISOString();
+    out.validTo = new Date(hdr.validity.toMs).toISOString();
+  }
+  return out;
+}
+
+function isoToReportTime(iso){
+  // ISO -> DDHHMMZ (as written in the reports)
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  const p = (n)=> String(n).padStart(2,"0");
+  return `${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}Z`;
+}
+
+function guessMetarCadenceMin(obsIso){
+  // Without a learned interval: reports at :00/:20/:30/:50 are half-hourly, anything else hourly.
+  const d = new Date(obsIso);
+  if (Number.isNaN(d.getTime())) return METAR_CADENCE_DEFAULT_MIN;
+  return [0, 20, 30, 50].includes(d.getUTCMinutes()) ? 30 : 60;
+}
+
+function computeFreshness(st, nowIso){
+  // st.metarCadenceMin (learned by the backend from previous runs) wins over the guess.
+  const nowMs = Number.isFinite(Date.parse(nowIso)) ? Date.parse(nowIso) : Date.now();
+  const HOUR = 3600*1000;
+  const ageMin = (iso)=> iso ? Math.max(0, Math.round((nowMs - Date.parse(iso)) / 60000)) : null;
+
+  const metarObsAt = reportTimeIso(stripRemarks(st.metarRaw || ""), nowIso);
+  const metarAgeMin = ageMin(metarObsAt);
+  const metarCadenceMin = Number.isFinite(st.metarCadenceMin) ? st.metarCadenceMin : (metarObsAt ? guessMetarCadenceMin(metarObsAt) : null);
+  const metarOverdue = (metarAgeMin !== null && metarAgeMin > metarCadenceMin + METAR_OVERDUE_GRACE_MIN);
+
+  const taf = resolveTafTimes(st.tafRaw || "", nowIso);
+  const tafAgeMin = ageMin(taf.issuedAt);
+  const nextHourMs = (Math.floor(nowMs / HOUR) + 1) * HOUR;
+  const toMs = taf.validTo ? Date.parse(taf.validTo) : null;
+  const fromMs = taf.validFrom ? Date.parse(taf.validFrom) : null;
+  const tafExpired = (toMs !== null && toMs <= nowMs);
+  const tafNotValidNextHour = !tafExpired && toMs !== null && (toMs <= nextHourMs || fromMs > nextHourMs);
+
+  return {
+    metarObsAt, metarAgeMin, metarCadenceMin, metarOverdue,
+    tafIssuedAt: taf.issuedAt, tafValidFrom: taf.validFrom, tafValidTo: taf.validTo, tafAgeMin,
+    tafExpired, tafNotValidNextHour
+  };
+}
+
+// --- Remarks (RMK) section ---------------------------------------------------
+// North American reports carry station/sensor data after RMK (AO2, PK WND, T-group, SLP,
+// TSNO ...). Remarks are decoded separately and never scanned for hazards: LTG DSNT,
+// VIRGA or CB DSNT there must not trip TS/CB or RA.
+
+const RMK_SENSOR_STATUS = {
+  RVRNO:"RVR missing", PWINO:"present weather sensor not available", PNO:"precipitation gauge not available",
+  FZRANO:"freezing rain sensor not available", TSNO:"lightning detector not available",
+  VISNO:"secondary visibility sensor not available", CHINO:"secondary ceiling sensor not available",
+  SLPNO:"sea-level pressure not available"
+};
+
+function stripRemarks(raw){
+  const s = String(raw||"");
+  const m = s.match(/(^|\s)RMK(\s|$)/i);
+  return m ? s.slice(0, m.index).trim() : s;
+}
+
+function decodeMetarRemarks(rmk){
+  // Returns {raw, station, peakWind, windShift, tempPrecise, slpHpa, sensorStatus[], maintenance}
+  const s = String(rmk||"").trim().toUpperCase();
+  if (!s) return null;
+  const out = {
+    raw: s, station: null, peakWind: null, windShift: null, tempPrecise: null,
+    slpHpa: null, sensorStatus: [], maintenance: false
+  };
+  const toks = s.split(/\s+/);
+  for (let i=0; i<toks.length; i++){
+    const t = toks[i];
+    if (t === "AO1" || t === "AO2"){ out.station = t; continue; }
+    if (t === "$"){ out.maintenance = true; continue; }
+    if (RMK_SENSOR_STATUS[t]){ out.sensorStatus.push({ code: t, text: RMK_SENSOR_STATUS[t] }); continue; }
+
+    // PK WND dddff(f)/(hh)mm
+    if (t === "PK" && toks[i+1] === "WND"){
+      const m = String(toks[i+2]||"").match(/^(\d{3})(\d{2,3})\/(\d{2})?(\d{2})$/);
+      if (m){
+        out.peakWind = { dir: parseInt(m[1],10), spd: parseInt(m[2],10), hour: m[3] ? parseInt(m[3],10) : null, minute: parseInt(m[4],10) };
+        i += 2;
+        continue;
+      }
+    }
+    // WSHFT (hh)mm [FROPA]
+    if (t === "WSHFT"){
+      const m = String(toks[i+1]||"").match(/^(\d{2})?(\d{2})$/);
+      if (m){
+        out.windShift = { hour: m[1] ? parseInt(m[1],10) : null, minute: parseInt(m[2],10), fropa: toks[i+2] === "FROPA" };
+        i += out.windShift.fropa ? 2 : 1;
+        continue;
+      }
+    }
+    // T-group: TsTTTsDDD in tenths, sign 1 = negative (dew point part optional)
+    let m = t.match(/^T([01])(\d{3})(?:([01])(\d{3}))?$/);
+    if (m){
+      const v = (sg, n) => (sg === "1" ? -1 : 1) * parseInt(n,10) / 10;
+      out.tempPrecise = { tempC: v(m[1], m[2]), dewC: m[3] ? v(m[3], m[4]) : null };
+      continue;
+    }
+    m = t.match(/^SLP(\d{3})$/);
+    if (m){
+      const n = parseInt(m[1],10);
+      out.slpHpa = ((n < 500) ? 10000 + n : 9000 + n) / 10;
+      continue;
+    }
+  }
+  return out;
+}
+
+// --- METAR TREND section -----------------------------------------------------
+// European METARs append a 2-hour landing forecast (NOSIG / BECMG / TEMPO ...).
+// It must not be read as observed weather, so the report is split first and the
+// trend is scored as its own "next 2 h" source.
+
+const METAR_TREND_START = new Set(["NOSIG","BECMG","TEMPO"]);
+
+function splitMetarTrend(raw){
+  // Returns {obs, trend, trendType, rmk}; trend runs from the first indicator up to RMK (or the end).
+  const s = String(raw||"").trim();
+  if (!s) return { obs:"", trend:"", trendType:null, rmk:"" };
+  const toks = s.split(/\s+/);
+  const rmkAt = toks.findIndex((t, i) => i > 1 && t.toUpperCase() === "RMK");
+  const end = (rmkAt < 0) ? toks.length : rmkAt;
+  const rmk = (rmkAt < 0) ? "" : toks.slice(rmkAt + 1).join(" ");
+  const start = toks.findIndex((t, i) => i > 1 && i < end && METAR_TREND_START.has(t.toUpperCase()));
+  if (start < 0) return { obs: toks.slice(0, end).join(" "), trend:"", trendType:null, rmk };
+  return {
+    obs: toks.slice(0, start).join(" "),
+    trend: toks.slice(start, end).join(" "),
+    trendType: toks[start].toUpperCase(),
+    rmk
+  };
+}
+
+// --- Structured METAR decoder ------------------------------------------------
+// Token-by-token decode of the observation part into one structure (metarDecoded)
+// that the drawer, map popups and stats page render from. TREND and RMK are kept raw.
+
+const WX_DESCRIPTOR_TEXT = {
+  MI:"shallow", BC:"patches of", PR:"partial", DR:"low drifting", BL:"blowing",
+  SH:"showers of", TS:"thunderstorm with", FZ:"freezing"
+};
+const WX_PHENOMENON_TEXT = {
+  DZ:"drizzle", RA:"rain", SN:"snow", SG:"snow grains", IC:"ice crystals", PL:"ice pellets",
+  GR:"hail", GS:"small hail", UP:"unknown precipitation", BR:"mist", FG:"fog", FU:"smoke",
+  VA:"volcanic ash", DU:"dust", SA:"sand", HZ:"haze", PY:"spray", PO:"dust whirls",
+  SQ:"squalls", FC:"funnel cloud", SS:"sandstorm", DS:"duststorm"
+};
+const METAR_WX_RE = /^(\+|-)?(VC)?(MI|BC|PR|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/;
+const METAR_RVR_RE = /^R(\d{2}[LRC]?)\/([PM])?(\d{4})(?:V([PM])?(\d{4}))?(FT)?\/?([UDN])?$/;
+const METAR_RWY_STATE_RE = /^R(\d{2}[LRC]?)\/(?:CLRD(\d{2}|\/\/)|([0-9\/])([0-9\/])(\d{2}|\/\/)(\d{2}|\/\/))$/;
+const COMPASS_DIRS = new Set(["N","NE","E","SE","S","SW","W","NW"]);
+
+function decodeWxGroup(tok){
+  // "-SHRA" -> {raw, intensity:"light", proximity:null, descriptor:"SH", phenomena:["RA"], text}
+  const m = String(tok||"").match(METAR_WX_RE);
+  if (!m || !(m[3] || m[4])) return null;
+  if (m[1] && m[2]) return null;
+  const phenomena = (m[4] || "").match(/../g) || [];
+  const intensity = (m[1] === "+") ? "heavy" : ((m[1] === "-") ? "light" : (m[2] ? null : "moderate"));
+  const words = [];
+  if (intensity && intensity !== "moderate") words.push(intensity);
+  if (m[3]) words.push(WX_DESCRIPTOR_TEXT[m[3]]);
+  if (phenomena.length) words.push(phenomena.map(p => WX_PHENOMENON_TEXT[p]).join(" and "));
+  let text = words.join(" ").replace(/ (of|with)$/, "");
+  if (m[2]) text += " in the vicinity";
+  return {
+    raw: tok,
+    intensity,
+    proximity: m[2] ? "VC" : null,
+    descriptor: m[3] || null,
+    phenomena,
+    text
+  };
+}
+
+function decodeMetarStructured(raw){
+  const { obs, trend, trendType, rmk } = splitMetarTrend(raw);
+  if (!obs) return null;
+
+  const toks = obs.toUpperCase().split(/\s+/).filter(Boolean);
+
+  const out = {
+    type: "METAR", cor: false, auto: false, nil: false,
+    station: null, time: null,
+    wind: null, cavok: false,
+    vis: null, rvr: [],
+    wx: [], clouds: [], vvFt: null, obscured: false, nsc: false, ncd: false, skyClear: false, clr: false, ceilingFt: null,
+    tempC: null, dewC: null, qnhHpa: null, altimeterInHg: null,
+    recentWx: [], windShear: [], runwayState: [],
+    missing: [], unparsed: [],
+    trend: trend ? { type: trendType, raw: trend } : null,
+    rmk: decodeMetarRemarks(rmk)
+  };
+  const missing = (what) => { if (!out.missing.includes(what)) out.missing.push(what); };
+
+  let i = 0;
+  if (toks[i] === "METAR" || toks[i] === "SPECI") out.type = toks[i++];
+  if (toks[i] === "COR"){ out.cor = true; i++; }
+  if (i < toks.length && /^[A-Z][A-Z0-9]{3}$/.test(toks[i])) out.station = toks[i++];
+
+  for (; i < toks.length; i++){
+    const t = toks[i];
+
+    let m = t.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+    if (m && !out.time){
+      out.time = { day: parseInt(m[1],10), hour: parseInt(m[2],10), minute: parseInt(m[3],10) };
+      continue;
+    }
+    if (t === "AUTO"){ out.auto = true; continue; }
+    if (t === "NIL"){ out.nil = true; continue; }
+    if (t === "COR"){ out.cor = true; continue; }
+
+    // Wind
+    if (!out.wind){
+      const w = parseWindGroup(t);
+      if (w){
+        out.wind = { ...w, calm: w.spd === 0 && !w.gst, varFrom: null, varTo: null, unit: t.endsWith("MPS") ? "MPS" : "KT" };
+        continue;
+      }
+      if (/^(\/{3}|\d{3})(\d{2}|\/\/)(KT|MPS)$/.test(t) || (t === "/////" && !out.vis && !out.missing.includes("wind"))){ missing("wind"); continue; }
+    }
+    m = t.match(/^(\d{3})V(\d{3})$/);
+    if (m && out.wind){
+      out.wind.varFrom = parseInt(m[1],10);
+      out.wind.varTo = parseInt(m[2],10);
+      continue;
+    }
+
+    // Visibility (prevailing, then minimum / directional)
+    if (t === "CAVOK"){ out.cavok = true; out.vis = { m: 10000, sm: null, qualifier: null, ndv: false, minM: null, minDir: null, directional: [] }; continue; }
+    if (t === "////" && !out.vis){ missing("visibility"); continue; }
+    m = t.match(/^(\d{4})(NDV)?$/);
+    if (m && !out.vis){
+      const v = parseInt(m[1],10);
+      out.vis = { m: v === 9999 ? 10000 : v, sm: null, qualifier: null, ndv: !!m[2], minM: null, minDir: null, directional: [] };
+      continue;
+    }
+    m = t.match(/^(\d{4})([NSEW]{1,2})$/);
+    if (m && COMPASS_DIRS.has(m[2])){
+      if (!out.vis) out.vis = { m: null, sm: null, qualifier: null, ndv: false, minM: null, minDir: null, directional: [] };
+      const v = parseInt(m[1],10);
+      out.vis.directional.push({ dir: m[2], m: v === 9999 ? 10000 : v });
+      if (out.vis.minM === null || v < out.vis.minM){ out.vis.minM = v; out.vis.minDir = m[2]; }
+      continue;
+    }
+    // Statute miles: "1 1/2SM", "M1/4SM" (less than), "P6SM" (more than)
+    if (!out.vis && /^\d+$/.test(t) && /^\d+\/\d+SM$/.test(toks[i+1] || "")){
+      const f = toks[i+1].match(/^(\d+)\/(\d+)SM$/);
+      const b = parseInt(f[2],10);
+      if (b){
+        out.vis = { m: Math.round((parseInt(t,10) + parseInt(f[1],10)/b) * 1609.34), sm: `${t} ${toks[i+1].slice(0,-2)}`, qualifier: null, ndv: false, minM: null, minDir: null, directional: [] };
+        i++;
+        continue;
+      }
+    }
+    if (!out.vis && /^[MP]?\d+(?:\/\d+)?SM$/.test(t)){
+      const v = _parseVisibilityMeters(t);
+      if (v !== null){
+        const q = /^[MP]/.test(t) ? t[0] : null;
+        out.vis = { m: v, sm: t.slice(q ? 1 : 0, -2), qualifier: q, ndv: false, minM: null, minDir: null, directional: [] };
+        continue;
+      }
+    }
+
+    // RVR per runway
+    m = t.match(METAR_RVR_RE);
+    if (m){
+      const toM = (x) => m[6] ? Math.round(x * 0.3048) : x;
+      out.rvr.push({
+        rwy: m[1],
+        m: toM(parseInt(m[3],10)),
+        prefix: m[2] || null,
+        maxM: m[5] ? toM(parseInt(m[5],10)) : null,
+        maxPrefix: m[4] || null,
+        unit: m[6] ? "FT" : "M",
+        tendency: m[7] || null,
+        raw: t
+      });
+      continue;
+    }
+    if (/^R\d{2}[LRC]?\/\/{4}/.test(t)){ missing("RVR"); continue; }
+
+    // Runway state groups (R24/290150, R88/CLRD//, legacy 24290150, SNOCLO); fields are decoded by om_policy
+    m = t.match(METAR_RWY_STATE_RE);
+    if (m){
+      out.runwayState.push({ rwy: m[1], cleared: m[2] !== undefined, raw: t });
+      continue;
+    }
+    m = t.match(/^(?:R(\d{2}[LRC]?)?\/)?SNOCLO$/);
+    if (m || /^\d{8}$/.test(t)){
+      out.runwayState.push({ rwy: m ? (m[1] || "88") : t.slice(0,2), cleared: false, raw: t });
+      continue;
+    }
+
+    // Present weather
+    if (t === "//"){ missing("present weather"); continue; }
+    const wx = decodeWxGroup(t);
+    if (wx){ out.wx.push(wx); continue; }
+
+    // Clouds
+    if (t === "NSC"){ out.nsc = true; continue; }
+    if (t === "NCD"){ out.ncd = true; continue; }
+    if (t === "SKC"){ out.skyClear = true; continue; }
+    if (t === "CLR"){ out.clr = true; continue; } // automated: no cloud detected below 12,000 ft
+    m = t.match(/^VV(\d{3}|\/\/\/)$/);
+    if (m){
+      out.obscured = true;
+      if (m[1] === "///") missing("vertical visibility");
+      else out.vvFt = parseInt(m[1],10) * 100;
+      continue;
+    }
+    m = t.match(/^(FEW|SCT|BKN|OVC|\/\/\/)(\d{3}|\/\/\/)(CB|TCU|\/\/\/)?$/);
+    if (m){
+      if (m[1] === "///" || m[2] === "///") missing("cloud");
+      out.clouds.push({
+        cover: (m[1] === "///") ? null : m[1],
+        baseFt: (m[2] === "///") ? null : parseInt(m[2],10) * 100,
+        type: (m[3] === "CB" || m[3] === "TCU") ? m[3] : null,
+        raw: t
+      });
+      continue;
+    }
+
+    // Temperature / dew point
+    m = t.match(/^(M?\d{2}|\/\/)\/(M?\d{2}|\/\/)?$/);
+    if (m && out.tempC === null){
+      const num = (x) => (!x || x === "//") ? null : (x.startsWith("M") ? -parseInt(x.slice(1),10) : parseInt(x,10));
+      out.tempC = num(m[1]);
+      out.dewC = num(m[2]);
+      if (out.tempC === null) missing("temperature");
+      if (out.dewC === null) missing("dew point");
+      continue;
+    }
+
+    // Pressure
+    m = t.match(/^Q(\d{4}|\/{4})$/);
+    if (m){
+      if (m[1] === "////") missing("QNH");
+      else out.qnhHpa = parseInt(m[1],10);
+      continue;
+    }
+    m = t.match(/^A(\d{4}|\/{4})$/);
+    if (m){
+      if (m[1] === "////") missing("altimeter");
+      else {
+        out.altimeterInHg = parseInt(m[1],10) / 100;
+        out.qnhHpa = Math.round(out.altimeterInHg * 33.8639);
+      }
+      continue;
+    }
+
+    // Supplementary: recent weather and wind shear
+    if (/^RE[A-Z]{2,}$/.test(t)){
+      const re = decodeWxGroup(t.slice(2));
+      if (re){ out.recentWx.push({ ...re, intensity: null, raw: t }); continue; }
+    }
+    if (t === "WS"){
+      const a = toks[i+1] || "", b = toks[i+2] || "";
+      if (a === "ALL" && b === "RWY"){ out.windShear.push({ rwy: null, all: true, raw: `WS ALL RWY` }); i += 2; continue; }
+      m = a.match(/^R(?:WY)?(\d{2}[LRC]?)$/);
+      if (m){ out.windShear.push({ rwy: m[1], all: false, raw: `WS ${a}` }); i += 1; continue; }
+    }
+
+    out.unparsed.push(t);
+  }
+
+  const cigs = out.clouds
+    .filter(c => (c.cover === "BKN" || c.cover === "OVC") && c.baseFt !== null)
+    .map(c => c.baseFt);
+  if (out.vvFt !== null) cigs.push(out.vvFt);
+  else if (out.obscured) cigs.push(0); // VV///: indefinite ceiling
+  out.ceilingFt = cigs.length ? Math.min(...cigs) : null;
+
+  return out;
+}
+
+function metarDecodedLines(d){
+  // Renders a decodeMetarStructured() result as plain-language lines (drawer + map popup).
+  const out = [];
+  const flags = [d.type, d.auto ? "AUTO" : "", d.cor ? "COR" : "", d.nil ? "NIL" : ""].filter(Boolean);
+  if (flags.length > 1 || d.type === "SPECI") out.push(`Report: ${flags.join(" ")}`);
+
+  const w = d.wind;
+  if (w){
+    if (w.calm) out.push("Wind: calm");
+    else {
+      const dir = w.vrb ? "variable" : `${String(w.dir).padStart(3,"0")}°`;
+      const vary = (w.varFrom != null) ? `, varying ${String(w.varFrom).padStart(3,"0")}°–${String(w.varTo).padStart(3,"0")}°` : "";
+      out.push(`Wind: ${dir} ${w.spd} kt${w.gst ? ` gust ${w.gst} kt` : ""}${vary}`);
+    }
+  }
+
+  if (d.cavok) out.push("Visibility: 10 km or more, no cloud below 5000 ft, no significant weather (CAVOK)");
+  else if (d.vis){
+    const bits = [];
+    if (d.vis.sm){
+      const q = d.vis.qualifier === "M" ? "less than " : (d.vis.qualifier === "P" ? "more than " : "");
+      bits.push(`${q}${d.vis.sm} SM (${q}${d.vis.m} m)`);
+    }
+    else if (d.vis.m != null) bits.push(d.vis.m >= 10000 ? "10 km or more" : `${d.vis.m} m`);
+    if (d.vis.ndv) bits.push("no directional variation");
+    for (const x of (d.vis.directional || [])) bits.push(`${x.m} m to the ${x.dir}`);
+    if (bits.length) out.push(`Visibility: ${bits.join(", ")}`);
+  }
+
+  const tend = { U:"rising", D:"falling", N:"no change" };
+  for (const r of (d.rvr || [])){
+    const v = (p, m) => `${p === "P" ? "above " : (p === "M" ? "below " : "")}${m} m`;
+    const range = (r.maxM != null) ? `${v(r.prefix, r.m)} to ${v(r.maxPrefix, r.maxM)}` : v(r.prefix, r.m);
+    out.push(`RVR RWY ${r.rwy}: ${range}${r.tendency ? ` (${tend[r.tendency]})` : ""}`);
+  }
+
+  if ((d.wx || []).length) out.push(`Weather: ${d.wx.map(x => x.text).join(", ")}`);
+
+  const cover = { FEW:"few", SCT:"scattered", BKN:"broken", OVC:"overcast" };
+  const layers = (d.clouds || []).map(c => {
+    const type = c.type === "CB" ? " cumulonimbus" : (c.type === "TCU" ? " towering cumulus" : "");
+    if (!c.cover && c.baseFt == null) return type ? `${type.trim()} (amount/base not observed)` : "not observed";
+    return `${cover[c.cover] || "?"} ${c.baseFt != null ? c.baseFt + " ft" : "(base n/a)"}${type}`;
+  });
+  if (d.vvFt != null) layers.push(`sky obscured, vertical visibility ${d.vvFt} ft`);
+  else if (d.obscured) layers.push("sky obscured, vertical visibility not measurable (indefinite ceiling)");
+  if (layers.length) out.push(`Clouds: ${layers.join(", ")}`);
+  else if (d.nsc) out.push("Clouds: no significant cloud");
+  else if (d.ncd) out.push("Clouds: no cloud detected (AUTO)");
+  else if (d.skyClear) out.push("Clouds: sky clear");
+  else if (d.clr) out.push("Clouds: none detected below 12,000 ft (CLR, automated)");
+  if (d.ceilingFt != null) out.push(`Ceiling: ${d.ceilingFt} ft AGL`);
+
+  const tp = d.rmk && d.rmk.tempPrecise;
+  if (tp) out.push(`Temp/Dew point: ${tp.tempC}°C / ${tp.dewC ?? d.dewC ?? "—"}°C (RMK T-group)`);
+  else if (d.tempC != null || d.dewC != null) out.push(`Temp/Dew point: ${d.tempC ?? "—"}°C / ${d.dewC ?? "—"}°C`);
+  if (d.altimeterInHg != null) out.push(`Altimeter: ${d.altimeterInHg.toFixed(2)} inHg (${d.qnhHpa} hPa)`);
+  else if (d.qnhHpa != null) out.push(`QNH: ${d.qnhHpa} hPa`);
+
+  if ((d.recentWx || []).length) out.push(`Recent weather: ${d.recentWx.map(x => x.text).join(", ")}`);
+  if ((d.windShear || []).length) out.push(`Wind shear: ${d.windShear.map(x => x.all ? "all runways" : `RWY ${x.rwy}`).join(", ")}`);
+  for (const r of (d.runwayState || [])){
+    const rwy = (r.rwy === "88") ? "all runways" : `RWY ${r.rwy}`;
+    const bits = [];
+    if (r.closed) bits.push("closed / not operational");
+    else if (r.cleared) bits.push("contamination cleared");
+    if (r.deposit) bits.push(r.deposit.text);
+    if (r.extent) bits.push(`covering ${r.extent.text}`);
+    if (r.depthMm != null) bits.push(`depth ${r.depthMm} mm`);
+    if (r.braking) bits.push(`braking ${r.braking.text}`);
+    if (r.rwycc != null) bits.push(`RWYCC ${r.rwycc} reported`);
+    out.push(`Runway state ${rwy}: ${bits.length ? bits.join(", ") : r.raw}`);
+  }
+  if ((d.missing || []).length) out.push(`Not reported (////): ${d.missing.join(", ")}`);
+  if (d.trend) out.push(`Trend (next 2 h): ${d.trend.raw}`);
+
+  const r = d.rmk;
+  if (r){
+    const pad = (n) => String(n).padStart(2,"0");
+    if (r.station) out.push(`Station: ${r.station === "AO2" ? "automated, with precipitation discriminator" : "automated, no precipitation discriminator"}`);
+    if (r.peakWind) out.push(`Peak wind: ${String(r.peakWind.dir).padStart(3,"0")}° ${r.peakWind.spd} kt at ${r.peakWind.hour != null ? pad(r.peakWind.hour) : ""}${pad(r.peakWind.minute)}Z`);
+    if (r.windShift) out.push(`Wind shift at ${r.windShift.hour != null ? pad(r.windShift.hour) : ""}${pad(r.windShift.minute)}Z${r.windShift.fropa ? " (frontal passage)" : ""}`);
+    if (r.slpHpa != null) out.push(`Sea-level pressure: ${r.slpHpa.toFixed(1)} hPa`);
+    if ((r.sensorStatus || []).length) out.push(`Sensors: ${r.sensorStatus.map(x => `${x.code} (${x.text})`).join(", ")}`);
+    if (r.maintenance) out.push("Station needs maintenance ($)");
+    out.push(`Remarks: ${r.raw}`);
+  }
+  return out;
+}
+
+// --- Scoring -------------------------------------------------------------------
+// Each source (METAR / TAF / TREND) is scored separately; the worst pillar wins.
+
+function scoreFromVis(vis){
+  if (vis===null || vis===undefined) return 0;
+  if (vis <= 150) return 80;
+  if (vis <= 175) return 72;
+  if (vis <= 250) return 60;
+  if (vis <= 300) return 52;
+  if (vis <= 500) return 40;
+  if (vis <= 550) return 32;
+  if (vis <= 800) return 20;
+  return 0;
+}
+function scoreFromCig(cig){
+  if (cig===null || cig===undefined) return 0;
+  if (cig < 200) return 70;
+  if (cig < 300) return 60;
+  if (cig < 500) return 45;
+  if (cig < 800) return 28;
+  if (cig < 1000) return 18;
+  return 0;
+}
+function scoreFromGust(g){
+  if (!g) return 0;
+  if (g >= 40) return 75;
+  if (g >= 30) return 55;
+  if (g >= 25) return 35;
+  return 0;
+}
+function scoreFromHazards(hz){
+  if (!hz) return 0;
+  if (hz.va) return 90;
+  if (hz.ts || hz.cb) return 55;
+  if (hz.fzfg) return 65;
+  if (hz.fg) return 35;
+  if (hz.sn || hz.blsn) return hz.blsn ? 90 : 40;
+  if (hz.ra) return 20;
+  if (hz.br) return 18;
+  return 0;
+}
+
+function computeScores(raw){
+  const s = stripRemarks(raw).trim();
+  const hz = hazardFlags(s);
+  const tempC = parseTempC(s);
+  const gustMax = gustMaxKt(s);
+  const cig = ceilingFt(s);
+
+  // Visibility: robust token-based scan (supports split SM, M1/4SM, P6SM, 9999NDV, etc.)
+  const vis = parseVisibilityBestMeters(s);
+
+  const rvr = extractRvrMeters(s);
+  const rvrMin = rvr.length ? Math.min(...rvr) : null;
+
+  const score = Math.max(
+    scoreFromVis(vis),
+    scoreFromCig(cig),
+    scoreFromGust(gustMax),
+    scoreFromHazards(hz)
+  );
+
+  return { raw:s, hz, tempC, gustMax, vis, cig, rvrMin, score };
+}
+
+function windPillarAlert(met, taf){
+  const g = Math.max(met.gustMax ?? 0, taf.gustMax ?? 0);
+  if (!g) return "OK";
+  if (g >= 40) return "CRIT";
+  if (g >= 30) return "HIGH";
+  if (g >= 25) return "MED";
+  return "OK";
+}
+function snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll){
+  const hasSnow = !!(met.hz.sn || taf.hz.sn);
+  const hasBlSn = !!(met.hz.blsn || taf.hz.blsn);
+  if (!hasSnow && !hasBlSn) return "OK";
+  if (hasBlSn) return "CRIT";
+  const vis = worstVis;
+  const rvr = rvrMinAll;
+  const cig = cigAll;
+  if ((vis !== null && vis <= 500) || (rvr !== null && rvr <= 300) || (cig !== null && cig < 500)) return "CRIT";
+  if ((vis !== null && vis <= 800) || (rvr !== null && rvr <= 500) || (cig !== null && cig < 1000)) return "HIGH";
+  return "MED";
+}
+
+function snippetAround(raw, token, radius=28){
+  const s = String(raw||"");
+  const i = s.toUpperCase().indexOf(String(token||"").toUpperCase());
+  if (i < 0) return "";
+  const a = Math.max(0, i-radius);
+  const b = Math.min(s.length, i+String(token).length+radius);
+  const pref = a>0 ? "…" : "";
+  const suf = b<s.length ? "…" : "";
+  return pref + s.slice(a,b).trim() + suf;
+}
+
+function visTokenForMeters(raw){
+  const s = String(raw||"");
+  if (!s) return null;
+  const up = s.toUpperCase();
+
+  const mCavok = up.match(/\bCAVOK\b/);
+  if (mCavok) return "CAVOK";
+
+  // Split SM form: "1 1/2SM"
+  const mSplit = up.match(/\b\d+\s+M?\d+\/\d+SM\b/);
+  if (mSplit) return mSplit[0].replace(/\s+/g, " ").trim();
+
+  // Single-token SM: P6SM, 2SM, M1/4SM, 1/2SM
+  const mSm = up.match(/\b(?:P\d+SM|M?\d+(?:\.\d+)?SM|M?\d+\/\d+SM)\b/);
+  if (mSm) return mSm[0];
+
+  // ICAO meters (0000..9999 with optional suffix)
+  const m4 = up.match(/\b\d{4}(?:[A-Z]{1,4})?\b/);
+  if (m4) return m4[0];
+
+  return null;
+}
+
+// --- NOTAM minima selection ----------------------------------------------------
+// st.notams (backend, data/notams.json): a runway closure or ILS/LOC/GP/ALS outage takes the BEST
+// approach away, so minima are evaluated against ALT. minima.best.rwy (optional) narrows this to the
+// runways the BEST minima belong to; without it any such outage counts.
+
+const NOTAM_BEST_KILLERS = new Set(["RWY_CLSD", "ILS_US", "LOC_US", "GP_US", "ALS_US"]);
+
+function bestApproachNotams(st, fromMs, toMs){
+  const rwys = (st.minima && st.minima.best && st.minima.best.rwy) ? [].concat(st.minima.best.rwy).map(r => String(r).toUpperCase()) : null;
+  return (Array.isArray(st.notams) ? st.notams : []).filter(n => {
+    if (!n || !NOTAM_BEST_KILLERS.has(n.kind)) return false;
+    const a = Date.parse(n.from);
+    const b = n.to ? Date.parse(n.to) : Infinity;
+    if (!(a <= toMs && b > fromMs)) return false;
+    if (!rwys || !n.rwy) return true;
+    return String(n.rwy).toUpperCase().split("/").some(r => rwys.includes(r));
+  });
+}
+
+function effectiveMinima(m, notams){
+  // BEST unavailable -> ALT is the best approach left; `notam` lists the reasons for the explanation.
+  if (!m || !m.best || !m.alt || !notams.length) return m;
+  return { ...m, best: m.alt, notam: notams.map(n => `NOTAM: ${n.label}`) };
+}
+
+function runwayMinima(m, inUse){
+  // BEST minima tied to runways (minima.best.rwy) are not available while another runway is in use
+  // (om.runwayInUse) -> ALT, with the reason next to any NOTAM ones.
+  if (!m || !m.best || !m.alt || !m.best.rwy || !inUse || !inUse.rwy) return m;
+  const rwys = [].concat(m.best.rwy).map(r => String(r).toUpperCase());
+  if (rwys.includes(inUse.rwy)) return m;
+  return { ...m, best: m.alt, notam: [...(m.notam || []), `RWY ${inUse.rwy} in use (BEST: ${rwys.join("/")})`] };
+}
+
+function buildMinimaExplain({kind, raw, minima, state, visVal, rvrMin, isTaf}){
+  if (!minima || !minima.best || !minima.alt || !state) return null;
+  const triggered = !!(state.belowBest || state.onlyBest);
+  if (!triggered) return null;
+  const mode = state.belowBest ? "CRIT" : "LIMIT";
+  const basis = (state.belowBest && !minima.notam) ? "BEST" : "ALT";
+  const thr = state.belowBest ? minima.best : minima.alt;
+  const effVis = (state.effVis != null) ? state.effVis : null;
+  const cig = (state.cig != null) ? state.cig : null;
+
+  const reasons = [];
+  const tokens = [];
+
+  if (cig != null && thr.cig_ft != null && cig < thr.cig_ft){
+    const token = (()=>{
+      const s = String(raw||"").toUpperCase();
+      const re = /\b(BKN|OVC|VV)(\d{3})(?:CB|TCU)?\b/g;
+      let m;
+      while ((m = re.exec(s)) !== null){
+        const ft = parseInt(m[2],10)*100;
+        if (ft === cig) return `${m[1]}${m[2]}`;
+      }
+      return null;
+    })();
+    if (token){
+      tokens.push({token, cls: mode==="CRIT"?"hlStop":"hlWarn"});
+    }
+    reasons.push({metric:"CIG", actual:cig, threshold:thr.cig_ft, basis, token, snippet: token?snippetAround(raw, token):""});
+  }
+  if (effVis != null && thr.vis_m != null && effVis < thr.vis_m){
+    const token = (rvrMin != null && rvrMin <= effVis) ? null : visTokenForMeters(raw);
+    if (token){
+      tokens.push({token, cls: mode==="CRIT"?"hlStop":"hlWarn"});
+    }
+    reasons.push({metric:"VIS/RVR", actual:effVis, threshold:thr.vis_m, basis, token, snippet: token?snippetAround(raw, token):""});
+  }
+  const notam = minima.notam || null;
+  const tip = `${kind} minima ${mode} (${basis}${notam ? ` — ${notam.join(", ")}` : ""}) · ` + reasons.map(r=>`${r.metric} ${r.actual}<${r.threshold}`).join("; ");
+  return { mode, basis, tip, reasons, tokens, notam };
+}
+
+// --- SNOWTAM validity ---------------------------------------------------------
+// st.snowtam (backend, data/snowtams.json) is reported runway condition for the OM layer; a runway
+// report stops counting at its expiresAt even when the page outlives the next data refresh.
+
+function liveSnowtam(snowtam, nowMs){
+  if (!snowtam || !Array.isArray(snowtam.runways)) return null;
+  const runways = snowtam.runways.filter(r => !r.expiresAt || Date.parse(r.expiresAt) > nowMs);
+  if (!runways.length) return null;
+  return (runways.length === snowtam.runways.length) ? snowtam : { ...snowtam, runways };
+}
+
+// --- SIGMET impact -------------------------------------------------------------
+// st.sigmets (backend, data/sigmets.json): SIGMET/AIRMET areas the station lies in or near. A SIGMET in
+// force makes the station at least MED even when its own METAR/TAF report nothing; AIRMETs only tag.
+
+function stationSigmets(st, fromMs, toMs){
+  return (Array.isArray(st.sigmets) ? st.sigmets : []).filter(x => {
+    const a = Date.parse(x.from);
+    const b = Date.parse(x.to);
+    return (!Number.isFinite(a) || a <= toMs) && Number.isFinite(b) && b > fromMs;
+  });
+}
+
+function sigmetLevelsText(x){
+  const fl = (v) => (v === 0 ? "SFC" : `FL${String(v).padStart(3, "0")}`);
+  if (x.base != null && x.top != null) return `${fl(x.base)}/${fl(x.top)}`;
+  if (x.top != null) return `TOP ${fl(x.top)}`;
+  if (x.base != null) return `ABV ${fl(x.base)}`;
+  return "";
+}
+
+// --- VAAC ash cloud ------------------------------------------------------------
+// st.vaCloud (backend, data/vaac.json): VAAC observed (T+0) and forecast (T+6/12/18 h) ash clouds over or
+// near the station. Each step stands for 3 h either side of its time. Ash now or forecast makes the
+// station at least MED (NOW pill for ash now, FCST pill for ash ahead), so the warning comes hours early.
+
+function vaCloudSteps(st, nowMs){
+  const half = 3 * 3600_000;
+  const now = [], later = [];
+  for (const x of (Array.isArray(st.vaCloud) ? st.vaCloud : [])){
+    const at = Date.parse(x.at);
+    if (!Number.isFinite(at) || at + half <= nowMs) continue;
+    (at - half <= nowMs ? now : later).push(x);
+  }
+  return { now, later };
+}
+
+function vaCloudTip(x){
+  const lv = sigmetLevelsText(x);
+  const step = x.step ? `forecast at T+${x.step}h` : "observed";
+  return `${x.volcano || "VA"} (${x.id}): ${step} ${isoToReportTime(x.at)}${lv ? ` ${lv}` : ""} ${x.inside ? "over the airport" : `${x.distNm} NM away`}`;
+}
+
+// --- OM policy binding --------------------------------------------------------
+
+function createOmFn(runwaysMap, omRules, atIso){
+  // OM policy bound to the runway geometry and the OM rule set (config/om_rules.json) in force at atIso
+  // (default: now); same signature wherever computeDerivedStation runs.
+  const rules = resolveOmRules(omRules, atIso);
+  return (st, met, taf, worstVis, rvrMinAll)=> computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap || null, rules);
+}
+
+// --- Hour-by-hour TAF evaluation ---------------------------------------------
+// Walks the tafTimeline one hour at a time and evaluates minima, OM flags and the
+// alert level for the prevailing forecast and for every TEMPO/PROB/BECMG overlay
+// active in that hour. The worst candidate drives the hour (alert, driver, minima);
+// its omFlags are those raised by any candidate, so a flag of a group that does not
+// drive the hour (e.g. a BASE tailwind under a TEMPO TS) is kept.
+
+const OM_HOURLY_FLAGS = ["toProhib","tsOrCb","va","lvto","lvp","lvtoQualReq","rvr125","cat2Plus","cat3Only","cat3BelowMin","xwindExceed","tailwindExceed","noOpsLikely"];
+
+function applyTafGroup(state, w){
+  // Elements present in a change group replace the previous ones (ICAO Annex 3).
+  const next = { ...state };
+  if (w.wind) next.wind = w.wind;
+  if (w.cavok){
+    next.visM = 10000;
+    next.wx = [];
+    next.clouds = [];
+    next.cigFt = 5000;
+    return next;
+  }
+  if (w.visM != null) next.visM = w.visM;
+  if (w.nsw) next.wx = [];
+  else if (Array.isArray(w.wx) && w.wx.length) next.wx = w.wx;
+  if (w.nsc){
+    next.clouds = [];
+    next.cigFt = null;
+  } else if (Array.isArray(w.clouds) && w.clouds.length){
+    next.clouds = w.clouds;
+    next.cigFt = w.cigFt;
+  }
+  return next;
+}
+
+function tafStateToRaw(state){
+  // Synthesizes a report string so the regular METAR/TAF scoring and OM logic
+  // can be reused unchanged. The dummy header keeps hazardFlags from treating a
+  // leading 4-letter weather group as the station identifier.
+  const toks = ["TAF","ZZZZ"];
+  const w = state.wind;
+  if (w && w.spd != null){
+    const dir = w.vrb ? "VRB" : String(w.dir ?? 0).padStart(3,"0");
+    toks.push(`${dir}${String(w.spd).padStart(2,"0")}${w.gst ? `G${String(w.gst).padStart(2,"0")}` : ""}KT`);
+  }
+  if (state.cigFt === 5000 && state.visM === 10000 && !(state.clouds||[]).length && !(state.wx||[]).length){
+    toks.push("CAVOK");
+    return toks.join(" ");
+  }
+  if (state.visM != null) toks.push(String(Math.min(9999, state.visM)).padStart(4,"0"));
+  for (const x of (state.wx || [])) toks.push(x);
+  for (const c of (state.clouds || [])){
+    const h = (c.baseFt == null) ? "///" : String(Math.round(c.baseFt/100)).padStart(3,"0");
+    toks.push(`${c.cover}${h}${c.type || ""}`);
+  }
+  return toks.join(" ");
+}
+
+function tafCandidatesAt(timeline, tMs){
+  // Returns [{driver, state}] for one instant: the prevailing forecast first,
+  // followed by each overlay (TEMPO/PROB, or a BECMG still in transition).
+  const at = (iso)=> Date.parse(iso);
+  const persistent = timeline
+    .filter(w => (w.type === "BASE" || w.type === "FM") && at(w.from) <= tMs && tMs < at(w.until))
+    .sort((a,b)=> at(a.from) - at(b.from));
+  const anchor = persistent[persistent.length - 1];
+  if (!anchor) return [];
+
+  const blank = { wind:null, visM:null, wx:[], clouds:[], cigFt:null };
+  let prevailing = applyTafGroup(blank, anchor);
+  let prevailingDriver = anchor;
+  const out = [];
+  const becmg = timeline
+    .filter(w => w.type === "BECMG" && at(w.from) >= at(anchor.from) && at(w.from) <= tMs && tMs < at(w.until))
+    .sort((a,b)=> at(a.from) - at(b.from));
+  for (const w of becmg){
+    if (tMs >= at(w.to)){
+      prevailing = applyTafGroup(prevailing, w);
+      prevailingDriver = w;
+    } else {
+      // During the transition either the old or the new conditions may prevail.
+      out.push({ driver: w, state: applyTafGroup(prevailing, w) });
+    }
+  }
+  out.unshift({ driver: prevailingDriver, state: prevailing });
+
+  for (const w of timeline){
+    if (w.type !== "TEMPO" && w.type !== "PROB") continue;
+    if (at(w.from) <= tMs && tMs < at(w.to)) out.push({ driver: w, state: applyTafGroup(prevailing, w) });
+  }
+  return out;
+}
+
+function evaluateTafHourly(st, omFn, nowIso){
+  // Returns [{t, alert, score, driver:{type, prob, raw}, visM, cigFt, gustKt, minima, omFlags}]
+  // omFlags: union over every candidate active in the hour.
+  const timeline = Array.isArray(st.tafTimeline) ? st.tafTimeline : [];
+  const base = timeline.find(w => w.type === "BASE");
+  if (!base) return [];
+
+  const HOUR = 3600*1000;
+  const nowMs = Number.isFinite(Date.parse(nowIso)) ? Date.parse(nowIso) : Date.now();
+  const startMs = Math.max(Date.parse(base.from), Math.floor(nowMs / HOUR) * HOUR);
+  // BASE ends at the first FM group: walk to the end of the TAF validity (computeFreshness' tafValidTo).
+  const validTo = resolveTafTimes(st.tafRaw || "", nowIso).validTo;
+  const endMs = validTo ? Date.parse(validTo) : Math.max(...timeline.map(w => Date.parse(w.until)));
+  const empty = computeScores("");
+  const rank = (e)=> (ALERT_LEVEL[e.alert] || 0) * 1000 + (e.minima && e.minima.belowBest ? 200 : 0) + (e.minima && e.minima.belowAlt ? 100 : 0) + e.score;
+
+  const hours = [];
+  for (let t = startMs; t < endMs; t += HOUR){
+    let worst = null;
+    const flags = new Set();
+    for (const c of tafCandidatesAt(timeline, t)){
+      const raw = tafStateToRaw(c.state);
+      const sc = computeScores(raw);
+      const score = Math.floor(sc.score * 0.85);
+      const alert = maxAlert(
+        alertFromScore(score),
+        windPillarAlert(sc, empty),
+        snowPillarAlert(st, sc, empty, sc.vis, null, sc.cig)
+      );
+      const om = omFn ? omFn({...st, metarRaw:"", tafRaw:raw}, empty, sc, sc.vis, null) : null;
+      const m = runwayMinima(effectiveMinima(st.minima || null, bestApproachNotams(st, t, t + HOUR)), om ? om.runwayInUse : null);
+      const minima = (m && m.best && m.alt) ? (() => {
+        const effVis = sc.vis;
+        const cig = sc.cig;
+        const belowBest = ((cig!==null && m.best.cig_ft!=null && cig < m.best.cig_ft) ||
+          (effVis!==null && m.best.vis_m!=null && effVis < m.best.vis_m));
+        const belowAlt = ((cig!==null && m.alt.cig_ft!=null && cig < m.alt.cig_ft) ||
+          (effVis!==null && m.alt.vis_m!=null && effVis < m.alt.vis_m));
+        return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), notam: m.notam || null };
+      })() : null;
+      const omFlags = om ? OM_HOURLY_FLAGS.filter(k => om[k]) : [];
+      for (const k of omFlags) flags.add(k);
+      const entry = {
+        t: new Date(t).toISOString(),
+        alert,
+        score,
+        driver: { type: c.driver.type, prob: c.driver.prob ?? null, raw: c.driver.raw || "" },
+        visM: sc.vis,
+        cigFt: sc.cig,
+        gustKt: sc.gustMax,
+        minima,
+        omFlags
+      };
+      if (!worst || rank(entry) > rank(worst)) worst = entry;
+    }
+    if (worst) hours.push({ ...worst, omFlags: OM_HOURLY_FLAGS.filter(k => flags.has(k)) });
+  }
+  return hours;
+}
+
+function summarizeTafHourly(hours){
+  // First hour at which each condition is forecast (ISO timestamps, or null).
+  const first = (pred)=> (hours.find(pred) || {}).t || null;
+  return {
+    firstCrit: first(h => h.alert === "CRIT"),
+    firstHigh: first(h => h.alert === "CRIT" || h.alert === "HIGH"),
+    firstBelowBest: first(h => h.minima && h.minima.belowBest),
+    firstBelowAlt: first(h => h.minima && h.minima.belowAlt)
+  };
+}
+
+// --- Station derivation -------------------------------------------------------
+// One call produces everything the pages render for a station: scores, minima state,
+// OM flags, triggers and the alert. Raw-only input is decoded here first.
+
+function computeDerivedStation(st, omFn, nowIso){
+  if (!st.metarDecoded || !Array.isArray(st.tafTimeline)){
+    st = {
+      ...st,
+      metarDecoded: st.metarDecoded || decodeMetarStructured(st.metarRaw || ""),
+      tafTimeline: Array.isArray(st.tafTimeline) ? st.tafTimeline : parseTafTimeline(st.tafRaw || "", nowIso)
+    };
+  }
+  if (st.snowtam){
+    const snowtam = liveSnowtam(st.snowtam, Number.isFinite(Date.parse(nowIso)) ? Date.parse(nowIso) : Date.now());
+    if (snowtam !== st.snowtam) st = { ...st, snowtam };
+  }
+  const metSplit = splitMetarTrend(st.metarRaw || "");
+  const metObs = metSplit.obs;
+  const metTrend = metSplit.trend;
+  const met = computeScores(metObs);
+  const taf = computeScores(st.tafRaw || "");
+  const trend = computeScores(metTrend);
+
+  const worstVis = (() => {
+    const vals = [];
+    if (met.vis !== null) vals.push(met.vis);
+    const tafVals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
+    if (tafVals.length) vals.push(Math.min(...tafVals));
+    return vals.length ? Math.min(...vals) : null;
+  })();
+
+  const tafWorstVis = (() => {
+    const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
+    if (vals.length) return Math.min(...vals);
+    return (taf.vis !== null) ? taf.vis : null;
+  })();
+
+  const metRvrMin = met.rvrMin ?? null;
+  const tafRvrMin = taf.rvrMin ?? null;
+
+  const allRvr = [...extractRvrMeters(metObs), ...extractRvrMeters(st.tafRaw || "")];
+  const rvrMinAll = allRvr.length ? Math.min(...allRvr) : null;
+
+  const cigAll = (() => {
+    const a = ceilingFt(metObs);
+    const b = ceilingFt(st.tafRaw || "");
+    if (a === null) return b;
+    if (b === null) return a;
+    return Math.min(a,b);
+  })();
+
+  const nowMs = Number.isFinite(Date.parse(nowIso)) ? Date.parse(nowIso) : Date.now();
+  const fresh = computeFreshness(st, nowIso);
+  const notamNow = bestApproachNotams(st, nowMs, nowMs);
+  const tafEndMs = fresh.tafValidTo ? Date.parse(fresh.tafValidTo) : nowMs;
+  const notamTaf = bestApproachNotams(st, nowMs, Math.max(nowMs, tafEndMs));
+  const sigmetNow = stationSigmets(st, nowMs, nowMs);
+  const sigmetTaf = stationSigmets(st, nowMs, Math.max(nowMs, tafEndMs));
+  const vaSteps = vaCloudSteps(st, nowMs);
+
+  const om = omFn ? omFn({...st, metarRaw:metObs}, met, taf, worstVis, rvrMinAll) : null;
+  const empty = computeScores("");
+  const omMet = omFn ? omFn({...st, metarRaw:metObs, tafRaw:""}, met, empty, met.vis, metRvrMin) : null;
+  const omTaf = omFn ? omFn({...st, metarRaw:""}, empty, taf, tafWorstVis, tafRvrMin) : null;
+  // TREND is a short forecast: evaluate it like a TAF fragment (no METAR temperature/RVR).
+  const omTrend = (omFn && metTrend) ? omFn({...st, metarRaw:"", tafRaw:metTrend}, empty, trend, trend.vis, null) : null;
+
+  // Minima against the runway in use first: its BEST runways and its own RVR group when reported.
+  const rwyMet = omMet ? omMet.runwayInUse : null;
+  const rwyTaf = omTaf ? omTaf.runwayInUse : null;
+  const minNow = runwayMinima(effectiveMinima(st.minima || null, notamNow), rwyMet);
+  const minTaf = runwayMinima(effectiveMinima(st.minima || null, notamTaf), rwyTaf);
+  const metRvrRef = (rwyMet && rwyMet.rvrM != null) ? rwyMet.rvrM : metRvrMin;
+  const tafRvrRef = (rwyTaf && rwyTaf.rvrM != null) ? rwyTaf.rvrM : tafRvrMin;
+
+  const minimaNow = (() => {
+    const m = minNow;
+    if (!m || !m.best || !m.alt) return null;
+    const effVis = (()=>{
+      const a = (met.vis===null||met.vis===undefined)?Infinity:met.vis;
+      const b = (metRvrRef===null||metRvrRef===undefined)?Infinity:metRvrRef;
+      const v = Math.min(a,b);
+      return (v===Infinity)?null:v;
+    })();
+    const cig = (met.cig===undefined)?null:met.cig;
+    const belowBest = ((cig!==null && m.best.cig_ft!=null && cig < m.best.cig_ft) ||
+      (effVis!==null && m.best.vis_m!=null && effVis < m.best.vis_m));
+    const belowAlt = ((cig!==null && m.alt.cig_ft!=null && cig < m.alt.cig_ft) ||
+      (effVis!==null && m.alt.vis_m!=null && effVis < m.alt.vis_m));
+    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig, notam: m.notam || null };
+  })();
+
+  const minimaTaf = (() => {
+    const m = minTaf;
+    if (!m || !m.best || !m.alt) return null;
+    const effVis = (()=>{
+      const a = (tafWorstVis===null||tafWorstVis===undefined)?Infinity:tafWorstVis;
+      const b = (tafRvrRef===null||tafRvrRef===undefined)?Infinity:tafRvrRef;
+      const v = Math.min(a,b);
+      return (v===Infinity)?null:v;
+    })();
+    const cig = (taf.cig===undefined)?null:taf.cig;
+    const belowBest = ((cig!==null && m.best.cig_ft!=null && cig < m.best.cig_ft) ||
+      (effVis!==null && m.best.vis_m!=null && effVis < m.best.vis_m));
+    const belowAlt = ((cig!==null && m.alt.cig_ft!=null && cig < m.alt.cig_ft) ||
+      (effVis!==null && m.alt.vis_m!=null && effVis < m.alt.vis_m));
+    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig, notam: m.notam || null };
+  })();
+
+  const minExplainMet = buildMinimaExplain({kind:"METAR", raw:metObs, minima:minNow, state:minimaNow, visVal:met.vis, rvrMin:metRvrRef, isTaf:false});
+  const minExplainTaf = buildMinimaExplain({kind:"TAF", raw:st.tafRaw||"", minima:minTaf, state:minimaTaf, visVal:tafWorstVis, rvrMin:tafRvrRef, isTaf:true});
+  const _minTokensM = minExplainMet ? (minExplainMet.tokens || []) : [];
+  const _minTokensT = minExplainTaf ? (minExplainTaf.tokens || []) : [];
+
+  const tafHourly = evaluateTafHourly(st, omFn, nowIso);
+  const tafOutlook = summarizeTafHourly(tafHourly);
+
+  const engIceOps = (met.vis !== null && met.vis <= 150 && met.hz.fzfg);
+
+  let severityScore = Math.max(met.score, Math.floor(taf.score*0.85), Math.floor(trend.score*0.85));
+  if (engIceOps) severityScore = 100;
+  const baseAlert = alertFromScore(severityScore);
+  const windAlert = maxAlert(windPillarAlert(met, taf), windPillarAlert(trend, empty));
+  const snowAlert = maxAlert(
+    snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll),
+    snowPillarAlert(st, trend, empty, trend.vis, null, trend.cig)
+  );
+  // Stale data is never green: an overdue METAR or an expired / lapsing TAF is at least MED.
+  const metStale = fresh.metarOverdue ? "MED" : "OK";
+  const tafStale = (fresh.tafExpired || fresh.tafNotValidNextHour) ? "MED" : "OK";
+  const sigmetMet = sigmetNow.some(x => x.kind === "SIGMET") ? "MED" : "OK";
+  const sigmetFcst = sigmetTaf.some(x => x.kind === "SIGMET") ? "MED" : "OK";
+  const vaMet = vaSteps.now.length ? "MED" : "OK";
+  const vaFcst = vaSteps.later.length ? "MED" : "OK";
+  const alert = maxAlert(baseAlert, windAlert, snowAlert, metStale, tafStale, sigmetMet, vaMet, vaFcst);
+  severityScore = Math.max(severityScore, minScoreForAlert(alert));
+
+  // Per-source alert (map NOW / FCST pills): same ladder and pillars, one source at a time.
+  const metAlert = maxAlert(alertFromScore(engIceOps ? 100 : met.score), windPillarAlert(met, empty),
+    snowPillarAlert(st, met, empty, met.vis, metRvrMin, met.cig), metStale, sigmetMet, vaMet);
+  const tafAlert = maxAlert(alertFromScore(Math.floor(taf.score*0.85)), windPillarAlert(taf, empty),
+    snowPillarAlert(st, taf, empty, tafWorstVis, tafRvrMin, taf.cig), tafStale, sigmetFcst, vaFcst);
+  const trendAlert = maxAlert(alertFromScore(Math.floor(trend.score*0.85)), windPillarAlert(trend, empty),
+    snowPillarAlert(st, trend, empty, trend.vis, null, trend.cig));
+
+  const metPri = engIceOps ? 1000 : met.score;
+  const tafPri = taf.score;
+
+  const metCrit = (typeof met.score === "number" && met.score >= 70);
+  const tafCrit = (typeof taf.score === "number" && taf.score >= 70);
+  const trendCrit = (typeof trend.score === "number" && trend.score >= 70);
+  const critSrc = (alert === "CRIT") ? (metCrit ? "M" : (tafCrit ? "T" : (trendCrit ? "N" : "E"))) : null;
+
+  // Trigger sources: M = METAR observation, T = TAF, N = METAR TREND (next 2 h).
+  const triggers = [];
+  // OM policy triggers carry om:true so the map can list them under its OM section.
+  const push = (label, cls, src, tip, om) => triggers.push(om ? {label, cls, src, tip, om} : {label, cls, src, tip});
+  const srcOf = (m, t, n) => `${m ? "M" : ""}${t ? "T" : ""}${n ? "N" : ""}`;
+  const addBy = (label, cls, m, t, n) => {
+    if (m || t || n) push(label, cls, srcOf(m, t, n));
+  };
+  const addOm = (label, cls, m, t, n) => {
+    if (m || t || n) push(label, cls, srcOf(m, t, n), undefined, true);
+  };
+
+  const minimaState = (om0)=>{
+    if (om0 && om0.rvr125) return "rvr125";
+    if (om0 && om0.lvtoQualReq) return "lvto150";
+    if (om0 && om0.lvp) return "lvp";
+    if (om0 && om0.lvto) return "lvto";
+    return null;
+  };
+  const catState = (om0)=>{
+    if (om0 && om0.cat3BelowMin) return "cat3min";
+    if (om0 && om0.cat3Only) return "cat3only";
+    if (om0 && om0.cat2Plus) return "cat2plus";
+    return null;
+  };
+  const omM = omMet || {};
+  const omT = omTaf || {};
+  const omN = omTrend || {};
+  const mMin = minimaState(omM);
+  const tMin = minimaState(omT);
+  const nMin = minimaState(omN);
+  const mCat = catState(omM);
+  const tCat = catState(omT);
+
+  addOm("TO PROHIB", "tag--stop", !!omM.toProhib, !!omT.toProhib, !!omN.toProhib);
+  addOm("RVR<125", "tag--stop", mMin==="rvr125", tMin==="rvr125");
+  addOm("LVTO<150 QUAL", "tag--warn", mMin==="lvto150", tMin==="lvto150");
+  addOm("LVP (<400)", "tag--warn", mMin==="lvp", tMin==="lvp", nMin==="lvp");
+  addOm("LVTO (<550)", "tag--lvto", mMin==="lvto", tMin==="lvto", nMin==="lvto");
+  addOm("RVR REQ (<800)", "tag--warn", !!omM.rvrRequired, !!omT.rvrRequired);
+  addOm("CAT3<75", "tag--stop", mCat==="cat3min", tCat==="cat3min");
+  addOm("CAT3 ONLY <200", "tag--warn", mCat==="cat3only", tCat==="cat3only");
+  addOm("CAT2+ <450", "tag--warn", mCat==="cat2plus", tCat==="cat2plus");
+
+  // Approach-relevant NOTAMs: active now (M) or starting within the TAF validity (T).
+  for (const n of notamTaf){
+    const active = notamNow.includes(n);
+    const until = n.to ? `until ${isoToReportTime(n.to)}${n.est ? " EST" : ""}` : "PERM";
+    const when = active ? until : `from ${isoToReportTime(n.from)} ${until}`;
+    const minTxt = (st.minima && st.minima.best && st.minima.alt) ? "BEST approach unavailable, ALT minima used" : "no minima configured";
+    push(`NOTAM: ${n.label}`, "tag--warn", active ? "M" : "T", `${n.id} ${when} · ${minTxt}`);
+  }
+
+  // SIGMET/AIRMET areas over or near the station: in force now (M) or starting within the TAF validity (T).
+  const sigmetTags = new Map();
+  for (const x of sigmetTaf){
+    const label = `${x.kind} ${x.hazard}`;
+    const active = sigmetNow.includes(x);
+    const where = x.inside ? "over the airport" : `${x.distNm} NM away`;
+    const lv = sigmetLevelsText(x);
+    const tip = `${x.id}: ${x.qualifier ? `${x.qualifier} ` : ""}${x.hazard}${lv ? ` ${lv}` : ""} ${where} · ${isoToReportTime(x.from)}–${isoToReportTime(x.to)}`;
+    const prev = sigmetTags.get(label);
+    if (!prev) sigmetTags.set(label, { active, tips: [tip] });
+    else { prev.active = prev.active || active; prev.tips.push(tip); }
+  }
+  for (const [label, t] of sigmetTags){
+    push(label, label.endsWith(" VA") ? "tag--stop" : "tag--warn", t.active ? "M" : "T", t.tips.join(" | "));
+  }
+
+  // VAAC ash cloud: at the station now (M), and the first forecast step still ahead (T).
+  if (vaSteps.now.length) push("VA CLD", "tag--stop", "M", vaSteps.now.map(vaCloudTip).join(" | "));
+  if (vaSteps.later.length) push(`VA FCST T+${vaSteps.later[0].step}H`, "tag--stop", "T", vaSteps.later.map(vaCloudTip).join(" | "));
+
+  if (minExplainMet){
+    const lbl = (minExplainMet.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
+    const cls = (minExplainMet.mode === "CRIT") ? "tag--stop" : "tag--warn";
+    push(lbl, cls, "M", minExplainMet.tip || "");
+  }
+  if (minExplainTaf){
+    const lbl = (minExplainTaf.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
+    const cls = (minExplainTaf.mode === "CRIT") ? "tag--stop" : "tag--warn";
+    push(lbl, cls, "T", minExplainTaf.tip || "");
+  }
+
+  // XWIND / TAILWIND block position, so a fleet profile can swap it in place (applyFleetProfile).
+  let windAt = triggers.length;
+  triggers.push(...omWindTriggers(omM, omT, omN));
+
+  const rwyccRep = omM.rwyccSource === "reported";
+  addOm("RWYCC<3 reported", "tag--warn", rwyccRep && !!omM.noOpsLikely, false, false);
+  addOm("RWYCC<3 likely", "tag--warn", !rwyccRep && !!omM.noOpsLikely, !!omT.noOpsLikely, !!omN.noOpsLikely);
+  addOm("VA", "tag--stop", !!omM.va, !!omT.va, !!omN.va);
+  if (omM && omM.coldcorr) push("COLD CORR", "tag--warn", "M", undefined, true);
+
+  for (const th of VIS_THRESHOLDS){
+    const m = (met.vis !== null && met.vis <= th);
+    const t = (()=>{
+      const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
+      return vals.length ? Math.min(...vals) <= th : false;
+    })();
+    const n = (trend.vis !== null && trend.vis <= th);
+    if (m || t || n){
+      addBy(`VIS≤${th}`, "tag--vis", m, t, n);
+      break;
+    }
+  }
+
+  if (rvrMinAll !== null){
+    for (const th of RVR_THRESHOLDS){
+      const m = extractRvrMeters(metObs).some(v => v <= th);
+      const t = extractRvrMeters(st.tafRaw || "").some(v => v <= th);
+      if (m || t){
+        addBy(`RVR≤${th}`, "tag--rvr", m, t);
+        break;
+      }
+    }
+  }
+
+  addBy("CIG<500", "tag--cig",
+    (met.cig !== null && met.cig < 500),
+    (ceilingFt(st.tafRaw||"") !== null && ceilingFt(st.tafRaw||"") < 500),
+    (trend.cig !== null && trend.cig < 500));
+
+  const mg25 = (met.gustMax !== null && met.gustMax >= 25);
+  const tg25 = (taf.gustMax !== null && taf.gustMax >= 25);
+  const mg30 = (met.gustMax !== null && met.gustMax >= 30);
+  const tg30 = (taf.gustMax !== null && taf.gustMax >= 30);
+  const mg40 = (met.gustMax !== null && met.gustMax >= 40);
+  const tg40 = (taf.gustMax !== null && taf.gustMax >= 40);
+  const ng = trend.gustMax;
+  addBy("GUST≥40KT", "tag--gust", mg40, tg40, ng !== null && ng >= 40);
+  addBy("GUST≥30KT", "tag--gust", mg30 && !mg40, tg30 && !tg40, ng !== null && ng >= 30 && ng < 40);
+  addBy("GUST≥25KT", "tag--gust", mg25 && !mg30 && !mg40, tg25 && !tg30 && !tg40, ng !== null && ng >= 25 && ng < 30);
+
+  const mhz = met.hz, thz = taf.hz, nhz = trend.hz;
+  addBy("TS/CB", "tag--wx", (mhz.ts || mhz.cb), (thz.ts || thz.cb), (nhz.ts || nhz.cb));
+  addBy("FZFG", "tag--wx", mhz.fzfg, thz.fzfg, nhz.fzfg);
+  addBy("FG", "tag--wx", mhz.fg, thz.fg, nhz.fg);
+  addBy("BR", "tag--wx", mhz.br, thz.br, nhz.br);
+  addBy("SN", "tag--wx", mhz.sn, thz.sn, nhz.sn);
+  addBy("RA", "tag--wx", mhz.ra, thz.ra, nhz.ra);
+
+  if (fresh.metarOverdue){
+    push("METAR OVERDUE", "tag--warn", "M", `METAR ${fresh.metarAgeMin} min old (routine every ${fresh.metarCadenceMin} min)`);
+  }
+  if (fresh.tafExpired){
+    push("TAF EXPIRED", "tag--warn", "T", `TAF validity ended ${isoToReportTime(fresh.tafValidTo)}`);
+  } else if (fresh.tafNotValidNextHour){
+    push("TAF NOT VALID +1H", "tag--warn", "T", `TAF valid ${isoToReportTime(fresh.tafValidFrom)}–${isoToReportTime(fresh.tafValidTo)}, not covering the next hour`);
+  }
+
+  // Backend kept the last known report through a feed outage (st.stale, set by update-data.mjs).
+  if (st.stale && st.staleReason){
+    push("FEED OUTAGE", "tag--warn", (st.staleParts || []).includes("METAR") ? "M" : "T", st.staleReason);
+  }
+
+  if (engIceOps){
+    triggers.unshift({label:"ENG ICE OPS", cls:"tag--eng", src:"M"});
+    windAt++;
+  }
+
+  // Fleet profiles: per type {met, taf, trend} wind/LVTO flags, lifted out of the OM objects.
+  const omByFleet = {};
+  for (const [key, o] of [["met", omMet], ["taf", omTaf], ["trend", omTrend]]){
+    for (const [id, f] of Object.entries((o && o.byFleet) || {})){
+      if (!omByFleet[id]) omByFleet[id] = {met:null, taf:null, trend:null};
+      omByFleet[id][key] = f;
+    }
+  }
+  for (const o of [om, omMet, omTaf, omTrend]) if (o) delete o.byFleet;
+
+  return {
+    ...st,
+    _thinComputed: true,
+    metarObsAt: fresh.metarObsAt,
+    metarAgeMin: fresh.metarAgeMin,
+    tafIssuedAt: fresh.tafIssuedAt,
+    tafAgeMin: fresh.tafAgeMin,
+    freshness: {
+      metarCadenceMin: fresh.metarCadenceMin,
+      metarOverdue: fresh.metarOverdue,
+      tafValidFrom: fresh.tafValidFrom,
+      tafValidTo: fresh.tafValidTo,
+      tafExpired: fresh.tafExpired,
+      tafNotValidNextHour: fresh.tafNotValidNextHour
+    },
+    // Runway state groups are decoded by the OM policy layer (same decode the UI uses for RWYCC).
+    metarDecoded: st.metarDecoded ? {
+      ...st.metarDecoded,
+      runwayState: (omMet && omMet.explain && Array.isArray(omMet.explain.runwayState)) ? omMet.explain.runwayState : st.metarDecoded.runwayState
+    } : null,
+    metarObs: metObs,
+    metarTrend: metTrend || null,
+    metarTrendType: metSplit.trendType,
+    met, taf, trend,
+    worstVis,
+    tafWorstVis,
+    rvrMinAll,
+    cigAll,
+    minimaNow,
+    minimaTaf,
+    minExplainMet,
+    minExplainTaf,
+    tafHourly,
+    tafOutlook,
+    _minTokensM,
+    _minTokensT,
+    om,
+    omMet,
+    omTaf,
+    omTrend,
+    omByFleet,
+    _omWindAt: windAt,
+    engIceOps,
+    severityScore,
+    alert,
+    metAlert,
+    tafAlert,
+    trendAlert,
+    metCrit,
+    tafCrit,
+    trendCrit,
+    critSrc,
+    metPri,
+    tafPri,
+    triggers
+  };
+}
+
+function omWindTriggers(omM, omT, omN){
+  // XWIND>nnKT (best runway end) and TAILWIND>nnKT (every runway end) OM triggers by source; the TAF one is
+  // dropped when METAR already shows the same limit.
+  const out = [];
+  for (const [kind, flag, limitKey] of [["XWIND", "xwindExceed", "xwindLimitKt"], ["TAILWIND", "tailwindExceed", "tailwindLimitKt"]]){
+    const on = (o)=> !!(o && o[flag] && o[limitKey]);
+    const tag = (o, src)=>({label:`${kind}>${o[limitKey]}KT`, cls:"tag--warn", src, tip:undefined, om:true});
+    if (on(omM)) out.push(tag(omM, "M"));
+    if (on(omT) && !(on(omM) && omM[limitKey] === omT[limitKey])) out.push(tag(omT, "T"));
+    if (on(omN)) out.push(tag(omN, "N"));
+  }
+  return out;
+}
+
+function applyFleetProfile(d, fleetId){
+  // Station as seen by one fleet profile (d.omByFleet): the OM wind flags and the XWIND / TAILWIND triggers
+  // switch to that type's limits, everything else stays shared. Unknown fleet / no profile data -> d unchanged.
+  const fl = (fleetId && d && d.omByFleet) ? d.omByFleet[fleetId] : null;
+  if (!fl) return d;
+  const merge = (o, f)=>{
+    if (!o || !f) return o;
+    const {ref, ...flags} = f;
+    const explain = o.explain ? {
+      ...o.explain,
+      xwind: {...(o.explain.xwind || {}), limitKt: f.xwindLimitKt, narrow: f.xwindNarrow, tailwindLimitKt: f.tailwindLimitKt},
+      fleet: {id: fleetId, ref: ref || null}
+    } : o.explain;
+    return {...o, ...flags, explain};
+  };
+  const omMet = merge(d.omMet, fl.met);
+  const omTaf = merge(d.omTaf, fl.taf);
+  const omTrend = merge(d.omTrend, fl.trend);
+  const triggers = (d.triggers || []).filter(t => !(t.om && /^(XWIND|TAILWIND)>/.test(String(t.label || ""))));
+  const at = Number.isInteger(d._omWindAt) ? Math.min(d._omWindAt, triggers.length) : triggers.length;
+  triggers.splice(at, 0, ...omWindTriggers(omMet || {}, omTaf || {}, omTrend || {}));
+  return {...d, omMet, omTaf, omTrend, triggers};
+}
+
+export {
+  VIS_THRESHOLDS,
+  RVR_THRESHOLDS,
+  ALERT_LEVEL,
+  alertFromScore,
+  minScoreForAlert,
+  maxAlert,
+  parseTempC,
+  extractRvrMeters,
+  hazardFlags,
+  gustMaxKt,
+  ceilingFt,
+  parseVisibilityBestMeters,
+  extractAllVisibilityMetersFromTAF,
+  parseTafTimeline,
+  reportTimeIso,
+  computeFreshness,
+  stripRemarks,
+  splitMetarTrend,
+  decodeMetarStructured,
+  metarDecodedLines,
+  computeScores,
+  windPillarAlert,
+  snowPillarAlert,
+  buildMinimaExplain,
+  createOmFn,
+  applyFleetProfile,
+  evaluateTafHourly,
+  computeDerivedStation
+};
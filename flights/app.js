@@ -0,0 +1,106 @@
+/* v1 – Flights: per-flight GO / MONITOR / NO-GO from data/flights.json (built by scripts/update-data.mjs) */
+
+const $ = (id)=>document.getElementById(id);
+
+const POLL_MS = 60_000;
+const STATUS_CLS = { "GO": "fstatus--go", "MONITOR": "fstatus--monitor", "NO-GO": "fstatus--nogo" };
+const STATUS_RANK = { "NO-GO": 2, "MONITOR": 1, "GO": 0 };
+
+let flights = [];
+let statusFilter = "ALL";
+let lastGeneratedAt = null;
+
+function escapeHtml(s){
+  return String(s ?? "").replace(/[&<>"']/g,(c)=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+function fmtDayHourZ(iso){
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return `${String(d.getUTCDate()).padStart(2,"0")} ${String(d.getUTCHours()).padStart(2,"0")}${String(d.getUTCMinutes()).padStart(2,"0")}Z`;
+}
+
+function legPill(leg){
+  const level = String(leg.alert || "OK").toLowerCase();
+  const minima = leg.belowBest ? " <BEST" : (leg.belowAlt ? " <ALT" : "");
+  const title = `${leg.role} ${leg.icao || leg.code} · ${fmtDayHourZ(leg.from)}–${fmtDayHourZ(leg.to)}${leg.covered ? "" : " · not covered by TAF"}`;
+  return `<span class="pill pill--${escapeHtml(level)}" title="${escapeHtml(title)}">${escapeHtml(leg.role)} ${escapeHtml(leg.code)} ${escapeHtml(leg.alert || "OK")}${escapeHtml(minima)}</span>`;
+}
+
+function reasonList(f){
+  // Leg reasons keep their level: NO-GO ones first and highlighted.
+  const items = (f.legs || []).flatMap(l => l.reasons || [])
+    .sort((a,b)=> (STATUS_RANK[b.level] || 0) - (STATUS_RANK[a.level] || 0));
+  if (!items.length) return `<span class="muted">—</span>`;
+  return `<ul class="reasons">${items.map(r => `<li class="${r.level === "NO-GO" ? "is-nogo" : ""}">${escapeHtml(r.text)}</li>`).join("")}</ul>`;
+}
+
+function matchesQuery(f, q){
+  if (!q) return true;
+  const hay = [f.flight, f.dep, f.arr, f.alt, f.depIcao, f.arrIcao, f.altIcao].filter(Boolean).join(" ").toUpperCase();
+  return q.split(/\s+/).every(tok => hay.includes(tok)) || hay.replace(/\s+/g, "").includes(q.replace(/\s+/g, ""));
+}
+
+function render(){
+  const q = ($("q").value || "").trim().toUpperCase();
+  const rows = flights
+    .filter(f => statusFilter === "ALL" || f.status === statusFilter)
+    .filter(f => matchesQuery(f, q));
+
+  $("rows").innerHTML = rows.map(f => `
+    <tr>
+      <td class="flt">${escapeHtml(f.flight)}</td>
+      <td class="route">${escapeHtml(f.dep)} → ${escapeHtml(f.arr)}${f.alt ? ` <span class="alt">(${escapeHtml(f.alt)})</span>` : ""}</td>
+      <td class="when">${escapeHtml(fmtDayHourZ(f.std))}</td>
+      <td class="when">${escapeHtml(fmtDayHourZ(f.sta))}</td>
+      <td><span class="pill ${STATUS_CLS[f.status] || ""}">${escapeHtml(f.status)}</span></td>
+      <td><div class="legs">${(f.legs || []).map(legPill).join("")}</div></td>
+      <td>${reasonList(f)}</td>
+    </tr>`).join("");
+  $("empty").classList.toggle("hidden", flights.length > 0);
+
+  const count = (s)=> flights.filter(f => f.status === s).length;
+  $("cntAll").textContent = String(flights.length);
+  $("cntNoGo").textContent = String(count("NO-GO"));
+  $("cntMonitor").textContent = String(count("MONITOR"));
+  $("cntGo").textContent = String(count("GO"));
+}
+
+async function fetchFlights(){
+  const res = await fetch("../data/flights.json?cb="+Date.now(), {cache:"no-store"});
+  if(!res.ok) throw new Error("HTTP "+res.status);
+  return await res.json();
+}
+
+async function refresh(){
+  try{
+    const data = await fetchFlights();
+    if (data.generatedAt !== lastGeneratedAt){
+      lastGeneratedAt = data.generatedAt;
+      flights = Array.isArray(data.flights) ? data.flights : [];
+      $("updated").textContent = `Last update: ${fmtDayHourZ(data.generatedAt)}`;
+      render();
+    }
+  }catch(err){
+    console.error("Flights fetch failed:", err);
+    $("updated").textContent = "Last update: — (data/flights.json not available)";
+    render();
+  }
+}
+
+function bind(){
+  for (const btn of $("statusFilters").querySelectorAll("button[data-status]")){
+    btn.addEventListener("click", ()=>{
+      statusFilter = btn.dataset.status;
+      for (const b of $("statusFilters").querySelectorAll("button[data-status]")) b.classList.toggle("is-on", b === btn);
+      render();
+    });
+  }
+  $("q").addEventListener("input", render);
+}
+
+(async function init(){
+  bind();
+  await refresh();
+  setInterval(refresh, POLL_MS);
+})();
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in SMTP server, for testing the email channel in scripts/update-data.mjs without a real
+ * mail relay.
+ *
+ *   node scripts/smtp-standin.mjs [port] [--reject-rcpt]
+ *
+ * Accepts EHLO, AUTH PLAIN (any credentials), MAIL, RCPT, DATA and QUIT in plain text (no STARTTLS) and
+ * prints every message with its base64 body decoded. --reject-rcpt answers 550 to RCPT, to exercise failures.
+ * Point config/email.json at it with {"host": "127.0.0.1", "port": <port>, "starttls": false}.
+ */
+
+import net from "node:net";
+
+const args = process.argv.slice(2);
+const port = Number(args.find(a => /^\d+$/.test(a))) || 2525;
+const rejectRcpt = args.includes("--reject-rcpt");
+let count = 0;
+
+function decodeMessage(data){
+  const i = data.indexOf("\r\n\r\n");
+  const head = i >= 0 ? data.slice(0, i) : data;
+  const body = i >= 0 ? data.slice(i + 4) : "";
+  if (!/^Content-Transfer-Encoding:\s*base64/im.test(head)) return data;
+  return `${head}\r\n\r\n${Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8")}`;
+}
+
+const server = net.createServer((sock) => {
+  let buf = "";
+  let inData = false;
+  let data = [];
+  let envelope = { from: null, to: [] };
+  const reply = (line) => sock.write(`${line}\r\n`);
+  reply("220 smtp-standin ESMTP");
+  sock.on("data", (chunk) => {
+    buf += chunk.toString("utf8");
+    let i;
+    while ((i = buf.indexOf("\r\n")) >= 0){
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      if (inData){
+        if (line === "."){
+          inData = false;
+          count++;
+          console.log(`#${count} MAIL FROM:${envelope.from} RCPT TO:${envelope.to.join(",")}\n${decodeMessage(data.join("\r\n"))}\n`);
+          reply(`250 OK queued as standin-${count}`);
+          data = [];
+          envelope = { from: null, to: [] };
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        continue;
+      }
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === "EHLO") reply("250-smtp-standin\r\n250-AUTH PLAIN\r\n250 8BITMIME");
+      else if (verb === "HELO") reply("250 smtp-standin");
+      else if (verb === "AUTH") reply("235 2.7.0 Authentication successful");
+      else if (verb === "MAIL"){ envelope.from = line.slice(10); reply("250 OK"); }
+      else if (verb === "RCPT"){
+        if (rejectRcpt) reply("550 5.1.1 Mailbox unavailable (stand-in)");
+        else { envelope.to.push(line.slice(8)); reply("250 OK"); }
+      }
+      else if (verb === "DATA"){ inData = true; reply("354 End data with <CR><LF>.<CR><LF>"); }
+      else if (verb === "QUIT"){ reply("221 Bye"); sock.end(); }
+      else if (verb === "RSET" || verb === "NOOP") reply("250 OK");
+      else reply("502 Command not implemented");
+    }
+  });
+  sock.on("error", () => {});
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`SMTP stand-in listening on 127.0.0.1:${port}${rejectRcpt ? " (rejecting RCPT)" : ""}`);
+});
@@ -2,7 +2,7 @@
    - Reads airports.txt (ICAO list)
    - Builds ICAO -> IATA mapping from OurAirports airports.csv
    - Fetches METAR + TAF from aviationweather.gov
-   - Computes severity and produces highlighted HTML snippets
+   - Computes severity/triggers via assets/wx_core.js (the same core the pages import)
    - Writes data/latest.json
 
    IMPORTANT:
@@ -11,7 +11,10 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import vm from 'node:vm';
+import net from 'node:net';
+import tls from 'node:tls';
+import { resolveOmRules } from '../assets/om_policy.js';
+import { parseTafTimeline, decodeMetarStructured, reportTimeIso, splitMetarTrend, computeScores, computeDerivedStation, createOmFn, maxAlert, ALERT_LEVEL } from '../assets/wx_core.js';
 
 const ROOT = process.cwd();
 const AIRPORTS_TXT = path.join(ROOT, 'airports.txt');
@@ -23,42 +26,15 @@ const OUT_RUNWAYS = path.join(ROOT, 'data', 'runways.json');
 const OUT_BRIEF = path.join(ROOT, 'data', 'management_brief.json');
 const OUT_CHANGES = path.join(ROOT, 'data', 'changes.json');
 const OUT_SCHEMA_DEBUG = path.join(ROOT, 'data', 'schema_debug.json');
-
-// --- Thin-client precompute -------------------------------------------------
-// Precompute parsing + trigger logic server-side so the browser client can render
-// with minimal computation (stable TV view, less CPU, fewer reflows).
-
-const VIS_THRESHOLDS = [800, 550, 500, 300, 250, 175, 150];
-const RVR_THRESHOLDS = [500, 300, 200, 75];
-const ALERT_LEVEL = { OK:0, MED:1, HIGH:2, CRIT:3 };
-
-function alertFromScore(score){
-  return score >= 70 ? "CRIT" :
-         score >= 45 ? "HIGH" :
-         score >= 20 ? "MED" : "OK";
-}
-function minScoreForAlert(alert){
-  return alert === "CRIT" ? 70 :
-         alert === "HIGH" ? 45 :
-         alert === "MED" ? 20 : 0;
-}
-function maxAlert(...alerts){
-  let best = "OK";
-  for (const a of alerts){
-    if (!a) continue;
-    if ((ALERT_LEVEL[a]||0) > (ALERT_LEVEL[best]||0)) best = a;
-  }
-  return best;
-}
-
-function escapeHtmlThin(s){
-  return String(s||"")
-    .replace(/&/g,"&amp;")
-    .replace(/</g,"&lt;")
-    .replace(/>/g,"&gt;")
-    .replace(/\"/g,"&quot;")
-    .replace(/'/g,"&#39;");
-}
+const OUT_METAR_HISTORY_DIR = path.join(ROOT, 'data', 'history', 'metar');
+const OUT_NOTAMS = path.join(ROOT, 'data', 'notams.json');
+const OUT_SNOWTAMS = path.join(ROOT, 'data', 'snowtams.json');
+const OUT_SIGMETS = path.join(ROOT, 'data', 'sigmets.json');
+const OUT_VAAC = path.join(ROOT, 'data', 'vaac.json');
+const OUT_FLIGHTS = path.join(ROOT, 'data', 'flights.json');
+const OUT_WEBHOOK_QUEUE = path.join(ROOT, 'data', 'webhook_queue.json');
+const OUT_EMAIL_LOG = path.join(ROOT, 'data', 'email_log.json');
+const OUT_ESCALATIONS = path.join(ROOT, 'data', 'escalations.json');
 
 // --- Schema normalization helpers -------------------------------------------
 // The API / pipeline must always write string raw fields and safe scalar display fields.
@@ -130,652 +106,6 @@ function schemaProbeStation(st){
   return issues;
 }
 
-function parseTempC(raw){
-  const m = String(raw||"").match(/\b(M?\d{1,2})\/(M?\d{1,2})\b/);
-  if (!m) return null;
-  const v = m[1];
-  const n = parseInt(v.replace(/^M/,""),10);
-  if (Number.isNaN(n)) return null;
-  return v.startsWith("M") ? -n : n;
-}
-
-function _parseVisibilityMeters(tok){
-  const t = String(tok||"").trim().toUpperCase();
-  if (!t) return null;
-
-  if (t === "CAVOK") return 10000;
-
-  // ICAO 4-digit meters, optionally with suffix like NDV (e.g. 9999NDV)
-  const m4 = t.match(/^(\d{4})(?:[A-Z]{1,4})?$/);
-  if (m4){
-    const v = parseInt(m4[1],10);
-    if (!Number.isNaN(v)) return v === 9999 ? 10000 : v;
-  }
-
-  // Statute miles forms:
-  // - P6SM (plus)
-  // - 2SM, 2.5SM, M1SM (less than)
-  // - 1/2SM, M1/4SM
-  const mp = t.match(/^P(\d+)SM$/);
-  if (mp){
-    const n = parseInt(mp[1],10);
-    if (Number.isFinite(n)) return Math.round(n * 1609.34);
-  }
-
-  const mfrac = t.match(/^M?(\d+)\/(\d+)SM$/);
-  if (mfrac){
-    const a = parseInt(mfrac[1],10);
-    const b = parseInt(mfrac[2],10);
-    if (Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-      return Math.round((a/b) * 1609.34);
-    }
-  }
-
-  const mwhole = t.match(/^M?(\d+(?:\.\d+)?)SM$/);
-  if (mwhole){
-    const mi = parseFloat(mwhole[1]);
-    if (Number.isFinite(mi)) return Math.round(mi * 1609.34);
-  }
-
-  return null;
-}
-
-function extractRvrMeters(raw){
-  const s = String(raw||"");
-  const vals = [];
-  if (!s) return vals;
-
-  // Accept common ICAO format and US-style optional FT suffix.
-  // Examples: R29/1000N, R06/0600V1000U, R27/P1500U, R09/M0050N, R11/1200FT
-  const re = /\bR\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?(FT)?\b/g;
-  let m;
-  while ((m = re.exec(String(s).toUpperCase())) !== null){
-    const isFt = !!m[6];
-    const toMeters = (x)=> isFt ? Math.round(x * 0.3048) : x;
-
-    const v1 = parseInt(m[2],10);
-    if (!Number.isNaN(v1)) vals.push(toMeters(v1));
-
-    if (m[4]){
-      const v2 = parseInt(m[4],10);
-      if (!Number.isNaN(v2)) vals.push(toMeters(v2));
-    }
-  }
-
-  return vals;
-}
-
-function hazardFlags(raw){
-  // Token-aware hazards aligned with frontend parsing.
-  const upAll = String(raw||"").toUpperCase();
-  if (!upAll.trim()){
-    return { ts:false, cb:false, fg:false, fzfg:false, br:false, sn:false, blsn:false, ra:false, va:false };
-  }
-
-  // Strip leading meta tokens + ICAO to prevent substring matches inside identifiers.
-  const toksAll = upAll.split(/\s+/).map(t=>t.trim()).filter(Boolean);
-  let i = 0;
-  const headerSkip = new Set(["METAR","SPECI","TAF","AUTO","COR","AMD","CNL","NIL"]);
-  while (i < toksAll.length && headerSkip.has(toksAll[i])) i++;
-  if (i < toksAll.length && /^[A-Z]{4}$/.test(toksAll[i])) i++; // ICAO station
-  const toks = toksAll.slice(i);
-
-  const coreText = toks.join(" ");
-
-  // Weather tokens are typically short and alpha-only (optionally prefixed + or -).
-  const wxToks = toks.filter(t=>{
-    if (!t) return false;
-    if (t.includes('/')) return false;                 // time groups, RVR, temps
-    if (/[0-9]/.test(t)) return false;                 // numeric groups
-    if (/KT$/.test(t) || /MPS$/.test(t)) return false; // wind
-    if (t.length > 12) return false;
-    return true;
-  });
-
-  const hasWx = (needle)=>wxToks.some(t=>t.includes(needle));
-  const hasWxRe = (re)=>wxToks.some(t=>re.test(t));
-
-  const cb =
-    /\b(?:FEW|SCT|BKN|OVC|VV)\d{3}(?:CB|TCU)\b/.test(coreText) ||
-    /\bCB\b/.test(coreText) ||
-    /\bTCU\b/.test(coreText) ||
-    hasWx("CB") || hasWx("TCU");
-
-  const ts = hasWxRe(/^(?:\+|\-)?TS/) || hasWxRe(/^VCTS/);
-
-  const fzfg = /\bFZFG\b/.test(coreText);
-  const fg = ((/\bFG\b/.test(coreText) || hasWx("FG")) && !fzfg);
-  const br = /\bBR\b/.test(coreText) || hasWx("BR");
-  const blsn = /\bBLSN\b/.test(coreText) || hasWx("BLSN");
-
-  const sn = /\bSN\b/.test(coreText) || /\bSHSN\b/.test(coreText) || /\bBLSN\b/.test(coreText) || hasWx("SN");
-  const ra = /\bRA\b/.test(coreText) || /\bDZ\b/.test(coreText) || /\bSHRA\b/.test(coreText) || /\bSHDZ\b/.test(coreText) || hasWx("RA") || hasWx("DZ") || hasWx("SHRA") || hasWx("SHDZ");
-
-  const va = /\bVA\b/.test(coreText);
-
-  return { ts, cb, fg, fzfg, br, sn, blsn, ra, va };
-}
-
-function gustMaxKt(raw){
-  const s = String(raw||"");
-  if (!s) return null;
-
-  // METAR/TAF: 18015G25KT, VRB05G25KT, etc. (take maximum)
-  const re = /\b(?:\d{3}|VRB)\d{2,3}G(\d{2,3})KT\b/g;
-  let m, best = null;
-  while ((m = re.exec(String(s).toUpperCase())) !== null){
-    const g = parseInt(m[1],10);
-    if (!Number.isNaN(g)) best = (best==null) ? g : Math.max(best, g);
-  }
-  return best;
-}
-
-function ceilingFt(raw){
-  const s = String(raw||"").toUpperCase();
-  if (!s) return null;
-  if (/\bCAVOK\b/.test(s)) return 5000;
-
-  // Find lowest BKN/OVC/VV layer (allow CB/TCU suffix: BKN020CB)
-  const re = /\b(BKN|OVC|VV)(\d{3})(?:CB|TCU)?\b/g;
-  let m, best = null;
-  while ((m = re.exec(s)) !== null){
-    const ft = parseInt(m[2],10) * 100;
-    if (Number.isNaN(ft)) continue;
-    if (best===null || ft < best) best = ft;
-  }
-  return best;
-}
-
-function parseVisibilityMeters(tok){ return _parseVisibilityMeters(tok); }
-
-function parseVisibilityBestMeters(raw){
-  const s = String(raw||"");
-  if (!s.trim()) return null;
-
-  if (/\bCAVOK\b/i.test(s)) return 10000;
-
-  const toks = s.trim().split(/\s+/).filter(Boolean);
-  let best = null;
-  const add = (m)=>{ if (m == null) return; best = (best==null) ? m : Math.min(best, m); };
-
-  for (let i=0; i<toks.length; i++){
-    const t0 = toks[i].trim().toUpperCase();
-    if (!t0) continue;
-
-    // Split statute miles: e.g. "1 1/2SM"
-    if (/^\d+$/.test(t0) && i+1 < toks.length){
-      const t1 = toks[i+1].trim().toUpperCase();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const m = t1.match(/^M?(\d+)\/(\d+)SM$/);
-        if (m){
-          const a = parseInt(m[1],10);
-          const b = parseInt(m[2],10);
-          if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-            add(Math.round((whole + (a/b)) * 1609.34));
-            i++; // consume t1
-            continue;
-          }
-        }
-      }
-    }
-
-    // Ignore validity/time ranges, temps, RVR groups.
-    if (t0.includes('/')) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-
-    add(_parseVisibilityMeters(t0));
-  }
-
-  return best;
-}
-
-function extractAllVisibilityMetersFromTAF(raw){
-  const s = String(raw||"");
-  const out = [];
-  if (!s.trim()) return out;
-
-  if (/\bCAVOK\b/i.test(s)) out.push(10000);
-
-  const toks = s.trim().split(/\s+/).filter(Boolean);
-
-  for (let i=0; i<toks.length; i++){
-    const t0 = toks[i].trim().toUpperCase();
-    if (!t0) continue;
-
-    // Split statute miles: e.g. "1 1/2SM"
-    if (/^\d+$/.test(t0) && i+1 < toks.length){
-      const t1 = toks[i+1].trim().toUpperCase();
-      if (/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const m = t1.match(/^M?(\d+)\/(\d+)SM$/);
-        if (m){
-          const a = parseInt(m[1],10);
-          const b = parseInt(m[2],10);
-          if (Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-            out.push(Math.round((whole + (a/b)) * 1609.34));
-            i++; // consume t1
-            continue;
-          }
-        }
-      }
-    }
-
-    // Ignore validity/time ranges (TAF) and RVR groups.
-    if (/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if (/^R\d{2}[LRC]?\//.test(t0)) continue;
-
-    const v = _parseVisibilityMeters(t0);
-    if (v !== null) out.push(v);
-  }
-
-  return out.filter(n=>Number.isFinite(n));
-}
-
-function scoreFromVis(vis){
-  if (vis===null || vis===undefined) return 0;
-  if (vis <= 150) return 80;
-  if (vis <= 175) return 72;
-  if (vis <= 250) return 60;
-  if (vis <= 300) return 52;
-  if (vis <= 500) return 40;
-  if (vis <= 550) return 32;
-  if (vis <= 800) return 20;
-  return 0;
-}
-function scoreFromCig(cig){
-  if (cig===null || cig===undefined) return 0;
-  if (cig < 200) return 70;
-  if (cig < 300) return 60;
-  if (cig < 500) return 45;
-  if (cig < 800) return 28;
-  if (cig < 1000) return 18;
-  return 0;
-}
-function scoreFromGust(g){
-  if (!g) return 0;
-  if (g >= 40) return 75;
-  if (g >= 30) return 55;
-  if (g >= 25) return 35;
-  return 0;
-}
-function scoreFromHazards(hz){
-  if (!hz) return 0;
-  if (hz.va) return 90;
-  if (hz.ts || hz.cb) return 55;
-  if (hz.fzfg) return 65;
-  if (hz.fg) return 35;
-  if (hz.sn || hz.blsn) return hz.blsn ? 90 : 40;
-  if (hz.ra) return 20;
-  if (hz.br) return 18;
-  return 0;
-}
-
-function computeScores(raw){
-  const s = String(raw||"").trim();
-  const hz = hazardFlags(s);
-  const tempC = parseTempC(s);
-  const gustMax = gustMaxKt(s);
-  const cig = ceilingFt(s);
-
-  // Visibility: robust token-based scan (supports split SM, M1/4SM, P6SM, 9999NDV, etc.)
-  const vis = parseVisibilityBestMeters(s);
-
-  const rvr = extractRvrMeters(s);
-  const rvrMin = rvr.length ? Math.min(...rvr) : null;
-
-  const score = Math.max(
-    scoreFromVis(vis),
-    scoreFromCig(cig),
-    scoreFromGust(gustMax),
-    scoreFromHazards(hz)
-  );
-
-  return { raw:s, hz, tempC, gustMax, vis, cig, rvrMin, score };
-}
-
-function windPillarAlert(met, taf){
-  const g = Math.max(met.gustMax ?? 0, taf.gustMax ?? 0);
-  if (!g) return "OK";
-  if (g >= 40) return "CRIT";
-  if (g >= 30) return "HIGH";
-  if (g >= 25) return "MED";
-  return "OK";
-}
-function snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll){
-  const hasSnow = !!(met.hz.sn || taf.hz.sn);
-  const hasBlSn = !!(met.hz.blsn || taf.hz.blsn);
-  if (!hasSnow && !hasBlSn) return "OK";
-  if (hasBlSn) return "CRIT";
-  const vis = worstVis;
-  const rvr = rvrMinAll;
-  const cig = cigAll;
-  if ((vis !== null && vis <= 500) || (rvr !== null && rvr <= 300) || (cig !== null && cig < 500)) return "CRIT";
-  if ((vis !== null && vis <= 800) || (rvr !== null && rvr <= 500) || (cig !== null && cig < 1000)) return "HIGH";
-  return "MED";
-}
-
-function snippetAround(raw, token, radius=28){
-  const s = String(raw||"");
-  const i = s.toUpperCase().indexOf(String(token||"").toUpperCase());
-  if (i < 0) return "";
-  const a = Math.max(0, i-radius);
-  const b = Math.min(s.length, i+String(token).length+radius);
-  const pref = a>0 ? "…" : "";
-  const suf = b<s.length ? "…" : "";
-  return pref + s.slice(a,b).trim() + suf;
-}
-
-function visTokenForMeters(raw){
-  const s = String(raw||"");
-  if (!s) return null;
-  const up = s.toUpperCase();
-
-  const mCavok = up.match(/\bCAVOK\b/);
-  if (mCavok) return "CAVOK";
-
-  // Split SM form: "1 1/2SM"
-  const mSplit = up.match(/\b\d+\s+M?\d+\/\d+SM\b/);
-  if (mSplit) return mSplit[0].replace(/\s+/g, " ").trim();
-
-  // Single-token SM: P6SM, 2SM, M1/4SM, 1/2SM
-  const mSm = up.match(/\b(?:P\d+SM|M?\d+(?:\.\d+)?SM|M?\d+\/\d+SM)\b/);
-  if (mSm) return mSm[0];
-
-  // ICAO meters (0000..9999 with optional suffix)
-  const m4 = up.match(/\b\d{4}(?:[A-Z]{1,4})?\b/);
-  if (m4) return m4[0];
-
-  return null;
-}
-
-function buildMinimaExplain({kind, raw, minima, state, visVal, rvrMin, isTaf}){
-  if (!minima || !minima.best || !minima.alt || !state) return null;
-  const triggered = !!(state.belowBest || state.onlyBest);
-  if (!triggered) return null;
-  const mode = state.belowBest ? "CRIT" : "LIMIT";
-  const basis = state.belowBest ? "BEST" : "ALT";
-  const thr = state.belowBest ? minima.best : minima.alt;
-  const effVis = (state.effVis != null) ? state.effVis : null;
-  const cig = (state.cig != null) ? state.cig : null;
-
-  const reasons = [];
-  const tokens = [];
-
-  if (cig != null && thr.cig_ft != null && cig < thr.cig_ft){
-    const token = (()=>{
-      const s = String(raw||"").toUpperCase();
-      const re = /\b(BKN|OVC|VV)(\d{3})(?:CB|TCU)?\b/g;
-      let m;
-      while ((m = re.exec(s)) !== null){
-        const ft = parseInt(m[2],10)*100;
-        if (ft === cig) return `${m[1]}${m[2]}`;
-      }
-      return null;
-    })();
-    if (token){
-      tokens.push({token, cls: mode==="CRIT"?"hlStop":"hlWarn"});
-    }
-    reasons.push({metric:"CIG", actual:cig, threshold:thr.cig_ft, basis, token, snippet: token?snippetAround(raw, token):""});
-  }
-  if (effVis != null && thr.vis_m != null && effVis < thr.vis_m){
-    const token = (rvrMin != null && rvrMin <= effVis) ? null : visTokenForMeters(raw);
-    if (token){
-      tokens.push({token, cls: mode==="CRIT"?"hlStop":"hlWarn"});
-    }
-    reasons.push({metric:"VIS/RVR", actual:effVis, threshold:thr.vis_m, basis, token, snippet: token?snippetAround(raw, token):""});
-  }
-  const tip = `${kind} minima ${mode} (${basis}) · ` + reasons.map(r=>`${r.metric} ${r.actual}<${r.threshold}`).join("; ");
-  return { mode, basis, tip, reasons, tokens };
-}
-
-function loadOmApi(runwaysMap){
-  try{
-    const code = fs.readFileSync(path.join(ROOT, "assets", "om_policy.js"), "utf8");
-    const sandbox = { window: {}, console };
-    vm.createContext(sandbox);
-    vm.runInContext(code, sandbox, {timeout: 500});
-    const api = sandbox.window && sandbox.window.WXM_OM;
-    if (api && typeof api.computeOmFlags === "function"){
-      return (st, met, taf, worstVis, rvrMinAll)=> api.computeOmFlags(st, met, taf, worstVis, rvrMinAll, runwaysMap || null);
-    }
-  }catch(e){
-    // ignore
-  }
-  return null;
-}
-
-function computeDerivedStation(st, omFn){
-  const met = computeScores(st.metarRaw || "");
-  const taf = computeScores(st.tafRaw || "");
-
-  const worstVis = (() => {
-    const vals = [];
-    if (met.vis !== null) vals.push(met.vis);
-    const tafVals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (tafVals.length) vals.push(Math.min(...tafVals));
-    return vals.length ? Math.min(...vals) : null;
-  })();
-
-  const tafWorstVis = (() => {
-    const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-    if (vals.length) return Math.min(...vals);
-    return (taf.vis !== null) ? taf.vis : null;
-  })();
-
-  const metRvrMin = met.rvrMin ?? null;
-  const tafRvrMin = taf.rvrMin ?? null;
-
-  const allRvr = [...extractRvrMeters(st.metarRaw || ""), ...extractRvrMeters(st.tafRaw || "")];
-  const rvrMinAll = allRvr.length ? Math.min(...allRvr) : null;
-
-  const cigAll = (() => {
-    const a = ceilingFt(st.metarRaw || "");
-    const b = ceilingFt(st.tafRaw || "");
-    if (a === null) return b;
-    if (b === null) return a;
-    return Math.min(a,b);
-  })();
-
-  const minimaNow = (() => {
-    const m = st.minima || null;
-    if (!m || !m.best || !m.alt) return null;
-    const effVis = (()=>{
-      const a = (met.vis===null||met.vis===undefined)?Infinity:met.vis;
-      const b = (metRvrMin===null||metRvrMin===undefined)?Infinity:metRvrMin;
-      const v = Math.min(a,b);
-      return (v===Infinity)?null:v;
-    })();
-    const cig = (met.cig===undefined)?null:met.cig;
-    const belowBest = ((cig!==null && m.best.cig_ft!=null && cig < m.best.cig_ft) ||
-      (effVis!==null && m.best.vis_m!=null && effVis < m.best.vis_m));
-    const belowAlt = ((cig!==null && m.alt.cig_ft!=null && cig < m.alt.cig_ft) ||
-      (effVis!==null && m.alt.vis_m!=null && effVis < m.alt.vis_m));
-    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig };
-  })();
-
-  const minimaTaf = (() => {
-    const m = st.minima || null;
-    if (!m || !m.best || !m.alt) return null;
-    const effVis = (()=>{
-      const a = (tafWorstVis===null||tafWorstVis===undefined)?Infinity:tafWorstVis;
-      const b = (tafRvrMin===null||tafRvrMin===undefined)?Infinity:tafRvrMin;
-      const v = Math.min(a,b);
-      return (v===Infinity)?null:v;
-    })();
-    const cig = (taf.cig===undefined)?null:taf.cig;
-    const belowBest = ((cig!==null && m.best.cig_ft!=null && cig < m.best.cig_ft) ||
-      (effVis!==null && m.best.vis_m!=null && effVis < m.best.vis_m));
-    const belowAlt = ((cig!==null && m.alt.cig_ft!=null && cig < m.alt.cig_ft) ||
-      (effVis!==null && m.alt.vis_m!=null && effVis < m.alt.vis_m));
-    return { belowBest, belowAlt, onlyBest: (!belowBest && belowAlt), effVis, cig };
-  })();
-
-  const minExplainMet = buildMinimaExplain({kind:"METAR", raw:st.metarRaw||"", minima:st.minima||null, state:minimaNow, visVal:met.vis, rvrMin:metRvrMin, isTaf:false});
-  const minExplainTaf = buildMinimaExplain({kind:"TAF", raw:st.tafRaw||"", minima:st.minima||null, state:minimaTaf, visVal:tafWorstVis, rvrMin:tafRvrMin, isTaf:true});
-  const _minTokensM = minExplainMet ? (minExplainMet.tokens || []) : [];
-  const _minTokensT = minExplainTaf ? (minExplainTaf.tokens || []) : [];
-
-  const om = omFn ? omFn(st, met, taf, worstVis, rvrMinAll) : null;
-  const empty = computeScores("");
-  const omMet = omFn ? omFn({...st, tafRaw:""}, met, empty, met.vis, metRvrMin) : null;
-  const omTaf = omFn ? omFn({...st, metarRaw:""}, empty, taf, tafWorstVis, tafRvrMin) : null;
-
-  const engIceOps = (met.vis !== null && met.vis <= 150 && met.hz.fzfg);
-
-  let severityScore = Math.max(met.score, Math.floor(taf.score*0.85));
-  if (engIceOps) severityScore = 100;
-  const baseAlert = alertFromScore(severityScore);
-  const windAlert = windPillarAlert(met, taf);
-  const snowAlert = snowPillarAlert(st, met, taf, worstVis, rvrMinAll, cigAll);
-  const alert = maxAlert(baseAlert, windAlert, snowAlert);
-  severityScore = Math.max(severityScore, minScoreForAlert(alert));
-
-  const metPri = engIceOps ? 1000 : met.score;
-  const tafPri = taf.score;
-
-  const metCrit = (typeof met.score === "number" && met.score >= 70);
-  const tafCrit = (typeof taf.score === "number" && taf.score >= 70);
-  const critSrc = (alert === "CRIT") ? (metCrit ? "M" : (tafCrit ? "T" : "E")) : null;
-
-  const triggers = [];
-  const push = (label, cls, src, tip) => triggers.push({label, cls, src, tip});
-  const addBy = (label, cls, m, t) => {
-    if (!m && !t) return;
-    const src = m && t ? "MT" : (m ? "M" : "T");
-    push(label, cls, src);
-  };
-
-  const minimaState = (om0)=>{
-    if (om0 && om0.rvr125) return "rvr125";
-    if (om0 && om0.lvtoQualReq) return "lvto150";
-    if (om0 && om0.lvp) return "lvp";
-    if (om0 && om0.lvto) return "lvto";
-    return null;
-  };
-  const catState = (om0)=>{
-    if (om0 && om0.cat3BelowMin) return "cat3min";
-    if (om0 && om0.cat3Only) return "cat3only";
-    if (om0 && om0.cat2Plus) return "cat2plus";
-    return null;
-  };
-  const omM = omMet || {};
-  const omT = omTaf || {};
-  const mMin = minimaState(omM);
-  const tMin = minimaState(omT);
-  const mCat = catState(omM);
-  const tCat = catState(omT);
-
-  addBy("TO PROHIB", "tag--stop", !!omM.toProhib, !!omT.toProhib);
-  addBy("RVR<125", "tag--stop", mMin==="rvr125", tMin==="rvr125");
-  addBy("LVTO<150 QUAL", "tag--warn", mMin==="lvto150", tMin==="lvto150");
-  addBy("LVP (<400)", "tag--warn", mMin==="lvp", tMin==="lvp");
-  addBy("LVTO (<550)", "tag--lvto", mMin==="lvto", tMin==="lvto");
-  addBy("RVR REQ (<800)", "tag--warn", !!omM.rvrRequired, !!omT.rvrRequired);
-  addBy("CAT3<75", "tag--stop", mCat==="cat3min", tCat==="cat3min");
-  addBy("CAT3 ONLY <200", "tag--warn", mCat==="cat3only", tCat==="cat3only");
-  addBy("CAT2+ <450", "tag--warn", mCat==="cat2plus", tCat==="cat2plus");
-
-  if (minExplainMet){
-    const lbl = (minExplainMet.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
-    const cls = (minExplainMet.mode === "CRIT") ? "tag--stop" : "tag--warn";
-    push(lbl, cls, "M", minExplainMet.tip || "");
-  }
-  if (minExplainTaf){
-    const lbl = (minExplainTaf.mode === "CRIT") ? "MINIMA CRIT" : "MINIMA LIMIT";
-    const cls = (minExplainTaf.mode === "CRIT") ? "tag--stop" : "tag--warn";
-    push(lbl, cls, "T", minExplainTaf.tip || "");
-  }
-
-  if (omM && omM.xwindExceed && omM.xwindLimitKt){
-    push(`XWIND>${omM.xwindLimitKt}KT`, "tag--warn", "M");
-  }
-  if (omT && omT.xwindExceed && omT.xwindLimitKt){
-    if (!(omM && omM.xwindExceed && omM.xwindLimitKt === omT.xwindLimitKt)){
-      push(`XWIND>${omT.xwindLimitKt}KT`, "tag--warn", "T");
-    }
-  }
-
-  addBy("RWYCC<3 likely", "tag--warn", !!omM.noOpsLikely, !!omT.noOpsLikely);
-  addBy("VA", "tag--stop", !!omM.va, !!omT.va);
-  if (omM && omM.coldcorr) push("COLD CORR", "tag--warn", "M");
-
-  for (const th of VIS_THRESHOLDS){
-    const m = (met.vis !== null && met.vis <= th);
-    const t = (()=>{
-      const vals = extractAllVisibilityMetersFromTAF(st.tafRaw || "");
-      return vals.length ? Math.min(...vals) <= th : false;
-    })();
-    if (m || t){
-      addBy(`VIS≤${th}`, "tag--vis", m, t);
-      break;
-    }
-  }
-
-  if (rvrMinAll !== null){
-    for (const th of RVR_THRESHOLDS){
-      const m = extractRvrMeters(st.metarRaw || "").some(v => v <= th);
-      const t = extractRvrMeters(st.tafRaw || "").some(v => v <= th);
-      if (m || t){
-        addBy(`RVR≤${th}`, "tag--rvr", m, t);
-        break;
-      }
-    }
-  }
-
-  addBy("CIG<500", "tag--cig",
-    (ceilingFt(st.metarRaw||"") !== null && ceilingFt(st.metarRaw||"") < 500),
-    (ceilingFt(st.tafRaw||"") !== null && ceilingFt(st.tafRaw||"") < 500));
-
-  const mg25 = (met.gustMax !== null && met.gustMax >= 25);
-  const tg25 = (taf.gustMax !== null && taf.gustMax >= 25);
-  const mg30 = (met.gustMax !== null && met.gustMax >= 30);
-  const tg30 = (taf.gustMax !== null && taf.gustMax >= 30);
-  const mg40 = (met.gustMax !== null && met.gustMax >= 40);
-  const tg40 = (taf.gustMax !== null && taf.gustMax >= 40);
-  addBy("GUST≥40KT", "tag--gust", mg40, tg40);
-  addBy("GUST≥30KT", "tag--gust", mg30 && !mg40, tg30 && !tg40);
-  addBy("GUST≥25KT", "tag--gust", mg25 && !mg30 && !mg40, tg25 && !tg30 && !tg40);
-
-  const mhz = met.hz, thz = taf.hz;
-  addBy("TS/CB", "tag--wx", (mhz.ts || mhz.cb), (thz.ts || thz.cb));
-  addBy("FZFG", "tag--wx", mhz.fzfg, thz.fzfg);
-  addBy("FG", "tag--wx", mhz.fg, thz.fg);
-  addBy("BR", "tag--wx", mhz.br, thz.br);
-  addBy("SN", "tag--wx", mhz.sn, thz.sn);
-  addBy("RA", "tag--wx", mhz.ra, thz.ra);
-
-  if (engIceOps) triggers.unshift({label:"ENG ICE OPS", cls:"tag--eng", src:"M"});
-
-  return {
-    ...st,
-    _thinComputed: true,
-    met, taf,
-    worstVis,
-    tafWorstVis,
-    rvrMinAll,
-    cigAll,
-    minimaNow,
-    minimaTaf,
-    minExplainMet,
-    minExplainTaf,
-    _minTokensM,
-    _minTokensT,
-    om,
-    omMet,
-    omTaf,
-    engIceOps,
-    severityScore,
-    alert,
-    metCrit,
-    tafCrit,
-    critSrc,
-    metPri,
-    tafPri,
-    triggers
-  };
-}
-
 const OURAIRPORTS_AIRPORTS_URLS = [
   'https://ourairports.com/airports.csv',
   'https://davidmegginson.github.io/ourairports-data/airports.csv',
@@ -792,14 +122,8 @@ const OURAIRPORTS_RUNWAYS_URLS = [
 
 const AWC_METAR = 'https://aviationweather.gov/api/data/metar';
 const AWC_TAF = 'https://aviationweather.gov/api/data/taf';
-
-// Core hazards to highlight (extend as desired)
-const HAZARDS = [
-  'FZFG','FG','BR',
-  'TS','TSRA','TSGR','TSGS','SQ',
-  'FZRA','PL','SN','BLSN','RA','+RA','SHRA','SHSN','GR','GS',
-  'FZDZ','DZ'
-];
+// Look-back window for METAR requests: every report (METAR, SPECI, COR) issued in this window comes back.
+const AWC_METAR_HOURS = 3;
 
 function readIcaoList() {
   if(!fs.existsSync(AIRPORTS_TXT)){
@@ -853,11 +177,12 @@ function ensureDataDir(){
   fs.mkdirSync(dir, { recursive: true });
 }
 
-function writeStatus({generatedAt, stats, errors}){
+function writeStatus({generatedAt, stats, errors, sources}){
   ensureDataDir();
   const payload = {
     generatedAt,
     stats: stats ?? {},
+    sources: sources ?? {},
     errors: errors ?? []
   };
   fs.writeFileSync(OUT_STATUS, JSON.stringify(payload, null, 2));
@@ -872,6 +197,127 @@ function safeReadJson(file){
   }
 }
 
+function learnMetarCadenceMin(prevSt, metarObsAt, metarType, reports){
+  // Usual routine METAR interval. Preferred source is the station's own METAR history (gap between
+  // its last two routine reports); otherwise learned run over run from the previous run's report.
+  // The gap is rounded to 30 min; outside 20..90 min we keep what we had.
+  const prevLearned = Number.isFinite(prevSt?.metarCadenceMin) ? prevSt.metarCadenceMin : null;
+  const routineObs = (reports || []).filter(r => r.type === "METAR").map(r => Date.parse(r.obsAt));
+  let prevObs = Date.parse(prevSt?.metarObsAt);
+  let curObs = Date.parse(metarObsAt);
+  let routine = metarType === "METAR" && (prevSt?.metarDecoded?.type || "METAR") === "METAR";
+  if (routineObs.length >= 2){
+    [prevObs, curObs] = routineObs.slice(-2);
+    routine = true;
+  }
+  if (routine && Number.isFinite(prevObs) && Number.isFinite(curObs) && curObs > prevObs){
+    const gapMin = (curObs - prevObs) / 60000;
+    if (gapMin >= 20 && gapMin <= 90) return Math.max(30, Math.round(gapMin / 30) * 30);
+  }
+  return prevLearned;
+}
+
+function carryOverReport(kind, raw, source, failReason, prevSt){
+  // Feed outage for this station (no source answered): keep the previous run's report rather than
+  // writing a blank one. -> {raw, source, stale: reason|null}
+  if (raw || !failReason) return { raw, source, stale: null };
+  const prevRaw = rawToString((kind === 'TAF') ? prevSt?.tafRaw : prevSt?.metarRaw);
+  if (!prevRaw) return { raw: '', source: null, stale: `${kind} fetch failed (${failReason}); no previous report` };
+  return {
+    raw: prevRaw,
+    source: ((kind === 'TAF') ? prevSt.tafSource : prevSt.metarSource) ?? null,
+    stale: `${kind} fetch failed (${failReason}); showing last known report`,
+  };
+}
+
+// --- METAR history -----------------------------------------------------------
+// Every report AWC returns for the look-back window is kept per station in data/history/metar/<ICAO>.json,
+// so SPECIs and corrections issued between two runs are not lost. Bounded by age and count.
+const METAR_HISTORY_MAX_HOURS = 48;
+const METAR_HISTORY_MAX_REPORTS = 200;
+const METAR_SERIES_MAX = 12;
+
+function metarReportEntry(raw, refIso, receivedAt){
+  const d = decodeMetarStructured(raw);
+  const obsAt = reportTimeIso(raw, refIso);
+  if (!d || !obsAt) return null;
+  const s = computeScores(splitMetarTrend(raw).obs);
+  return {
+    obsAt,
+    type: d.type,
+    cor: !!d.cor,
+    raw,
+    receivedAt,
+    vis: s.vis,
+    rvr: s.rvrMin,
+    cig: s.cig,
+    gust: s.gustMax,
+    snow: !!(s.hz.sn || s.hz.blsn),
+    wx: (d.wx || []).map(w => w.raw),
+  };
+}
+
+function metarHistoryFile(icao){
+  return path.join(OUT_METAR_HISTORY_DIR, `${icao}.json`);
+}
+
+function mergeMetarHistory(prevReports, fetched, nowIso){
+  // Same observation time + report type is the same report; a differing text replaces it
+  // (a COR, or AWC re-serving an amended line) and the superseded text is kept in `corrects`.
+  const byKey = new Map();
+  for (const r of (Array.isArray(prevReports) ? prevReports : [])){
+    if (r && r.obsAt && r.type) byKey.set(`${r.obsAt}|${r.type}`, r);
+  }
+  let changed = false;
+  for (const r of fetched){
+    const key = `${r.obsAt}|${r.type}`;
+    const old = byKey.get(key);
+    if (old && old.raw === r.raw) continue;
+    if (old && old.cor && !r.cor) continue; // never let the uncorrected original win back
+    byKey.set(key, old ? {...r, corrects: old.raw} : r);
+    changed = true;
+  }
+  const cutoff = Date.parse(nowIso) - METAR_HISTORY_MAX_HOURS * 3600_000;
+  const all = [...byKey.values()].sort((a,b) => Date.parse(a.obsAt) - Date.parse(b.obsAt));
+  const kept = all.filter(r => Date.parse(r.obsAt) >= cutoff).slice(-METAR_HISTORY_MAX_REPORTS);
+  if (kept.length !== all.length) changed = true;
+  return { reports: kept, changed };
+}
+
+function updateMetarHistory(icao, lines, generatedAt){
+  // Returns {current, reports}: the newest report of this run (corrections applied) and the
+  // merged history. Stations AWC returned nothing for keep their file untouched.
+  const fetched = (lines || []).map(l => metarReportEntry(l, generatedAt, generatedAt)).filter(Boolean);
+  const file = metarHistoryFile(icao);
+  const prev = safeReadJson(file);
+  const { reports, changed } = mergeMetarHistory(prev?.reports, fetched, generatedAt);
+  if (fetched.length && changed){
+    fs.mkdirSync(OUT_METAR_HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ icao, updatedAt: generatedAt, reports }, null, 2));
+  }
+  if (!fetched.length) return { current: null, reports };
+  const newest = fetched.reduce((a,b) => (Date.parse(b.obsAt) > Date.parse(a.obsAt) ? b : a)).obsAt;
+  // Merged entry first (it carries `corrects`); a report older than the history window still counts.
+  const pool = [...reports, ...fetched].filter(r => r.obsAt === newest);
+  const current = pool.find(r => r.cor) || pool[0] || null;
+  return { current, reports };
+}
+
+function summarizeMetarHistory(reports, generatedAt){
+  // Compact view of the look-back window for latest.json: counts plus the last few data points.
+  const cutoff = Date.parse(generatedAt) - AWC_METAR_HOURS * 3600_000;
+  const recent = (reports || []).filter(r => Date.parse(r.obsAt) >= cutoff);
+  return {
+    hours: AWC_METAR_HOURS,
+    count: recent.length,
+    speci: recent.filter(r => r.type === "SPECI").length,
+    cor: recent.filter(r => r.cor).length,
+    series: recent.slice(-METAR_SERIES_MAX).map(r => ({
+      obsAt: r.obsAt, type: r.type, cor: r.cor, vis: r.vis, rvr: r.rvr, cig: r.cig, gust: r.gust
+    })),
+  };
+}
+
 function diffStations(prevStations, nextStations){
   // Build quick maps by ICAO.
   const prev = new Map((prevStations||[]).map(s=>[s.icao, s]));
@@ -884,6 +330,15 @@ function diffStations(prevStations, nextStations){
       events.push({icao, type:"NEW", alert:n.alert||"OK", triggers:n.triggers||[], minimaNow:n.minimaNow||null});
       continue;
     }
+    // A feed outage is not a weather change: the station keeps its last known state, so log the outage
+    // once and skip the comparison (otherwise a blank METAR would read as CRIT -> OK).
+    const outage = !!n.stale || (!!p.metarRaw && !n.metarRaw) || (!!p.tafRaw && !n.tafRaw);
+    if (outage){
+      if (!p.stale) events.push({icao, type:"OUTAGE", alert:p.alert||"OK", reason:n.staleReason || "report missing from feed"});
+      continue;
+    }
+    if (p.stale) events.push({icao, type:"RESTORED", alert:n.alert||"OK", since:p.staleSince||null});
+
     const changes = {};
     for (const key of ["alert","critSrc","minimaNow","minimaTaf"]){
       const pv = p[key] ?? null;
@@ -896,7 +351,7 @@ function diffStations(prevStations, nextStations){
       }
       if (!equal) changes[key] = {from: pv, to: nv};
     }
-    const trigKey = (arr)=> (Array.isArray(arr)?arr:[]).map(t=> (typeof t==="string")?t:(t?.label||"")).filter(Boolean).join("|");
+    const trigKey = (arr)=> (Array.isArray(arr)?arr:[]).map(t=> (typeof t==="string")?t:(t?.label||"")).filter(l=> l && l!=="FEED OUTAGE").join("|");
     const pTrig = trigKey(p.triggers);
     const nTrig = trigKey(n.triggers);
     if (pTrig !== nTrig) changes.triggers = {from: p.triggers||[], to: n.triggers||[]};
@@ -982,6 +437,7 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
     if (L.includes("FZRA") || L.includes("FZDZ") || L.includes("ICE")) return "freezing precipitation / icing risk";
     if (L.includes("TS") || L.includes("CB")) return "thunderstorm / convective risk";
     if (L.includes("XWIND") || L.includes("CROSSWIND")) return "crosswind limitations";
+    if (L.includes("TAILWIND")) return "tailwind limitations";
     if (L.includes("RWYCC") || (L.includes("RWY") && L.includes("LIKELY"))) return "runway contamination / braking action risk";
     if (L.includes("COLD CORR")) return "cold-temperature performance corrections";
     if (L.includes("VA")) return "volcanic ash risk";
@@ -1004,6 +460,7 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
     if (labs.some(x=>/RWYCC|BRAKING|CONTAM/i.test(x))) parts.push("runway contamination risk");
     if (labs.some(x=>/COLD CORR/i.test(x))) parts.push("cold-temperature performance penalties");
     if (labs.some(x=>/XWIND|CROSSWIND/i.test(x))) parts.push("crosswind limitation risk");
+    if (labs.some(x=>/TAILWIND/i.test(x))) parts.push("tailwind on all runways");
     if (labs.some(x=>/GUST/i.test(x))) parts.push("strong gusts risk");
 
     // Measurable constraints (only if operationally material)
@@ -1023,7 +480,12 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
     // Minima (only if actually below)
     if (s?.minimaNow?.belowBest) parts.push("below approach minima (current METAR)");
     else if (s?.minimaNow?.belowAlt) parts.push("below alternate minima (current METAR)");
-    if (s?.minimaTaf?.belowBest) parts.push("forecast below approach minima at times");
+    const fromZ = (iso)=>{
+      const d = new Date(iso || "");
+      return Number.isNaN(d.getTime()) ? null : `${String(d.getUTCHours()).padStart(2,"0")}Z`;
+    };
+    if (s?.tafOutlook?.firstBelowBest) parts.push(`forecast below approach minima from ${fromZ(s.tafOutlook.firstBelowBest)}`);
+    else if (s?.minimaTaf?.belowBest) parts.push("forecast below approach minima at times");
 
     if (!parts.length){
       // Fallback: convert top trigger labels to plain categories
@@ -1071,6 +533,11 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
       driverCounts.set(cat, (driverCounts.get(cat)||0) + 1);
     }
   }
+  // Stations issuing SPECIs in the METAR look-back window: conditions changing between routine reports.
+  const speciStations = all.filter(s => (s?.metarHistory?.speci ?? 0) > 0 && (s.alert || "OK") !== "OK")
+    .sort((a,b) => (b.metarHistory.speci - a.metarHistory.speci) || ((b.severityScore||0) - (a.severityScore||0)));
+  const speciHours = speciStations[0]?.metarHistory?.hours ?? null;
+
   const topDrivers = [...driverCounts.entries()].sort((a,b)=>b[1]-a[1]).slice(0,3).map(([cat,count])=>`${cat}`);
 
   const headline20 =
@@ -1243,6 +710,15 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
       parts.push(`Since the last update, ${changedStations.length} airports changed status, led by ${shown.join(", ")}${extra>0 ? ` and ${extra} others` : ""}.`);
     }
 
+    const outageStations = all.filter(s => s.stale);
+    if (outageStations.length){
+      parts.push(`Weather feed outage: ${listAirports(outageStations, 4)} ${outageStations.length === 1 ? "is" : "are"} showing the last known reports.`);
+    }
+
+    if (speciStations.length){
+      parts.push(`Special observations (SPECI) were issued in the last ${speciHours} hours at ${listAirports(speciStations, 4)}, so conditions there are changing quickly.`);
+    }
+
     return parts.join(" ");
   })();
 
@@ -1326,6 +802,12 @@ function buildManagementBrief({generatedAt, stations, events, baseStations, base
       const extra = changedNames.length - shown.length;
       lines.push(`Changed since last run: ${shown.join(", ")}${extra>0 ? ` and ${extra} others` : ""}.`);
     }
+
+    if (speciStations.length){
+      const items = speciStations.slice(0, 8).map(s => `${airportLabel(s)} (${s.metarHistory.speci}×${s.metarHistory.cor ? `, ${s.metarHistory.cor} corrected` : ""})`);
+      const extra = speciStations.length - items.length;
+      lines.push(`SPECI in the last ${speciHours} h: ${items.join(", ")}${extra>0 ? ` and ${extra} others` : ""}.`);
+    }
     return lines.join(" ");
   })();
 
@@ -1378,187 +860,10 @@ function chunk(arr, n){
   return out;
 }
 
-function escapeHtml(s=''){
-  return s.replace(/[&<>"']/g, (c) => ({
-    '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'
-  }[c]));
-}
-
-function parseSmToken(tok){
-  // Handles: 10SM, 1/2SM, M1/4SM, P6SM
-  if(/^P\d+SM$/.test(tok)){
-    const sm = parseInt(tok.slice(1,-2),10);
-    return Number.isFinite(sm) ? sm * 1609 : null;
-  }
-  if(/^M?\d+SM$/.test(tok)){
-    const sm = parseInt(tok.replace('M','').slice(0,-2),10);
-    return Number.isFinite(sm) ? sm * 1609 : null;
-  }
-  if(/^M?\d+\/\d+SM$/.test(tok)){
-    const frac = tok.replace('M','').slice(0,-2);
-    const [a,b]=frac.split('/').map(Number);
-    if(Number.isFinite(a) && Number.isFinite(b) && b !== 0){
-      return Math.round((a/b) * 1609);
-    }
-  }
-  return null;
-}
-
-function tokenizeAllVis(raw){
-  // Returns {min_m, tokensToHighlight: Set<string>, primaryToken?:string}
-  if(!raw) return { min_m: null, tokensToHighlight: new Set(), primaryToken: null };
-
-  const tokens = raw.split(/\s+/);
-  let min = null;
-  const toks = new Set();
-
-  // CAVOK is effectively >= 10km
-  if(/\bCAVOK\b/.test(raw)){
-    min = 10000;
-    toks.add('CAVOK');
-  }
-
-  for(const t of tokens){
-    // 4-digit meters visibility group (0000..9999)
-    if(/^\d{4}$/.test(t)){
-      const m = parseInt(t,10);
-      if(Number.isFinite(m)){
-        const meters = (m === 9999) ? 10000 : m;
-        if(min == null || meters < min) min = meters;
-        toks.add(t);
-      }
-      continue;
-    }
-
-    // SM formats
-    const smMeters = parseSmToken(t);
-    if(smMeters != null){
-      if(min == null || smMeters < min) min = smMeters;
-      toks.add(t);
-    }
-  }
-
-  // pick a primary token for display/highlight focus (if any)
-  const primaryToken = toks.size ? Array.from(toks)[0] : null;
-  return { min_m: min, tokensToHighlight: toks, primaryToken };
-}
-
-function findHazards(text){
-  if(!text) return [];
-  const up = String(text).toUpperCase();
-  const set = new Set();
-
-  for(const h of HAZARDS){
-    const re = new RegExp(`\\b${h.replace('+','\\+')}\\b`);
-    if(re.test(up)) set.add(h);
-  }
-
-  // Token-aware detection for combined weather groups (e.g. RASN, -RASN, SHRASN).
-  // aviationweather.gov raw output is whitespace-delimited, so this is safe.
-  const toks = up.split(/\s+/).map(t=>t.trim()).filter(Boolean).filter(t=>{
-    if(t.includes("/")) return false;
-    if(/[0-9]/.test(t)) return false;
-    if(/KT$/.test(t) || /MPS$/.test(t)) return false;
-    if(t.length > 10) return false;
-    return true;
-  });
-
-  const addIf = (needle, label)=>{ if(toks.some(t=>t.includes(needle))) set.add(label); };
-
-  addIf("SN", "SN");
-  addIf("BLSN", "BLSN");
-  addIf("FZRA", "FZRA");
-  addIf("FZDZ", "FZDZ");
-  addIf("TS", "TS");
-  addIf("FG", "FG");
-  addIf("BR", "BR");
-  addIf("RA", "RA");
-  addIf("DZ", "DZ");
-
-  // Also capture +/- variants for key phenomena when standalone
-  const generic = up.match(/\b(\+|-)?(RA|SN|TS|FG|DZ)\b/g);
-  if(generic){
-    for(const g of generic) set.add(g);
-  }
-
-  return Array.from(set);
-}
-
-
-function severityScore({hazards=[], visibility_m=null, ceiling_ft=null, hasTaf=false}){
-  let s = 0;
-
-  // Visibility weighting (meters)
-  if(visibility_m != null){
-    if(visibility_m <= 200) s += 55;
-    else if(visibility_m <= 300) s += 45;
-    else if(visibility_m <= 500) s += 35;
-    else if(visibility_m <= 800) s += 25;
-    else if(visibility_m <= 1500) s += 10;
-  }
-
-  // Ceiling weighting
-  if(ceiling_ft != null){
-    if(ceiling_ft < 500) s += 35;
-    else if(ceiling_ft < 1000) s += 25;
-    else if(ceiling_ft < 2000) s += 12;
-  }
-
-  // Hazards weighting
-  const weight = {
-    'FZRA': 35, 'FZDZ': 28,
-    'FZFG': 30,
-    'TS': 25, 'TSRA': 25, 'TSGR': 30, 'TSGS': 30, 'SQ': 18,
-    'GR': 20, 'GS': 18,
-    'SN': 18, 'BLSN': 22, 'PL': 15,
-    'RA': 12, '+RA': 16, 'SHRA': 14,
-    'FG': 20, 'BR': 10,
-    'DZ': 10
-  };
-  for(const h of hazards){
-    s += weight[h] ?? 10;
-  }
-
-  // small penalty if no TAF (less situational picture)
-  if(!hasTaf) s += 5;
-
-  return Math.min(100, s);
-}
-
-function highlightRaw(text, visTokensToHighlight = new Set(), visThreshold_m = 800){
-  if(!text) return '';
-  let html = escapeHtml(text);
-
-  // Highlight hazards
-  for(const h of HAZARDS){
-    const safe = h.replace('+','\\+');
-    html = html.replace(new RegExp(`\\b${safe}\\b`, 'g'), (m) => `<span class="hl">${m}</span>`);
-  }
-  html = html.replace(/\b(\+|-)(RA|SN|TS|FG|DZ)\b/g, (m)=> `<span class="hl">${m}</span>`);
-
-  // Highlight visibility tokens that are <= threshold (meters) when token is 4-digit,
-  // or any SM token if overall min visibility <= threshold.
-  if(visTokensToHighlight && visTokensToHighlight.size){
-    for(const tok of visTokensToHighlight){
-      // For 4-digit meter groups, only highlight if <= threshold
-      let shouldHighlight = false;
-      if(/^\d{4}$/.test(tok)){
-        const m = parseInt(tok,10);
-        if(Number.isFinite(m) && m <= visThreshold_m) shouldHighlight = true;
-      } else if(/\bSM$/.test(tok) || tok === 'CAVOK'){
-        // If min vis is already below threshold, highlight SM token as well.
-        // (We don't have token-level meters here, but this keeps UX consistent.)
-        shouldHighlight = true;
-      }
-
-      if(!shouldHighlight) continue;
-
-      const safeTok = tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      html = html.replace(new RegExp(`\\b${safeTok}\\b`, 'g'), (m)=> `<span class="hl-vis">${m}</span>`);
-    }
-  }
-
-  return html;
+function countBy(values){
+  const out = {};
+  for (const v of values) out[v] = (out[v] || 0) + 1;
+  return out;
 }
 
 function sleep(ms){
@@ -1624,79 +929,1751 @@ async function fetchText(url, {timeoutMs = 25_000, retries = 2} = {}){
 }
 
 
-async function fetchMetars(icaos){
-  const map = new Map();
-  for(const c of chunk(icaos, 50)){
-    const ids = encodeURIComponent(c.join(','));
-    const url = `${AWC_METAR}?ids=${ids}&format=raw`;
-    const txt = await fetchText(url);
-    for(const line of txt.split(/\r?\n/).map(s=>s.trim()).filter(Boolean)){
-      // Example: "METAR EGLC ...." or "SPECI EDDM ..."
-      const parts = line.split(/\s+/).filter(Boolean);
-      const SKIP = new Set(['METAR','SPECI','COR','AUTO','RTD','NIL','AMD']);
-      let icao = null;
-      for (const t of parts){
-        const u = (t||'').toUpperCase();
-        if (SKIP.has(u)) continue;
-        if (/^[A-Z]{4}$/.test(u)) { icao = u; break; }
-      }
-      if (icao) map.set(icao, line);
+// --- Observation sources -----------------------------------------------------
+// METAR/TAF text comes through source adapters tried in order (config/sources.json; WX_SOURCES=local,awc
+// overrides the order for a one-off/offline run). A chunk that fails on one source, and every ICAO it did
+// not return, is retried on the next source only for those ICAOs. Per-source health goes to status.json.
+const SOURCES_CONFIG = path.join(ROOT, 'config', 'sources.json');
+const TGFTP_METAR = 'https://tgftp.nws.noaa.gov/data/observations/metar/stations';
+const TGFTP_TAF = 'https://tgftp.nws.noaa.gov/data/forecasts/taf/stations';
+const DEFAULT_SOURCES = {
+  order: ['awc', 'tgftp'],
+  adapters: {
+    awc: { type: 'awc', format: 'raw' },
+    tgftp: { type: 'tgftp' },
+  },
+};
+const PER_STATION_CONCURRENCY = 6;
+
+function reportIcao(text){
+  // First 4-letter group after the report-type/modifier words.
+  const SKIP = new Set(['METAR','SPECI','TAF','COR','AMD','AUTO','RTD','NIL','CNL']);
+  for (const t of String(text || '').split(/\s+/).filter(Boolean)){
+    const u = t.toUpperCase();
+    if (SKIP.has(u)) continue;
+    return /^[A-Z]{4}$/.test(u) ? u : null;
+  }
+  return null;
 }
+
+function parseBulletinText(txt, kind){
+  // Splits free-form bulletin text (AWC raw, tgftp station files, WMO-style collectives) into reports of
+  // one kind. A report starts at METAR/SPECI/TAF or at a bare "[AMD|COR] CCCC DDHHMMZ" line and ends at "=", a blank
+  // line or the next report; bare reports take the type of the last heading line (default: `kind`).
+  const out = [];
+  let cur = null;
+  let heading = kind;
+  const flush = () => {
+    if (cur && cur.type === kind){
+      const lines = cur.lines.map(l => l.replace(/=+\s*$/, '').trimEnd()).filter(l => l.trim());
+      const raw = (kind === 'TAF') ? lines.join('\n').trim() : lines.map(l => l.trim()).join(' ');
+      if (raw) out.push(raw);
+    }
+    cur = null;
+  };
+  for (const rawLine of String(txt || '').split(/\r?\n/)){
+    const line = rawLine.trimEnd();
+    const head = line.trim().toUpperCase();
+    if (!head){ flush(); continue; }
+    if (/^(METAR|SPECI|TAF)$/.test(head)){ flush(); heading = (head === 'SPECI') ? 'METAR' : head; continue; }
+    if (/^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}$/.test(head)){ flush(); continue; } // tgftp timestamp line
+    const typed = head.match(/^(METAR|SPECI|TAF)\b/);
+    if (typed){
+      flush();
+      cur = { type: (typed[1] === 'TAF') ? 'TAF' : 'METAR', lines: [line] };
+    } else if (/^(?:(?:AMD|COR|RTD|CNL)\s+)?[A-Z]{4} \d{6}Z\b/.test(head)){
+      flush();
+      cur = { type: heading, lines: [(heading === 'TAF') ? `TAF ${line.trim()}` : line] };
+    } else if (cur){
+      cur.lines.push(line);
+    }
+    if (cur && /=\s*$/.test(line)) flush();
   }
-  return map;
+  flush();
+  return out;
 }
 
-async function fetchTafs(icaos){
+function groupReportsByIcao(reports, wanted){
   const map = new Map();
-  for(const c of chunk(icaos, 50)){
-    const ids = encodeURIComponent(c.join(','));
-    const url = `${AWC_TAF}?ids=${ids}&format=raw`;
-    const txt = await fetchText(url);
-
-    // TAFs can be multi-line blocks. AWC output is usually separated by blank lines,
-    // but header formats vary (leading spaces, AMD/COR after TAF, etc.). We'll build blocks by scanning.
-    const lines = txt.split(/\r?\n/);
-    const blocks = [];
-    let cur = [];
-    const flush = () => {
-      const b = cur.join('\n').trim();
-      if (b) blocks.push(b);
-      cur = [];
-    };
-    for (const raw of lines){
-      const line = (raw ?? '').trimEnd();
-      if (!line.trim()){
-        // blank line -> block boundary
-        if (cur.length) flush();
-        continue;
-      }
-      if (/^\s*TAF\b/i.test(line) && cur.length){
-        flush();
-        cur.push(line);
-      } else {
-        cur.push(line);
-      }
+  for (const raw of reports){
+    const icao = reportIcao(raw);
+    if (!icao || (wanted && !wanted.has(icao))) continue;
+    if (!map.has(icao)) map.set(icao, []);
+    map.get(icao).push(raw);
+  }
+  return map;
+}
+
+async function mapLimit(items, limit, fn){
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length){
+      const i = next++;
+      out[i] = await fn(items[i], i);
     }
-    if (cur.length) flush();
+  };
+  await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker));
+  return out;
+}
 
-    const SKIP = new Set(['TAF','AMD','COR','RTD','NIL','AUTO']);
-    for (const b of blocks){
-      const parts = b.split(/\s+/).filter(Boolean);
-      let icao = null;
-      for (const t of parts){
-        const u = (t||'').toUpperCase();
-        if (SKIP.has(u)) continue;
-        if (/^[A-Z]{4}$/.test(u)) { icao = u; break; }
-      }
-      if (icao) map.set(icao, b);
+async function fetchPerStation(icaos, kind, urlFor){
+  // One file per ICAO (tgftp, {icao} templates). A missing station is not a source failure;
+  // the source only fails when every request in the batch failed.
+  const map = new Map();
+  let failed = 0;
+  let lastErr = null;
+  await mapLimit(icaos, PER_STATION_CONCURRENCY, async (icao) => {
+    try{
+      const txt = await fetchText(urlFor(icao), {timeoutMs: 15_000, retries: 0});
+      const got = groupReportsByIcao(parseBulletinText(txt, kind), new Set([icao]));
+      if (got.has(icao)) map.set(icao, got.get(icao));
+    }catch(e){
+      failed++;
+      lastErr = e;
     }
-  }
+  });
+  if (icaos.length && failed === icaos.length) throw lastErr;
   return map;
 }
 
-function parseCsvLine(line){
-  // Handles quoted CSV with commas. Minimal parser sufficient for OurAirports.
-  const out = [];
+function awcSource(id, cfg){
+  const json = (cfg.format === 'json');
+  return {
+    id, type: 'awc',
+    supports: () => true,
+    async fetch(kind, icaos){
+      const ids = encodeURIComponent(icaos.join(','));
+      const base = (kind === 'TAF') ? AWC_TAF : AWC_METAR;
+      const hours = (kind === 'TAF') ? '' : `&hours=${AWC_METAR_HOURS}`;
+      const txt = await fetchText(`${base}?ids=${ids}&format=${json ? 'json' : 'raw'}${hours}`);
+      const wanted = new Set(icaos);
+      if (!json) return groupReportsByIcao(parseBulletinText(txt, kind), wanted);
+      const rows = JSON.parse(txt || '[]');
+      const raws = (Array.isArray(rows) ? rows : [])
+        .map(r => rawToString((kind === 'TAF') ? (r?.rawTAF ?? r?.raw_text) : (r?.rawOb ?? r?.raw_text)).trim())
+        .filter(Boolean);
+      return groupReportsByIcao(raws, wanted);
+    },
+  };
+}
+
+function tgftpSource(id){
+  return {
+    id, type: 'tgftp',
+    supports: () => true,
+    fetch: (kind, icaos) => fetchPerStation(icaos, kind, icao => `${(kind === 'TAF') ? TGFTP_TAF : TGFTP_METAR}/${icao}.TXT`),
+  };
+}
+
+function localDirSource(id, cfg){
+  // Every *.txt in the directory is read as bulletin text; doubles as the offline/test source.
+  const dir = path.resolve(ROOT, cfg.dir || path.join('data', 'bulletins'));
+  return {
+    id, type: 'localDir',
+    supports: () => true,
+    async fetch(kind, icaos){
+      if (!fs.existsSync(dir)) throw new Error(`Local bulletin directory not found: ${dir}`);
+      const files = fs.readdirSync(dir).filter(f => /\.txt$/i.test(f)).sort();
+      const reports = files.flatMap(f => parseBulletinText(fs.readFileSync(path.join(dir, f), 'utf8'), kind));
+      return groupReportsByIcao(reports, new Set(icaos));
+    },
+  };
+}
+
+function httpTemplateSource(id, cfg){
+  // {ids} = comma-separated chunk in one request, {icao} = one request per station.
+  const tpl = (kind) => (kind === 'TAF') ? cfg.tafUrl : cfg.metarUrl;
+  return {
+    id, type: 'http',
+    supports: (kind) => !!tpl(kind),
+    async fetch(kind, icaos){
+      const t = tpl(kind);
+      if (/\{icao\}/i.test(t)) return fetchPerStation(icaos, kind, icao => t.replace(/\{icao\}/gi, icao));
+      const txt = await fetchText(t.replace(/\{ids\}/gi, encodeURIComponent(icaos.join(','))));
+      return groupReportsByIcao(parseBulletinText(txt, kind), new Set(icaos));
+    },
+  };
+}
+
+const SOURCE_FACTORIES = { awc: awcSource, tgftp: tgftpSource, localDir: localDirSource, http: httpTemplateSource };
+
+function loadSources(errors){
+  const cfg = safeReadJson(SOURCES_CONFIG) || DEFAULT_SOURCES;
+  const adapters = { ...DEFAULT_SOURCES.adapters, ...(cfg.adapters || {}) };
+  const envOrder = String(process.env.WX_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean);
+  const order = envOrder.length ? envOrder : (Array.isArray(cfg.order) ? cfg.order : DEFAULT_SOURCES.order);
+  const out = [];
+  for (const id of order){
+    const a = adapters[id];
+    const make = a && SOURCE_FACTORIES[a.type];
+    if (!make){
+      errors.push(`Sources: unknown source "${id}" ignored`);
+      continue;
+    }
+    out.push(make(id, a));
+  }
+  return out;
+}
+
+async function fetchReports(kind, icaos, sources, health){
+  // -> {reports: Map icao -> raw[], via: Map icao -> source id, failed: Map icao -> reason}
+  // `failed` holds ICAOs no source answered for (every attempt threw), as opposed to a source
+  // answering without a report for them.
+  const reports = new Map();
+  const via = new Map();
+  const failed = new Map();
+  const active = sources.filter(s => s.supports(kind));
+  const entries = active.map(src => {
+    const h = { id: src.id, type: src.type, requests: 0, ok: 0, failed: 0, stations: 0, ms: 0, lastError: null };
+    return [src, h];
+  });
+  health[kind.toLowerCase()] = entries.map(([, h]) => h);
+
+  for (const c of chunk(icaos, 50)){
+    let todo = c;
+    const answered = new Set();
+    const chunkErrors = [];
+    for (const [src, h] of entries){
+      if (!todo.length) break;
+      const t0 = Date.now();
+      h.requests++;
+      try{
+        const got = await src.fetch(kind, todo);
+        h.ok++;
+        for (const icao of todo){
+          answered.add(icao);
+          const lines = got.get(icao);
+          if (!lines || !lines.length) continue;
+          reports.set(icao, lines);
+          via.set(icao, src.id);
+          h.stations++;
+        }
+        todo = todo.filter(icao => !reports.has(icao));
+      }catch(e){
+        h.failed++;
+        h.lastError = String(e?.message ?? e).slice(0, 300);
+        chunkErrors.push(`${src.id}: ${h.lastError}`);
+      }
+      h.ms += Date.now() - t0;
+    }
+    const reason = chunkErrors.length ? chunkErrors.join('; ') : 'no source configured';
+    for (const icao of todo){
+      if (!answered.has(icao)) failed.set(icao, reason);
+    }
+  }
+  return { reports, via, failed };
+}
+
+function newestReport(lines, refIso){
+  // Several TAFs for one station (bulletin dirs, amendments): take the latest issue time.
+  let best = null, bestMs = -Infinity;
+  for (const raw of (lines || [])){
+    const ms = Date.parse(reportTimeIso(raw, refIso));
+    const t = Number.isFinite(ms) ? ms : -Infinity;
+    if (best === null || t > bestMs){ best = raw; bestMs = t; }
+  }
+  return best;
+}
+
+// --- Auxiliary text feeds ------------------------------------------------------
+// NOTAMs, SNOWTAMs and similar bulletins: every *.txt in `dir` (a file drop) plus `url` (string or list) when set,
+// configured under `feeds.<name>` in config/sources.json. A failing URL is reported, never fatal.
+
+function loadFeedConfig(name){
+  const cfg = safeReadJson(SOURCES_CONFIG);
+  return cfg?.feeds?.[name] || null;
+}
+
+async function fetchFeedParts(name, errors, fileRe = /\.txt$/i){
+  // -> one text per file / URL, in that order
+  const cfg = loadFeedConfig(name);
+  if (!cfg) return [];
+  const parts = [];
+  const dir = cfg.dir ? path.resolve(ROOT, cfg.dir) : null;
+  if (dir && fs.existsSync(dir)){
+    for (const f of fs.readdirSync(dir).filter(f => fileRe.test(f)).sort()){
+      parts.push(fs.readFileSync(path.join(dir, f), 'utf8'));
+    }
+  }
+  for (const url of [].concat(cfg.url || []).filter(Boolean)){
+    try{
+      parts.push(await fetchText(url));
+    }catch(e){
+      errors.push(`${name} feed ${url}: ${String(e?.message ?? e)}`);
+    }
+  }
+  return parts;
+}
+
+async function fetchFeedText(name, errors){
+  return (await fetchFeedParts(name, errors)).join('\n\n');
+}
+
+// --- NOTAMs -------------------------------------------------------------------
+// ICAO-format NOTAMs reduced to what changes approach minima selection: runway closures, ILS/LOC/GP
+// and approach-lighting outages, with their validity window. Schedules in D) are not evaluated, so a
+// NOTAM counts for its whole B)–C) window.
+
+const NOTAM_US_COND = new Set(['AS','AU','AW','CT']); // unserviceable, not available, withdrawn, on test
+const NOTAM_US_TEXT = /\b(U\/S|UNSERVICEABLE|OUT OF SERVICE|NOT AVBL|NOT AVAILABLE|WITHDRAWN)\b/;
+const NOTAM_KIND_LABEL = { RWY_CLSD: 'RWY {rwy} CLSD', ILS_US: 'ILS {rwy} U/S', LOC_US: 'LOC {rwy} U/S', GP_US: 'GP {rwy} U/S', ALS_US: 'ALS {rwy} U/S' };
+
+function notamTimeIso(v){
+  // YYMMDDHHMM -> ISO; PERM / missing -> null
+  const m = String(v || '').match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return null;
+  return new Date(Date.UTC(2000 + Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]))).toISOString();
+}
+
+function classifyNotam(qcode, text){
+  // -> {kind, rwy} or null
+  const q = String(qcode || '').toUpperCase();
+  const subj = q.slice(1, 3), cond = q.slice(3, 5);
+  const t = String(text || '').toUpperCase().replace(/\s+/g, ' ');
+  const rwy = (t.match(/\bRWY\s*(\d{2}[LRC]?(?:\/\d{2}[LRC]?)?)\b/) || [])[1] || null;
+  const us = NOTAM_US_COND.has(cond) || NOTAM_US_TEXT.test(t);
+
+  if ((subj === 'MR' && cond === 'LC') || /\bRWY\s*\d{2}[LRC]?(?:\/\d{2}[LRC]?)?\s+(CLSD|CLOSED)\b/.test(t)) return { kind: 'RWY_CLSD', rwy };
+  if (!us) return null;
+  if (subj === 'IG' || /\b(GP|GS|GLIDE ?PATH|GLIDE ?SLOPE)\b/.test(t)) return { kind: 'GP_US', rwy };
+  if (subj === 'IL' || /\b(LOC|LLZ|LOCALI[SZ]ER)\b/.test(t)) return { kind: 'LOC_US', rwy };
+  if (subj === 'IC' || /\bILS\b/.test(t)) return { kind: 'ILS_US', rwy };
+  if (subj === 'LA' || /\b(ALS|HIALS|SALS|APCH LGT|APPROACH LIGHT(ING)?( SYSTEM)?)\b/.test(t)) return { kind: 'ALS_US', rwy };
+  return null;
+}
+
+function parseNotams(text){
+  // -> [{id, type N|R|C, ref, icaos[], qcode, from, to, est, text}]
+  const s = String(text || '').replace(/\r/g, '');
+  const startRe = /(?:^|\n)[ \t]*\(?([A-Z]\d{4}\/\d{2})\s+NOTAM([NRC])(?:\s+([A-Z]\d{4}\/\d{2}))?/g;
+  const starts = [];
+  let m;
+  while ((m = startRe.exec(s)) !== null) starts.push({ at: m.index, id: m[1], type: m[2], ref: m[3] || null });
+  return starts.map((st, i) => {
+    const body = s.slice(st.at, (i + 1 < starts.length) ? starts[i + 1].at : s.length);
+    const field = (k) => {
+      const fm = body.match(new RegExp(`\\b${k}\\)\\s*([\\s\\S]*?)(?=\\s[A-G]\\)\\s|\\)?\\s*$)`));
+      return fm ? fm[1].trim() : '';
+    };
+    const c = field('C');
+    return {
+      id: st.id,
+      type: st.type,
+      ref: st.ref,
+      icaos: field('A').split(/\s+/).filter(x => /^[A-Z]{4}$/.test(x)),
+      qcode: (field('Q').match(/\/(Q[A-Z]{4})\//) || [])[1] || null,
+      from: notamTimeIso(field('B').split(/\s+/)[0]),
+      to: notamTimeIso(c.split(/\s+/)[0]),
+      est: /\bEST\b/.test(c),
+      text: field('E').replace(/\s+/g, ' ').replace(/\)\s*$/, '').trim(),
+    };
+  });
+}
+
+function buildNotamIndex(text, icaos, generatedAt){
+  // -> {ICAO: [{id, kind, rwy, label, from, to, est, text}]}: approach-relevant NOTAMs not yet expired.
+  const watched = new Set(icaos);
+  const nowMs = Date.parse(generatedAt);
+  const all = parseNotams(text);
+  const dropped = new Set(all.filter(n => n.ref && (n.type === 'R' || n.type === 'C')).map(n => n.ref));
+  const byIcao = {};
+  for (const n of all){
+    if (n.type === 'C' || dropped.has(n.id) || !n.from) continue;
+    if (n.to && Date.parse(n.to) <= nowMs) continue;
+    const cls = classifyNotam(n.qcode, n.text);
+    if (!cls) continue;
+    const label = NOTAM_KIND_LABEL[cls.kind].replace(' {rwy}', cls.rwy ? ` ${cls.rwy}` : '');
+    for (const icao of n.icaos){
+      if (!watched.has(icao)) continue;
+      if (!byIcao[icao]) byIcao[icao] = [];
+      byIcao[icao].push({ id: n.id, kind: cls.kind, rwy: cls.rwy, label, from: n.from, to: n.to, est: n.est, text: n.text });
+    }
+  }
+  return byIcao;
+}
+
+// --- SNOWTAMs (GRF) -----------------------------------------------------------
+// Global Reporting Format SNOWTAMs: per runway, RWYCC / coverage / depth / contaminant for each third.
+// Both the lettered (A) B) C) D) E) F) G)) and the line form ("MMDDhhmm RWY 5/5/2 100/100/50 NR/NR/04
+// WET/WET/STANDING WATER") are read. The situational awareness section (I) onwards) is not parsed.
+// A report is used until a newer one replaces it or `validHours` (default 8) after observation.
+
+const SNOWTAM_VALID_HOURS = 8;
+
+function snowtamTimeIso(v, refIso){
+  // MMDDhhmm (no year) -> ISO, taking the year that puts it closest before refIso.
+  const m = String(v || '').match(/^(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const ref = new Date(refIso);
+  let t = Date.UTC(ref.getUTCFullYear(), Number(m[1]) - 1, Number(m[2]), Number(m[3]), Number(m[4]));
+  if (t > ref.getTime() + 86400_000) t = Date.UTC(ref.getUTCFullYear() - 1, Number(m[1]) - 1, Number(m[2]), Number(m[3]), Number(m[4]));
+  return new Date(t).toISOString();
+}
+
+function parseSnowtamThirds(v, parse){
+  const parts = String(v || '').split('/');
+  if (parts.length !== 3) return null;
+  return parts.map(p => (/^NR$|^\/*$/.test(p.trim()) ? null : parse(p.trim())));
+}
+
+function parseSnowtams(text, refIso){
+  // -> [{id, icao, obsAt, rwy, rwycc[3], coverage[3], depthMm[3], contaminant[3]}]
+  const s = String(text || '').replace(/\r/g, '').toUpperCase();
+  const starts = [];
+  const re = /\(?\bSNOWTAM\s+(\d{1,4})\b/g;
+  let m;
+  while ((m = re.exec(s)) !== null) starts.push({ at: m.index, num: m[1] });
+  const out = [];
+  starts.forEach((st, i) => {
+    let body = s.slice(st.at, (i + 1 < starts.length) ? starts[i + 1].at : s.length);
+    const sa = body.search(/\b[I-T]\)/);
+    if (sa >= 0) body = body.slice(0, sa);
+    const icao = (body.match(/\bA\)\s*([A-Z]{4})\b/) || body.match(/\n\s*([A-Z]{4})\s*\n/) || [])[1] || null;
+    if (!icao) return;
+    body = body.replace(/\s*\bB\)\s*/g, '\n').replace(/\s*\b[C-H]\)\s*/g, ' ');
+    for (const line of body.split('\n')){
+      const lm = line.trim().match(/^(\d{8})\s+(\d{2}[LRC]?)\s+(\S+)(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(.+))?$/);
+      if (!lm) continue;
+      const rwycc = parseSnowtamThirds(lm[3], p => (/^[0-6]$/.test(p) ? Number(p) : null));
+      if (!rwycc) continue;
+      const cond = String(lm[6] || '').replace(/[.)]+\s*$/, '').replace(/\s+\d{2}\s*$/, '').trim(); // drop H) width
+      out.push({
+        id: `SNOWTAM ${st.num}`,
+        icao,
+        obsAt: snowtamTimeIso(lm[1], refIso),
+        rwy: lm[2],
+        rwycc,
+        coverage: parseSnowtamThirds(lm[4], p => (/^\d{1,3}$/.test(p) ? Number(p) : null)) || [null, null, null],
+        depthMm: parseSnowtamThirds(lm[5], p => (/^\d{1,3}$/.test(p) ? Number(p) : null)) || [null, null, null],
+        contaminant: parseSnowtamThirds(cond, p => p) || [null, null, null],
+      });
+    }
+  });
+  return out.filter(r => r.obsAt);
+}
+
+function buildSnowtamIndex(text, icaos, generatedAt, validHours){
+  // -> {ICAO: {obsAt, expiresAt, runways:[...]}}: newest report per runway, expired ones dropped.
+  const watched = new Set(icaos);
+  const nowMs = Date.parse(generatedAt);
+  const validMs = (Number.isFinite(validHours) ? validHours : SNOWTAM_VALID_HOURS) * 3600_000;
+  const latest = new Map(); // icao|rwy -> report
+  for (const r of parseSnowtams(text, generatedAt)){
+    if (!watched.has(r.icao)) continue;
+    const key = `${r.icao}|${r.rwy}`;
+    const prev = latest.get(key);
+    if (!prev || Date.parse(r.obsAt) >= Date.parse(prev.obsAt)) latest.set(key, r);
+  }
+  const byIcao = {};
+  for (const r of latest.values()){
+    const expiresAt = new Date(Date.parse(r.obsAt) + validMs).toISOString();
+    if (Date.parse(expiresAt) <= nowMs) continue;
+    if (!byIcao[r.icao]) byIcao[r.icao] = { obsAt: r.obsAt, expiresAt, runways: [] };
+    const e = byIcao[r.icao];
+    e.runways.push({ id: r.id, rwy: r.rwy, obsAt: r.obsAt, expiresAt, rwycc: r.rwycc, coverage: r.coverage, depthMm: r.depthMm, contaminant: r.contaminant });
+    if (r.obsAt > e.obsAt) e.obsAt = r.obsAt;
+    if (expiresAt > e.expiresAt) e.expiresAt = expiresAt;
+  }
+  return byIcao;
+}
+
+// --- SIGMETs / AIRMETs ---------------------------------------------------------
+// Area warnings a station does not report itself (embedded TS, severe icing/turbulence, volcanic ash).
+// Input is AWC international SIGMET JSON (the `url`, or *.json in the drop folder) or raw bulletins
+// (*.txt). Only polygons are located ("WI N4830 E01630 - …"); ENTIRE FIR and line-bounded areas
+// ("N OF N50") are kept in sigmets.json but reach no station. A station is affected when it lies
+// inside the polygon or within `bufferNm` (default 20) of its edge.
+
+const SIGMET_BUFFER_NM = 20;
+const SIGMET_HAZARDS = [
+  ['VA', /\bVA\b|\bVA CLD\b|\bVA ERUPTION\b/],
+  ['TS', /\bTS(GR)?\b|\bTSGS\b/],
+  ['ICE', /\bICE\b|\bFZRA\b/],
+  ['TURB', /\bTURB\b|\bMTW\b/],
+];
+
+function sigmetHazard(text){
+  const s = String(text || '').toUpperCase();
+  const hit = SIGMET_HAZARDS.find(([, re]) => re.test(s));
+  return hit ? hit[0] : null;
+}
+
+function parseSigmetCoord(tok){
+  // N4830 / S0512 / E01630 / W00045 (degrees + minutes) -> decimal degrees
+  const m = String(tok).match(/^([NSEW])(\d{2,3})(\d{2})?$/);
+  if (!m) return null;
+  const deg = Number(m[2]) + (m[3] ? Number(m[3]) / 60 : 0);
+  return (m[1] === 'S' || m[1] === 'W') ? -deg : deg;
+}
+
+function parseSigmetPolygon(text){
+  // "WI N4830 E01630 - N4900 E01800 - …" -> [[lat, lon], …] (closed or not), null when absent
+  const m = String(text || '').toUpperCase().match(/\bWI\s+((?:[NS]\d{2,4}\s+[EW]\d{3,5}\s*-?\s*)+)/);
+  if (!m) return null;
+  const pts = [];
+  const re = /([NS]\d{2,4})\s+([EW]\d{3,5})/g;
+  let c;
+  while ((c = re.exec(m[1])) !== null){
+    const lat = parseSigmetCoord(c[1]);
+    const lon = parseSigmetCoord(c[2]);
+    if (lat != null && lon != null) pts.push([lat, lon]);
+  }
+  return pts.length >= 3 ? pts : null;
+}
+
+function parseSigmetLevels(text){
+  // -> {base, top} as flight levels (0 = SFC); null when not given
+  const s = String(text || '').toUpperCase();
+  let m = s.match(/\b(SFC|FL\d{3}|\d{4,5}(?:FT|M))\/(FL\d{3}|\d{4,5}(?:FT|M))\b/);
+  const fl = (v) => {
+    if (v === 'SFC') return 0;
+    if (v.startsWith('FL')) return Number(v.slice(2));
+    const n = parseInt(v, 10);
+    return Math.round((v.endsWith('M') ? n * 3.28084 : n) / 100);
+  };
+  if (m) return { base: fl(m[1]), top: fl(m[2]) };
+  m = s.match(/\bTOP\s+(?:ABV\s+|BLW\s+)?(FL\d{3})\b/);
+  if (m) return { base: null, top: fl(m[1]) };
+  m = s.match(/\b(?:ABV|BLW)\s+(FL\d{3})\b/);
+  if (m) return s.includes('BLW') ? { base: 0, top: fl(m[1]) } : { base: fl(m[1]), top: null };
+  return { base: null, top: null };
+}
+
+function parseSigmetText(text, refIso){
+  // Raw bulletins: "EPWW SIGMET 3 VALID 191000/191400 EPWA- EPWW WARSZAWA FIR EMBD TS … =".
+  // -> [{kind, fir, seq, from, to, hazard, qualifier, base, top, polygon, cancels, raw}]
+  const s = String(text || '').replace(/\r/g, '').toUpperCase();
+  const out = [];
+  const re = /\b([A-Z]{4})\s+(SIGMET|AIRMET)\s+([A-Z]?\d{1,2}|[A-Z]\d?)\s+VALID\s+(\d{6})\/(\d{6})\b([\s\S]*?)(?:=|(?=\b[A-Z]{4}\s+(?:SIGMET|AIRMET)\s+\S+\s+VALID\b)|$)/g;
+  let m;
+  while ((m = re.exec(s)) !== null){
+    const body = m[6];
+    const cnl = body.match(/\bCNL\s+(?:SIGMET|AIRMET)\s+([A-Z]?\d{1,2}|[A-Z]\d?)\b/);
+    const levels = parseSigmetLevels(body);
+    const qual = body.match(/\b(OBSC|EMBD|FRQ|SQL|ISOL|OCNL|SEV|MOD)\b/);
+    out.push({
+      kind: m[2],
+      fir: m[1],
+      seq: m[3],
+      from: reportTimeIso(`${m[4]}Z`, refIso),
+      to: reportTimeIso(`${m[5]}Z`, refIso),
+      hazard: cnl ? null : sigmetHazard(body),
+      qualifier: qual ? qual[1] : null,
+      base: levels.base,
+      top: levels.top,
+      polygon: parseSigmetPolygon(body),
+      cancels: cnl ? cnl[1] : null,
+      raw: `${m[1]} ${m[2]} ${m[3]} VALID ${m[4]}/${m[5]}${body}`.replace(/\s+/g, ' ').trim(),
+    });
+  }
+  return out;
+}
+
+function parseSigmetJson(list){
+  // AWC international SIGMET JSON (api/data/isigmet?format=json); times are epoch seconds or ISO.
+  const iso = (v) => {
+    if (v == null) return null;
+    const t = (typeof v === 'number') ? v * 1000 : Date.parse(v);
+    return Number.isFinite(t) ? new Date(t).toISOString() : null;
+  };
+  const fl = (ft) => (Number.isFinite(ft) ? Math.round(ft / 100) : null);
+  return (Array.isArray(list) ? list : []).map(x => {
+    const raw = String(x.rawSigmet || x.rawAirSigmet || '').replace(/\s+/g, ' ').trim();
+    const coords = Array.isArray(x.coords) ? x.coords.map(c => [Number(c.lat), Number(c.lon)]).filter(p => p.every(Number.isFinite)) : [];
+    return {
+      kind: /\bAIRMET\b/i.test(raw) ? 'AIRMET' : 'SIGMET',
+      fir: x.firId || x.icaoId || null,
+      seq: (x.seriesId != null) ? String(x.seriesId) : null,
+      from: iso(x.validTimeFrom),
+      to: iso(x.validTimeTo),
+      hazard: sigmetHazard(x.hazard) || sigmetHazard(raw),
+      qualifier: x.qualifier || null,
+      base: fl(x.base),
+      top: fl(x.top),
+      polygon: (coords.length >= 3) ? coords : parseSigmetPolygon(raw),
+      cancels: null,
+      raw,
+    };
+  });
+}
+
+function pointInPolygon(lat, lon, poly){
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    const [yi, xi] = poly[i];
+    const [yj, xj] = poly[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function polygonDistanceNm(lat, lon, poly){
+  // Distance to the nearest edge, flat-earth around the station (fine for a few tens of NM).
+  const k = Math.cos(lat * Math.PI / 180);
+  const xy = poly.map(([a, b]) => [(b - lon) * 60 * k, (a - lat) * 60]);
+  let best = Infinity;
+  for (let i = 0; i < xy.length; i++){
+    const [x1, y1] = xy[i];
+    const [x2, y2] = xy[(i + 1) % xy.length];
+    const dx = x2 - x1, dy = y2 - y1;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(x1 + t * dx, y1 + t * dy));
+  }
+  return best;
+}
+
+function buildSigmetIndex(parts, stationsLatLon, generatedAt, bufferNm){
+  // parts: feed texts (JSON or raw bulletins). -> {sigmets, byIcao: {ICAO: [{id, kind, hazard, …}]}}
+  const buffer = Number.isFinite(bufferNm) ? bufferNm : SIGMET_BUFFER_NM;
+  const nowMs = Date.parse(generatedAt);
+  let all = [];
+  for (const text of parts){
+    let json = null;
+    if (/^\s*[[{]/.test(text)){
+      try { json = JSON.parse(text); } catch { json = null; }
+    }
+    all = all.concat(json ? parseSigmetJson(Array.isArray(json) ? json : (json.features || json.data || [])) : parseSigmetText(text, generatedAt));
+  }
+
+  const byKey = new Map(); // fir|kind|seq -> newest
+  const cancelled = new Set();
+  for (const x of all){
+    if (x.cancels){
+      cancelled.add(`${x.fir}|${x.kind}|${x.cancels}`);
+      continue;
+    }
+    if (!x.hazard || !x.to || Date.parse(x.to) <= nowMs) continue;
+    const key = `${x.fir}|${x.kind}|${x.seq}|${x.from}`;
+    byKey.set(key, x);
+  }
+  const sigmets = [...byKey.values()]
+    .filter(x => !cancelled.has(`${x.fir}|${x.kind}|${x.seq}`))
+    .map(x => ({ id: `${x.fir} ${x.kind} ${x.seq}`, kind: x.kind, fir: x.fir, seq: x.seq, from: x.from, to: x.to, hazard: x.hazard,
+      qualifier: x.qualifier, base: x.base, top: x.top, polygon: x.polygon, raw: x.raw, stations: [] }));
+
+  const byIcao = {};
+  for (const x of sigmets){
+    if (!x.polygon) continue;
+    for (const [icao, pos] of Object.entries(stationsLatLon)){
+      if (!pos || !Number.isFinite(pos.lat) || !Number.isFinite(pos.lon)) continue;
+      const inside = pointInPolygon(pos.lat, pos.lon, x.polygon);
+      const distNm = inside ? 0 : Math.round(polygonDistanceNm(pos.lat, pos.lon, x.polygon));
+      if (!inside && distNm > buffer) continue;
+      x.stations.push(icao);
+      if (!byIcao[icao]) byIcao[icao] = [];
+      byIcao[icao].push({ id: x.id, kind: x.kind, hazard: x.hazard, qualifier: x.qualifier, from: x.from, to: x.to, base: x.base, top: x.top, inside, distNm });
+    }
+  }
+  return { sigmets, byIcao };
+}
+
+// --- VAAC volcanic ash advisories ---------------------------------------------
+// FVXX advisories give the observed ash cloud and forecasts at +6/+12/+18 h, hours before VA shows up in
+// a METAR. Each cloud polygon (with its levels) is located like a SIGMET area. The newest advisory per
+// VAAC + volcano replaces older ones; a forecast step counts until 3 h after its time.
+
+const VAAC_STEP_HALF_MS = 3 * 3600_000;
+
+function parseVaacFields(text){
+  // "LABEL: value" blocks; values may wrap onto following lines.
+  const fields = {};
+  let key = null;
+  for (const line of String(text || '').replace(/\r/g, '').toUpperCase().split('\n')){
+    const m = line.match(/^\s*([A-Z][A-Z0-9 +]*?):\s*(.*)$/);
+    if (m){
+      key = m[1].trim();
+      fields[key] = m[2].trim();
+    } else if (key && line.trim()){
+      fields[key] += ` ${line.trim()}`;
+    }
+  }
+  return fields;
+}
+
+function parseVaacClouds(value, refIso){
+  // "19/1800Z SFC/FL200 N6430 W01800 - … FL200/FL350 N… " -> {at, clouds:[{base, top, polygon}]}
+  const v = String(value || '').replace(/=+\s*$/, '');
+  const t = v.match(/\b(\d{2})\/(\d{4})Z\b/);
+  const at = t ? reportTimeIso(`${t[1]}${t[2]}Z`, refIso) : null;
+  const clouds = [];
+  const re = /\b(SFC|FL\d{3})\/(FL\d{3})\s+((?:[NS]\d{2,4}\s+[EW]\d{3,5}\s*-?\s*)+)/g;
+  let m;
+  while ((m = re.exec(v)) !== null){
+    const polygon = parseSigmetPolygon(`WI ${m[3]}`);
+    if (!polygon) continue;
+    clouds.push({ base: m[1] === 'SFC' ? 0 : Number(m[1].slice(2)), top: Number(m[2].slice(2)), polygon });
+  }
+  return { at, clouds };
+}
+
+function parseVaacAdvisories(text){
+  // -> [{id, vaac, volcano, advisoryNr, issuedAt, colourCode, steps:[{step, at, clouds}]}]
+  const s = String(text || '').replace(/\r/g, '');
+  const blocks = s.split(/(?=^\s*(?:FV\w{2}\d{2}\s+\w{4}\s+\d{6}\s*\n\s*)?VA ADVISORY\s*$)/m);
+  const out = [];
+  for (const block of blocks){
+    if (!/VA ADVISORY/i.test(block)) continue;
+    const f = parseVaacFields(block);
+    const dtg = (f.DTG || '').match(/^(\d{4})(\d{2})(\d{2})\/(\d{2})(\d{2})Z/);
+    if (!dtg) continue;
+    const issuedAt = new Date(Date.UTC(+dtg[1], +dtg[2] - 1, +dtg[3], +dtg[4], +dtg[5])).toISOString();
+    const steps = [];
+    const obs = parseVaacClouds(`${f['OBS VA DTG'] || ''} ${f['OBS VA CLD'] || ''}`, issuedAt);
+    steps.push({ step: 0, at: obs.at || issuedAt, clouds: obs.clouds });
+    for (const h of [6, 12, 18]){
+      const fc = parseVaacClouds(f[`FCST VA CLD +${h} HR`] || f[`FCST VA CLD +${h}HR`], issuedAt);
+      steps.push({ step: h, at: fc.at || new Date(Date.parse(issuedAt) + h * 3600_000).toISOString(), clouds: fc.clouds });
+    }
+    const vaac = f.VAAC || null;
+    const volcano = (f.VOLCANO || '').replace(/\s+\d+$/, '') || null;
+    out.push({
+      id: `${vaac || 'VAAC'} ${f['ADVISORY NR'] || issuedAt}`,
+      vaac,
+      volcano,
+      advisoryNr: f['ADVISORY NR'] || null,
+      issuedAt,
+      colourCode: f['AVIATION COLOUR CODE'] || null,
+      steps,
+    });
+  }
+  return out;
+}
+
+function buildVaacIndex(text, stationsLatLon, generatedAt, bufferNm){
+  // -> {advisories, byIcao: {ICAO: [{id, volcano, step, at, base, top, inside, distNm}]}} (current steps only)
+  const buffer = Number.isFinite(bufferNm) ? bufferNm : SIGMET_BUFFER_NM;
+  const nowMs = Date.parse(generatedAt);
+  const newest = new Map();
+  for (const a of parseVaacAdvisories(text)){
+    const key = `${a.vaac}|${a.volcano}`;
+    const prev = newest.get(key);
+    if (!prev || a.issuedAt > prev.issuedAt) newest.set(key, a);
+  }
+  const advisories = [];
+  const byIcao = {};
+  for (const a of newest.values()){
+    const steps = a.steps.filter(st => Date.parse(st.at) + VAAC_STEP_HALF_MS > nowMs);
+    if (!steps.some(st => st.clouds.length)) continue;
+    const stations = new Set();
+    for (const st of steps){
+      for (const c of st.clouds){
+        for (const [icao, pos] of Object.entries(stationsLatLon)){
+          if (!pos || !Number.isFinite(pos.lat) || !Number.isFinite(pos.lon)) continue;
+          const inside = pointInPolygon(pos.lat, pos.lon, c.polygon);
+          const distNm = inside ? 0 : Math.round(polygonDistanceNm(pos.lat, pos.lon, c.polygon));
+          if (!inside && distNm > buffer) continue;
+          stations.add(icao);
+          if (!byIcao[icao]) byIcao[icao] = [];
+          const hit = byIcao[icao].find(x => x.id === a.id && x.step === st.step);
+          if (hit && (hit.inside || hit.distNm <= distNm)) continue;
+          const entry = { id: a.id, volcano: a.volcano, step: st.step, at: st.at, base: c.base, top: c.top, inside, distNm };
+          if (hit) Object.assign(hit, entry);
+          else byIcao[icao].push(entry);
+        }
+      }
+    }
+    advisories.push({ ...a, steps, stations: [...stations].sort() });
+  }
+  for (const list of Object.values(byIcao)) list.sort((x, y) => x.at.localeCompare(y.at));
+  return { advisories, byIcao };
+}
+
+// --- Flight schedule -------------------------------------------------------------
+// Planners think in flights. A schedule (CSV or JSON: flight, dep, arr, std, sta, alt; ICAO or IATA codes,
+// UTC times) is evaluated on the stations' hourly TAF evaluation (tafHourly): departure in the STD hour,
+// destination and planned alternate at STA ±1 h. Within the next hour the current METAR state counts too.
+//   NO-GO:   CRIT or below BEST minima at DEP/DEST/ALT, or TO PROHIB / RVR<125 at DEP
+//   MONITOR: HIGH/MED, only the BEST approach left (below ALT minima), other OM flags, or no TAF coverage
+//   GO:      none of the above
+
+const FLIGHT_HOUR_MS = 3600_000;
+const FLIGHT_HORIZON_HOURS = 36;
+const FLIGHT_COLUMNS = {
+  flight: ['flight', 'flight_no', 'flightno', 'flt'],
+  dep: ['dep', 'from', 'origin'],
+  arr: ['arr', 'to', 'dest', 'destination'],
+  std: ['std', 'etd'],
+  sta: ['sta', 'eta'],
+  alt: ['alt', 'altn', 'alternate'],
+};
+const FLIGHT_DEP_NOGO_FLAGS = ['toProhib', 'rvr125'];
+const FLIGHT_OM_FLAGS = ['toProhib', 'tsOrCb', 'va', 'lvto', 'lvp', 'lvtoQualReq', 'rvr125', 'cat2Plus', 'cat3Only', 'cat3BelowMin', 'xwindExceed', 'tailwindExceed', 'noOpsLikely'];
+const FLIGHT_TAKEOFF_FLAGS = ['toProhib', 'lvto', 'lvtoQualReq', 'rvr125']; // not counted at DEST / ALT
+
+function parseFlightTime(v){
+  // ISO, or "YYYY-MM-DD HH:MM" / "YYYY-MM-DDTHHMM" taken as UTC -> ISO or null
+  const m = String(v || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):?(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!m) return null;
+  const tz = (m[6] && m[6].toUpperCase() !== 'Z') ? m[6] : 'Z';
+  const t = Date.parse(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:00${tz.length === 5 ? `${tz.slice(0, 3)}:${tz.slice(3)}` : tz}`);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+function normalizeFlightRow(row){
+  const keys = Object.fromEntries(Object.entries(row || {}).map(([k, v]) => [String(k).trim().toLowerCase(), v]));
+  const pick = (names) => {
+    const k = names.find(n => keys[n] != null && String(keys[n]).trim() !== '');
+    return k ? String(keys[k]).trim().toUpperCase() : null;
+  };
+  return {
+    flight: pick(FLIGHT_COLUMNS.flight),
+    dep: pick(FLIGHT_COLUMNS.dep),
+    arr: pick(FLIGHT_COLUMNS.arr),
+    std: parseFlightTime(pick(FLIGHT_COLUMNS.std)),
+    sta: parseFlightTime(pick(FLIGHT_COLUMNS.sta)),
+    alt: pick(FLIGHT_COLUMNS.alt),
+  };
+}
+
+function parseSchedule(parts, errors){
+  // parts: file / URL texts (CSV with a header row, or JSON array / {flights:[…]})
+  const rows = [];
+  for (const text of parts){
+    if (/^\s*[[{]/.test(text)){
+      try{
+        const j = JSON.parse(text);
+        rows.push(...(Array.isArray(j) ? j : (j.flights || [])));
+      }catch(e){
+        errors.push(`schedule JSON: ${String(e?.message ?? e)}`);
+      }
+      continue;
+    }
+    const lines = String(text || '').replace(/\r/g, '').split('\n').filter(l => l.trim() && !l.trim().startsWith('#'));
+    if (!lines.length) continue;
+    const header = parseCsvLine(lines[0]);
+    for (const line of lines.slice(1)){
+      const cols = parseCsvLine(line);
+      rows.push(Object.fromEntries(header.map((h, i) => [h, cols[i]])));
+    }
+  }
+  const flights = [];
+  let skipped = 0;
+  for (const r of rows){
+    const f = normalizeFlightRow(r);
+    if (f.flight && f.dep && f.arr && f.std && f.sta) flights.push(f);
+    else skipped++;
+  }
+  if (skipped) errors.push(`schedule: ${skipped} rows without flight/dep/arr/std/sta skipped`);
+  return flights;
+}
+
+function flightHourDriver(h){
+  // " (TEMPO 1913/1916 0400 FG)": the TAF group that drives the hour
+  if (!h.driver) return '';
+  return ` (${h.driver.raw || h.driver.type})`;
+}
+
+function evaluateFlightLeg(role, code, st, fromMs, toMs, nowMs){
+  // -> {role, code, icao, from, to, alert, belowBest, belowAlt, omFlags, covered, reasons:[{level, text}]}
+  const leg = { role, code, icao: st ? st.icao : null, from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(),
+    alert: 'OK', belowBest: false, belowAlt: false, omFlags: [], covered: false, reasons: [] };
+  const where = `${role} ${st ? (st.iata || st.icao) : code}`;
+  if (!st){
+    leg.reasons.push({ level: 'MONITOR', text: `${where}: not a monitored airport` });
+    return leg;
+  }
+  const hz = (iso) => `${iso.slice(11, 13)}${iso.slice(14, 16)}Z`;
+  const hours = (Array.isArray(st.tafHourly) ? st.tafHourly : []).filter(h => {
+    const t = Date.parse(h.t);
+    return t <= toMs && t + FLIGHT_HOUR_MS > fromMs;
+  });
+  leg.covered = hours.length > 0 && Date.parse(hours[0].t) <= fromMs && Date.parse(hours[hours.length - 1].t) + FLIGHT_HOUR_MS > toMs;
+  const flags = new Set();
+  const note = (level, text) => leg.reasons.push({ level, text: `${where}: ${text}` });
+  // The ALT minima are the limit for an alternate: below them it cannot be used.
+  const belowAltNote = (src, when) => (role === 'ALT')
+    ? note('NO-GO', `${src}below ALT minima, alternate not usable${when}`)
+    : note('MONITOR', `${src}below ALT minima, BEST approach only${when}`);
+
+  for (const h of hours){
+    const drv = flightHourDriver(h);
+    leg.alert = maxAlert(leg.alert, h.alert);
+    if (h.minima && h.minima.belowBest && !leg.belowBest){
+      leg.belowBest = true;
+      note('NO-GO', `below BEST minima ${hz(h.t)}${drv}`);
+    } else if (h.minima && h.minima.belowAlt && !h.minima.belowBest && !leg.belowAlt){
+      leg.belowAlt = true;
+      belowAltNote('', ` ${hz(h.t)}${drv}`);
+    }
+    for (const f of (h.omFlags || [])) flags.add(f);
+  }
+  const worst = hours.reduce((a, h) => ((a && (ALERT_LEVEL[a.alert] || 0) >= (ALERT_LEVEL[h.alert] || 0)) ? a : h), null);
+  if (worst && worst.alert !== 'OK'){
+    note(worst.alert === 'CRIT' ? 'NO-GO' : 'MONITOR', `TAF ${worst.alert} ${hz(worst.t)}${flightHourDriver(worst)}`);
+  }
+
+  // Close to now the observation counts as well.
+  if (fromMs <= nowMs + FLIGHT_HOUR_MS && st.metarRaw){
+    leg.alert = maxAlert(leg.alert, st.metAlert);
+    if (st.metAlert && st.metAlert !== 'OK') note(st.metAlert === 'CRIT' ? 'NO-GO' : 'MONITOR', `METAR ${st.metAlert}`);
+    if (st.minimaNow && st.minimaNow.belowBest && !leg.belowBest){
+      leg.belowBest = true;
+      note('NO-GO', 'METAR below BEST minima');
+    } else if (st.minimaNow && st.minimaNow.onlyBest && !leg.belowAlt){
+      leg.belowAlt = true;
+      belowAltNote('METAR ', '');
+    }
+    for (const f of FLIGHT_OM_FLAGS) if (st.omMet && st.omMet[f]) flags.add(f);
+  }
+  leg.omFlags = [...flags].filter(f => role === 'DEP' || !FLIGHT_TAKEOFF_FLAGS.includes(f));
+  for (const f of leg.omFlags){
+    note((role === 'DEP' && FLIGHT_DEP_NOGO_FLAGS.includes(f)) ? 'NO-GO' : 'MONITOR', `OM ${f}`);
+  }
+  if (!leg.covered) note('MONITOR', st.tafRaw ? 'TAF does not cover the window' : 'no TAF');
+  if (st.stale) note('MONITOR', 'feed outage, last known reports');
+  return leg;
+}
+
+function buildFlights(schedule, stations, iataMap, generatedAt, horizonHours){
+  // -> {flights:[{flight, dep, arr, alt, std, sta, status, reasons, legs}], counts}
+  const nowMs = Date.parse(generatedAt);
+  const horizonMs = nowMs + (Number.isFinite(horizonHours) ? horizonHours : FLIGHT_HORIZON_HOURS) * FLIGHT_HOUR_MS;
+  const byIcao = new Map(stations.map(s => [s.icao, s]));
+  const iataToIcao = new Map(Object.entries(iataMap || {}).filter(([, v]) => v && v.iata).map(([icao, v]) => [v.iata, icao]));
+  const station = (code) => byIcao.get(code) || byIcao.get(iataToIcao.get(code)) || null;
+  const rank = { 'NO-GO': 2, MONITOR: 1, GO: 0 };
+
+  const flights = [];
+  for (const f of schedule){
+    const stdMs = Date.parse(f.std);
+    const staMs = Date.parse(f.sta);
+    if (staMs + FLIGHT_HOUR_MS <= nowMs || stdMs > horizonMs) continue;
+    const legs = [
+      evaluateFlightLeg('DEP', f.dep, station(f.dep), stdMs, stdMs, nowMs),
+      evaluateFlightLeg('DEST', f.arr, station(f.arr), staMs - FLIGHT_HOUR_MS, staMs + FLIGHT_HOUR_MS, nowMs),
+    ];
+    if (f.alt) legs.push(evaluateFlightLeg('ALT', f.alt, station(f.alt), staMs - FLIGHT_HOUR_MS, staMs + FLIGHT_HOUR_MS, nowMs));
+    const reasons = legs.flatMap(l => l.reasons).sort((a, b) => rank[b.level] - rank[a.level]);
+    const status = reasons.length ? reasons[0].level : 'GO';
+    flights.push({ ...f, depIcao: legs[0].icao, arrIcao: legs[1].icao, altIcao: f.alt ? legs[2].icao : null, status, reasons: reasons.map(r => r.text), legs });
+  }
+  flights.sort((a, b) => a.std.localeCompare(b.std) || a.flight.localeCompare(b.flight));
+  return { flights, counts: countBy(flights.map(f => f.status)) };
+}
+
+// --- Alternate finder -----------------------------------------------------------
+// For every DEST-role airport (config/airport_roles.json) and the stations listed in config/alternates.json
+// ("*" = all), rank the monitored airports within `radiusNm`. A candidate is checked against its `alt`
+// minima plus the EASA planning increments (default 3D: +200 ft / +800 m) on the current METAR and every
+// TAF hour from now to `windowHours` ahead (ETA unknown, so "now ±1 h" by default).
+//   SUITABLE: planning minima met · MARGINAL: planning minima met but HIGH
+//   UNKNOWN: no ALT minima / no TAF for the window / feed outage
+//   UNSUITABLE: below planning minima (cannot be nominated), below ALT minima, or CRIT
+
+const ALTERNATES_CONFIG = path.join(ROOT, 'config', 'alternates.json');
+const ROLES_CONFIG = path.join(ROOT, 'config', 'airport_roles.json');
+const ALTN_DEFAULTS = {
+  radiusNm: 200, maxCandidates: 5, windowHours: 2, planning: { cigFt: 200, visM: 800 }, stations: [],
+  takeoff: { oeiSpeedKt: 360, etaWindowHours: 1, maxCandidates: 5 },
+};
+const ALTN_RANK = { SUITABLE: 0, MARGINAL: 1, UNKNOWN: 2, UNSUITABLE: 3 };
+
+function loadAlternatesConfig(){
+  const cfg = safeReadJson(ALTERNATES_CONFIG) || {};
+  return {
+    ...ALTN_DEFAULTS, ...cfg,
+    planning: { ...ALTN_DEFAULTS.planning, ...(cfg.planning || {}) },
+    takeoff: { ...ALTN_DEFAULTS.takeoff, ...(cfg.takeoff || {}) },
+  };
+}
+
+function loadRoles(){
+  // {ICAO: BASE|DEST|ALT|OTHER}, same normalisation as the dashboard
+  const out = {};
+  for (const [k, v] of Object.entries(safeReadJson(ROLES_CONFIG) || {})){
+    const r = String(v || '').trim().toUpperCase();
+    out[String(k).toUpperCase()] = (r === 'DESTINATION') ? 'DEST' : (r === 'ALTERNATE') ? 'ALT' : r;
+  }
+  return out;
+}
+
+function greatCircleNm(lat1, lon1, lat2, lon2){
+  const rad = (d) => d * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * 3440.065 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function evaluateAlternate(st, fromMs, toMs, planning){
+  // -> {status, reason}
+  const alt = st.minima && st.minima.alt;
+  if (!alt) return { status: 'UNKNOWN', reason: 'no ALT minima configured' };
+  const plan = { cig: (alt.cig_ft ?? 0) + planning.cigFt, vis: (alt.vis_m ?? 0) + planning.visM };
+  const hz = (iso) => `${iso.slice(11, 13)}${iso.slice(14, 16)}Z`;
+  const checks = [];
+  if (st.metarRaw && st.met){
+    const vis = [st.met.vis, st.met.rvrMin].filter(v => v != null);
+    checks.push({ what: 'METAR', alert: st.metAlert, cig: st.met.cig ?? null, vis: vis.length ? Math.min(...vis) : null });
+  }
+  const hours = (Array.isArray(st.tafHourly) ? st.tafHourly : []).filter(h => {
+    const t = Date.parse(h.t);
+    return t <= toMs && t + FLIGHT_HOUR_MS > fromMs;
+  });
+  for (const h of hours) checks.push({ what: `TAF ${hz(h.t)}${flightHourDriver(h)}`, alert: h.alert, cig: h.cigFt, vis: h.visM });
+
+  let worst = { status: 'SUITABLE', reason: `planning minima met (CIG ${plan.cig} ft / VIS ${plan.vis} m)` };
+  const consider = (status, reason) => {
+    if (ALTN_RANK[status] > ALTN_RANK[worst.status]) worst = { status, reason };
+  };
+  for (const c of checks){
+    if (c.cig != null && alt.cig_ft != null && c.cig < alt.cig_ft) consider('UNSUITABLE', `${c.what}: CIG ${c.cig} < ALT ${alt.cig_ft} ft`);
+    else if (c.vis != null && alt.vis_m != null && c.vis < alt.vis_m) consider('UNSUITABLE', `${c.what}: VIS ${c.vis} < ALT ${alt.vis_m} m`);
+    else if (c.alert === 'CRIT') consider('UNSUITABLE', `${c.what}: CRIT`);
+    else if (c.cig != null && c.cig < plan.cig) consider('UNSUITABLE', `${c.what}: CIG ${c.cig} < planning ${plan.cig} ft (ALT + ${planning.cigFt})`);
+    else if (c.vis != null && c.vis < plan.vis) consider('UNSUITABLE', `${c.what}: VIS ${c.vis} < planning ${plan.vis} m (ALT + ${planning.visM})`);
+    else if (c.alert === 'HIGH') consider('MARGINAL', `${c.what}: HIGH`);
+  }
+  const covered = hours.length > 0 && Date.parse(hours[0].t) <= fromMs && Date.parse(hours[hours.length - 1].t) + FLIGHT_HOUR_MS > toMs;
+  if (!covered) consider('UNKNOWN', st.tafRaw ? 'TAF does not cover the window' : 'no TAF');
+  if (st.stale) consider('UNKNOWN', 'feed outage (last known METAR/TAF)');
+  return worst;
+}
+
+function buildAlternates(stations, roles, cfg, generatedAt){
+  // -> Map(ICAO -> [{icao, iata, distNm, status, reason}]), best first
+  const nowMs = Date.parse(generatedAt);
+  const toMs = nowMs + cfg.windowHours * FLIGHT_HOUR_MS;
+  const extra = new Set([].concat(cfg.stations || []).map(x => String(x).toUpperCase()));
+  const located = stations.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon));
+  const evaluated = new Map();
+  const evalOnce = (s) => {
+    if (!evaluated.has(s.icao)) evaluated.set(s.icao, evaluateAlternate(s, nowMs, toMs, cfg.planning));
+    return evaluated.get(s.icao);
+  };
+  const out = new Map();
+  for (const target of located){
+    if (!(roles[target.icao] === 'DEST' || extra.has('*') || extra.has(target.icao))) continue;
+    const list = [];
+    for (const c of located){
+      if (c.icao === target.icao) continue;
+      const distNm = Math.round(greatCircleNm(target.lat, target.lon, c.lat, c.lon));
+      if (distNm > cfg.radiusNm) continue;
+      list.push({ icao: c.icao, iata: c.iata ?? null, distNm, ...evalOnce(c) });
+    }
+    list.sort((a, b) => (ALTN_RANK[a.status] - ALTN_RANK[b.status]) || (a.distNm - b.distNm));
+    out.set(target.icao, list.slice(0, cfg.maxCandidates));
+  }
+  return out;
+}
+
+// --- Take-off alternate -----------------------------------------------------------
+// OM-A: with the departure weather below the landing minima (minimaNow, else the first TAF hour below BEST,
+// else minimaTaf) a take-off alternate is required within one hour at the one-engine-inoperative cruise
+// speed in still air (config/alternates.json `takeoff.oeiSpeedKt`). Every monitored airport within that
+// range is checked at its ETA ±`etaWindowHours` (departure + distance / speed) on the METAR (ETA within the
+// next hour) and the TAF hours, against its applicable landing minima: BEST after NOTAM and runway-in-use
+// effects, i.e. the core's belowBest.
+//   SUITABLE: at or above landing minima · UNKNOWN: no minima / no TAF for the window / feed outage
+//   UNSUITABLE: below landing minima
+
+function takeoffAlternateNeed(st, nowMs){
+  // -> {src: 'M'|'T', depMs} or null
+  nowMs = Math.floor(nowMs / 60_000) * 60_000;
+  if (st.minimaNow && st.minimaNow.belowBest) return { src: 'M', depMs: nowMs };
+  const first = st.tafOutlook && st.tafOutlook.firstBelowBest;
+  if (first) return { src: 'T', depMs: Math.max(nowMs, Date.parse(first)) };
+  if (st.minimaTaf && st.minimaTaf.belowBest) return { src: 'T', depMs: nowMs };
+  return null;
+}
+
+function evaluateTakeoffAlternate(st, fromMs, toMs, nowMs){
+  // -> {status, reason}
+  if (!(st.minima && st.minima.best)) return { status: 'UNKNOWN', reason: 'no landing minima configured' };
+  const hz = (iso) => `${iso.slice(11, 13)}${iso.slice(14, 16)}Z`;
+  const win = `${hz(new Date(fromMs).toISOString())}–${hz(new Date(toMs).toISOString())}`;
+  let worst = { status: 'SUITABLE', reason: `at or above landing minima ${win}` };
+  const consider = (status, reason) => {
+    if (ALTN_RANK[status] > ALTN_RANK[worst.status]) worst = { status, reason };
+  };
+  if (st.metarRaw && st.minimaNow && fromMs <= nowMs + FLIGHT_HOUR_MS && st.minimaNow.belowBest){
+    consider('UNSUITABLE', `METAR: below landing minima${st.minimaNow.notam ? ` (${st.minimaNow.notam.join(', ')})` : ''}`);
+  }
+  const hours = (Array.isArray(st.tafHourly) ? st.tafHourly : []).filter(h => {
+    const t = Date.parse(h.t);
+    return t <= toMs && t + FLIGHT_HOUR_MS > fromMs;
+  });
+  for (const h of hours){
+    if (h.minima && h.minima.belowBest) consider('UNSUITABLE', `TAF ${hz(h.t)}${flightHourDriver(h)}: below landing minima`);
+  }
+  const covered = hours.length > 0 && Date.parse(hours[0].t) <= fromMs && Date.parse(hours[hours.length - 1].t) + FLIGHT_HOUR_MS > toMs;
+  if (!covered) consider('UNKNOWN', st.tafRaw ? `TAF does not cover ${win}` : 'no TAF');
+  if (st.stale) consider('UNKNOWN', 'feed outage (last known METAR/TAF)');
+  return worst;
+}
+
+function buildTakeoffAlternates(stations, cfg, generatedAt){
+  // -> Map(ICAO -> {src, depAt, oeiSpeedKt, rangeNm, qualifying, candidates: [{icao, iata, distNm, eta, status, reason}]})
+  const nowMs = Date.parse(generatedAt);
+  const { oeiSpeedKt, etaWindowHours, maxCandidates } = cfg.takeoff;
+  const rangeNm = Math.round(oeiSpeedKt);
+  const located = stations.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon));
+  const out = new Map();
+  for (const dep of located){
+    const need = takeoffAlternateNeed(dep, nowMs);
+    if (!need) continue;
+    const list = [];
+    for (const c of located){
+      if (c.icao === dep.icao) continue;
+      const distNm = Math.round(greatCircleNm(dep.lat, dep.lon, c.lat, c.lon));
+      if (distNm > rangeNm) continue;
+      const etaMs = Math.round((need.depMs + (distNm / oeiSpeedKt) * FLIGHT_HOUR_MS) / 60_000) * 60_000;
+      const w = etaWindowHours * FLIGHT_HOUR_MS;
+      // The part of the window already past is what the METAR shows.
+      const window = evaluateTakeoffAlternate(c, Math.max(nowMs, etaMs - w), etaMs + w, nowMs);
+      list.push({ icao: c.icao, iata: c.iata ?? null, distNm, eta: new Date(etaMs).toISOString(), ...window });
+    }
+    list.sort((a, b) => (ALTN_RANK[a.status] - ALTN_RANK[b.status]) || (a.distNm - b.distNm));
+    out.set(dep.icao, {
+      src: need.src,
+      depAt: new Date(need.depMs).toISOString(),
+      oeiSpeedKt,
+      rangeNm,
+      qualifying: list.filter(x => x.status === 'SUITABLE').length,
+      candidates: list.slice(0, maxCandidates),
+    });
+  }
+  return out;
+}
+
+// --- Webhook dispatcher ----------------------------------------------------------
+// Posts the run's change events (diffStations) to incoming webhooks from config/webhooks.json as a Teams
+// MessageCard, a Slack/Mattermost attachment or the raw event (generic). Each hook filters by role, alert
+// level (the higher of before/after, so the all-clear reaches the same channel) and trigger label prefix.
+// Every delivery goes through data/webhook_queue.json: a failed post stays queued for the next run
+// (5-minute cron) until `maxAttempts` or `maxAgeHours`, so an endpoint outage does not lose alerts.
+
+const WEBHOOKS_CONFIG = path.join(ROOT, 'config', 'webhooks.json');
+const WEBHOOK_DEFAULTS = { events: ['CHANGE', 'OUTAGE', 'RESTORED'], minAlert: 'OK', roles: [], triggers: [] };
+const WEBHOOK_COLORS = { OK: '2EE59D', MED: 'FFCF5A', HIGH: 'FF8A3D', CRIT: 'FF4B5C' };
+
+function loadWebhooksConfig(){
+  const cfg = safeReadJson(WEBHOOKS_CONFIG) || {};
+  return {
+    maxAttempts: cfg.maxAttempts ?? 12,
+    maxAgeHours: cfg.maxAgeHours ?? 6,
+    maxPerRun: cfg.maxPerRun ?? 30,
+    timeoutMs: cfg.timeoutMs ?? 10_000,
+    webhooks: (Array.isArray(cfg.webhooks) ? cfg.webhooks : []).filter(h => h && h.id && h.enabled !== false),
+  };
+}
+
+function envRef(value){
+  // "env:NAME" keeps secrets (webhook URLs, SMTP credentials) out of the repo: GitHub Actions secrets are
+  // mapped into the step env.
+  const v = (value == null) ? '' : String(value);
+  return v.startsWith('env:') ? (process.env[v.slice(4)] || null) : (v || null);
+}
+
+function stationRole(st, roles, baseIataSet){
+  const r = roles[st.icao];
+  if (r === 'BASE' || r === 'DEST' || r === 'ALT') return r;
+  return (st.iata && baseIataSet.has(st.iata)) ? 'BASE' : 'OTHER';
+}
+
+function triggerLabels(arr){
+  return (Array.isArray(arr) ? arr : []).map(t => (typeof t === 'string') ? t : (t?.label || '')).filter(Boolean);
+}
+
+function alertEvents(events, stations, roles, baseIataSet){
+  // Events enriched with what the cards and filters need: role, name, level range and new triggers.
+  const byIcao = new Map(stations.map(s => [s.icao, s]));
+  return events.map(e => {
+    const st = byIcao.get(e.icao) || { icao: e.icao };
+    const from = e.changes?.alert?.from ?? e.alert;
+    const before = new Set(triggerLabels(e.changes?.triggers?.from));
+    const labels = triggerLabels(e.triggers);
+    return {
+      ...e,
+      iata: st.iata ?? null,
+      name: st.name ?? null,
+      role: stationRole(st, roles, baseIataSet),
+      fromAlert: from || 'OK',
+      labels,
+      added: e.changes?.triggers ? labels.filter(l => !before.has(l)) : labels,
+    };
+  });
+}
+
+function webhookMatches(hook, ev){
+  const h = { ...WEBHOOK_DEFAULTS, ...hook };
+  if (!h.events.includes(ev.type)) return false;
+  if (h.roles.length && !h.roles.includes(ev.role)) return false;
+  if ((ALERT_LEVEL[maxAlert(ev.alert, ev.fromAlert)] || 0) < (ALERT_LEVEL[h.minAlert] || 0)) return false;
+  if (h.triggers.length && !ev.added.some(l => h.triggers.some(p => l.startsWith(p)))) return false;
+  return true;
+}
+
+function webhookCard(type, ev, generatedAt){
+  const code = ev.iata ? `${ev.iata}/${ev.icao}` : ev.icao;
+  const title = ev.type === 'CHANGE'
+    ? `${code} ${ev.fromAlert === ev.alert ? ev.alert : `${ev.fromAlert} → ${ev.alert}`}`
+    : `${code} ${ev.type}${ev.type === 'ESCALATION' ? ` L${ev.level} · ${ev.reason}` : ''}${ev.type === 'OUTAGE' ? ` (${ev.reason || 'feed'})` : ''}`;
+  const facts = [
+    ['Airport', `${code}${ev.name ? ` ${ev.name}` : ''} · ${ev.role}`],
+    ['Alert', ev.alert],
+    ['New triggers', ev.added.join(', ') || '—'],
+    ['Triggers', ev.labels.join(', ') || '—'],
+    ['Generated', generatedAt],
+  ];
+  const color = WEBHOOK_COLORS[ev.alert] || WEBHOOK_COLORS.OK;
+  if (type === 'teams'){
+    return {
+      '@type': 'MessageCard', '@context': 'https://schema.org/extensions',
+      themeColor: color, summary: `WX ${title}`, title: `WX ${title}`,
+      sections: [{ facts: facts.map(([name, value]) => ({ name, value })) }],
+    };
+  }
+  if (type === 'slack' || type === 'mattermost'){
+    return {
+      text: `WX ${title}`,
+      attachments: [{ color: `#${color}`, fallback: `WX ${title}`, fields: facts.map(([title, value]) => ({ title, value, short: true })) }],
+    };
+  }
+  const { labels, added, fromAlert, ...event } = ev;
+  return { source: 'wx-monitor', generatedAt, title, event: { ...event, fromAlert, newTriggers: added, triggers: labels } };
+}
+
+async function postJson(url, body, timeoutMs){
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try{
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'wx-monitor (github-actions)' },
+      body: JSON.stringify(body),
+      signal: ac.signal,
+    });
+    if (!res.ok){
+      const text = await res.text().catch(() => '');
+      throw new Error(`HTTP ${res.status} ${res.statusText}: ${text.slice(0, 200)}`);
+    }
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function dispatchWebhooks({ generatedAt, alerts, escalations = [], errors }){
+  // -> {sent, failed, dropped, queued}; the queue file is rewritten each run. Escalation notifications
+  // ("webhook:<id>" channels) are routed explicitly and skip the hook's filters; each gets `ok`/`error` once
+  // queued (the queue retries the post) or refused.
+  const cfg = loadWebhooksConfig();
+  const prev = safeReadJson(OUT_WEBHOOK_QUEUE);
+  const hooks = new Map(cfg.webhooks.map(h => [h.id, h]));
+  const nowMs = Date.parse(generatedAt);
+  const queue = (Array.isArray(prev?.items) ? prev.items : []).filter(q => hooks.has(q.webhook));
+  const enqueue = (hook, ev) => {
+    queue.push({ id: `${generatedAt}/${hook.id}/${ev.icao}/${ev.type}`, webhook: hook.id, createdAt: generatedAt, attempts: 0, lastError: null, payload: webhookCard(hook.type || 'generic', ev, generatedAt) });
+  };
+  for (const hook of cfg.webhooks){
+    for (const ev of alerts){
+      if (webhookMatches(hook, ev)) enqueue(hook, ev);
+    }
+  }
+  for (const n of escalations){
+    const hook = hooks.get(n.channel.slice('webhook:'.length));
+    if (!hook){
+      n.ok = false;
+      n.error = 'unknown webhook';
+    }else if (!envRef(hook.url)){
+      n.ok = false;
+      n.error = `no URL (${hook.url || 'url not set'})`;
+    }else{
+      enqueue(hook, { ...n, type: 'ESCALATION', fromAlert: n.alert, labels: n.triggers, added: [] });
+      n.ok = true;
+    }
+  }
+
+  const out = { sent: 0, failed: 0, dropped: 0, queued: 0 };
+  const keep = [];
+  let budget = cfg.maxPerRun;
+  for (const item of queue){
+    const hook = hooks.get(item.webhook);
+    const url = envRef(hook.url);
+    if (!url || budget <= 0){
+      if (!url) item.lastError = `no URL (${hook.url || 'url not set'})`;
+      keep.push(item);
+      continue;
+    }
+    budget--;
+    try{
+      await postJson(url, item.payload, cfg.timeoutMs);
+      out.sent++;
+    }catch(e){
+      out.failed++;
+      item.attempts++;
+      item.lastError = String(e?.name === 'AbortError' ? 'timeout' : (e?.message || e));
+      keep.push(item);
+    }
+  }
+  const pending = keep.filter(q => {
+    const expired = q.attempts >= cfg.maxAttempts || nowMs - Date.parse(q.createdAt) > cfg.maxAgeHours * 3600_000;
+    if (expired){
+      out.dropped++;
+      errors.push(`webhook ${q.webhook}: dropped ${q.id} after ${q.attempts} attempts (${q.lastError})`);
+    }
+    return !expired;
+  });
+  if (out.failed) errors.push(`webhook: ${out.failed} post(s) failed, ${pending.length} queued for the next run`);
+  out.queued = pending.length;
+  fs.writeFileSync(OUT_WEBHOOK_QUEUE, JSON.stringify({ generatedAt, items: pending }, null, 2));
+  return out;
+}
+
+// --- Email (SMTP) ----------------------------------------------------------------
+// Second alert channel for duty managers (config/email.json), sent by a minimal SMTP client (EHLO, optional
+// STARTTLS / implicit TLS, AUTH PLAIN, one message per session):
+//   - immediate: a station whose role is in `immediate.roles` (default BASE) newly hits one of
+//     `immediate.conditions` (CRIT alert, ENG ICE OPS, TO PROHIB) compared with the previous run
+//   - digest: every `digest.everyMinutes` (default 60) the management brief text plus the stations that changed
+//     since the last digest (data/changes.json); a failed digest is retried on the next run
+// Recipients come from `recipients.roles[ROLE]`, `recipients.bases[IATA|ICAO]` and `recipients.digest`.
+// Every message, sent or failed, is appended to data/email_log.json for audit.
+
+const EMAIL_CONFIG = path.join(ROOT, 'config', 'email.json');
+const EMAIL_LOG_LIMIT = 500;
+const EMAIL_DIGEST_MAX_LINES = 60;
+const EMAIL_CONDITIONS = {
+  'CRIT': (st) => st.alert === 'CRIT',
+  'ENG ICE OPS': (st) => triggerLabels(st.triggers).includes('ENG ICE OPS'),
+  'TO PROHIB': (st) => triggerLabels(st.triggers).includes('TO PROHIB'),
+};
+
+function loadEmailConfig(){
+  const cfg = safeReadJson(EMAIL_CONFIG) || {};
+  const smtp = cfg.smtp || {};
+  return {
+    smtp: {
+      host: envRef(smtp.host),
+      port: Number(envRef(smtp.port)) || (smtp.secure ? 465 : 587),
+      secure: !!smtp.secure,
+      starttls: smtp.starttls !== false,
+      user: envRef(smtp.user),
+      pass: envRef(smtp.pass),
+      from: envRef(smtp.from) || 'wx-monitor@localhost',
+      timeoutMs: smtp.timeoutMs ?? 15_000,
+    },
+    immediate: { roles: ['BASE'], conditions: Object.keys(EMAIL_CONDITIONS), ...(cfg.immediate || {}) },
+    digest: { everyMinutes: 60, ...(cfg.digest || {}) },
+    recipients: { roles: {}, bases: {}, digest: [], ...(cfg.recipients || {}) },
+  };
+}
+
+function smtpReplies(){
+  // Line reader for SMTP replies: resolves `next()` with {code, text} once the last line ("250 ..." not
+  // "250-...") of a reply has arrived.
+  const replies = [];
+  const waiters = [];
+  let buf = '';
+  let lines = [];
+  let failure = null;
+  const settle = () => {
+    while (waiters.length && (replies.length || failure)){
+      const w = waiters.shift();
+      if (replies.length) w.resolve(replies.shift());
+      else w.reject(failure);
+    }
+  };
+  return {
+    feed(chunk){
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\n')) >= 0){
+        const line = buf.slice(0, i).replace(/\r$/, '');
+        buf = buf.slice(i + 1);
+        lines.push(line.slice(4));
+        if (line[3] !== '-'){
+          replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+          lines = [];
+        }
+      }
+      settle();
+    },
+    fail(err){
+      if (!failure) failure = err;
+      settle();
+    },
+    next(){
+      return new Promise((resolve, reject) => { waiters.push({ resolve, reject }); settle(); });
+    },
+  };
+}
+
+function emailAddress(value){
+  const m = String(value).match(/<([^>]+)>/);
+  return (m ? m[1] : String(value)).trim();
+}
+
+function encodeHeader(value){
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildEmailMessage({ from, to, subject, text, date }){
+  const body = Buffer.from(String(text).replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date(date).toUTCString()}`,
+    `Message-ID: <${Date.parse(date)}.${Math.random().toString(36).slice(2)}@wx-monitor>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+async function sendSmtpMail(smtp, message){
+  // -> final server reply text for the audit log; throws on any unexpected reply.
+  const replies = smtpReplies();
+  let socket = null;
+  const attach = (s) => {
+    socket = s;
+    s.setTimeout(smtp.timeoutMs, () => { replies.fail(new Error('SMTP timeout')); s.destroy(); });
+    s.on('data', (c) => replies.feed(c));
+    s.on('error', (e) => replies.fail(e));
+    s.on('close', () => replies.fail(new Error('SMTP connection closed')));
+  };
+  const expect = async (codes) => {
+    const r = await replies.next();
+    if (!codes.includes(r.code)) throw new Error(`SMTP ${r.code} ${r.text.replace(/\n/g, ' ')}`.slice(0, 300));
+    return r;
+  };
+  const cmd = (line, codes) => { socket.write(`${line}\r\n`); return expect(codes); };
+
+  attach(smtp.secure ? tls.connect({ host: smtp.host, port: smtp.port, servername: smtp.host }) : net.connect({ host: smtp.host, port: smtp.port }));
+  try{
+    await expect([220]);
+    let ehlo = await cmd('EHLO wx-monitor', [250]);
+    if (!smtp.secure && smtp.starttls && /^STARTTLS\b/im.test(ehlo.text)){
+      await cmd('STARTTLS', [220]);
+      const raw = socket;
+      raw.removeAllListeners('data');
+      raw.removeAllListeners('close');
+      raw.removeAllListeners('error');
+      raw.on('error', () => {}); // surfaces on the TLS socket
+      raw.setTimeout(0);
+      attach(tls.connect({ socket: raw, servername: smtp.host }));
+      ehlo = await cmd('EHLO wx-monitor', [250]);
+    }
+    if (smtp.user){
+      if (!/^AUTH\b.*\bPLAIN\b/im.test(ehlo.text)) throw new Error('SMTP server does not offer AUTH PLAIN');
+      await cmd(`AUTH PLAIN ${Buffer.from(`\u0000${smtp.user}\u0000${smtp.pass || ''}`, 'utf8').toString('base64')}`, [235]);
+    }
+    await cmd(`MAIL FROM:<${emailAddress(smtp.from)}>`, [250]);
+    for (const rcpt of message.to) await cmd(`RCPT TO:<${emailAddress(rcpt)}>`, [250, 251]);
+    await cmd('DATA', [354]);
+    const done = await cmd(`${buildEmailMessage({ from: smtp.from, ...message })}\r\n.`, [250]);
+    await cmd('QUIT', [221]).catch(() => null);
+    return done.text;
+  } finally {
+    socket.destroy();
+  }
+}
+
+function emailRecipients(cfg, st, role){
+  const r = cfg.recipients;
+  return [...new Set([
+    ...(r.roles[role] || []),
+    ...(st.iata ? (r.bases[st.iata] || []) : []),
+    ...(r.bases[st.icao] || []),
+  ])];
+}
+
+function immediateEmails(cfg, prevStations, stations, roles, baseIataSet, generatedAt){
+  // Only transitions: the first run (no previous dataset) and feed outages never page.
+  if (!prevStations.length) return [];
+  const prev = new Map(prevStations.map(s => [s.icao, s]));
+  const out = [];
+  for (const st of stations){
+    const p = prev.get(st.icao);
+    const role = stationRole(st, roles, baseIataSet);
+    if (!p || st.stale || !cfg.immediate.roles.includes(role)) continue;
+    const entered = cfg.immediate.conditions.filter(c => EMAIL_CONDITIONS[c] && EMAIL_CONDITIONS[c](st) && !EMAIL_CONDITIONS[c](p));
+    const to = emailRecipients(cfg, st, role);
+    if (!entered.length || !to.length) continue;
+    const code = st.iata ? `${st.iata}/${st.icao}` : st.icao;
+    out.push({
+      kind: 'IMMEDIATE', icao: st.icao, to,
+      subject: `[WX ${st.alert}] ${code} ${entered.join(' + ')}`,
+      text: [
+        `${code}${st.name ? ` ${st.name}` : ''} (${role}) entered ${entered.join(', ')} at ${generatedAt}.`,
+        '',
+        `Alert: ${st.alert}`,
+        `Triggers: ${triggerLabels(st.triggers).join(', ') || '—'}`,
+        '',
+        `METAR: ${st.metarRaw || '—'}`,
+        `TAF: ${st.tafRaw || '—'}`,
+      ].join('\n'),
+    });
+  }
+  return out;
+}
+
+function escalationEmail(cfg, n){
+  // Role/base recipients plus the per-level list (`recipients.levels["2"]`).
+  const code = n.iata ? `${n.iata}/${n.icao}` : n.icao;
+  return {
+    kind: 'ESCALATION', icao: n.icao,
+    to: [...new Set([...emailRecipients(cfg, n, n.role), ...((cfg.recipients.levels || {})[n.level] || [])])],
+    subject: `[WX ESCALATION L${n.level}] ${code} ${n.alert}`,
+    text: [
+      `${code}${n.name ? ` ${n.name}` : ''} (${n.role}): ${n.reason}.`,
+      `Rule ${n.rule}, level ${n.level}, matching since ${n.since} (${n.runs} runs).`,
+      '',
+      `Alert: ${n.alert}`,
+      `Triggers: ${n.triggers.join(', ') || '—'}`,
+    ].join('\n'),
+  };
+}
+
+function digestEmail(cfg, brief, changeLog, lastDigestAt, generatedAt){
+  const since = lastDigestAt ? Date.parse(lastDigestAt) : -Infinity;
+  const latest = new Map();
+  for (const e of changeLog){
+    // changes.json is newest first: keep the latest event per station since the previous digest
+    if (Date.parse(e.ts) > since && !latest.has(e.icao)) latest.set(e.icao, e);
+  }
+  const changed = [...latest.values()].map(e => {
+    const a = e.changes?.alert;
+    const level = a ? `${a.from || 'OK'} → ${a.to || 'OK'}` : e.alert;
+    return `- ${e.icao} ${e.type === 'CHANGE' ? level : `${e.type} (${e.alert})`}${e.triggers?.length ? ` · ${triggerLabels(e.triggers).join(', ')}` : ''}`;
+  });
+  return {
+    kind: 'DIGEST', icao: null, to: [...new Set(cfg.recipients.digest || [])],
+    subject: `[WX digest] ${generatedAt.slice(0, 13).replace('T', ' ')}Z · ${changed.length} changed`,
+    text: [
+      brief.management45 || brief.headline20 || '',
+      '',
+      `Changed stations since ${lastDigestAt || 'the start'} (${changed.length}):`,
+      ...(changed.length ? changed.slice(0, EMAIL_DIGEST_MAX_LINES) : ['- none']),
+      ...(changed.length > EMAIL_DIGEST_MAX_LINES ? [`- … and ${changed.length - EMAIL_DIGEST_MAX_LINES} more (data/changes.json)`] : []),
+    ].join('\n'),
+  };
+}
+
+async function dispatchEmail({ generatedAt, prevStations, stations, brief, roles, baseIataSet, escalations = [], errors }){
+  // -> {sent, failed}; does nothing without smtp.host. Escalation notifications get `ok`/`error` so the
+  // policy only records the ones that went out.
+  const cfg = loadEmailConfig();
+  const out = { sent: 0, failed: 0 };
+  const refuse = (n, error) => { n.ok = false; n.error = error; };
+  if (!cfg.smtp.host){
+    for (const n of escalations) refuse(n, 'smtp.host not set');
+    return out;
+  }
+  const log = safeReadJson(OUT_EMAIL_LOG) || {};
+  let lastDigestAt = log.lastDigestAt || null;
+  const messages = immediateEmails(cfg, prevStations, stations, roles, baseIataSet, generatedAt);
+  for (const n of escalations){
+    const m = escalationEmail(cfg, n);
+    if (m.to.length) messages.push({ ...m, escalation: n });
+    else refuse(n, 'no recipients');
+  }
+  const digestDue = !lastDigestAt || Date.parse(generatedAt) - Date.parse(lastDigestAt) >= cfg.digest.everyMinutes * 60_000;
+  if (cfg.digest.everyMinutes > 0 && digestDue && cfg.recipients.digest.length){
+    messages.push(digestEmail(cfg, brief, safeReadJson(OUT_CHANGES)?.events || [], lastDigestAt, generatedAt));
+  }
+
+  const entries = [];
+  for (const m of messages){
+    const entry = { ts: generatedAt, kind: m.kind, icao: m.icao, to: m.to, subject: m.subject, ok: false, response: null, error: null };
+    try{
+      entry.response = await sendSmtpMail(cfg.smtp, { ...m, date: generatedAt });
+      entry.ok = true;
+      out.sent++;
+      if (m.kind === 'DIGEST') lastDigestAt = generatedAt;
+    }catch(e){
+      entry.error = String(e?.message || e);
+      out.failed++;
+      errors.push(`email ${m.kind}${m.icao ? ` ${m.icao}` : ''} to ${m.to.join(', ')}: ${entry.error}`);
+    }
+    if (m.escalation){
+      m.escalation.ok = entry.ok;
+      m.escalation.error = entry.error;
+    }
+    entries.push(entry);
+  }
+  const hist = Array.isArray(log.messages) ? log.messages : [];
+  fs.writeFileSync(OUT_EMAIL_LOG, JSON.stringify({ generatedAt, lastDigestAt, messages: [...entries.reverse(), ...hist].slice(0, EMAIL_LOG_LIMIT) }, null, 2));
+  return out;
+}
+
+// --- Escalation policy -----------------------------------------------------------
+// Declarative paging rules (config/escalation.json) so a station flapping around a threshold does not page
+// every run. Per rule and station the state in data/escalations.json counts consecutive matching runs and
+// the time since the condition started; a rule level is reached after `afterRuns` runs and `afterMinutes`
+// minutes, and notifies its channels plus those of the lower levels:
+//   "browser" (dashboard notifications) · "email" (config/email.json) · "webhook:<id>" (config/webhooks.json)
+// A channel is notified again only after `renotifyMinutes` unless the level or the alert level rises; the
+// memory outlives a clear for that window, so re-entering straight away stays quiet. During a channel's
+// `quietHours` (UTC) levels below `minLevel` are held back and go out after the quiet period if still active.
+// A channel counts as notified only once it reports the notification delivered (email sent, webhook queued);
+// a failed one is tried again on the next run. A feed outage freezes the station's state.
+
+const ESCALATION_CONFIG = path.join(ROOT, 'config', 'escalation.json');
+const ESCALATION_LOG_LIMIT = 300;
+
+function loadEscalationConfig(){
+  const cfg = safeReadJson(ESCALATION_CONFIG) || {};
+  return {
+    rules: (Array.isArray(cfg.rules) ? cfg.rules : []).filter(r => r && r.id && Array.isArray(r.levels) && r.enabled !== false),
+    channels: cfg.channels || {},
+  };
+}
+
+function escalationMatches(match, st, role){
+  const m = match || {};
+  if (Array.isArray(m.roles) && m.roles.length && !m.roles.includes(role)) return false;
+  if (m.alert && (ALERT_LEVEL[st.alert] || 0) < (ALERT_LEVEL[m.alert] || 0)) return false;
+  if (Array.isArray(m.triggers) && m.triggers.length && !triggerLabels(st.triggers).some(l => m.triggers.some(p => l.startsWith(p)))) return false;
+  return true;
+}
+
+function inQuietHours(quiet, nowMs){
+  const minutes = (v) => {
+    const m = String(v || '').match(/^(\d{1,2}):?(\d{2})$/);
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  };
+  const from = minutes(quiet?.from);
+  const to = minutes(quiet?.to);
+  if (from == null || to == null || from === to) return false;
+  const d = new Date(nowMs);
+  const t = d.getUTCHours() * 60 + d.getUTCMinutes();
+  return from < to ? (t >= from && t < to) : (t >= from || t < to);
+}
+
+function evaluateEscalations(cfg, prevState, stations, roles, baseIataSet, generatedAt){
+  // -> {active, notifications, log}; `active` is keyed "<rule>/<ICAO>".
+  const nowMs = Date.parse(generatedAt);
+  const prev = prevState?.active || {};
+  const active = {};
+  const notifications = [];
+  const log = [];
+  for (const rule of cfg.rules){
+    const renotifyMs = (rule.renotifyMinutes ?? 90) * 60_000;
+    const levels = [...rule.levels].sort((a, b) => a.level - b.level);
+    for (const st of stations){
+      const key = `${rule.id}/${st.icao}`;
+      const p = prev[key];
+      if (st.stale){
+        if (p) active[key] = p;
+        continue;
+      }
+      const role = stationRole(st, roles, baseIataSet);
+      if (!escalationMatches(rule.match, st, role)){
+        if (p?.matching && p.level) log.push({ ts: generatedAt, rule: rule.id, icao: st.icao, action: 'CLEARED', level: p.level });
+        const recent = Object.values(p?.notified || {}).some(n => nowMs - Date.parse(n.at) < renotifyMs);
+        if (recent) active[key] = { ...p, matching: false, since: null, runs: 0, level: 0, held: {} };
+        continue;
+      }
+      const since = p?.matching ? p.since : generatedAt;
+      const runs = p?.matching ? p.runs + 1 : 1;
+      const minutes = Math.round((nowMs - Date.parse(since)) / 60_000);
+      const reached = levels.filter(l => runs >= (l.afterRuns ?? 1) && minutes >= (l.afterMinutes ?? 0));
+      const level = reached.length ? reached[reached.length - 1].level : 0;
+      const entry = { rule: rule.id, icao: st.icao, matching: true, since, runs, level, alert: st.alert, notified: { ...(p?.notified || {}) }, held: { ...(p?.held || {}) } };
+      active[key] = entry;
+      if (!level) continue;
+
+      const reason = `${rule.label || rule.id} for ${minutes} min (${runs} runs)`;
+      for (const channel of [...new Set(reached.flatMap(l => l.channels || []))]){
+        const last = entry.notified[channel];
+        const rises = !last || level > last.level || (ALERT_LEVEL[st.alert] || 0) > (ALERT_LEVEL[last.alert] || 0);
+        if (!rises && nowMs - Date.parse(last.at) < renotifyMs) continue;
+        const quiet = cfg.channels[channel]?.quietHours;
+        if (quiet && inQuietHours(quiet, nowMs) && level < (quiet.minLevel ?? Infinity)){
+          if (!entry.held[channel]) log.push({ ts: generatedAt, rule: rule.id, icao: st.icao, action: 'QUIET', level, channel });
+          entry.held[channel] = generatedAt;
+          continue;
+        }
+        delete entry.held[channel];
+        // `notified` is written by saveEscalations once the channel has reported back.
+        notifications.push({
+          key, channel, rule: rule.id, level, reason, since, runs, action: last ? (rises ? 'ESCALATED' : 'RENOTIFY') : 'NOTIFY',
+          icao: st.icao, iata: st.iata ?? null, name: st.name ?? null, role, alert: st.alert, triggers: triggerLabels(st.triggers),
+        });
+      }
+    }
+  }
+  return { active, notifications, log };
+}
+
+function escalationChannelProblem(channel){
+  // -> why a channel cannot deliver (null when it can): it would otherwise drop every page silently.
+  if (channel === 'browser') return null;
+  if (channel === 'email') return loadEmailConfig().smtp.host ? null : 'smtp.host not set in config/email.json';
+  if (channel.startsWith('webhook:')){
+    const hook = loadWebhooksConfig().webhooks.find(h => h.id === channel.slice('webhook:'.length));
+    if (!hook) return 'no such hook in config/webhooks.json';
+    return envRef(hook.url) ? null : `no URL (${hook.url || 'url not set'})`;
+  }
+  return 'unknown channel';
+}
+
+function runEscalations({ generatedAt, stations, roles, baseIataSet, errors }){
+  // Evaluates the policy -> {prev, active, notifications, log, channels}; saveEscalations writes the state
+  // after the channels have been dispatched. An unconfigured channel is reported once per run and gets no
+  // notifications (nothing to retry until it is configured).
+  const cfg = loadEscalationConfig();
+  const prev = safeReadJson(OUT_ESCALATIONS);
+  const channels = [...new Set(cfg.rules.flatMap(r => r.levels.flatMap(l => l.channels || [])))];
+  const unconfigured = new Set();
+  for (const channel of channels){
+    const problem = escalationChannelProblem(channel);
+    if (!problem) continue;
+    unconfigured.add(channel);
+    errors.push(`escalation: channel ${channel} not configured (${problem})`);
+  }
+  const run = evaluateEscalations(cfg, prev, stations, roles, baseIataSet, generatedAt);
+  return { prev, channels, ...run, notifications: run.notifications.filter(n => !unconfigured.has(n.channel)) };
+}
+
+function saveEscalations({ prev, channels, active, notifications, log }, generatedAt, errors){
+  // Records the delivered notifications (the browser channel is this file) and rewrites data/escalations.json;
+  // the others stay unrecorded so the next run sends them again.
+  let failed = 0;
+  for (const n of notifications){
+    if (n.channel === 'browser') n.ok = true;
+    if (n.ok === true) active[n.key].notified[n.channel] = { at: generatedAt, level: n.level, alert: n.alert };
+    else failed++;
+    log.push({ ts: generatedAt, rule: n.rule, icao: n.icao, action: n.ok ? n.action : 'FAILED', level: n.level, channel: n.channel, ...(n.ok ? {} : { error: n.error || 'not delivered' }) });
+  }
+  if (failed) errors.push(`escalation: ${failed} notification(s) not delivered, retried on the next run`);
+  fs.writeFileSync(OUT_ESCALATIONS, JSON.stringify({
+    generatedAt,
+    channels,
+    active,
+    notifications,
+    log: [...log, ...(Array.isArray(prev?.log) ? prev.log : [])].slice(0, ESCALATION_LOG_LIMIT),
+  }, null, 2));
+}
+
+// --- OM rule set ------------------------------------------------------------------
+// The OM-A/OM-B thresholds, prohibition list and crosswind table evaluated by assets/om_policy.js live in
+// config/om_rules.json, one entry per rule with id, version, effective dates and OM reference; the pages
+// fetch the same file. Without it every OM flag stays off, so a missing or empty file is a run error.
+
+const OM_RULES_CONFIG = path.join(ROOT, 'config', 'om_rules.json');
+
+function loadOmRules(errors){
+  const cfg = safeReadJson(OM_RULES_CONFIG);
+  if (!cfg || !Array.isArray(cfg.rules) || !cfg.rules.length){
+    errors.push(`OM rules: ${path.relative(ROOT, OM_RULES_CONFIG)} missing or without rules, OM flags disabled`);
+    return null;
+  }
+  // A rule with no version in force today still applies (last effective version), but the dates need fixing.
+  const { byId, fallback } = resolveOmRules(cfg, new Date().toISOString());
+  for (const id of fallback){
+    errors.push(`OM rules: ${id} has no version in force, using v${byId[id].version ?? '—'} (effective ${byId[id].effectiveFrom || '—'}${byId[id].effectiveTo ? ` to ${byId[id].effectiveTo}` : ''})`);
+  }
+  return cfg;
+}
+
+function parseCsvLine(line){
+  // Handles quoted CSV with commas. Minimal parser sufficient for OurAirports.
+  const out = [];
   let cur = '';
   let inQ = false;
   for(let i=0;i<line.length;i++){
@@ -1927,36 +2904,78 @@ const baseIatas = readBaseIataList();
     }
   })();
 
+  // Optional preferred runways / operating constraints (per-airport): runway-in-use inference in the OM layer.
+  const runwayUseByIcao = (()=>{
+    const p = path.join(ROOT, 'config', 'runway_use.json');
+    if (!fs.existsSync(p)) return {};
+    try{
+      const j = JSON.parse(fs.readFileSync(p, 'utf8'));
+      return j.byIcao || {};
+    }catch(e){
+      errors.push(`Runway use load failed: ${String(e?.message ?? e)}`);
+      return {};
+    }
+  })();
 
-  let metars = new Map();
-  let tafs = new Map();
 
-  try {
-    console.log(`Fetching METAR for ${icaos.length} stations…`);
-    metars = await fetchMetars(icaos);
-  } catch (e) {
-    errors.push(`METAR fetch failed: ${String(e?.message ?? e)}`);
-  }
+  const sources = loadSources(errors);
+  const sourceHealth = {};
 
-  try {
-    console.log(`Fetching TAF for ${icaos.length} stations…`);
-    tafs = await fetchTafs(icaos);
-  } catch (e) {
-    errors.push(`TAF fetch failed: ${String(e?.message ?? e)}`);
+  console.log(`Fetching METAR for ${icaos.length} stations via ${sources.map(s => s.id).join(' → ')}…`);
+  const { reports: metars, via: metarVia, failed: metarFailed } = await fetchReports('METAR', icaos, sources, sourceHealth);
+
+  console.log(`Fetching TAF for ${icaos.length} stations via ${sources.map(s => s.id).join(' → ')}…`);
+  const { reports: tafs, via: tafVia, failed: tafFailed } = await fetchReports('TAF', icaos, sources, sourceHealth);
+
+  for (const [kind, list] of Object.entries(sourceHealth)){
+    for (const h of list){
+      if (h.failed) errors.push(`${kind.toUpperCase()} source ${h.id}: ${h.failed}/${h.requests} requests failed (${h.lastError})`);
+    }
   }
 
-  // Load runway map (for OM policy layer) and compile OM evaluator.
+  // NOTAMs (runway/ILS/ALS outages) steer approach minima selection in the core.
+  const notamsByIcao = buildNotamIndex(await fetchFeedText('notam', errors), icaos, generatedAt);
+  fs.writeFileSync(OUT_NOTAMS, JSON.stringify({ generatedAt, byIcao: notamsByIcao }, null, 2));
+
+  // SNOWTAMs (GRF runway condition reports) take precedence over the wx-code runway condition estimate.
+  const snowtamsByIcao = buildSnowtamIndex(await fetchFeedText('snowtam', errors), icaos, generatedAt, loadFeedConfig('snowtam')?.validHours);
+  fs.writeFileSync(OUT_SNOWTAMS, JSON.stringify({ generatedAt, byIcao: snowtamsByIcao }, null, 2));
+
+  // SIGMETs / AIRMETs located against the station coordinates (iata_map.json lat/lon).
+  const sigmetCfg = loadFeedConfig('sigmet');
+  const sigmetIndex = buildSigmetIndex(await fetchFeedParts('sigmet', errors, /\.(txt|json)$/i),
+    Object.fromEntries(icaos.map(icao => [icao, iataMap[icao] || null])), generatedAt, sigmetCfg?.bufferNm);
+  fs.writeFileSync(OUT_SIGMETS, JSON.stringify({ generatedAt, ...sigmetIndex }, null, 2));
+
+  // VAAC ash cloud forecasts (+6/+12/+18 h) against the same coordinates.
+  const vaacIndex = buildVaacIndex(await fetchFeedText('vaac', errors),
+    Object.fromEntries(icaos.map(icao => [icao, iataMap[icao] || null])), generatedAt, loadFeedConfig('vaac')?.bufferNm);
+  fs.writeFileSync(OUT_VAAC, JSON.stringify({ generatedAt, ...vaacIndex }, null, 2));
+
+  // Load runway map and OM rule set (for OM policy layer) and compile OM evaluator.
   let runwaysMap = {};
   try{
     runwaysMap = fs.existsSync(OUT_RUNWAYS) ? JSON.parse(fs.readFileSync(OUT_RUNWAYS, 'utf8')) : {};
   }catch(e){
     runwaysMap = {};
   }
-  const omFn = loadOmApi(runwaysMap);
+  const omRules = loadOmRules(errors);
+  const omFn = createOmFn(runwaysMap, omRules, generatedAt);
+
+  const prevLatest = safeReadJson(OUT_LATEST);
+  const prevByIcao = new Map((prevLatest?.stations || []).map(s => [s.icao, s]));
 
   const stations = icaos.map(icao => {
-    const metar = rawToString(metars.get(icao));
-    const taf = rawToString(tafs.get(icao));
+    const prev = prevByIcao.get(icao);
+    const metarHist = updateMetarHistory(icao, metars.get(icao), generatedAt);
+    const metarRaw = rawToString(metarHist.current?.raw);
+    const tafRaw = rawToString(newestReport(tafs.get(icao), generatedAt));
+    const m = carryOverReport('METAR', metarRaw, metarRaw ? (metarVia.get(icao) ?? null) : null, metarFailed.get(icao), prev);
+    const t = carryOverReport('TAF', tafRaw, tafRaw ? (tafVia.get(icao) ?? null) : null, tafFailed.get(icao), prev);
+    const metar = m.raw, taf = t.raw;
+    const staleParts = [m.stale && 'METAR', t.stale && 'TAF'].filter(Boolean);
+    const metarDecoded = decodeMetarStructured(metar);
+    const metarObsAt = reportTimeIso(metar, generatedAt);
 
     const base = {
       icao,
@@ -1964,13 +2983,28 @@ const baseIatas = readBaseIataList();
       name: optStringOrNull(iataMap[icao]?.name),
       lat: iataMap[icao]?.lat ?? null,
       lon: iataMap[icao]?.lon ?? null,
-      updatedAt: metar ? (metar.match(/\b\d{6}Z\b/)?.[0] ?? null) : null,
+      updatedAt: metarObsAt,
       metarRaw: metar,
       tafRaw: taf,
+      metarSource: m.source,
+      tafSource: t.source,
+      stale: staleParts.length > 0,
+      staleParts,
+      staleReason: [m.stale, t.stale].filter(Boolean).join('; ') || null,
+      staleSince: staleParts.length ? ((prev?.stale && prev.staleSince) || generatedAt) : null,
+      metarDecoded,
+      tafTimeline: parseTafTimeline(taf, generatedAt),
+      metarCadenceMin: learnMetarCadenceMin(prev, metarObsAt, metarDecoded?.type, metarHist.reports),
+      metarHistory: summarizeMetarHistory(metarHist.reports, generatedAt),
       minima: minimaByIcao[icao] ?? null,
+      runwayUse: runwayUseByIcao[icao] ?? null,
+      notams: notamsByIcao[icao] ?? [],
+      snowtam: snowtamsByIcao[icao] ?? null,
+      sigmets: sigmetIndex.byIcao[icao] ?? [],
+      vaCloud: vaacIndex.byIcao[icao] ?? [],
     };
 
-    const d = computeDerivedStation(base, omFn);
+    const d = computeDerivedStation(base, omFn, generatedAt);
 
     // Compatibility / quick filters: keep a few simple scalar fields alongside thin payload.
     return {
@@ -1979,7 +3013,7 @@ const baseIatas = readBaseIataList();
       taf_visibility_m: (d.tafWorstVis != null) ? d.tafWorstVis : ((d.taf && d.taf.vis != null) ? d.taf.vis : null),
       worst_visibility_m: d.worstVis ?? null,
       ceiling_ft: d.cigAll ?? null,
-      hazards: [...new Set([...(d.met?.hz ? Object.keys(d.met.hz).filter(k=>d.met.hz[k]) : []), ...(d.taf?.hz ? Object.keys(d.taf.hz).filter(k=>d.taf.hz[k]) : [])])],
+      hazards: [...new Set([d.met, d.taf, d.trend].flatMap(x => x?.hz ? Object.keys(x.hz).filter(k=>x.hz[k]) : []))],
       severityScore: d.severityScore ?? null,
     };
   });
@@ -2013,23 +3047,74 @@ const baseIatas = readBaseIataList();
     tafReturned: tafs.size,
     stationsWritten: stations.length,
     missingMetar: stations.filter(s => !s.metarRaw).length,
-    missingTaf: stations.filter(s => !s.tafRaw).length
+    missingTaf: stations.filter(s => !s.tafRaw).length,
+    metarReportsReturned: [...metars.values()].reduce((n, lines) => n + lines.length, 0),
+    metarBySource: countBy(metarVia.values()),
+    tafBySource: countBy(tafVia.values()),
+    outageIcaos: stations.filter(s => s.stale).map(s => s.icao),
+    notamStations: Object.keys(notamsByIcao).length,
+    snowtamStations: Object.keys(snowtamsByIcao).length,
+    sigmets: sigmetIndex.sigmets.length,
+    sigmetStations: Object.keys(sigmetIndex.byIcao).length,
+    vaacAdvisories: vaacIndex.advisories.length,
+    omRules: omRules ? { id: omRules.id || null, version: omRules.version ?? null } : null,
+    vaacStations: Object.keys(vaacIndex.byIcao).length,
+    speciStations: stations.filter(s => (s.metarHistory?.speci ?? 0) > 0).length,
+    metarOverdue: stations.filter(s => s.freshness?.metarOverdue).length,
+    tafExpired: stations.filter(s => s.freshness?.tafExpired).length,
+    tafNotValidNextHour: stations.filter(s => s.freshness?.tafNotValidNextHour).length,
+    staleIcaos: stations.filter(s => s.freshness && (s.freshness.metarOverdue || s.freshness.tafExpired || s.freshness.tafNotValidNextHour)).map(s => s.icao)
   };
 
+  // Ranked alternates for DEST-role airports (and those listed in config/alternates.json).
+  const roles = loadRoles();
+  const altnCfg = loadAlternatesConfig();
+  const alternates = buildAlternates(stations, roles, altnCfg, generatedAt);
+  for (const s of stations){
+    if (alternates.has(s.icao)) s.alternates = alternates.get(s.icao);
+  }
+  stats.alternateStations = alternates.size;
+
+  // Take-off alternate requirement (departure below landing minima) and the airports that qualify.
+  const takeoffAlternates = buildTakeoffAlternates(stations, altnCfg, generatedAt);
+  for (const s of stations){
+    if (takeoffAlternates.has(s.icao)) s.takeoffAlternate = takeoffAlternates.get(s.icao);
+  }
+  stats.takeoffAlternateStations = takeoffAlternates.size;
+
+  // Scheduled flights on the same evaluation (data/flights.json, read by flights/).
+  const flightsOut = buildFlights(parseSchedule(await fetchFeedParts('schedule', errors, /\.(csv|json)$/i), errors),
+    stations, iataMap, generatedAt, loadFeedConfig('schedule')?.horizonHours);
+  fs.writeFileSync(OUT_FLIGHTS, JSON.stringify({ generatedAt, ...flightsOut }, null, 2));
+  stats.flights = flightsOut.flights.length;
+  stats.flightsByStatus = flightsOut.counts;
+
   const baseStations = stations.filter(s => (s.iata && baseIataSet.has(s.iata)));
   const basePresent = new Set(baseStations.map(s=>s.iata));
   const baseMissing = baseIatas.filter(x=>!basePresent.has(x));
 
   // --- Change log + management brief ("Musk step") --------------------------
-  const prevLatest = safeReadJson(OUT_LATEST);
   const events = diffStations(prevLatest?.stations || [], stations);
   writeRollingChanges({generatedAt, events});
   const brief = buildManagementBrief({generatedAt, stations, events, baseStations, baseMissing, baseOrder});
   fs.writeFileSync(OUT_BRIEF, JSON.stringify(brief, null, 2));
 
+  // Escalation policy (config/escalation.json, state in data/escalations.json) feeds the channels below.
+  const escalation = runEscalations({ generatedAt, stations, roles, baseIataSet, errors });
+  const escalations = escalation.notifications;
+
+  // Push the events to the configured webhooks (config/webhooks.json); failures stay queued.
+  const alerts = alertEvents(events, stations, roles, baseIataSet);
+  stats.webhooks = await dispatchWebhooks({ generatedAt, alerts, escalations: escalations.filter(n => n.channel.startsWith('webhook:')), errors });
+
+  // Email: immediate mails on BASE transitions and the hourly digest (config/email.json, log in data/email_log.json).
+  stats.email = await dispatchEmail({ generatedAt, prevStations: prevLatest?.stations || [], stations, brief, roles, baseIataSet, escalations: escalations.filter(n => n.channel === 'email'), errors });
+  saveEscalations(escalation, generatedAt, errors);
+  stats.escalations = countBy(escalations.filter(n => n.ok === true).map(n => n.channel));
+
   const out = { generatedAt, stations, stats, errors };
   fs.writeFileSync(OUT_LATEST, JSON.stringify(out, null, 2));
-  writeStatus({ generatedAt, stats, errors });
+  writeStatus({ generatedAt, stats, errors, sources: sourceHealth });
   console.log(`Wrote ${OUT_LATEST} with ${stations.length} stations.`);
   console.log(`Stats: ${JSON.stringify(stats)}`);
   if(errors.length) console.log(`Errors: ${errors.join(' | ')}`);
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for incoming webhooks (Teams/Slack/Mattermost/generic), for testing the dispatcher in
+ * scripts/update-data.mjs without posting to a real channel.
+ *
+ *   node scripts/webhook-standin.mjs [port] [--fail N]
+ *
+ * Prints every POST body and answers 200, or 500 for the first N posts (to exercise the retry queue).
+ * Point a hook in config/webhooks.json at http://127.0.0.1:<port>/<anything>.
+ */
+
+import http from "node:http";
+
+const args = process.argv.slice(2);
+const failIdx = args.indexOf("--fail");
+let failLeft = failIdx >= 0 ? (Number(args[failIdx + 1]) || 1) : 0;
+const port = Number(args.find((a, i) => /^\d+$/.test(a) && (failIdx < 0 || i !== failIdx + 1))) || 8787;
+let count = 0;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => { body += c; });
+  req.on("end", () => {
+    count++;
+    const fail = req.method === "POST" && failLeft > 0;
+    if (fail) failLeft--;
+    let pretty = body;
+    try { pretty = JSON.stringify(JSON.parse(body), null, 2); } catch { /* not JSON */ }
+    console.log(`#${count} ${req.method} ${req.url} -> ${fail ? 500 : 200}\n${pretty}\n`);
+    res.writeHead(fail ? 500 : 200, { "Content-Type": "text/plain" });
+    res.end(fail ? "stand-in failure" : "1");
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Webhook stand-in listening on http://127.0.0.1:${port}/${failLeft ? ` (failing the first ${failLeft} posts)` : ""}`);
+});
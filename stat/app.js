@@ -1,5 +1,7 @@
 
 /* v48 – Stats: stacked pinned ALL-metrics mini charts + local pruning + crisp canvases (no external libs) */
+import { computeDerivedStation } from "../assets/wx_core.js?v=94.omrules";
+
 const $ = (id)=>document.getElementById(id);
 
 function escapeHtml(s){
@@ -65,191 +67,19 @@ function median(nums){
   return (arr.length%2) ? arr[mid] : (arr[mid-1]+arr[mid])/2;
 }
 
-function parseVisM(raw){
+function cloudBaseFt(raw){
+  // Stats-only proxy: with no BKN/OVC/VV ceiling, chart the lowest FEW/SCT base so the
+  // cloud-base trend is not blank.
   if(!raw) return null;
-
-  const up = String(raw).toUpperCase();
-  if(/\bCAVOK\b/.test(up)) return 10000;
-
-  const toks = up.trim().split(/\s+/);
-  let best = null;
-  const add = (m)=>{ if(m==null) return; best = (best==null)?m:Math.min(best,m); };
-
-  for (let idx=0; idx<toks.length; idx++){
-    const t0 = toks[idx].trim();
-    if(!t0) continue;
-
-    // Split SM format: "1 1/2SM"
-    if(/^\d+$/.test(t0) && idx+1 < toks.length){
-      const t1 = toks[idx+1].trim();
-      if(/^M?\d+\/\d+SM$/.test(t1)){
-        const whole = parseInt(t0,10);
-        const frac = t1.replace(/^M/,"").slice(0,-2);
-        const [a,b] = frac.split("/").map(Number);
-        if(Number.isFinite(whole) && Number.isFinite(a) && Number.isFinite(b) && b!==0){
-          add(Math.round((whole + (a/b))*1609.34));
-          idx++;
-          continue;
-        }
-      }
-    }
-
-    // Fractional SM token: 1/2SM, M1/4SM
-    if(/^M?\d+\/\d+SM$/.test(t0)){
-      const frac = t0.replace(/^M/,"").slice(0,-2);
-      const [a,b] = frac.split("/").map(Number);
-      if(Number.isFinite(a) && Number.isFinite(b) && b!==0){
-        add(Math.round((a/b)*1609.34));
-      }
-      continue;
-    }
-
-    // Ignore validity/time ranges and RVR groups
-    if(/^\d{4}\/\d{4}$/.test(t0)) continue;
-    if(/^R\d{2}[LRC]?\//.test(t0)) continue;
-    if(t0.includes("/")) continue;
-
-    if(/^\d{4}(?:[A-Z]{1,4})?$/.test(t0)){
-      const v = parseInt(t0.slice(0,4),10);
-      if(Number.isFinite(v)) add(v===9999?10000:v);
-      continue;
-    }
-
-    if(/^P\d+SM$/.test(t0)){
-      const n = parseInt(t0.slice(1,-2),10);
-      if(Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-    if(/^M?\d+SM$/.test(t0)){
-      const n = parseInt(t0.replace(/^M/,"").slice(0,-2),10);
-      if(Number.isFinite(n)) add(Math.round(n*1609.34));
-      continue;
-    }
-  }
-
-  return best;
-}
-
-
-
-function parseGustKt(raw){
-  if(!raw) return null;
-  const g = raw.match(/\b(\d{3})\d{2,3}G(\d{2,3})KT\b/);
-  if(g) return parseInt(g[2],10);
-  const s = raw.match(/\b(\d{3})(\d{2,3})KT\b/);
-  if(s) return parseInt(s[2],10);
-  return null;
-}
-
-function parseRvrMin(raw){
-  if(!raw) return null;
-
-  // Robust RVR parsing for typical ICAO METAR groups:
-  //   R29/1000N
-  //   R06/0600V1000U
-  //   R27/P1500U
-  //   R09/M0050N
-  //   (optional) FT suffix in some regions
-  // We take the *minimum* reported value across all RVR groups (and within a variable group, the lower bound).
-
-  const s = String(raw).toUpperCase();
-  const tokens = s.match(/\bR\d{2}[LRC]?\/[PM]?\d{4}(?:V[PM]?\d{4})?[UDN]?(?:FT)?\b/g) || [];
-
-  let min = null;
-  for(const t of tokens){
-    const mm = t.match(/^R\d{2}[LRC]?\/([PM]?)(\d{4})(?:V([PM]?)(\d{4}))?([UDN])?(FT)?$/);
-    if(!mm) continue;
-
-    const isFt = !!mm[6];
-    const toMeters = (x)=> isFt ? Math.round(x * 0.3048) : x;
-
-    const v1i = parseInt(mm[2], 10); // M0050 and P1500 still parse to 50/1500
-    if(!Number.isFinite(v1i)) continue;
-
-    let v = toMeters(v1i);
-    if(mm[4]){
-      const v2i = parseInt(mm[4], 10);
-      if(Number.isFinite(v2i)) v = Math.min(v, toMeters(v2i));
-    }
-
-    if(min === null || v < min) min = v;
-  }
-
-  return min;
-}
-
-
-function parseCeilingFt(raw){
-  if(!raw) return null;
-  // Ceiling traditionally uses BKN/OVC/VV. However, many stations report only FEW/SCT.
-  // For the Stats trend we prefer showing a *cloud-base trend* rather than a blank chart.
-  // Logic:
-  // 1) If BKN/OVC/VV exists → lowest of those (true ceiling)
-  // 2) Else if FEW/SCT exists → lowest of those (cloud base proxy)
-  const reCeil = /\b(BKN|OVC|VV)(\d{3})\b/g;
+  const re = /\b(FEW|SCT)(\d{3})\b/g;
   let m, min=null;
-  while((m=reCeil.exec(raw))!==null){
-    const ft = parseInt(m[2],10)*100;
-    if(min===null || ft<min) min=ft;
-  }
-  if(min!==null) return min;
-  const reCloud = /\b(FEW|SCT)(\d{3})\b/g;
-  while((m=reCloud.exec(raw))!==null){
+  while((m=re.exec(raw))!==null){
     const ft = parseInt(m[2],10)*100;
     if(min===null || ft<min) min=ft;
   }
   return min;
 }
 
-function hasSnow(raw){
-  if(!raw) return false;
-  const up = String(raw).toUpperCase();
-
-  // Weather codes can be combined (e.g. RASN, -RASN, SNRA, SHRASN).
-  // Use token-aware checks rather than \bSN\b, which misses combined groups.
-  const toks = up.trim().split(/\s+/).map(t=>t.trim()).filter(Boolean);
-
-  for(const t of toks){
-    if(t.includes("/")) continue;
-    if(/[0-9]/.test(t)) continue;
-    if(/KT$/.test(t) || /MPS$/.test(t)) continue;
-    if(t.length > 10) continue;
-    if(t.includes("SN")) return true;
-  }
-
-  return /\bBLSN\b/.test(up) || /\bSHSN\b/.test(up) || /\bSN\b/.test(up);
-}
-
-function wxTokens(raw){
-  if(!raw) return [];
-  const up = String(raw).toUpperCase();
-  const toks = [];
-
-  // Primary list still supported
-  const list = ["FZFG","FG","BR","TS","TSRA","TSGR","TSGS","SQ","FZRA","FZDZ","DZ","+RA","RA","SHRA","SHSN","SN","BLSN","GR","GS"];
-
-  // Token-aware scan to capture combined groups (e.g. RASN, -RASN, SHRASN)
-  const parts = up.trim().split(/\s+/).map(t=>t.trim()).filter(Boolean).filter(t=>{
-    if(t.includes("/")) return false;
-    if(/[0-9]/.test(t)) return false;
-    if(/KT$/.test(t) || /MPS$/.test(t)) return false;
-    if(t.length > 10) return false;
-    return true;
-  });
-
-  for(const t of list){
-    const re = new RegExp("\\b"+t.replace("+","\\+")+"\\b");
-    if(re.test(up)) toks.push(t);
-  }
-
-  if(parts.some(t=>t.includes("SN")) && !toks.includes("SN")) toks.push("SN");
-  if(parts.some(t=>t.includes("RA")) && !toks.includes("RA")) toks.push("RA");
-  if(parts.some(t=>t.includes("TS")) && !toks.includes("TS")) toks.push("TS");
-  if(parts.some(t=>t.includes("FG")) && !toks.includes("FG")) toks.push("FG");
-
-  return toks;
-}
-
 
 function metricCategory(metric){
   const m = (metric||"").toUpperCase();
@@ -480,6 +310,42 @@ function getSeries(icao){
   return all[icao] || [];
 }
 
+// Server-side METAR history (data/history/metar/<ICAO>.json): every report the generator saw,
+// SPECIs and corrections included. Preferred over the browser-local series once loaded.
+const metarHistoryCache = new Map(); // icao -> {t, reports}; cleared whenever latest.json changes
+
+async function loadMetarHistory(icao){
+  try{
+    const res = await fetch(`../data/history/metar/${encodeURIComponent(icao)}.json?cb=${Date.now()}`, {cache:"no-store"});
+    const j = res.ok ? await res.json() : null;
+    const reports = Array.isArray(j?.reports) ? j.reports : [];
+    metarHistoryCache.set(icao, { t: Date.now(), reports });
+    return reports;
+  }catch{
+    metarHistoryCache.set(icao, { t: Date.now(), reports: [] });
+    return [];
+  }
+}
+
+function historySeries(reports){
+  return (reports||[]).map(r=>({
+    t: Date.parse(r.obsAt), vis: r.vis ?? null, rvr: r.rvr ?? null, cig: r.cig ?? null, gust: r.gust ?? null,
+    wx: Array.isArray(r.wx) ? r.wx.length : null, snow: r.snow ? 1 : 0
+  })).filter(p=>Number.isFinite(p.t));
+}
+
+function historyEvents(reports){
+  // SPECI issuance and corrections as atlas events (newest first, like getEvents()).
+  const out = [];
+  for(const r of (reports||[])){
+    const t = Date.parse(r.obsAt);
+    if(!Number.isFinite(t)) continue;
+    if(r.type === "SPECI") out.push({ t, metric:"SPECI", src:"OBS", dir:"CHG", value:r.raw, cor:!!r.cor });
+    else if(r.cor) out.push({ t, metric:"COR", src:"OBS", dir:"CHG", value:r.raw, from:r.corrects || null });
+  }
+  return out.reverse();
+}
+
 function computeImpact(ev){
   // impact 0..100 crude
   let imp = 0;
@@ -573,17 +439,18 @@ function detectChanges(icao, prev, cur){
 }
 
 function toSnap(st, tMs){
-  const met = st.metarRaw || "";
-  const taf = st.tafRaw || "";
-  const vis = (typeof st.visibility_m==="number") ? st.visibility_m : parseVisM(met);
-  const tafVis = (typeof st.taf_visibility_m==="number") ? st.taf_visibility_m : parseVisM(taf);
-  const worstVis = (typeof st.worst_visibility_m==="number") ? st.worst_visibility_m : (typeof vis==="number" && typeof tafVis==="number" ? Math.min(vis,tafVis) : (vis ?? tafVis ?? null));
-  const gust = parseGustKt(met) ?? parseGustKt(taf);
-  const rvr = parseRvrMin(met) ?? parseRvrMin(taf);
-  const cig = (typeof st.ceiling_ft === "number" ? st.ceiling_ft : null) ?? parseCeilingFt(met) ?? parseCeilingFt(taf);
-  const snow = hasSnow(met) || hasSnow(taf);
-  const wx = Array.from(new Set([...wxTokens(met), ...wxTokens(taf)])).slice(0,8);
-  return { t: tMs, vis: worstVis, gust, rvr, cig, snow, wx };
+  // Same derivation as the dashboard and the backend (assets/wx_core.js); the backend's
+  // precomputed fields are used as-is when present.
+  const d = (st._thinComputed && st.met && st.taf) ? st : computeDerivedStation(st, null, new Date(tMs).toISOString());
+  const met = d.met, taf = d.taf;
+  const gust = met.gustMax ?? taf.gustMax ?? null;
+  const rvr = met.rvrMin ?? taf.rvrMin ?? null;
+  const cig = met.cig ?? cloudBaseFt(met.raw) ?? taf.cig ?? cloudBaseFt(taf.raw);
+  const snow = !!(met.hz.sn || met.hz.blsn || taf.hz.sn || taf.hz.blsn);
+  const metWx = d.metarDecoded ? (d.metarDecoded.wx||[]).map(w=>w.raw) : [];
+  const tafWx = (Array.isArray(d.tafTimeline) ? d.tafTimeline : []).flatMap(w=>w.wx||[]);
+  const wx = Array.from(new Set([...metWx, ...tafWx])).slice(0,8);
+  return { t: tMs, vis: d.worstVis ?? null, gust, rvr, cig, snow, wx };
 }
 
 function fmtTime(ms){
@@ -1255,6 +1122,8 @@ function applyAutoPinFromSearch(model){
 
 function eventSentence(ev){
   const when = fmtTime(ev.t);
+  if(ev.metric==="SPECI") return { t:`SPECI issued${ev.cor ? " (corrected)" : ""}`, s:`${ev.value || "–"} · ${when}` };
+  if(ev.metric==="COR") return { t:`METAR corrected`, s:`${ev.value || "–"} · ${when}` };
   const cat = metricCategory(ev.metric);
   const dir = ev.dir;
   if(cat==="VIS"){
@@ -1597,7 +1466,14 @@ function renderPinned(){
   const windowMin = parseInt($("atlasWindow")?.value || "240",10);
   const cut = Date.now() - windowMin*60_000;
 
-  const evs = getEvents(pinnedIcao).filter(ev=>{
+  const hist = metarHistoryCache.get(pinnedIcao);
+  if(!hist){
+    const icao = pinnedIcao;
+    loadMetarHistory(icao).then(()=>{ if(pinnedIcao === icao) renderPinned(); });
+  }
+  const histReports = hist ? hist.reports : [];
+
+  const evs = [...historyEvents(histReports), ...getEvents(pinnedIcao)].sort((a,b)=>b.t-a.t).filter(ev=>{
     if(ev.t < cut) return false;
     if(dirSel==="WORSE" && ev.dir!=="WORSE") return false;
     if(dirSel==="BETTER" && ev.dir!=="BETTER") return false;
@@ -1614,7 +1490,8 @@ function renderPinned(){
   }
 
   // series trend: always render stacked per-metric charts for consistency
-  const series = getSeries(pinnedIcao);
+  const srvSeries = historySeries(histReports);
+  const series = (srvSeries.length >= 2) ? srvSeries : getSeries(pinnedIcao);
   let ok = false;
   if(stack) stack.innerHTML = "";
 
@@ -1685,6 +1562,7 @@ async function refresh(force=false){
   const changed = force || (genAt && genAt !== lastGeneratedAt);
   if(changed){
     lastGeneratedAt = genAt;
+    metarHistoryCache.clear();
 
     addHistoryEntry({
       t: Date.now(),